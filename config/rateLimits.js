@@ -0,0 +1,42 @@
+// Throttling for sign-in and OTP endpoints. Each limit allows `max` requests per
+// key (client IP or email address) in a fixed window of `windowMs`.
+
+const MINUTE_MS = 60 * 1000;
+
+// Where request counts are kept: "memory" (default, single instance) or "mongo"
+// (shared by every instance using the same database)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+const RATE_LIMITS = {
+  login: {
+    ip: { windowMs: 15 * MINUTE_MS, max: 30 },
+    email: { windowMs: 15 * MINUTE_MS, max: 10 }
+  },
+  // Shared by sign-up and password reset so neither can be used to flood an inbox
+  otpSend: {
+    ip: { windowMs: 60 * MINUTE_MS, max: 20 },
+    email: { windowMs: 60 * MINUTE_MS, max: 5 }
+  },
+  otpVerify: {
+    ip: { windowMs: 15 * MINUTE_MS, max: 30 },
+    email: { windowMs: 15 * MINUTE_MS, max: 10 }
+  }
+};
+
+// Wrong guesses an OTP survives before it is invalidated and a new one must be requested
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+// Every LOGIN_LOCKOUT_THRESHOLD consecutive bad passwords lock the account, starting at
+// LOGIN_LOCKOUT_BASE_MINUTES and doubling with each further lockout up to the maximum
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_MINUTES = Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5;
+const LOGIN_LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  RATE_LIMITS,
+  OTP_MAX_ATTEMPTS,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_BASE_MINUTES,
+  LOGIN_LOCKOUT_MAX_MINUTES
+};
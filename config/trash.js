@@ -0,0 +1,13 @@
+// Trash retention. Deleted patients and sessions can be restored until they are
+// this many days old, after which the purge job removes them permanently.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// How often the server runs the purge job (0 disables it, e.g. when run from cron)
+const TRASH_PURGE_INTERVAL_HOURS = process.env.TRASH_PURGE_INTERVAL_HOURS !== undefined
+  ? Number(process.env.TRASH_PURGE_INTERVAL_HOURS)
+  : 24;
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_PURGE_INTERVAL_HOURS
+};
@@ -0,0 +1,28 @@
+// Upload limits. MIME types map to the file extension used for the storage key.
+
+// Exercise images must be formats both browsers and the PDF handout renderer can display
+const EXERCISE_IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+const MAX_EXERCISE_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// Scans, photos and documents attached to patients and sessions
+const ATTACHMENT_TYPES = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/heic': 'heic',
+  'image/webp': 'webp',
+  'application/dicom': 'dcm'
+};
+
+const MAX_ATTACHMENT_BYTES = (Number(process.env.MAX_ATTACHMENT_MB) || 20) * 1024 * 1024;
+
+module.exports = {
+  EXERCISE_IMAGE_TYPES,
+  MAX_EXERCISE_IMAGE_BYTES,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES
+};
@@ -0,0 +1,64 @@
+/**
+ * Patient name key backfill
+ * Single Responsibility: Fill in the search keys of patients saved before they existed
+ *
+ * Patient search only finds patients with nameKeys, so run this once after deploying:
+ * `npm run backfill-name-keys`. It is safe to run again.
+ */
+
+const Patient = require('../models/Patient');
+const { toNameKeys } = require('../utils/searchUtils');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Set nameKeys on every patient (trashed ones included) that has none
+ * @returns {Promise<number>} Number of patients updated
+ */
+const backfillNameKeys = async () => {
+  const cursor = Patient.find({ nameKeys: { $exists: false } })
+    .setOptions({ withDeleted: true })
+    .select('name')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await Patient.bulkWrite(batch);
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const patient of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: patient._id },
+        update: { $set: { nameKeys: toNameKeys(patient.name) } }
+      }
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+module.exports = {
+  backfillNameKeys
+};
+
+if (require.main === module) {
+  const mongoose = require('mongoose');
+  const connectDB = require('../config/database');
+
+  connectDB()
+    .then(backfillNameKeys)
+    .then(updated => console.log(`Name key backfill complete: ${updated} patients updated`))
+    .catch(error => {
+      console.error('Error backfilling name keys:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
+}
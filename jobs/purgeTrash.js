@@ -0,0 +1,55 @@
+/**
+ * Trash purge job
+ * Single Responsibility: Periodically remove trashed records past the retention window
+ *
+ * Runs on an interval inside the server, or once from cron: `npm run purge-trash`.
+ */
+
+const TrashService = require('../services/trashService');
+const { TRASH_PURGE_INTERVAL_HOURS } = require('../config/trash');
+
+/**
+ * Purge expired trash once, logging the outcome
+ * @returns {Promise<Object>} { patients, sessions } purged counts
+ */
+const runTrashPurge = async () => {
+  const purged = await TrashService.purgeExpired();
+  if (purged.patients > 0 || purged.sessions > 0) {
+    console.log(`🗑️ Purged ${purged.patients} patients and ${purged.sessions} sessions from the trash`);
+  }
+  return purged;
+};
+
+/**
+ * Start purging expired trash on TRASH_PURGE_INTERVAL_HOURS (no-op when 0)
+ * @returns {Object|null} Interval handle or null when disabled
+ */
+const startTrashPurge = () => {
+  if (!(TRASH_PURGE_INTERVAL_HOURS > 0)) return null;
+
+  const purge = () => runTrashPurge().catch(error => {
+    console.error('Error purging trash:', error);
+  });
+
+  // Don't keep the process alive just for the purge timer
+  return setInterval(purge, TRASH_PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  runTrashPurge,
+  startTrashPurge
+};
+
+if (require.main === module) {
+  const mongoose = require('mongoose');
+  const connectDB = require('../config/database');
+
+  connectDB()
+    .then(runTrashPurge)
+    .then(purged => console.log(`Trash purge complete: ${purged.patients} patients, ${purged.sessions} sessions`))
+    .catch(error => {
+      console.error('Error purging trash:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
+}
@@ -0,0 +1,39 @@
+const ClinicService = require('../services/clinicService');
+const { hasPermission } = require('../utils/accessUtils');
+const { sendError } = require('../utils/responseUtils');
+
+/**
+ * Middleware factory to authorize a request by clinic role
+ * Single Responsibility: Set req.access and reject roles without the permission
+ * Must run after authenticateToken.
+ * @param {string} permission - Required permission (e.g. "patients:write")
+ * @returns {Function} Express middleware (the permission is kept on it as `.permission` for API docs)
+ */
+const requirePermission = (permission) => {
+  const middleware = async (req, res, next) => {
+    try {
+      if (!req.access) {
+        // The request IP travels with the access context so changes can be audited
+        req.access = {
+          ...await ClinicService.getAccess(req.userId),
+          ipAddress: req.ip
+        };
+      }
+
+      if (!hasPermission(req.access, permission)) {
+        return sendError(res, 'You do not have permission to perform this action', 403);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  middleware.permission = permission;
+  return middleware;
+};
+
+module.exports = {
+  requirePermission
+};
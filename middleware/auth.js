@@ -1,4 +1,6 @@
 const jwt = require('jsonwebtoken');
+const TokenService = require('../services/tokenService');
+const { ERROR_CODES, sendError } = require('../utils/responseUtils');
 
 /**
  * Middleware to verify JWT token
@@ -9,20 +11,33 @@ const authenticateToken = async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
     if (!token) {
-      return res.status(401).json({ 
-        success: false,
-        error: 'No token provided' 
-      });
+      return sendError(res, 'No token provided', 401);
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued before logins were tracked carry no login ID, so signing out
+    // everywhere is enforced by comparing their issue time instead
+    const isRevoked = decoded.sid
+      ? !await TokenService.touchLogin(decoded.sid, decoded.userId, req.ip)
+      : await TokenService.isLegacyTokenRevoked(decoded.userId, decoded.iat);
+
+    if (isRevoked) {
+      return sendError(res, 'Token has been revoked', 401, ERROR_CODES.TOKEN_REVOKED);
+    }
+
     req.userId = decoded.userId;
+    req.authSessionId = decoded.sid;
     next();
   } catch (error) {
-    return res.status(401).json({ 
-      success: false,
-      error: 'Invalid token' 
-    });
+    if (error instanceof jwt.TokenExpiredError) {
+      return sendError(res, 'Token expired', 401, ERROR_CODES.TOKEN_EXPIRED);
+    }
+    if (error instanceof jwt.JsonWebTokenError) {
+      return sendError(res, 'Invalid token', 401, ERROR_CODES.INVALID_TOKEN);
+    }
+    // Anything else (e.g. the login lookup failing) is a server error, not a bad token
+    next(error);
   }
 };
 
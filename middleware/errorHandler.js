@@ -3,6 +3,8 @@
  * Single Responsibility: Handle all application errors
  */
 
+const { ERROR_CODES, getErrorCode, sendNotFoundError } = require('../utils/responseUtils');
+
 /**
  * Global error handler middleware
  * @param {Error} err - Error object
@@ -17,6 +19,11 @@ const errorHandler = (err, req, res, next) => {
   // Log error for debugging
   console.error('Error:', err);
 
+  // A streamed response can't be turned into a JSON error once started
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     const message = 'Resource not found';
@@ -38,21 +45,40 @@ const errorHandler = (err, req, res, next) => {
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
-    error = { message, statusCode: 401 };
+    error = { message, statusCode: 401, errorCode: ERROR_CODES.INVALID_TOKEN };
   }
 
   if (err.name === 'TokenExpiredError') {
     const message = 'Token expired';
-    error = { message, statusCode: 401 };
+    error = { message, statusCode: 401, errorCode: ERROR_CODES.TOKEN_EXPIRED };
   }
 
-  res.status(error.statusCode || 500).json({
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json({
     success: false,
     error: error.message || 'Server Error',
+    code: error.errorCode || getErrorCode(statusCode),
+    ...error.details,
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
 
+/**
+ * Create an error that the global handler maps to a specific response
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} details - Extra fields merged into the error response body
+ * @param {string} code - Error code from ERROR_CODES (defaults by status)
+ * @returns {Error} Error with statusCode, details and errorCode attached
+ */
+const createError = (message, statusCode = 500, details, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  if (code) error.errorCode = code;
+  return error;
+};
+
 /**
  * Async error handler wrapper
  * @param {Function} fn - Async function to wrap
@@ -68,14 +94,12 @@ const asyncHandler = (fn) => (req, res, next) => {
  * @param {Object} res - Express response object
  */
 const notFound = (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Route not found'
-  });
+  sendNotFoundError(res, 'Route');
 };
 
 module.exports = {
   errorHandler,
+  createError,
   asyncHandler,
   notFound
 };
@@ -0,0 +1,61 @@
+/**
+ * Compatibility layer for the unversioned /api routes
+ * Single Responsibility: Reshape /api/v1 responses into the flat bodies older app builds read
+ * Only the endpoints that answered without the { success, message, data } envelope before
+ * /api/v1 existed are reshaped; every other /api route already matched it.
+ */
+
+/**
+ * Endpoints that used to answer with flat bodies, matched against the path below /api
+ * errorField names the extra property those endpoints put their error message in.
+ */
+const FLAT_RESPONSE_ROUTES = [
+  { path: /^\/auth\// },
+  { path: /^\/otp\//, errorField: 'message' },
+  { methods: ['POST'], path: /^\/sessions(\/bulk)?\/?$/ },
+  { methods: ['PUT', 'DELETE'], path: /^\/sessions\/[^/]+\/?$/ },
+  { methods: ['GET'], path: /^\/health\/?$/ }
+];
+
+/**
+ * Find the flat-response rule for a request
+ * @param {Object} req - Express request object
+ * @returns {Object|undefined} Matching rule
+ */
+const findFlatResponseRoute = (req) => FLAT_RESPONSE_ROUTES.find(route =>
+  (!route.methods || route.methods.includes(req.method)) && route.path.test(req.path)
+);
+
+/**
+ * Convert an enveloped body to the legacy flat shape
+ * Successes become { message, ...data }; errors keep their fields (old clients read `error`).
+ * @param {Object} body - Response body
+ * @param {Object} route - Matching flat-response rule
+ * @returns {Object} Legacy body
+ */
+const toLegacyBody = (body, route) => {
+  if (body?.success === true) {
+    return { message: body.message, ...body.data };
+  }
+  if (body?.success === false && route.errorField) {
+    return { ...body, [route.errorField]: body.error };
+  }
+  return body;
+};
+
+/**
+ * Middleware to serve legacy response shapes on the unversioned /api routes
+ * Must be mounted at /api, ahead of the shared API router.
+ */
+const legacyResponses = (req, res, next) => {
+  const route = findFlatResponseRoute(req);
+  if (route) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(toLegacyBody(body, route));
+  }
+  next();
+};
+
+module.exports = {
+  legacyResponses
+};
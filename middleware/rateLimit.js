@@ -0,0 +1,47 @@
+const { getRateLimitStore } = require('../services/rateLimitStore');
+const { sendTooManyRequestsError } = require('../utils/responseUtils');
+
+/**
+ * Middleware factory to throttle requests per client IP and per email address
+ * Single Responsibility: Count requests and reject those over the limit with 429
+ * The email limit uses req.body.email and is skipped when the body has none.
+ * @param {string} name - Limit name; routes using the same name share counts
+ * @param {Object} limits - { ip, email }, each { windowMs, max } (either may be omitted)
+ * @returns {Function} Express middleware (the limits are kept on it as `.rateLimit` for API docs)
+ */
+const rateLimit = (name, limits) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const store = getRateLimitStore();
+      const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+      const checks = [];
+      if (limits.ip) checks.push([`${name}:ip:${req.ip}`, limits.ip]);
+      if (limits.email && email) checks.push([`${name}:email:${email}`, limits.email]);
+
+      // Every key is counted even when an earlier one is already over its limit
+      let retryAfterMs = 0;
+      for (const [key, { windowMs, max }] of checks) {
+        const { count, resetAt } = await store.increment(key, windowMs);
+        if (count > max) {
+          retryAfterMs = Math.max(retryAfterMs, resetAt.getTime() - Date.now());
+        }
+      }
+
+      if (retryAfterMs > 0) {
+        return sendTooManyRequestsError(res, retryAfterMs);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  middleware.rateLimit = { name, ...limits };
+  return middleware;
+};
+
+module.exports = {
+  rateLimit
+};
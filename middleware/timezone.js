@@ -0,0 +1,33 @@
+const User = require('../models/User');
+const { isValidTimezone } = require('../utils/validationUtils');
+const { DEFAULT_TIMEZONE } = require('../utils/dateUtils');
+const { sendValidationError } = require('../utils/responseUtils');
+
+/**
+ * Middleware to resolve the timezone used for date buckets
+ * Single Responsibility: Set req.timezone from the request override or user profile
+ * Must run after authenticateToken.
+ */
+const resolveTimezone = async (req, res, next) => {
+  try {
+    const override = req.query.tz || req.headers['x-timezone'];
+
+    if (override !== undefined) {
+      if (!isValidTimezone(override)) {
+        return sendValidationError(res, 'Invalid timezone');
+      }
+      req.timezone = override;
+      return next();
+    }
+
+    const user = await User.findById(req.userId).select('timezone').lean();
+    req.timezone = user?.timezone || DEFAULT_TIMEZONE;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  resolveTimezone
+};
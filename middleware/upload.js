@@ -0,0 +1,42 @@
+const multer = require('multer');
+const { createError } = require('./errorHandler');
+
+/**
+ * Middleware factory for single-file multipart uploads
+ * Single Responsibility: Parse a multipart file into memory with size and MIME limits
+ * The file is available as req.file; other form fields as req.body.
+ * @param {string} fieldName - Form field that carries the file
+ * @param {Object} options - { maxBytes, mimeTypes }
+ * @returns {Function} Express middleware (the options are kept on it as `.upload` for API docs)
+ */
+const uploadSingle = (fieldName, { maxBytes, mimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!mimeTypes.includes(file.mimetype)) {
+        return cb(createError(`File type must be one of: ${mimeTypes.join(', ')}`, 415));
+      }
+      cb(null, true);
+    }
+  }).single(fieldName);
+
+  const middleware = (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return next(createError(`File must be at most ${Math.floor(maxBytes / (1024 * 1024))}MB`, 413));
+        }
+        return next(createError(error.message, 400));
+      }
+      next(error);
+    });
+  };
+
+  middleware.upload = { fieldName, maxBytes, mimeTypes };
+  return middleware;
+};
+
+module.exports = {
+  uploadSingle
+};
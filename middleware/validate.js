@@ -0,0 +1,42 @@
+const { checkSchema } = require('../utils/schemaUtils');
+const { sendValidationError } = require('../utils/responseUtils');
+
+// Request parts a route schema can describe, in the order they are checked
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Middleware factory to validate a request against a route schema
+ * Single Responsibility: Reject invalid input with one 400 listing every field error,
+ * and replace req.params/query/body with the cleaned (stripped and coerced) values
+ * @param {Object} schema - { params, query, body }, each a map of field descriptors or a single
+ * descriptor for the whole part (see schemaUtils)
+ * @returns {Function} Express middleware (the schema is kept on it as `.schema` for API docs)
+ */
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+
+    for (const part of REQUEST_PARTS) {
+      if (!schema[part]) continue;
+
+      const result = checkSchema(schema[part], req[part], { queryString: part !== 'body', name: part });
+      cleaned[part] = result.value;
+      errors.push(...result.errors.map(error => ({ location: part, ...error })));
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors.map(error => error.message).join(', '), { errors });
+    }
+
+    Object.assign(req, cleaned);
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  validate
+};
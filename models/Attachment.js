@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same as the patient's clinic, so it moves with the patient's records
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Set when the file belongs to a specific session rather than the patient record
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  category: {
+    type: String,
+    enum: ['xray', 'mri', 'report', 'prescription', 'consent', 'other'],
+    default: 'other'
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Key in the configured file storage
+  storageKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+attachmentSchema.index({ userId: 1, patientId: 1, createdAt: -1 });
+attachmentSchema.index({ clinicId: 1, patientId: 1, createdAt: -1 });
+attachmentSchema.index({ sessionId: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
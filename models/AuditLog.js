@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Clinic the changed record belongs to (null for personal records and profiles)
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete', 'restore']
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['patient', 'session', 'user']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // What triggered the change when it wasn't a direct edit (e.g. "patient_import", "series_edit")
+  source: {
+    type: String,
+    default: null
+  },
+  changes: [changeSchema],
+  ipAddress: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for faster queries
+auditLogSchema.index({ clinicId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+// The audit trail is append-only: block every update and delete path
+const rejectMutation = function (next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A signed-in device holding a refresh token (not to be confused with a therapy Session)
+const authSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token secret; rotated on every refresh
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete once the refresh token can no longer be used
+  },
+  // Device details shown in the signed-in devices list
+  deviceName: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  platform: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout, logout_all, revoked, password_reset or token_reuse
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const CLINIC_ROLES = ['owner', 'therapist', 'receptionist', 'accountant'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: CLINIC_ROLES
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A pending invitation; the invited user joins (and brings their records) only by accepting it
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: CLINIC_ROLES
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const clinicSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  members: [memberSchema],
+  invitations: [invitationSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries (a user belongs to at most one clinic)
+clinicSchema.index({ 'members.userId': 1 }, { unique: true, sparse: true });
+clinicSchema.index({ 'invitations.email': 1 });
+
+module.exports = mongoose.model('Clinic', clinicSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const clinicalNoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same as the patient's clinic, so it moves with the patient's records
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    unique: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  subjective: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  objective: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  assessment: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  plan: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  modalities: [{
+    type: String,
+    trim: true
+  }],
+  version: {
+    type: Number,
+    default: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+clinicalNoteSchema.index({ userId: 1, patientId: 1, createdAt: -1 });
+clinicalNoteSchema.index({ clinicId: 1, patientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ClinicalNote', clinicalNoteSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+const clinicalNoteRevisionSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalNote',
+    required: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Full note content as of this version
+  subjective: String,
+  objective: String,
+  assessment: String,
+  plan: String,
+  modalities: [String],
+  changes: [changeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for faster queries
+clinicalNoteRevisionSchema.index({ noteId: 1, version: 1 }, { unique: true });
+clinicalNoteRevisionSchema.index({ sessionId: 1, version: -1 });
+
+// Revisions are append-only: block every update and delete path
+const rejectMutation = function (next) {
+  next(new Error('Clinical note revisions cannot be modified'));
+};
+
+clinicalNoteRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+clinicalNoteRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('ClinicalNoteRevision', clinicalNoteRevisionSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Atomically increment a named counter
+ * @param {string} key - Counter key (e.g. invoice:<userId>)
+ * @returns {Promise<number>} The new counter value
+ */
+counterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
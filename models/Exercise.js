@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const exerciseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  instructions: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  bodyRegion: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  sets: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  reps: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  holdSeconds: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // Image metadata; path is the key in the configured file storage
+  image: {
+    path: String,
+    mimeType: String,
+    size: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+exerciseSchema.index({ userId: 1, name: 1 });
+
+module.exports = mongoose.model('Exercise', exerciseSchema);
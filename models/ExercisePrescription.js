@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const prescribedExerciseSchema = new mongoose.Schema({
+  exerciseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise',
+    required: true
+  },
+  // Copied from the library so handouts don't change when the library does
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  instructions: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  sets: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  reps: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  holdSeconds: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  frequency: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  }
+}, {
+  _id: false
+});
+
+const exercisePrescriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same as the patient's clinic, so it moves with the patient's records
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Session at which the program was last prescribed or changed
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  startDate: {
+    type: String,
+    required: true
+  },
+  endDate: {
+    type: String,
+    default: null
+  },
+  exercises: [prescribedExerciseSchema],
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+exercisePrescriptionSchema.index({ userId: 1, patientId: 1, startDate: -1 });
+exercisePrescriptionSchema.index({ clinicId: 1, patientId: 1, startDate: -1 });
+
+module.exports = mongoose.model('ExercisePrescription', exercisePrescriptionSchema);
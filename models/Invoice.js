@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const lineItemSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const invoiceSchema = new mongoose.Schema({
+  // Issuing therapist (their details and numbering appear on the invoice)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same as the patient's clinic, so every member sees the clinic's invoices
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  patientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  periodStart: {
+    type: String,
+    required: true
+  },
+  periodEnd: {
+    type: String,
+    required: true
+  },
+  issueDate: {
+    type: String,
+    required: true
+  },
+  // Snapshot of the therapist's details at the time of invoicing
+  therapist: {
+    name: String,
+    email: String,
+    phoneNumber: String,
+    highestQualification: String,
+    address: {
+      houseNumber: String,
+      area: String,
+      pincode: String,
+      city: String,
+      state: String
+    }
+  },
+  lineItems: [lineItemSchema],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'issued', 'paid', 'void'],
+    default: 'draft'
+  },
+  issuedAt: {
+    type: Date,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+invoiceSchema.index({ userId: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ userId: 1, patientId: 1, createdAt: -1 });
+invoiceSchema.index({ userId: 1, status: 1 });
+invoiceSchema.index({ clinicId: 1, createdAt: -1 });
+invoiceSchema.index({ 'lineItems.sessionId': 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
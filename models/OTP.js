@@ -4,23 +4,51 @@ const otpSchema = new mongoose.Schema({
   email: {
     type: String,
     required: true,
-    index: true
+    lowercase: true,
+    trim: true
   },
-  otp: {
+  // What the OTP proves; an OTP (and its verification token) only works for its own purpose
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['signup', 'password_reset', 'email_change']
+  },
+  // Account changing its email to this address (email_change only)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Keyed hash of the code; the code itself is only ever emailed
+  otpHash: {
     type: String,
     required: true
   },
   expiresAt: {
     type: Date,
     required: true,
-    index: { expireAfterSeconds: 0 } // Auto-delete expired documents after 10 minutes
+    index: { expireAfterSeconds: 0 } // Auto-delete once the OTP or its verification token expires
+  },
+  // Wrong guesses so far; the OTP stops working at OTP_MAX_ATTEMPTS
+  attempts: {
+    type: Number,
+    default: 0
   },
-  isUsed: {
-    type: Boolean,
-    default: false
+  // Set once the code is verified; from then on only the verification token is accepted
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  // SHA-256 of the verification token secret handed out on verification
+  verificationTokenHash: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// One live OTP per address and purpose; requesting a new one replaces it
+otpSchema.index({ email: 1, purpose: 1 }, { unique: true });
+
 module.exports = mongoose.model('OTP', otpSchema);
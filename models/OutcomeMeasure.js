@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const outcomeMeasureSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same as the patient's clinic, so it moves with the patient's records
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['pain', 'rom', 'strength', 'questionnaire']
+  },
+  // Identifies the time series, e.g. "rom:knee:flexion:left"
+  key: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  scale: String,
+  joint: String,
+  movement: String,
+  muscle: String,
+  side: {
+    type: String,
+    enum: ['left', 'right', 'bilateral']
+  },
+  grade: String,
+  instrument: String,
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+outcomeMeasureSchema.index({ userId: 1, patientId: 1, key: 1, date: 1 });
+outcomeMeasureSchema.index({ clinicId: 1, patientId: 1, key: 1, date: 1 });
+outcomeMeasureSchema.index({ sessionId: 1 });
+
+module.exports = mongoose.model('OutcomeMeasure', outcomeMeasureSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { toNameKeys } = require('../utils/searchUtils');
 
 const patientSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +8,18 @@ const patientSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Clinic that owns the record; null for therapists working on their own
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  // Therapist the patient is assigned to within the clinic
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   name: {
     type: String,
     required: true,
@@ -26,6 +40,11 @@ const patientSchema = new mongoose.Schema({
     type: String,
     required: true,
     enum: ['male', 'female', 'other']
+  },
+  // Phonetic keys of the name's words (see toNameKeys), kept in sync with name for search
+  nameKeys: {
+    type: [String],
+    default: undefined
   }
 }, {
   timestamps: true
@@ -34,6 +53,20 @@ const patientSchema = new mongoose.Schema({
 // Indexes for faster queries
 patientSchema.index({ userId: 1, name: 1 });
 patientSchema.index({ userId: 1, createdAt: -1 });
+patientSchema.index({ clinicId: 1, createdAt: -1 });
 patientSchema.index({ name: 'text' });
+patientSchema.index({ userId: 1, nameKeys: 1 });
+patientSchema.index({ clinicId: 1, nameKeys: 1 });
+
+// Runs for save() and insertMany(), the only ways a patient's name is written
+patientSchema.pre('validate', function (next) {
+  if (this.isModified('name') || !this.nameKeys) {
+    this.nameKeys = toNameKeys(this.name);
+  }
+  next();
+});
+
+// Deleted patients go to the trash (deletedAt) until the purge job removes them
+patientSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Patient', patientSchema);
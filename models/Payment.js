@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same as the patient's clinic, so clinic earnings include collections
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  patientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    required: true,
+    enum: ['cash', 'upi', 'card', 'bank']
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  reference: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Optional sessions this payment settles
+  sessionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+paymentSchema.index({ userId: 1, date: -1 });
+paymentSchema.index({ clinicId: 1, date: -1 });
+paymentSchema.index({ userId: 1, patientId: 1, date: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Request count for one rate limit key, used by the "mongo" rate limit store
+const rateLimitSchema = new mongoose.Schema({
+  // Limit name plus client IP or email, e.g. "login:email:someone@example.com"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete once the window has passed
+  }
+});
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
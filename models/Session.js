@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const sessionSchema = new mongoose.Schema({
   userId: {
@@ -6,11 +7,22 @@ const sessionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Same as the patient's clinic; userId is the therapist running the session
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
   patientId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Patient',
     required: true
   },
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionSeries',
+    default: null
+  },
   patientName: {
     type: String,
     required: true,
@@ -24,6 +36,11 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  duration: {
+    type: Number,
+    default: null,
+    min: 1
+  },
   notes: {
     type: String,
     default: '',
@@ -41,6 +58,17 @@ const sessionSchema = new mongoose.Schema({
     type: Number,
     default: null,
     min: 0
+  },
+  // What the session was worth before cancellation zeroed its amount
+  cancelledAmount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Trashed along with its patient (restored with the patient, not on its own)
+  archivedWithPatient: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -53,7 +81,12 @@ sessionSchema.index({ userId: 1, cancelled: 1, date: 1 });
 sessionSchema.index({ userId: 1, patientId: 1, date: 1 });
 sessionSchema.index({ userId: 1, date: 1, completed: 1, cancelled: 1 });
 sessionSchema.index({ patientId: 1, date: 1 });
+sessionSchema.index({ clinicId: 1, date: 1 });
+sessionSchema.index({ seriesId: 1, date: 1 });
 sessionSchema.index({ date: 1, completed: 1 });
 sessionSchema.index({ createdAt: -1 });
 
+// Deleted sessions go to the trash (deletedAt) until the purge job removes them
+sessionSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const sessionSeriesSchema = new mongoose.Schema({
+  // Therapist running the sessions
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same as the patient's clinic, so every member sees the clinic's series
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  patientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: String,
+    required: true
+  },
+  endDate: {
+    type: String,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  amount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      required: true,
+      enum: ['daily', 'weekly']
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    until: {
+      type: String
+    },
+    count: {
+      type: Number,
+      min: 1
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+sessionSeriesSchema.index({ userId: 1, status: 1 });
+sessionSeriesSchema.index({ userId: 1, patientId: 1, status: 1 });
+sessionSeriesSchema.index({ clinicId: 1, status: 1 });
+
+module.exports = mongoose.model('SessionSeries', sessionSeriesSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const goalSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Optional measurable target, e.g. "Knee flexion" -> 120 degrees
+  metric: {
+    type: String,
+    trim: true
+  },
+  targetValue: {
+    type: Number,
+    default: null
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  targetDate: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['not_started', 'in_progress', 'achieved', 'not_achieved'],
+    default: 'not_started'
+  },
+  achievedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const treatmentPlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same as the patient's clinic, so it moves with the patient's records
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  diagnosis: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  condition: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  plannedSessions: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  sessionsPerWeek: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 14
+  },
+  startDate: {
+    type: String,
+    required: true
+  },
+  endDate: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'discontinued'],
+    default: 'active'
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  goals: [goalSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+treatmentPlanSchema.index({ userId: 1, patientId: 1, startDate: -1 });
+treatmentPlanSchema.index({ clinicId: 1, patientId: 1, startDate: -1 });
+
+module.exports = mongoose.model('TreatmentPlan', treatmentPlanSchema);
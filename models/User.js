@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE } = require('../utils/dateUtils');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -47,6 +48,33 @@ const userSchema = new mongoose.Schema({
   highestQualification: {
     type: String,
     trim: true
+  },
+  defaultSessionDuration: {
+    type: Number,
+    default: 45,
+    min: 5,
+    max: 720
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    trim: true
+  },
+  // Set when every login is revoked; older tokens without a login ID stop working
+  tokensRevokedAt: {
+    type: Date,
+    default: null
+  },
+  // Consecutive bad passwords since the last successful sign-in (drives the lockout)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+    select: false
   }
 }, {
   timestamps: true
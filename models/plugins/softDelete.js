@@ -0,0 +1,62 @@
+/**
+ * Soft delete plugin
+ * Single Responsibility: Hide trashed documents from every query unless asked for
+ *
+ * Adds deletedAt (null while live). Queries and aggregations skip trashed documents
+ * unless the filter (or an aggregation's first $match) mentions deletedAt, or the
+ * query sets { withDeleted: true }.
+ */
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany'
+];
+
+/**
+ * Query middleware: add deletedAt: null unless the query opted out
+ */
+function excludeDeleted() {
+  if (this.getOptions().withDeleted) return;
+  if (this.getFilter().deletedAt !== undefined) return;
+
+  this.where({ deletedAt: null });
+}
+
+/**
+ * Aggregate middleware: match live documents first unless the first $match mentions deletedAt
+ */
+function excludeDeletedFromAggregate() {
+  const [firstStage] = this.pipeline();
+  if (firstStage?.$match?.deletedAt !== undefined) return;
+
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+}
+
+/**
+ * Mongoose plugin adding soft delete to a schema
+ * @param {Object} schema - Mongoose schema
+ */
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  // Trash views and the purge job look documents up by deletion time
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+  schema.pre(QUERY_HOOKS, { query: true, document: false }, excludeDeleted);
+  schema.pre('aggregate', excludeDeletedFromAggregate);
+};
+
+module.exports = softDelete;
@@ -0,0 +1,36 @@
+/**
+ * Attachments API docs
+ * Single Responsibility: Describe the attachment operations mounted under /patients/{patientId}/attachments
+ * and /sessions/{sessionId}/attachments (request fields come from schemas/attachments.js)
+ */
+
+const { ref, arrayOf } = require('../utils/openApiUtils');
+
+module.exports = {
+  tag: 'Attachments',
+  description: 'Files (reports, scans, consent forms) attached to a patient or a session',
+  operations: {
+    'GET /': {
+      summary: 'List attachments',
+      description: "A patient's list includes the attachments of its sessions.",
+      data: { attachments: arrayOf(ref('Attachment')) }
+    },
+    'GET /:attachmentId': {
+      summary: 'Get attachment details',
+      data: { attachment: ref('Attachment') }
+    },
+    'GET /:attachmentId/download': {
+      summary: 'Download an attachment',
+      description: 'Answers with the file in its own content type.',
+      produces: ['application/octet-stream']
+    },
+    'POST /': {
+      summary: 'Upload an attachment',
+      status: 201,
+      data: { attachment: ref('Attachment') }
+    },
+    'DELETE /:attachmentId': {
+      summary: 'Delete an attachment'
+    }
+  }
+};
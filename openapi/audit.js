@@ -0,0 +1,21 @@
+/**
+ * Audit API docs
+ * Single Responsibility: Describe the /api/v1/audit operations (request fields come from schemas/audit.js)
+ */
+
+const { ref, arrayOf, objectOf } = require('../utils/openApiUtils');
+
+module.exports = {
+  tag: 'Audit',
+  description: 'History of changes to patients, sessions and profiles',
+  operations: {
+    'GET /': {
+      summary: 'List audit log entries, newest first',
+      description: 'Clinic owners see the whole clinic; everyone else sees their own changes.',
+      data: {
+        entries: arrayOf(ref('AuditEntry')),
+        pagination: objectOf({ page: 'integer', limit: 'integer', total: 'integer' })
+      }
+    }
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Auth API docs
+ * Single Responsibility: Describe the /api/v1/auth operations (request fields come from schemas/auth.js)
+ */
+
+const { ref, arrayOf } = require('../utils/openApiUtils');
+
+const tokens = {
+  token: { type: 'string', description: 'Access token, sent as "Authorization: Bearer <token>"' },
+  refreshToken: { type: 'string', description: 'Single-use; exchange at POST /auth/refresh before the access token expires' },
+  expiresIn: { type: 'integer', description: 'Seconds until the access token expires' }
+};
+
+const signedIn = { user: ref('User'), ...tokens };
+
+module.exports = {
+  tag: 'Auth',
+  description: 'Sign-up, sign-in, tokens, devices and the user profile',
+  operations: {
+    'POST /register': {
+      summary: 'Register a new user',
+      description: 'The email must first be verified with POST /otp/verify (purpose "signup"); pass the returned verificationToken. ' +
+        'Errors: VERIFICATION_REQUIRED, VERIFICATION_TOKEN_INVALID, EMAIL_IN_USE.',
+      status: 201,
+      data: signedIn
+    },
+    'POST /login': {
+      summary: 'Sign in with email and password',
+      description: 'Errors: INVALID_CREDENTIALS (401), ACCOUNT_LOCKED (429) after repeated failed sign-ins.',
+      data: signedIn,
+      errors: [401]
+    },
+    'POST /refresh': {
+      summary: 'Exchange a refresh token for new tokens',
+      description: 'The refresh token is single-use; reusing it fails with INVALID_TOKEN.',
+      data: tokens,
+      errors: [401]
+    },
+    'POST /logout': {
+      summary: 'Sign out this device by revoking its refresh token',
+      description: 'Succeeds for already-revoked tokens so clients can always clear local state.'
+    },
+    'GET /devices': {
+      summary: 'List signed-in devices',
+      data: { devices: arrayOf(ref('Device')) }
+    },
+    'DELETE /devices/:id': {
+      summary: 'Sign out a single device'
+    },
+    'POST /logout-all': {
+      summary: 'Sign out every device',
+      data: { revokedCount: 'integer' }
+    },
+    'GET /profile': {
+      summary: 'Get the current user profile',
+      data: { user: ref('User') },
+      errors: [404]
+    },
+    'PUT /profile': {
+      summary: 'Update the current user profile',
+      description: 'Changing the email needs a verificationToken from POST /otp/verify (purpose "email_change") for the new address.',
+      data: { user: ref('User') },
+      errors: [404]
+    },
+    'POST /forgot-password': {
+      summary: 'Email a password reset OTP',
+      errors: [404]
+    },
+    'POST /reset-password': {
+      summary: 'Set a new password',
+      description: 'Needs the verificationToken from POST /otp/verify-password-reset. Lifts any sign-in lockout and signs out every device.',
+      errors: [404]
+    }
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * Clinic API docs
+ * Single Responsibility: Describe the /api/v1/clinic operations (request fields come from schemas/clinic.js)
+ */
+
+const Clinic = require('../models/Clinic');
+const { ref, arrayOf, objectOf } = require('../utils/openApiUtils');
+
+const role = { type: 'string', enum: Clinic.schema.path('members').schema.path('role').enumValues };
+
+module.exports = {
+  tag: 'Clinic',
+  description: 'Clinics, members and roles',
+  operations: {
+    'GET /': {
+      summary: "Get the user's clinic and role",
+      data: { clinic: ref('Clinic'), role },
+      errors: [404]
+    },
+    'POST /': {
+      summary: 'Create a clinic',
+      description: "The creator becomes its owner and their patients and sessions move into it. Fails with 409 if the user already belongs to a clinic.",
+      status: 201,
+      data: { clinic: ref('Clinic'), role },
+      errors: [409]
+    },
+    'PUT /': {
+      summary: 'Update clinic details',
+      data: { clinic: ref('Clinic') },
+      errors: [404]
+    },
+    'POST /invitations': {
+      summary: 'Invite someone to the clinic by email',
+      description: 'The invitee joins only by accepting; inviting the same email again replaces its pending invitation. Invitations expire after 14 days. Fails with 409 if the email belongs to a member of any clinic.',
+      status: 201,
+      data: { clinic: ref('Clinic') },
+      errors: [409]
+    },
+    'GET /invitations/received': {
+      summary: 'List the pending invitations addressed to the user',
+      data: {
+        invitations: arrayOf(objectOf({
+          id: 'string',
+          clinicId: 'string',
+          clinicName: 'string',
+          role,
+          createdAt: { type: 'string', format: 'date-time' },
+          expiresAt: { type: 'string', format: 'date-time' }
+        }))
+      }
+    },
+    'POST /invitations/:invitationId/accept': {
+      summary: 'Accept an invitation',
+      description: "The user joins the clinic with the invited role and their patients, sessions and payments move into it. Fails with 409 if the user already belongs to a clinic.",
+      data: { clinic: ref('Clinic'), role },
+      errors: [409]
+    },
+    'POST /invitations/:invitationId/decline': {
+      summary: 'Decline an invitation'
+    },
+    'DELETE /invitations/:invitationId': {
+      summary: 'Withdraw a pending invitation',
+      data: { clinic: ref('Clinic') }
+    },
+    'PUT /members/:userId': {
+      summary: "Change a member's role",
+      description: 'A clinic must keep at least one owner.',
+      data: { clinic: ref('Clinic') }
+    },
+    'DELETE /members/:userId': {
+      summary: 'Remove a member, or leave the clinic',
+      description: 'Owners can remove anyone; other members can only remove themselves.',
+      data: { clinic: ref('Clinic') },
+      errors: [403]
+    }
+  }
+};
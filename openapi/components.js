@@ -0,0 +1,103 @@
+/**
+ * Shared OpenAPI components
+ * Single Responsibility: Declare the response schemas referenced by the per-router API docs
+ * Resource schemas are generated from the Mongoose models so they follow model changes.
+ */
+
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const SessionSeries = require('../models/SessionSeries');
+const TreatmentPlan = require('../models/TreatmentPlan');
+const OutcomeMeasure = require('../models/OutcomeMeasure');
+const Exercise = require('../models/Exercise');
+const ExercisePrescription = require('../models/ExercisePrescription');
+const Attachment = require('../models/Attachment');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Clinic = require('../models/Clinic');
+const ClinicalNote = require('../models/ClinicalNote');
+const ClinicalNoteRevision = require('../models/ClinicalNoteRevision');
+const AuditLog = require('../models/AuditLog');
+const { ERROR_CODES } = require('../utils/responseUtils');
+const { modelToSchema, ref, arrayOf, objectOf } = require('../utils/openApiUtils');
+
+const schemas = {
+  User: modelToSchema(User),
+  Patient: modelToSchema(Patient),
+  Session: modelToSchema(Session),
+  SessionSeries: modelToSchema(SessionSeries),
+  TreatmentPlan: modelToSchema(TreatmentPlan),
+  OutcomeMeasure: modelToSchema(OutcomeMeasure),
+  Exercise: modelToSchema(Exercise, { omit: ['image.path'] }),
+  ExercisePrescription: modelToSchema(ExercisePrescription),
+  Attachment: modelToSchema(Attachment, { omit: ['storageKey'] }),
+  Invoice: modelToSchema(Invoice),
+  Payment: modelToSchema(Payment),
+  Clinic: modelToSchema(Clinic),
+  ClinicalNote: modelToSchema(ClinicalNote),
+  ClinicalNoteRevision: modelToSchema(ClinicalNoteRevision),
+  AuditEntry: modelToSchema(AuditLog),
+
+  Device: objectOf({
+    id: 'string',
+    deviceName: 'string',
+    platform: 'string',
+    userAgent: 'string',
+    ipAddress: 'string',
+    lastUsedAt: { type: 'string', format: 'date-time' },
+    createdAt: { type: 'string', format: 'date-time' },
+    current: { type: 'boolean', description: 'Whether this is the device making the request' }
+  }),
+  Conflict: objectOf({
+    index: { type: 'integer', description: 'Position of the proposed session in the request' },
+    date: { type: 'string', format: 'date' },
+    time: { type: 'string', format: 'time' },
+    duration: 'integer',
+    conflictsWith: arrayOf(objectOf({
+      _id: 'string',
+      patientId: 'string',
+      patientName: 'string',
+      seriesId: { type: 'string', nullable: true },
+      date: { type: 'string', format: 'date' },
+      time: { type: 'string', format: 'time' },
+      duration: 'integer'
+    })),
+    conflictsWithinRequest: arrayOf({ type: 'integer' })
+  }),
+  EarningsRow: objectOf({
+    totalEarnings: 'number',
+    sessionCount: 'integer',
+    averagePerSession: 'number',
+    patientCount: 'integer',
+    firstSessionDate: { type: 'string', format: 'date' },
+    lastSessionDate: { type: 'string', format: 'date' }
+  }),
+  Pagination: objectOf({
+    limit: 'integer',
+    hasMore: 'boolean',
+    nextCursor: { type: 'string', nullable: true, description: 'Pass as ?cursor= for the next page' },
+    total: { type: 'integer', nullable: true, description: 'Matching items; only on the first page' }
+  }),
+  ValidationIssue: objectOf({
+    location: { type: 'string', enum: ['params', 'query', 'body'] },
+    field: 'string',
+    message: 'string'
+  }),
+  Error: {
+    type: 'object',
+    required: ['success', 'error', 'code'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', enum: Object.values(ERROR_CODES), description: 'Machine-readable error code' },
+      errors: { ...arrayOf(ref('ValidationIssue')), description: 'Every invalid field (VALIDATION_ERROR)' },
+      conflicts: { ...arrayOf(ref('Conflict')), description: 'Clashing sessions (SCHEDULE_CONFLICT)' },
+      retryAfter: { type: 'integer', description: 'Seconds until the request may be retried (429)' }
+    }
+  }
+};
+
+module.exports = {
+  schemas
+};
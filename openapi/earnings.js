@@ -0,0 +1,131 @@
+/**
+ * Earnings API docs
+ * Single Responsibility: Describe the /api/v1/earnings operations (request fields come from schemas/earnings.js)
+ */
+
+const { ref, arrayOf, objectOf, paginated } = require('../utils/openApiUtils');
+
+const REPORT_DESCRIPTION = 'Billed earnings come from completed sessions with an amount; startDate/endDate narrow the range.';
+
+/**
+ * Describe an earnings breakdown row with its group keys
+ * @param {Object} keys - Group key properties
+ * @returns {Object} OpenAPI schema
+ */
+const breakdownRow = (keys) => ({ allOf: [objectOf(keys), ref('EarningsRow')] });
+
+const periodTotals = {
+  totalEarnings: 'number',
+  sessionCount: 'integer',
+  averagePerSession: 'number'
+};
+
+module.exports = {
+  tag: 'Earnings',
+  description: 'Billed and collected revenue reports (clinic roles need earnings:read)',
+  operations: {
+    'GET /monthly': {
+      summary: 'Get billed and collected earnings per month',
+      description: REPORT_DESCRIPTION,
+      data: {
+        monthlyEarnings: arrayOf(objectOf({
+          year: 'integer',
+          month: { type: 'string', example: '03' },
+          totalEarnings: 'number',
+          sessionCount: 'integer',
+          totalCollected: 'number'
+        })),
+        monthlyCollections: arrayOf(objectOf({
+          year: 'integer',
+          month: { type: 'string', example: '03' },
+          totalCollected: 'number',
+          paymentCount: 'integer'
+        }))
+      }
+    },
+    'GET /monthly/:year/:month': {
+      summary: 'Get the billed sessions and payments of one month',
+      data: {
+        year: 'integer',
+        month: 'string',
+        totalEarnings: 'number',
+        sessionCount: 'integer',
+        totalCollected: 'number',
+        sessions: arrayOf(ref('Session')),
+        payments: arrayOf(ref('Payment'))
+      }
+    },
+    'GET /sessions': {
+      summary: 'List the billed sessions behind the earnings figures',
+      description: 'Pagination is opt-in: pass limit, then the returned nextCursor as cursor.',
+      data: {
+        ...paginated('sessions', ref('Session')),
+        totalAmount: { type: 'number', nullable: true, description: 'Billed total across every page; only on the first page' }
+      }
+    },
+    'GET /summary': {
+      summary: 'Get total earnings and averages per session and per patient',
+      description: REPORT_DESCRIPTION,
+      data: { summary: ref('EarningsRow') }
+    },
+    'GET /by-patient': {
+      summary: 'Get earnings per patient, highest first',
+      data: { patients: arrayOf(breakdownRow({ patientId: 'string', patientName: 'string' })) }
+    },
+    'GET /by-weekday': {
+      summary: 'Get earnings per day of the week',
+      description: 'Seven rows, Sunday (0) first.',
+      data: { weekdays: arrayOf(objectOf({ weekday: 'integer', name: 'string', ...periodTotals })) }
+    },
+    'GET /by-time-of-day': {
+      summary: 'Get earnings per hour and per part of the day',
+      data: {
+        byHour: arrayOf(breakdownRow({ hour: 'integer' })),
+        byPeriod: arrayOf(objectOf({
+          period: { type: 'string', enum: ['morning', 'afternoon', 'evening'] },
+          ...periodTotals
+        }))
+      }
+    },
+    'GET /by-week': {
+      summary: 'Get earnings per ISO week',
+      data: { weeks: arrayOf(breakdownRow({ year: 'integer', week: 'integer' })) }
+    },
+    'GET /by-day': {
+      summary: 'Get earnings per day',
+      data: { days: arrayOf(breakdownRow({ date: { type: 'string', format: 'date' } })) }
+    },
+    'GET /year-over-year': {
+      summary: 'Compare monthly earnings across years',
+      description: 'Defaults to last year and this year.',
+      data: {
+        years: arrayOf({ type: 'integer' }),
+        months: arrayOf(objectOf({
+          month: 'string',
+          values: arrayOf(objectOf({ year: 'integer', totalEarnings: 'number', sessionCount: 'integer' }))
+        })),
+        totals: arrayOf(objectOf({
+          year: 'integer',
+          totalEarnings: 'number',
+          sessionCount: 'integer',
+          changePercent: { type: 'number', nullable: true, description: 'Change from the previous year' }
+        }))
+      }
+    },
+    'GET /cancellations': {
+      summary: 'Estimate revenue lost to cancelled sessions',
+      description: 'Cancelled sessions without a recorded amount are valued at the patient\'s average session amount.',
+      data: {
+        totalLost: 'number',
+        cancelledCount: 'integer',
+        estimatedCount: { type: 'integer', description: 'Sessions valued at the patient average' },
+        byPatient: arrayOf(objectOf({ patientId: 'string', patientName: 'string', lostAmount: 'number', cancelledCount: 'integer' })),
+        byMonth: arrayOf(objectOf({ month: { type: 'string', example: '2025-03' }, lostAmount: 'number', cancelledCount: 'integer' }))
+      }
+    },
+    'POST /test-session': {
+      summary: 'Create a sample completed session (testing only)',
+      data: { message: 'string', session: ref('Session') }
+    }
+  }
+};
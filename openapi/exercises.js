@@ -0,0 +1,71 @@
+/**
+ * Exercises API docs
+ * Single Responsibility: Describe the /api/v1/exercises operations (request fields come from schemas/exercises.js)
+ */
+
+const schemas = require('../schemas/exercises');
+const { EXERCISE_IMAGE_TYPES, MAX_EXERCISE_IMAGE_BYTES } = require('../config/uploads');
+const { ref, arrayOf, propertiesToSchema } = require('../utils/openApiUtils');
+
+const imageTypes = Object.keys(EXERCISE_IMAGE_TYPES);
+
+module.exports = {
+  tag: 'Exercises',
+  description: 'The exercise library used in prescriptions',
+  operations: {
+    'GET /': {
+      summary: 'List the exercise library',
+      data: { exercises: arrayOf(ref('Exercise')) }
+    },
+    'GET /:id': {
+      summary: 'Get an exercise',
+      data: { exercise: ref('Exercise') }
+    },
+    'POST /': {
+      summary: 'Create an exercise',
+      status: 201,
+      data: { exercise: ref('Exercise') }
+    },
+    'PUT /:id': {
+      summary: 'Update an exercise',
+      data: { exercise: ref('Exercise') }
+    },
+    'DELETE /:id': {
+      summary: 'Delete an exercise'
+    },
+    // Either a multipart upload or base64 JSON, so the body is spelled out here
+    'PUT /:id/image': {
+      summary: "Upload or replace an exercise's image",
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['image'],
+              properties: {
+                image: {
+                  type: 'string',
+                  format: 'binary',
+                  description: `${imageTypes.join(', ')}; at most ${MAX_EXERCISE_IMAGE_BYTES / (1024 * 1024)}MB`
+                }
+              }
+            }
+          },
+          'application/json': {
+            schema: { ...propertiesToSchema(schemas.saveImage.body), required: ['data', 'mimeType'] }
+          }
+        }
+      },
+      data: { exercise: ref('Exercise') }
+    },
+    'GET /:id/image': {
+      summary: "Get an exercise's image",
+      produces: imageTypes
+    },
+    'DELETE /:id/image': {
+      summary: "Remove an exercise's image",
+      data: { exercise: ref('Exercise') }
+    }
+  }
+};
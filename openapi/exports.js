@@ -0,0 +1,26 @@
+/**
+ * Exports API docs
+ * Single Responsibility: Describe the /api/v1/exports operations (request fields come from schemas/exports.js)
+ */
+
+const produces = ['text/csv', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+
+module.exports = {
+  tag: 'Exports',
+  description: 'Spreadsheet downloads (?format=csv or xlsx)',
+  operations: {
+    'GET /patients': {
+      summary: 'Export all patients',
+      produces
+    },
+    'GET /sessions': {
+      summary: 'Export sessions',
+      description: 'Takes the same filters as the session lists.',
+      produces
+    },
+    'GET /earnings': {
+      summary: 'Export billed and collected earnings per month',
+      produces
+    }
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * API root docs
+ * Single Responsibility: Describe the routes defined directly on the API router (routes/index.js)
+ */
+
+module.exports = {
+  tag: 'Health',
+  description: 'Service status',
+  operations: {
+    'GET /health': {
+      summary: 'Check that the API is running',
+      data: { status: { type: 'string', enum: ['OK'] } }
+    }
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Invoices API docs
+ * Single Responsibility: Describe the /api/v1/invoices operations (request fields come from schemas/invoices.js)
+ */
+
+const { ref, arrayOf } = require('../utils/openApiUtils');
+
+module.exports = {
+  tag: 'Invoices',
+  description: "Invoices built from a patient's completed sessions",
+  operations: {
+    'GET /': {
+      summary: 'List invoices',
+      data: { invoices: arrayOf(ref('Invoice')) }
+    },
+    'GET /:id': {
+      summary: 'Get an invoice',
+      data: { invoice: ref('Invoice') }
+    },
+    'GET /:id/download': {
+      summary: 'Download an invoice as PDF or HTML',
+      produces: ['application/pdf', 'text/html']
+    },
+    'POST /': {
+      summary: "Create an invoice from a patient's uninvoiced completed sessions",
+      status: 201,
+      data: { invoice: ref('Invoice') }
+    },
+    'PUT /:id/status': {
+      summary: 'Change invoice status (issue, mark paid, void)',
+      data: { invoice: ref('Invoice') }
+    }
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * OTP API docs
+ * Single Responsibility: Describe the /api/v1/otp operations (request fields come from schemas/otp.js)
+ */
+
+const verified = {
+  verificationToken: { type: 'string', description: 'Single-use proof that the email was verified for the purpose' },
+  expiresIn: { type: 'integer', description: 'Seconds until the verification token expires' }
+};
+
+module.exports = {
+  tag: 'OTP',
+  description: 'One-time passcodes that verify an email address',
+  operations: {
+    'POST /send': {
+      summary: 'Email an OTP',
+      description: 'Purposes: signup (default) and email_change need an address no account uses (EMAIL_IN_USE otherwise); ' +
+        'password_reset needs an existing account. email_change also needs the bearer token of the signed-in user.',
+      errors: [401, 404]
+    },
+    'POST /verify': {
+      summary: 'Verify an OTP and get a verification token',
+      description: 'Errors: OTP_INVALID, OTP_ATTEMPTS_EXCEEDED (request a new OTP).',
+      data: verified
+    },
+    'POST /verify-password-reset': {
+      summary: 'Verify a password reset OTP',
+      description: 'Same as POST /verify with purpose "password_reset".',
+      data: verified
+    }
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Outcome measures API docs
+ * Single Responsibility: Describe the /api/v1/patients/{patientId}/measures operations
+ * (request fields come from schemas/outcomeMeasures.js)
+ */
+
+const { ref, arrayOf, objectOf } = require('../utils/openApiUtils');
+
+const measureSeries = objectOf({
+  key: { type: 'string', description: 'Identifies the measure, e.g. rom:knee:left:flexion' },
+  type: 'string',
+  label: 'string',
+  unit: 'string',
+  points: arrayOf(objectOf({
+    id: 'string',
+    date: { type: 'string', format: 'date' },
+    value: 'number',
+    grade: 'string',
+    sessionId: { type: 'string', nullable: true }
+  })),
+  baseline: 'number',
+  latest: 'number',
+  change: 'number'
+});
+
+module.exports = {
+  tag: 'Outcome measures',
+  description: 'Pain scores, range of motion, strength and questionnaire results over time',
+  operations: {
+    'GET /': {
+      summary: "List a patient's measurements",
+      data: { measures: arrayOf(ref('OutcomeMeasure')) }
+    },
+    'GET /series': {
+      summary: 'Get one time series per measure for charts',
+      data: { series: arrayOf(measureSeries) }
+    },
+    'POST /': {
+      summary: 'Record measurements',
+      description: 'Send { measures: [...] } or a single measure, optionally against a session.',
+      status: 201,
+      data: { measures: arrayOf(ref('OutcomeMeasure')) }
+    },
+    'DELETE /:measureId': {
+      summary: 'Delete a measurement'
+    }
+  }
+};
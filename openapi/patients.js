@@ -0,0 +1,130 @@
+/**
+ * Patients API docs
+ * Single Responsibility: Describe the /api/v1/patients operations (request fields come from schemas/patients.js)
+ */
+
+const { ref, arrayOf, objectOf, paginated } = require('../utils/openApiUtils');
+
+const searchResult = objectOf({
+  id: 'string',
+  name: 'string',
+  contactNumber: { type: 'string', nullable: true },
+  age: 'integer',
+  gender: 'string',
+  therapistId: { type: 'string', nullable: true },
+  hasPendingSessions: 'boolean',
+  lastSessionDate: { type: 'string', format: 'date', nullable: true },
+  rank: { type: 'number', description: 'Match quality, boosted for pending and recent sessions' }
+});
+
+const importRow = objectOf({
+  row: { type: 'integer', description: 'CSV line number' },
+  data: { type: 'object', additionalProperties: true },
+  errors: arrayOf({ type: 'string' }),
+  duplicateOf: { allOf: [ref('Patient')], description: 'Existing patient this row likely duplicates (with `reason`)' },
+  duplicateOfRow: { type: 'integer', description: 'Earlier CSV row this row likely duplicates' }
+});
+
+const importSummary = objectOf({
+  totalRows: 'integer',
+  valid: 'integer',
+  invalid: 'integer',
+  duplicates: 'integer',
+  columns: { type: 'object', additionalProperties: { type: 'string' }, description: 'Patient field -> CSV header' },
+  imported: { type: 'integer', description: 'Only when saved' },
+  skippedInvalid: { type: 'integer', description: 'Only when saved' }
+});
+
+const trashedPatient = {
+  allOf: [ref('Patient'), objectOf({
+    archivedSessionCount: 'integer',
+    purgeAt: { type: 'string', format: 'date-time' }
+  })]
+};
+
+module.exports = {
+  tag: 'Patients',
+  description: 'Patients, their trash and per-patient session helpers',
+  operations: {
+    'GET /': {
+      summary: 'List patients',
+      description: 'Pagination is opt-in: pass limit, then the returned nextCursor as cursor.',
+      data: paginated('patients', ref('Patient'))
+    },
+    'GET /search': {
+      summary: 'Search patients by name or phone digits',
+      description: 'Fuzzy matching for autocomplete; best matches first.',
+      data: { patients: arrayOf(searchResult) }
+    },
+    'POST /': {
+      summary: 'Create a patient',
+      status: 201,
+      data: { patient: ref('Patient') }
+    },
+    'POST /import': {
+      summary: 'Import patients from CSV',
+      description: 'Send the CSV as a text/csv body or as JSON { csv }. dryRun=true previews the rows without saving; ' +
+        'likely duplicates are skipped unless includeDuplicates=true. Saving answers 201.',
+      requestBody: {
+        required: true,
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/json': { schema: objectOf({ csv: 'string' }) }
+        }
+      },
+      data: {
+        patients: { ...arrayOf(ref('Patient')), description: 'Only when saved' },
+        rows: arrayOf(importRow),
+        summary: importSummary
+      }
+    },
+    'PUT /:id': {
+      summary: 'Update a patient',
+      data: { patient: ref('Patient') }
+    },
+    'PUT /:id/sessions/details': {
+      summary: "Update details of all the patient's upcoming sessions",
+      description: 'Time and duration changes are checked against the schedule (SCHEDULE_CONFLICT unless force).',
+      data: { modifiedCount: 'integer', conflicts: arrayOf(ref('Conflict')) },
+      errors: [409]
+    },
+    'PUT /:id/sessions/close': {
+      summary: "Cancel all the patient's upcoming sessions",
+      data: { modifiedCount: 'integer' }
+    },
+    'DELETE /:id': {
+      summary: 'Move a patient and their sessions to the trash'
+    },
+    'GET /trash': {
+      summary: 'List patients in the trash',
+      description: 'Trashed patients can be restored until purgeAt.',
+      data: { patients: arrayOf(trashedPatient) }
+    },
+    'POST /:id/restore': {
+      summary: 'Restore a patient from the trash',
+      description: 'Sessions archived with the patient are restored too.',
+      data: { patient: ref('Patient'), restoredSessions: 'integer' }
+    },
+    'GET /:id/sessions/last-active': {
+      summary: "Get the date of the patient's last session",
+      data: { lastActiveDate: { type: 'string', format: 'date', nullable: true } }
+    },
+    'GET /:id/balance': {
+      summary: 'Get billed, paid and outstanding amounts for a patient',
+      data: {
+        balance: objectOf({
+          patientId: 'string',
+          patientName: 'string',
+          totalBilled: 'number',
+          totalPaid: 'number',
+          outstanding: 'number',
+          lastPaymentDate: { type: 'string', format: 'date', nullable: true }
+        })
+      }
+    },
+    'POST /active-sessions': {
+      summary: 'Find which patients have pending sessions',
+      data: { activePatientIds: arrayOf({ type: 'string' }) }
+    }
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Payments API docs
+ * Single Responsibility: Describe the /api/v1/payments operations (request fields come from schemas/payments.js)
+ */
+
+const { ref, arrayOf, objectOf, paginated } = require('../utils/openApiUtils');
+
+module.exports = {
+  tag: 'Payments',
+  description: 'Payments received from patients and outstanding balances',
+  operations: {
+    'GET /': {
+      summary: 'List payments',
+      description: 'Pagination is opt-in: pass limit, then the returned nextCursor as cursor.',
+      data: paginated('payments', ref('Payment'))
+    },
+    'GET /outstanding': {
+      summary: 'List patients with an outstanding balance, highest first',
+      data: {
+        balances: arrayOf(objectOf({
+          patientId: 'string',
+          patientName: 'string',
+          contactNumber: 'string',
+          billedSessionCount: 'integer',
+          totalBilled: 'number',
+          totalPaid: 'number',
+          outstanding: 'number'
+        })),
+        totalOutstanding: 'number'
+      }
+    },
+    'POST /': {
+      summary: 'Record a payment',
+      status: 201,
+      data: { payment: ref('Payment') }
+    },
+    'DELETE /:id': {
+      summary: 'Delete a payment'
+    }
+  }
+};
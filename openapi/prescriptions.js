@@ -0,0 +1,40 @@
+/**
+ * Prescriptions API docs
+ * Single Responsibility: Describe the /api/v1/patients/{patientId}/prescriptions operations
+ * (request fields come from schemas/prescriptions.js)
+ */
+
+const { ref, arrayOf } = require('../utils/openApiUtils');
+
+module.exports = {
+  tag: 'Prescriptions',
+  description: 'Home exercise programmes prescribed to patients',
+  operations: {
+    'GET /': {
+      summary: "List a patient's prescriptions",
+      description: 'activeOn narrows the list to prescriptions active on that date.',
+      data: { prescriptions: arrayOf(ref('ExercisePrescription')) }
+    },
+    'GET /:prescriptionId': {
+      summary: 'Get a prescription',
+      data: { prescription: ref('ExercisePrescription') }
+    },
+    'GET /:prescriptionId/handout': {
+      summary: 'Download a printable handout as PDF or HTML',
+      produces: ['application/pdf', 'text/html']
+    },
+    'POST /': {
+      summary: 'Prescribe exercises to a patient',
+      status: 201,
+      data: { prescription: ref('ExercisePrescription') }
+    },
+    'PUT /:prescriptionId': {
+      summary: 'Update a prescription',
+      description: 'Pass sessionId to record the session the change was made at.',
+      data: { prescription: ref('ExercisePrescription') }
+    },
+    'DELETE /:prescriptionId': {
+      summary: 'Delete a prescription'
+    }
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Series API docs
+ * Single Responsibility: Describe the /api/v1/series operations (request fields come from schemas/series.js)
+ */
+
+const { ref, arrayOf } = require('../utils/openApiUtils');
+
+const SCHEDULE_DESCRIPTION = 'Occurrences that overlap the schedule fail with SCHEDULE_CONFLICT (409) unless force=true.';
+
+module.exports = {
+  tag: 'Series',
+  description: 'Recurring sessions generated from a recurrence rule',
+  operations: {
+    'GET /': {
+      summary: 'List recurring series',
+      data: { series: arrayOf(ref('SessionSeries')) }
+    },
+    'GET /:id': {
+      summary: 'Get a series with its sessions',
+      data: { series: ref('SessionSeries'), sessions: arrayOf(ref('Session')) }
+    },
+    'POST /': {
+      summary: 'Create a recurring series and generate its sessions',
+      description: SCHEDULE_DESCRIPTION,
+      status: 201,
+      data: { series: ref('SessionSeries'), sessions: arrayOf(ref('Session')), conflicts: arrayOf(ref('Conflict')) },
+      errors: [409]
+    },
+    'PUT /:id/sessions/:sessionId': {
+      summary: 'Edit one occurrence, this and following occurrences, or the whole series',
+      description: SCHEDULE_DESCRIPTION,
+      data: { series: ref('SessionSeries'), modifiedCount: 'integer', conflicts: arrayOf(ref('Conflict')) },
+      errors: [409]
+    },
+    'POST /:id/end': {
+      summary: 'End a series early',
+      description: 'Cancels the pending sessions after endDate (default today).',
+      data: { series: ref('SessionSeries'), cancelledCount: 'integer' }
+    }
+  }
+};
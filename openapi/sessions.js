@@ -0,0 +1,101 @@
+/**
+ * Sessions API docs
+ * Single Responsibility: Describe the /api/v1/sessions operations (request fields come from schemas/sessions.js)
+ */
+
+const { ref, arrayOf, objectOf, paginated } = require('../utils/openApiUtils');
+
+const LIST_DESCRIPTION = 'Filters: therapistId, patientId, startDate/endDate, status, minAmount/maxAmount. ' +
+  'Pagination is opt-in: pass limit, then the returned nextCursor as cursor (the first page includes the total).';
+
+const SCHEDULE_DESCRIPTION = 'Sessions that overlap the therapist\'s schedule fail with SCHEDULE_CONFLICT (409, listing ' +
+  '`conflicts`) unless force=true, in which case the overridden conflicts are returned as warnings.';
+
+const trashedSession = {
+  allOf: [ref('Session'), objectOf({ purgeAt: { type: 'string', format: 'date-time' } })]
+};
+
+const noteResult = {
+  note: { allOf: [ref('ClinicalNote')], nullable: true },
+  revision: { allOf: [ref('ClinicalNoteRevision')], nullable: true, description: 'null when nothing changed' }
+};
+
+module.exports = {
+  tag: 'Sessions',
+  description: 'Scheduled sessions, schedule conflicts, clinical notes and the session trash',
+  operations: {
+    'GET /past': {
+      summary: 'List past sessions',
+      description: `Completed or cancelled sessions and unmarked sessions before today. ${LIST_DESCRIPTION}`,
+      data: paginated('sessions', ref('Session'))
+    },
+    'GET /today': {
+      summary: "List today's sessions",
+      description: `Today in the user's timezone (or ?tz=). ${LIST_DESCRIPTION}`,
+      data: paginated('sessions', ref('Session'))
+    },
+    'GET /upcoming': {
+      summary: 'List upcoming sessions',
+      description: `Pending sessions from tomorrow onwards. ${LIST_DESCRIPTION}`,
+      data: paginated('sessions', ref('Session'))
+    },
+    'GET /conflicts': {
+      summary: 'List overlapping sessions already in the schedule',
+      description: "Each clash is one therapist's overlapping sessions on one date.",
+      data: {
+        conflicts: arrayOf(objectOf({
+          date: { type: 'string', format: 'date' },
+          therapistId: 'string',
+          sessions: arrayOf(ref('Session'))
+        }))
+      }
+    },
+    'GET /:id/note': {
+      summary: "Get a session's clinical (SOAP) note",
+      data: { note: { allOf: [ref('ClinicalNote')], nullable: true } }
+    },
+    'GET /trash': {
+      summary: 'List sessions in the trash',
+      description: 'Trashed sessions can be restored until purgeAt.',
+      data: { sessions: arrayOf(trashedSession) }
+    },
+    'POST /:id/restore': {
+      summary: 'Restore a session from the trash',
+      description: SCHEDULE_DESCRIPTION,
+      data: { session: ref('Session'), conflicts: arrayOf(ref('Conflict')) },
+      errors: [409]
+    },
+    'PUT /:id/note': {
+      summary: "Create or update a session's clinical note",
+      description: 'Send at least one section; null clears a section. Every change is kept as a revision.',
+      data: noteResult
+    },
+    'GET /:id/note/history': {
+      summary: "Get the revision history of a session's clinical note",
+      data: { revisions: arrayOf(ref('ClinicalNoteRevision')) }
+    },
+    'POST /': {
+      summary: 'Create a session',
+      description: SCHEDULE_DESCRIPTION,
+      status: 201,
+      data: { session: ref('Session'), conflicts: arrayOf(ref('Conflict')) },
+      errors: [409]
+    },
+    'POST /bulk': {
+      summary: 'Create several sessions',
+      description: `${SCHEDULE_DESCRIPTION} Sessions in the request are also checked against each other.`,
+      status: 201,
+      data: { sessions: arrayOf(ref('Session')), conflicts: arrayOf(ref('Conflict')) },
+      errors: [409]
+    },
+    'PUT /:id': {
+      summary: 'Update a session',
+      description: `Rescheduling, lengthening or reassigning a session re-checks the schedule. ${SCHEDULE_DESCRIPTION}`,
+      data: { session: ref('Session'), conflicts: arrayOf(ref('Conflict')) },
+      errors: [409]
+    },
+    'DELETE /:id': {
+      summary: 'Move a session to the trash'
+    }
+  }
+};
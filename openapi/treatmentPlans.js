@@ -0,0 +1,60 @@
+/**
+ * Treatment plans API docs
+ * Single Responsibility: Describe the /api/v1/patients/{patientId}/plans operations
+ * (request fields come from schemas/treatmentPlans.js)
+ */
+
+const { ref, arrayOf, objectOf } = require('../utils/openApiUtils');
+
+const planWithProgress = {
+  allOf: [ref('TreatmentPlan'), objectOf({
+    progress: objectOf({
+      completedSessions: 'integer',
+      plannedSessions: 'integer',
+      remainingSessions: 'integer',
+      percentComplete: 'integer',
+      expectedSessionsToDate: 'number',
+      onTrack: 'boolean',
+      goals: objectOf({ total: 'integer', achieved: 'integer', overdue: 'integer' })
+    })
+  })]
+};
+
+module.exports = {
+  tag: 'Treatment plans',
+  description: 'Treatment plans, goals and progress against planned sessions',
+  operations: {
+    'GET /': {
+      summary: "List a patient's treatment plans with progress",
+      data: { plans: arrayOf(planWithProgress) }
+    },
+    'GET /:planId': {
+      summary: 'Get a treatment plan with progress',
+      data: { plan: planWithProgress }
+    },
+    'POST /': {
+      summary: 'Create a treatment plan',
+      status: 201,
+      data: { plan: planWithProgress }
+    },
+    'PUT /:planId': {
+      summary: 'Update a treatment plan',
+      data: { plan: planWithProgress }
+    },
+    'DELETE /:planId': {
+      summary: 'Delete a treatment plan'
+    },
+    'POST /:planId/goals': {
+      summary: 'Add a goal to a treatment plan',
+      status: 201,
+      data: { plan: planWithProgress }
+    },
+    'PUT /:planId/goals/:goalId': {
+      summary: 'Update a goal (e.g. mark it achieved)',
+      data: { plan: planWithProgress }
+    },
+    'DELETE /:planId/goals/:goalId': {
+      summary: 'Remove a goal from a treatment plan'
+    }
+  }
+};
@@ -0,0 +1,121 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/access');
+const { sendSuccess, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { uploadSingle } = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
+const { ATTACHMENT_TYPES, MAX_ATTACHMENT_BYTES } = require('../config/uploads');
+const AttachmentService = require('../services/attachmentService');
+const schemas = require('../schemas/attachments');
+
+// Mounted at /api/patients/:patientId/attachments and /api/sessions/:sessionId/attachments
+const router = express.Router({ mergeParams: true });
+
+const fileUpload = uploadSingle('file', {
+  maxBytes: MAX_ATTACHMENT_BYTES,
+  mimeTypes: Object.keys(ATTACHMENT_TYPES)
+});
+
+/**
+ * Get the patient or session the attachments belong to from the route params
+ * @param {Object} params - Express route params
+ * @returns {Object} { patientId } or { sessionId }
+ */
+const getOwner = ({ patientId, sessionId }) => {
+  return sessionId !== undefined ? { sessionId } : { patientId };
+};
+
+/**
+ * Name of the resource that was not found for a list or upload request
+ * @param {Object} params - Express route params
+ * @returns {string} Resource name
+ */
+const ownerName = (params) => (params.sessionId !== undefined ? 'Session' : 'Patient');
+
+// Get attachments (a patient's list includes its sessions' attachments)
+router.get('/', authenticateToken, requirePermission('patients:read'), validate(schemas.listAttachments), asyncHandler(async (req, res) => {
+  const { category } = req.query;
+
+  const attachments = await AttachmentService.getAttachments(getOwner(req.params), req.access, { category });
+  if (!attachments) {
+    return sendNotFoundError(res, ownerName(req.params));
+  }
+
+  sendSuccess(res, { attachments });
+}));
+
+// Get attachment details
+router.get('/:attachmentId', authenticateToken, requirePermission('patients:read'), validate(schemas.attachmentById), asyncHandler(async (req, res) => {
+  const attachment = await AttachmentService.getAttachmentById(
+    req.params.attachmentId,
+    getOwner(req.params),
+    req.access
+  );
+  if (!attachment) {
+    return sendNotFoundError(res, 'Attachment');
+  }
+
+  sendSuccess(res, { attachment });
+}));
+
+// Download attachment file
+router.get('/:attachmentId/download', authenticateToken, requirePermission('patients:read'), validate(schemas.attachmentById), asyncHandler(async (req, res) => {
+  const file = await AttachmentService.openAttachment(
+    req.params.attachmentId,
+    getOwner(req.params),
+    req.access
+  );
+  if (!file) {
+    return sendNotFoundError(res, 'Attachment');
+  }
+
+  const { attachment, stream } = file;
+  res.attachment(attachment.filename);
+  res.type(attachment.mimeType);
+  res.setHeader('Content-Length', attachment.size);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  stream.on('error', (error) => {
+    console.error('Error streaming attachment:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}));
+
+// Upload an attachment (multipart "file" field, optional category and description)
+router.post('/', authenticateToken, requirePermission('patients:write'), fileUpload, validate(schemas.uploadAttachment), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return sendValidationError(res, 'A file is required in the "file" form field');
+  }
+
+  const { category, description } = req.body;
+
+  const attachment = await AttachmentService.createAttachment(
+    getOwner(req.params),
+    req.file,
+    { category, description },
+    req.access
+  );
+  if (!attachment) {
+    return sendNotFoundError(res, ownerName(req.params));
+  }
+
+  sendSuccess(res, { attachment }, 'Attachment uploaded successfully', 201);
+}));
+
+// Delete an attachment
+router.delete('/:attachmentId', authenticateToken, requirePermission('patients:write'), validate(schemas.attachmentById), asyncHandler(async (req, res) => {
+  const deleted = await AttachmentService.deleteAttachment(
+    req.params.attachmentId,
+    getOwner(req.params),
+    req.access
+  );
+  if (!deleted) {
+    return sendNotFoundError(res, 'Attachment');
+  }
+
+  sendSuccess(res, null, 'Attachment deleted successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { sendSuccess, sendValidationError } = require('../utils/responseUtils');
+const { validateListFilters } = require('../utils/validationUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const AuditService = require('../services/auditService');
+const ClinicService = require('../services/clinicService');
+const schemas = require('../schemas/audit');
+const router = express.Router();
+
+// Get audit log entries, newest first (clinic owners see the whole clinic, everyone else their own changes)
+router.get('/', authenticateToken, validate(schemas.listEntries), asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+  const filterError = validateListFilters({ startDate, endDate });
+  if (filterError) return sendValidationError(res, filterError);
+
+  const access = await ClinicService.getAccess(req.userId);
+  const result = await AuditService.getEntries(access, req.query);
+  sendSuccess(res, result);
+}));
+
+module.exports = router;
@@ -1,296 +1,276 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const TokenService = require('../services/tokenService');
+const AuditService = require('../services/auditService');
+const LoginLockoutService = require('../services/loginLockoutService');
+const OtpService = require('../services/otpService');
+const { sendOTPEmail } = require('../services/emailService');
+const { rateLimit } = require('../middleware/rateLimit');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const { ERROR_CODES, sendSuccess, sendError, sendNotFoundError, sendTooManyRequestsError } = require('../utils/responseUtils');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
 const router = express.Router();
 
+const ACCOUNT_LOCKED_MESSAGE = 'Account temporarily locked after repeated failed sign-ins';
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid email or password';
+
+/**
+ * Describe the device a login comes from
+ * Apps send deviceName/platform in the body or X-Device-Name/X-Platform headers.
+ * @param {Object} req - Express request object
+ * @returns {Object} { deviceName, platform, userAgent, ipAddress }
+ */
+const getDeviceInfo = (req) => ({
+  deviceName: String(req.body.deviceName || req.headers['x-device-name'] || '').slice(0, 100),
+  platform: String(req.body.platform || req.headers['x-platform'] || '').slice(0, 50),
+  userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+  ipAddress: req.ip
+});
+
 // Register new user
-router.post('/register', async (req, res) => {
-  try {
-    const { 
-      email, 
-      name, 
-      phoneNumber, 
-      password, 
-      address,
-      highestQualification 
-    } = req.body;
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ error: 'Email already registered' });
-    }
+router.post('/register', validate(schemas.register), asyncHandler(async (req, res) => {
+  const { 
+    email, 
+    name, 
+    phoneNumber, 
+    password, 
+    address,
+    highestQualification,
+    timezone,
+    verificationToken
+  } = req.body;
+
+  if (!verificationToken) {
+    throw createError('Please verify your email with OTP first', 400, null, ERROR_CODES.VERIFICATION_REQUIRED);
+  }
 
-    // Verify OTP before registration
-    const OTP = require('../models/OTP');
-    const verifiedOTP = await OTP.findOne({ 
-      email, 
-      isUsed: true,
-      expiresAt: { $gt: new Date(Date.now() - 10 * 60 * 1000) } // Used within last 10 minutes
-    });
+  // Check if user already exists
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw createError('Email already registered', 400, null, ERROR_CODES.EMAIL_IN_USE);
+  }
 
-    if (!verifiedOTP) {
-      return res.status(400).json({ error: 'Please verify your email with OTP first' });
-    }
+  // The token from /api/otp/verify proves this address was verified for sign-up
+  await OtpService.consumeVerificationToken(verificationToken, email, 'signup');
 
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-    // Create new user
-    const user = new User({
-      email,
-      name,
-      phoneNumber,
-      password: hashedPassword,
-      address,
-      highestQualification
-    });
-
-    await user.save();
-
-    // Clean up used OTP
-    await OTP.deleteMany({ email });
-
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // Return user data without password
-    const { password: _, ...userWithoutPassword } = user.toObject();
-
-    res.status(201).json({
-      message: 'User registered successfully',
-      user: userWithoutPassword,
-      token
-    });
-
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
-  }
-});
+  // Hash password
+  const saltRounds = 12;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+  // Create new user
+  const user = new User({
+    email,
+    name,
+    phoneNumber,
+    password: hashedPassword,
+    address,
+    highestQualification,
+    timezone
+  });
+
+  await user.save();
+
+  // Create access and refresh tokens
+  const tokens = await TokenService.issueTokens(user._id, getDeviceInfo(req));
+
+  // Return user data without password or lockout bookkeeping
+  const { password: _, failedLoginAttempts, lockedUntil, ...userWithoutPassword } = user.toObject();
+
+  sendSuccess(res, { user: userWithoutPassword, ...tokens }, 'User registered successfully', 201);
+}));
 
 // Login user
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+router.post('/login', rateLimit('login', RATE_LIMITS.login), validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+  // Find user by email
+  const user = await User.findOne({ email }).select('+failedLoginAttempts +lockedUntil');
+  if (!user) {
+    return sendError(res, INVALID_CREDENTIALS_MESSAGE, 401, ERROR_CODES.INVALID_CREDENTIALS);
+  }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // Return user data without password
-    const { password: _, ...userWithoutPassword } = user.toObject();
-
-    res.json({
-      message: 'Login successful',
-      user: userWithoutPassword,
-      token
-    });
-
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+  // Locked accounts don't get their password checked at all
+  const lockRemainingMs = LoginLockoutService.getLockRemainingMs(user);
+  if (lockRemainingMs > 0) {
+    return sendTooManyRequestsError(res, lockRemainingMs, ACCOUNT_LOCKED_MESSAGE, ERROR_CODES.ACCOUNT_LOCKED);
   }
-});
 
-// Get current user profile
-router.get('/profile', async (req, res) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+  // Check password
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!isPasswordValid) {
+    const lockedUntil = await LoginLockoutService.recordFailure(user._id);
+    if (lockedUntil) {
+      return sendTooManyRequestsError(res, lockedUntil.getTime() - Date.now(), ACCOUNT_LOCKED_MESSAGE, ERROR_CODES.ACCOUNT_LOCKED);
     }
+    return sendError(res, INVALID_CREDENTIALS_MESSAGE, 401, ERROR_CODES.INVALID_CREDENTIALS);
+  }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+    await LoginLockoutService.clear(user._id);
+  }
+
+  // Create access and refresh tokens
+  const tokens = await TokenService.issueTokens(user._id, getDeviceInfo(req));
+
+  // Return user data without password or lockout bookkeeping
+  const { password: _, failedLoginAttempts, lockedUntil, ...userWithoutPassword } = user.toObject();
+
+  sendSuccess(res, { user: userWithoutPassword, ...tokens }, 'Login successful');
+}));
+
+// Exchange a refresh token for new tokens (the old refresh token stops working)
+router.post('/refresh', validate(schemas.refreshToken), asyncHandler(async (req, res) => {
+  const tokens = await TokenService.refreshTokens(req.body.refreshToken, req.ip);
+  sendSuccess(res, tokens, 'Token refreshed successfully');
+}));
+
+// Log out this device by revoking its refresh token
+router.post('/logout', validate(schemas.refreshToken), asyncHandler(async (req, res) => {
+  // Succeeds for already-revoked tokens so clients can always clear local state
+  await TokenService.revokeRefreshToken(req.body.refreshToken);
+  sendSuccess(res, null, 'Logged out successfully');
+}));
+
+// List signed-in devices
+router.get('/devices', authenticateToken, asyncHandler(async (req, res) => {
+  const devices = await TokenService.getActiveLogins(req.userId, req.authSessionId);
+  sendSuccess(res, { devices });
+}));
+
+// Sign out a single device
+router.delete('/devices/:id', authenticateToken, validate(schemas.deviceById), asyncHandler(async (req, res) => {
+  const revoked = await TokenService.revokeLogin(req.params.id, req.userId);
+  if (!revoked) {
+    return sendNotFoundError(res, 'Device');
+  }
 
-    res.json({ user });
+  sendSuccess(res, null, 'Device signed out successfully');
+}));
 
-  } catch (error) {
-    console.error('Profile fetch error:', error);
-    res.status(401).json({ error: 'Invalid token' });
+// Log out all devices
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  const revokedCount = await TokenService.revokeAllForUser(req.userId, 'logout_all');
+  sendSuccess(res, { revokedCount }, 'Logged out of all devices successfully');
+}));
+
+// Get current user profile
+router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('-password');
+  if (!user) {
+    return sendNotFoundError(res, 'User');
   }
-});
+
+  sendSuccess(res, { user });
+}));
 
 // Update user profile
-router.put('/profile', async (req, res) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
+router.put('/profile', authenticateToken, validate(schemas.updateProfile), asyncHandler(async (req, res) => {
+  const { 
+    email, 
+    name, 
+    phoneNumber, 
+    address, 
+    highestQualification,
+    defaultSessionDuration,
+    timezone,
+    verificationToken
+  } = req.body;
+
+  const user = await User.findById(req.userId);
+  if (!user) {
+    return sendNotFoundError(res, 'User');
+  }
+  const before = user.toObject();
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const { 
-      email, 
-      name, 
-      phoneNumber, 
-      address, 
-      highestQualification 
-    } = req.body;
-
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+  // A new email must be verified with an email_change OTP sent to it
+  if (email && email !== user.email) {
+    if (!verificationToken) {
+      throw createError('Please verify your new email with OTP first', 400, null, ERROR_CODES.VERIFICATION_REQUIRED);
     }
+    await OtpService.consumeVerificationToken(verificationToken, email, 'email_change', { userId: user._id });
+  }
 
-    // Update fields
-    if (email) user.email = email;
-    if (name) user.name = name;
-    if (phoneNumber) user.phoneNumber = phoneNumber;
-    if (address) user.address = address;
-    if (highestQualification) user.highestQualification = highestQualification;
+  // Update fields
+  if (email) user.email = email;
+  if (name) user.name = name;
+  if (phoneNumber) user.phoneNumber = phoneNumber;
+  if (address) user.address = address;
+  if (highestQualification) user.highestQualification = highestQualification;
+  if (defaultSessionDuration !== undefined) user.defaultSessionDuration = defaultSessionDuration;
+  if (timezone) user.timezone = timezone;
 
-    await user.save();
+  await user.save();
+  await AuditService.record(
+    { userId: req.userId, ipAddress: req.ip },
+    { action: 'update', entityType: 'user', before, after: user }
+  );
 
-    const { password: _, ...userWithoutPassword } = user.toObject();
+  const { password: _, ...userWithoutPassword } = user.toObject();
 
-    res.json({
-      message: 'Profile updated successfully',
-      user: userWithoutPassword
-    });
-
-  } catch (error) {
-    console.error('Profile update error:', error);
-    res.status(500).json({ error: 'Profile update failed' });
-  }
-});
+  sendSuccess(res, { user: userWithoutPassword }, 'Profile updated successfully');
+}));
 
 // Send password reset OTP
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', rateLimit('otp_send', RATE_LIMITS.otpSend), validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  const { email } = req.body;
 
-    // Generate OTP
-    const OTP = require('../models/OTP');
-    const generateOTP = () => {
-      return Math.floor(100000 + Math.random() * 900000).toString();
-    };
-
-    const otp = generateOTP();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-    // Optimize database operations - use findOneAndUpdate with upsert
-    const otpDoc = await OTP.findOneAndUpdate(
-      { email },
-      { 
-        email,
-        otp,
-        expiresAt,
-        isUsed: false
-      },
-      { 
-        upsert: true, 
-        new: true,
-        setDefaultsOnInsert: true 
-      }
-    );
-
-    // Send email asynchronously (don't wait for it)
-    const { sendOTPEmail } = require('../services/emailService');
-    sendOTPEmail(email, otp, true).catch(error => {
-      console.error('Error sending password reset OTP email:', error);
-    });
-    
-    // For development/testing - also log the OTP to console
-    console.log(`🔐 Password Reset OTP for ${email}: ${otp}`);
-    
-    // Respond immediately
-    const responseTime = Date.now() - startTime;
-    console.log(`⚡ Password reset OTP API response time: ${responseTime}ms`);
-    res.json({ message: 'Password reset OTP sent successfully' });
-    
-  } catch (error) {
-    console.error('Error sending password reset OTP:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  // Check if user exists
+  const user = await User.findOne({ email });
+  if (!user) {
+    return sendNotFoundError(res, 'User');
   }
-});
 
-// Verify password reset OTP and reset password
-router.post('/reset-password', async (req, res) => {
-  try {
-    const { email, otp, newPassword } = req.body;
+  const otp = await OtpService.issueOtp(email, 'password_reset');
 
-    if (!email || !otp || !newPassword) {
-      return res.status(400).json({ error: 'Email, OTP, and new password are required' });
-    }
+  // Send email asynchronously (don't wait for it)
+  sendOTPEmail(email, otp, 'password_reset').catch(error => {
+    console.error('Error sending password reset OTP email:', error);
+  });
 
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  // Respond immediately
+  const responseTime = Date.now() - startTime;
+  console.log(`⚡ Password reset OTP API response time: ${responseTime}ms`);
+  sendSuccess(res, null, 'Password reset OTP sent successfully');
+}));
 
-    // Verify OTP
-    const OTP = require('../models/OTP');
-    const otpDoc = await OTP.findOne({ 
-      email, 
-      otp, 
-      expiresAt: { $gt: new Date() },
-      isUsed: false
-    });
-
-    if (!otpDoc) {
-      return res.status(400).json({ error: 'Invalid or expired OTP' });
-    }
+// Reset password using the verification token from a password reset OTP
+router.post('/reset-password', rateLimit('otp_verify', RATE_LIMITS.otpVerify), validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+  const { email, verificationToken, newPassword } = req.body;
 
-    // Mark OTP as used
-    otpDoc.isUsed = true;
-    await otpDoc.save();
+  // Check if user exists
+  const user = await User.findOne({ email });
+  if (!user) {
+    return sendNotFoundError(res, 'User');
+  }
 
-    // Hash new password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+  // The token from /api/otp/verify-password-reset proves the OTP was entered; it works once
+  await OtpService.consumeVerificationToken(verificationToken, email, 'password_reset');
 
-    // Update user password
-    user.password = hashedPassword;
-    await user.save();
+  // Hash new password
+  const saltRounds = 12;
+  const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
 
-    // Clean up used OTP
-    await OTP.deleteMany({ email });
+  // Update user password
+  const before = user.toObject();
+  user.password = hashedPassword;
+  await user.save();
+  await AuditService.record(
+    { userId: user._id, ipAddress: req.ip },
+    { action: 'update', entityType: 'user', before, after: user, source: 'password_reset' }
+  );
 
-    res.json({ message: 'Password reset successfully' });
+  // Proving control of the email lifts any sign-in lockout
+  await LoginLockoutService.clear(user._id);
 
-  } catch (error) {
-    console.error('Password reset error:', error);
-    res.status(500).json({ error: 'Password reset failed' });
-  }
-});
+  // Sign out every device that used the old password
+  await TokenService.revokeAllForUser(user._id, 'password_reset');
+
+  sendSuccess(res, null, 'Password reset successfully');
+}));
 
 module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/access');
+const { sendSuccess, sendError, sendNotFoundError } = require('../utils/responseUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const ClinicService = require('../services/clinicService');
+const schemas = require('../schemas/clinic');
+const router = express.Router();
+
+// Get the current user's clinic, members and role
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const access = await ClinicService.getAccess(req.userId);
+  const clinic = await ClinicService.getClinic(access);
+  if (!clinic) {
+    return sendNotFoundError(res, 'Clinic');
+  }
+
+  sendSuccess(res, { clinic, role: access.role });
+}));
+
+// Create a clinic; the creator becomes its owner and their records move into it
+router.post('/', authenticateToken, validate(schemas.createClinic), asyncHandler(async (req, res) => {
+  const clinic = await ClinicService.createClinic(req.body, req.userId);
+  sendSuccess(res, { clinic, role: 'owner' }, 'Clinic created successfully', 201);
+}));
+
+// Update clinic details
+router.put('/', authenticateToken, requirePermission('clinic:manage'), validate(schemas.updateClinic), asyncHandler(async (req, res) => {
+  const clinic = await ClinicService.updateClinic(req.access, req.body);
+  if (!clinic) {
+    return sendNotFoundError(res, 'Clinic');
+  }
+
+  sendSuccess(res, { clinic }, 'Clinic updated successfully');
+}));
+
+// Invite someone to the clinic by email; they join only once they accept
+router.post('/invitations', authenticateToken, requirePermission('clinic:manage'), validate(schemas.inviteMember), asyncHandler(async (req, res) => {
+  const clinic = await ClinicService.inviteMember(req.access, req.body);
+  if (!clinic) {
+    return sendNotFoundError(res, 'Clinic');
+  }
+
+  sendSuccess(res, { clinic }, 'Invitation sent successfully', 201);
+}));
+
+// Get the pending invitations addressed to the current user
+router.get('/invitations/received', authenticateToken, asyncHandler(async (req, res) => {
+  const invitations = await ClinicService.getReceivedInvitations(req.userId);
+  sendSuccess(res, { invitations });
+}));
+
+// Accept an invitation; the user's records move into the clinic
+router.post('/invitations/:invitationId/accept', authenticateToken, validate(schemas.respondToInvitation), asyncHandler(async (req, res) => {
+  const result = await ClinicService.acceptInvitation(req.userId, req.params.invitationId);
+  if (!result) {
+    return sendNotFoundError(res, 'Invitation');
+  }
+
+  sendSuccess(res, result, 'You have joined the clinic');
+}));
+
+// Decline an invitation
+router.post('/invitations/:invitationId/decline', authenticateToken, validate(schemas.respondToInvitation), asyncHandler(async (req, res) => {
+  const declined = await ClinicService.declineInvitation(req.userId, req.params.invitationId);
+  if (!declined) {
+    return sendNotFoundError(res, 'Invitation');
+  }
+
+  sendSuccess(res, null, 'Invitation declined');
+}));
+
+// Withdraw a pending invitation
+router.delete('/invitations/:invitationId', authenticateToken, requirePermission('clinic:manage'), validate(schemas.cancelInvitation), asyncHandler(async (req, res) => {
+  const clinic = await ClinicService.cancelInvitation(req.access, req.params.invitationId);
+  if (!clinic) {
+    return sendNotFoundError(res, 'Invitation');
+  }
+
+  sendSuccess(res, { clinic }, 'Invitation cancelled successfully');
+}));
+
+// Change a member's role
+router.put('/members/:userId', authenticateToken, requirePermission('clinic:manage'), validate(schemas.updateMemberRole), asyncHandler(async (req, res) => {
+  const clinic = await ClinicService.updateMemberRole(req.access, req.params.userId, req.body.role);
+  if (!clinic) {
+    return sendNotFoundError(res, 'Member');
+  }
+
+  sendSuccess(res, { clinic }, 'Member role updated successfully');
+}));
+
+// Remove a member (owners can remove anyone; members can remove themselves to leave)
+router.delete('/members/:userId', authenticateToken, validate(schemas.removeMember), asyncHandler(async (req, res) => {
+  const access = await ClinicService.getAccess(req.userId);
+  const isLeaving = req.params.userId === String(req.userId);
+
+  if (!isLeaving && access.role !== 'owner') {
+    return sendError(res, 'You do not have permission to perform this action', 403);
+  }
+
+  const clinic = access.clinicId && await ClinicService.removeMember(access, req.params.userId);
+  if (!clinic) {
+    return sendNotFoundError(res, 'Member');
+  }
+
+  sendSuccess(res, { clinic }, isLeaving ? 'You have left the clinic' : 'Member removed successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const apiRouter = require('./index');
+const ApiDocsService = require('../services/apiDocsService');
+const router = express.Router();
+
+// Swagger UI from its CDN build, pinned to a major version
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5';
+
+// The routes don't change while the server runs, so the document is built once
+let openApiDocument = null;
+
+/**
+ * Render the interactive docs page
+ * @param {string} specUrl - URL of the OpenAPI document
+ * @returns {string} HTML page
+ */
+const renderViewer = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Rehabiri API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// Get the OpenAPI document
+router.get('/openapi.json', (req, res) => {
+  openApiDocument = openApiDocument || ApiDocsService.buildDocument(apiRouter);
+  res.json(openApiDocument);
+});
+
+// Interactive API docs
+router.get('/', (req, res) => {
+  res.type('html').send(renderViewer(`${req.baseUrl}/openapi.json`));
+});
+
+module.exports = router;
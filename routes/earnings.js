@@ -1,59 +1,190 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const Session = require('../models/Session');
+const Payment = require('../models/Payment');
 const { authenticateToken } = require('../middleware/auth');
-const { sendSuccess, sendError, transformDocuments } = require('../utils/responseUtils');
-const { buildEarningsPipeline } = require('../utils/databaseUtils');
+const { resolveTimezone } = require('../middleware/timezone');
+const { sendSuccess, sendError, sendValidationError, transformDocuments } = require('../utils/responseUtils');
+const { validateListQuery, validateListFilters } = require('../utils/validationUtils');
+const { buildListOptions, buildAmountRangeQuery, SESSION_SORT_FIELDS } = require('../utils/databaseUtils');
+const { buildEarningsScope } = require('../utils/accessUtils');
+const { getMonthDateRange, getTodayInTimezone } = require('../utils/dateUtils');
 const { asyncHandler } = require('../middleware/errorHandler');
+const EarningsService = require('../services/earningsService');
+const { requirePermission } = require('../middleware/access');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/earnings');
 const router = express.Router();
 
-// Get monthly earnings
-router.get('/monthly', authenticateToken, asyncHandler(async (req, res) => {
+/**
+ * Get the sessions and payments the requester may see earnings for
+ * Clinic owners and accountants can narrow to one therapist with ?therapistId=.
+ * @param {Object} req - Express request object (after requirePermission)
+ * @returns {Object} MongoDB match filter
+ */
+const getEarningsScope = (req) => buildEarningsScope(req.access, req.query.therapistId);
+
+// Get monthly earnings (billed from completed sessions, collected from payments)
+router.get('/monthly', authenticateToken, requirePermission('earnings:read'), validate(schemas.earningsReport), asyncHandler(async (req, res) => {
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
   const { startDate, endDate } = req.query;
   
-  const pipeline = buildEarningsPipeline(req.userId, startDate, endDate);
-  const monthlyEarnings = await Session.aggregate(pipeline);
+  const { monthlyEarnings, monthlyCollections } = await EarningsService.getMonthlyEarnings(getEarningsScope(req), startDate, endDate);
   
-  sendSuccess(res, { monthlyEarnings });
+  sendSuccess(res, { monthlyEarnings, monthlyCollections });
 }));
 
-// Get detailed earnings for a specific month
-router.get('/monthly/:year/:month', authenticateToken, asyncHandler(async (req, res) => {
+// Get detailed earnings for a specific month (?patientId=, ?minAmount=, ?maxAmount= narrow it)
+router.get('/monthly/:year/:month', authenticateToken, requirePermission('earnings:read'), validate(schemas.monthDetails), asyncHandler(async (req, res) => {
+  const { patientId, minAmount, maxAmount } = req.query;
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
   const { year, month } = req.params;
+  const scope = getEarningsScope(req);
+  const filters = {
+    ...(patientId && { patientId }),
+    ...buildAmountRangeQuery(minAmount, maxAmount)
+  };
   
-  // Get all completed sessions for the specific month
-  const startDate = new Date(parseInt(year), parseInt(month) - 1, 1);
-  const endDate = new Date(parseInt(year), parseInt(month), 0);
-  
-  const startDateStr = startDate.toISOString().split('T')[0];
-  const endDateStr = endDate.toISOString().split('T')[0];
+  // Session dates are local calendar days, so the month is bounded by date strings
+  const { startDate: startDateStr, endDate: endDateStr } = getMonthDateRange(year, month);
   
   const sessions = await Session.find({
-    userId: new mongoose.Types.ObjectId(req.userId),
+    ...scope,
+    ...filters,
     completed: true,
-    amount: { $exists: true, $ne: null, $gt: 0 },
+    $and: [{ amount: { $exists: true, $ne: null, $gt: 0 } }],
     date: {
       $gte: startDateStr,
       $lte: endDateStr
     }
   }).sort({ date: 1, time: 1 }).lean();
 
+  const payments = await Payment.find({
+    ...scope,
+    ...filters,
+    date: {
+      $gte: startDateStr,
+      $lte: endDateStr
+    }
+  }).sort({ date: 1 }).lean();
+
   const totalEarnings = sessions.reduce((sum, session) => sum + (session.amount || 0), 0);
   const sessionCount = sessions.length;
+  const totalCollected = payments.reduce((sum, payment) => sum + payment.amount, 0);
 
   const responseData = {
     month,
-    year: parseInt(year),
+    year,
     totalEarnings,
     sessionCount,
-    sessions: transformDocuments(sessions)
+    totalCollected,
+    sessions: transformDocuments(sessions),
+    payments: transformDocuments(payments)
   };
   
   sendSuccess(res, responseData);
 }));
 
+// Get billed sessions behind the earnings figures
+// Filters: therapistId, patientId, startDate/endDate, minAmount/maxAmount
+// Sorting: sortBy (date|amount|patientName|createdAt), sortOrder; pagination: limit, cursor (opt-in)
+router.get('/sessions', authenticateToken, requirePermission('earnings:read'), validate(schemas.billedSessions), asyncHandler(async (req, res) => {
+  const defaults = { sortBy: 'date', sortOrder: 'desc' };
+  const error = validateListFilters(req.query) ||
+    validateListQuery(req.query, SESSION_SORT_FIELDS, defaults);
+  if (error) return sendValidationError(res, error);
+
+  const result = await EarningsService.getBilledSessions(
+    getEarningsScope(req),
+    req.query,
+    buildListOptions(req.query, SESSION_SORT_FIELDS, defaults)
+  );
+  sendSuccess(res, result);
+}));
+
+// Get totals, average revenue per session and per patient
+router.get('/summary', authenticateToken, requirePermission('earnings:read'), validate(schemas.earningsReport), asyncHandler(async (req, res) => {
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
+  const summary = await EarningsService.getSummary(getEarningsScope(req), req.query);
+  sendSuccess(res, { summary });
+}));
+
+// Get earnings by patient
+router.get('/by-patient', authenticateToken, requirePermission('earnings:read'), validate(schemas.earningsReport), asyncHandler(async (req, res) => {
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
+  const patients = await EarningsService.getBreakdown(getEarningsScope(req), 'patient', req.query);
+  sendSuccess(res, { patients });
+}));
+
+// Get earnings by day of week
+router.get('/by-weekday', authenticateToken, requirePermission('earnings:read'), validate(schemas.earningsReport), asyncHandler(async (req, res) => {
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
+  const weekdays = await EarningsService.getByWeekday(getEarningsScope(req), req.query);
+  sendSuccess(res, { weekdays });
+}));
+
+// Get earnings by hour and by morning/afternoon/evening
+router.get('/by-time-of-day', authenticateToken, requirePermission('earnings:read'), validate(schemas.earningsReport), asyncHandler(async (req, res) => {
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
+  const timeOfDay = await EarningsService.getByTimeOfDay(getEarningsScope(req), req.query);
+  sendSuccess(res, timeOfDay);
+}));
+
+// Get earnings by ISO week
+router.get('/by-week', authenticateToken, requirePermission('earnings:read'), validate(schemas.earningsReport), asyncHandler(async (req, res) => {
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
+  const weeks = await EarningsService.getBreakdown(getEarningsScope(req), 'week', req.query);
+  sendSuccess(res, { weeks });
+}));
+
+// Get earnings by day
+router.get('/by-day', authenticateToken, requirePermission('earnings:read'), validate(schemas.earningsReport), asyncHandler(async (req, res) => {
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
+  const days = await EarningsService.getBreakdown(getEarningsScope(req), 'day', req.query);
+  sendSuccess(res, { days });
+}));
+
+// Compare monthly earnings across years (?years=2024,2025, default: last year and this year)
+router.get('/year-over-year', authenticateToken, requirePermission('earnings:read'), validate(schemas.yearOverYear), resolveTimezone, asyncHandler(async (req, res) => {
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
+  const currentYear = parseInt(getTodayInTimezone(req.timezone).substring(0, 4), 10);
+  const years = req.query.years || [currentYear - 1, currentYear];
+
+  const comparison = await EarningsService.getYearOverYear(
+    getEarningsScope(req),
+    [...new Set(years)].sort((a, b) => a - b)
+  );
+  sendSuccess(res, comparison);
+}));
+
+// Get revenue lost to cancelled sessions
+router.get('/cancellations', authenticateToken, requirePermission('earnings:read'), validate(schemas.earningsReport), asyncHandler(async (req, res) => {
+  const error = validateListFilters(req.query);
+  if (error) return sendValidationError(res, error);
+
+  const cancellations = await EarningsService.getCancellationLoss(getEarningsScope(req), req.query);
+  sendSuccess(res, cancellations);
+}));
+
 // Test endpoint to create a sample completed session with amount (for testing only)
-router.post('/test-session', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/test-session', authenticateToken, validate(schemas.testSession), resolveTimezone, asyncHandler(async (req, res) => {
   // First, get a patient for this user
   const Patient = require('../models/Patient');
   const patient = await Patient.findOne({ userId: req.userId });
@@ -66,9 +197,10 @@ router.post('/test-session', authenticateToken, asyncHandler(async (req, res) =>
   const Session = require('../models/Session');
   const testSession = new Session({
     userId: req.userId,
+    clinicId: patient.clinicId,
     patientId: patient._id,
     patientName: patient.name,
-    date: new Date().toISOString().split('T')[0], // Today's date
+    date: getTodayInTimezone(req.timezone), // Today's date
     time: '10:00',
     notes: 'Test session for earnings',
     completed: true,
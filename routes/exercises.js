@@ -0,0 +1,101 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { sendSuccess, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
+const { validateRequiredFields } = require('../utils/validationUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { uploadSingle } = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
+const { EXERCISE_IMAGE_TYPES, MAX_EXERCISE_IMAGE_BYTES } = require('../config/uploads');
+const ExerciseService = require('../services/exerciseService');
+const schemas = require('../schemas/exercises');
+const router = express.Router();
+
+const imageUpload = uploadSingle('image', {
+  maxBytes: MAX_EXERCISE_IMAGE_BYTES,
+  mimeTypes: Object.keys(EXERCISE_IMAGE_TYPES)
+});
+
+// Get exercise library
+router.get('/', authenticateToken, validate(schemas.listExercises), asyncHandler(async (req, res) => {
+  const { search, bodyRegion } = req.query;
+  const exercises = await ExerciseService.getExercises(req.userId, { search, bodyRegion });
+  sendSuccess(res, { exercises });
+}));
+
+// Get exercise by ID
+router.get('/:id', authenticateToken, validate(schemas.exerciseById), asyncHandler(async (req, res) => {
+  const exercise = await ExerciseService.getExerciseById(req.params.id, req.userId);
+  if (!exercise) {
+    return sendNotFoundError(res, 'Exercise');
+  }
+
+  sendSuccess(res, { exercise });
+}));
+
+// Create exercise
+router.post('/', authenticateToken, validate(schemas.createExercise), asyncHandler(async (req, res) => {
+  const exercise = await ExerciseService.createExercise(req.body, req.userId);
+  sendSuccess(res, { exercise }, 'Exercise created successfully', 201);
+}));
+
+// Update exercise
+router.put('/:id', authenticateToken, validate(schemas.updateExercise), asyncHandler(async (req, res) => {
+  const exercise = await ExerciseService.updateExercise(req.params.id, req.body, req.userId);
+  if (!exercise) {
+    return sendNotFoundError(res, 'Exercise');
+  }
+
+  sendSuccess(res, { exercise }, 'Exercise updated successfully');
+}));
+
+// Delete exercise
+router.delete('/:id', authenticateToken, validate(schemas.exerciseById), asyncHandler(async (req, res) => {
+  const deleted = await ExerciseService.deleteExercise(req.params.id, req.userId);
+  if (!deleted) {
+    return sendNotFoundError(res, 'Exercise');
+  }
+
+  sendSuccess(res, null, 'Exercise deleted successfully');
+}));
+
+// Upload or replace exercise image (multipart "image" field or base64 JSON body)
+router.put('/:id/image', authenticateToken, imageUpload, validate(schemas.saveImage), asyncHandler(async (req, res) => {
+  let imageData = req.file && { buffer: req.file.buffer, mimeType: req.file.mimetype };
+  if (!imageData) {
+    const requiredValidation = validateRequiredFields(req.body, ['data', 'mimeType']);
+    if (!requiredValidation.isValid) {
+      return sendValidationError(res, requiredValidation.errors.join(', '));
+    }
+    imageData = req.body;
+  }
+
+  const exercise = await ExerciseService.saveImage(req.params.id, imageData, req.userId);
+  if (!exercise) {
+    return sendNotFoundError(res, 'Exercise');
+  }
+
+  sendSuccess(res, { exercise }, 'Exercise image saved successfully');
+}));
+
+// Get exercise image
+router.get('/:id/image', authenticateToken, validate(schemas.exerciseById), asyncHandler(async (req, res) => {
+  const exercise = await ExerciseService.getExerciseById(req.params.id, req.userId);
+  const image = exercise && await ExerciseService.readImage(exercise.image);
+  if (!image) {
+    return sendNotFoundError(res, 'Exercise image');
+  }
+
+  res.type(image.mimeType).send(image.buffer);
+}));
+
+// Remove exercise image
+router.delete('/:id/image', authenticateToken, validate(schemas.exerciseById), asyncHandler(async (req, res) => {
+  const exercise = await ExerciseService.deleteImage(req.params.id, req.userId);
+  if (!exercise) {
+    return sendNotFoundError(res, 'Exercise');
+  }
+
+  sendSuccess(res, { exercise }, 'Exercise image removed successfully');
+}));
+
+module.exports = router;
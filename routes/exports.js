@@ -0,0 +1,95 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { sendValidationError } = require('../utils/responseUtils');
+const { validateListFilters } = require('../utils/validationUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { streamExport } = require('../services/exportService');
+const PatientService = require('../services/patientService');
+const SessionService = require('../services/sessionService');
+const EarningsService = require('../services/earningsService');
+const { requirePermission } = require('../middleware/access');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/exports');
+const { buildEarningsScope } = require('../utils/accessUtils');
+const router = express.Router();
+
+const PATIENT_COLUMNS = [
+  { header: 'Name', value: patient => patient.name, width: 25 },
+  { header: 'Contact Number', value: patient => patient.contactNumber, width: 18 },
+  { header: 'Age', value: patient => patient.age, width: 8 },
+  { header: 'Gender', value: patient => patient.gender, width: 10 },
+  { header: 'Created At', value: patient => patient.createdAt, width: 22 }
+];
+
+const SESSION_COLUMNS = [
+  { header: 'Date', value: session => session.date, width: 12 },
+  { header: 'Time', value: session => session.time, width: 8 },
+  { header: 'Duration (min)', value: session => session.duration, width: 14 },
+  { header: 'Patient', value: session => session.patientName, width: 25 },
+  { header: 'Status', value: session => (session.cancelled ? 'cancelled' : session.completed ? 'completed' : 'pending'), width: 12 },
+  { header: 'Amount', value: session => session.amount, width: 10 },
+  { header: 'Notes', value: session => session.notes, width: 40 }
+];
+
+const EARNINGS_COLUMNS = [
+  { header: 'Year', value: entry => entry.year, width: 8 },
+  { header: 'Month', value: entry => entry.month, width: 8 },
+  { header: 'Sessions', value: entry => entry.sessionCount, width: 10 },
+  { header: 'Billed', value: entry => entry.totalEarnings, width: 12 },
+  { header: 'Collected', value: entry => entry.totalCollected, width: 12 }
+];
+
+// Export all patients
+router.get('/patients', authenticateToken, requirePermission('patients:read'), validate(schemas.exportPatients), asyncHandler(async (req, res) => {
+  await streamExport(res, {
+    format: req.query.format,
+    filename: 'patients',
+    sheetName: 'Patients',
+    columns: PATIENT_COLUMNS,
+    rows: PatientService.getPatientsCursor(req.access)
+  });
+}));
+
+// Export sessions (same filters as session listing: patientId, startDate, endDate, completed, includeCancelled)
+router.get('/sessions', authenticateToken, requirePermission('sessions:read'), validate(schemas.exportSessions), asyncHandler(async (req, res) => {
+  const { patientId, startDate, endDate, completed, includeCancelled } = req.query;
+  const error = validateListFilters({ startDate, endDate });
+  if (error) return sendValidationError(res, error);
+
+  await streamExport(res, {
+    format: req.query.format,
+    filename: 'sessions',
+    sheetName: 'Sessions',
+    columns: SESSION_COLUMNS,
+    rows: SessionService.getSessionsCursor(req.access, {
+      patientId,
+      startDate,
+      endDate,
+      completed,
+      includeCancelled
+    })
+  });
+}));
+
+// Export monthly earnings summary (billed and collected)
+router.get('/earnings', authenticateToken, requirePermission('earnings:read'), validate(schemas.exportEarnings), asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+  const error = validateListFilters({ startDate, endDate });
+  if (error) return sendValidationError(res, error);
+
+  const { monthlyEarnings } = await EarningsService.getMonthlyEarnings(
+    buildEarningsScope(req.access),
+    startDate,
+    endDate
+  );
+
+  await streamExport(res, {
+    format: req.query.format,
+    filename: 'earnings',
+    sheetName: 'Earnings',
+    columns: EARNINGS_COLUMNS,
+    rows: monthlyEarnings
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const { sendSuccess } = require('../utils/responseUtils');
+const router = express.Router();
+
+// Every API router by mount path; `name` is its module here and its docs module in openapi/
+const ROUTE_MOUNTS = [
+  { path: '/auth', name: 'auth', router: require('./auth') },
+  { path: '/patients', name: 'patients', router: require('./patients') },
+  { path: '/patients/:patientId/plans', name: 'treatmentPlans', router: require('./treatmentPlans') },
+  { path: '/patients/:patientId/measures', name: 'outcomeMeasures', router: require('./outcomeMeasures') },
+  { path: '/patients/:patientId/prescriptions', name: 'prescriptions', router: require('./prescriptions') },
+  { path: '/patients/:patientId/attachments', name: 'attachments', router: require('./attachments') },
+  { path: '/sessions/:sessionId/attachments', name: 'attachments', router: require('./attachments') },
+  { path: '/sessions', name: 'sessions', router: require('./sessions') },
+  { path: '/series', name: 'series', router: require('./series') },
+  { path: '/exercises', name: 'exercises', router: require('./exercises') },
+  { path: '/audit', name: 'audit', router: require('./audit') },
+  { path: '/clinic', name: 'clinic', router: require('./clinic') },
+  { path: '/otp', name: 'otp', router: require('./otp') },
+  { path: '/earnings', name: 'earnings', router: require('./earnings') },
+  { path: '/invoices', name: 'invoices', router: require('./invoices') },
+  { path: '/payments', name: 'payments', router: require('./payments') },
+  { path: '/exports', name: 'exports', router: require('./exports') }
+];
+
+// Mounted once per API version in server.js
+for (const mount of ROUTE_MOUNTS) {
+  router.use(mount.path, mount.router);
+}
+
+// Health check endpoint
+router.get('/health', (req, res) => {
+  sendSuccess(res, { status: 'OK' }, 'Rehabiri API is running');
+});
+
+// Kept on the router so the API docs can walk every route
+router.mounts = ROUTE_MOUNTS;
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/access');
+const { resolveTimezone } = require('../middleware/timezone');
+const { sendSuccess, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
+const { validateListFilters } = require('../utils/validationUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const InvoiceService = require('../services/invoiceService');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../services/invoiceRenderer');
+const schemas = require('../schemas/invoices');
+const router = express.Router();
+
+// Get all invoices for the current user
+router.get('/', authenticateToken, requirePermission('billing:read'), validate(schemas.listInvoices), asyncHandler(async (req, res) => {
+  const { patientId, status } = req.query;
+
+  const invoices = await InvoiceService.getAllInvoices(req.access, { patientId, status });
+  sendSuccess(res, { invoices });
+}));
+
+// Get invoice by ID
+router.get('/:id', authenticateToken, requirePermission('billing:read'), validate(schemas.invoiceById), asyncHandler(async (req, res) => {
+  const invoice = await InvoiceService.getInvoiceById(req.params.id, req.access);
+  if (!invoice) {
+    return sendNotFoundError(res, 'Invoice');
+  }
+
+  sendSuccess(res, { invoice });
+}));
+
+// Download invoice as HTML or PDF
+router.get('/:id/download', authenticateToken, requirePermission('billing:read'), validate(schemas.downloadInvoice), asyncHandler(async (req, res) => {
+  const { format } = req.query;
+
+  const invoice = await InvoiceService.getInvoiceById(req.params.id, req.access);
+  if (!invoice) {
+    return sendNotFoundError(res, 'Invoice');
+  }
+
+  const filename = `${invoice.invoiceNumber}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'html') {
+    res.type('html').send(renderInvoiceHtml(invoice));
+  } else {
+    res.type('application/pdf');
+    renderInvoicePdf(invoice, res);
+  }
+}));
+
+// Create an invoice from a patient's completed sessions
+router.post('/', authenticateToken, requirePermission('billing:write'), validate(schemas.createInvoice), resolveTimezone, asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.body;
+
+  const filterError = validateListFilters({ startDate, endDate });
+  if (filterError) return sendValidationError(res, filterError);
+
+  const invoice = await InvoiceService.createInvoice(req.body, req.access, req.timezone);
+  if (!invoice) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, { invoice }, 'Invoice created successfully', 201);
+}));
+
+// Change invoice status (issue, mark paid, void)
+router.put('/:id/status', authenticateToken, requirePermission('billing:write'), validate(schemas.updateStatus), asyncHandler(async (req, res) => {
+  const { status } = req.body;
+
+  const invoice = await InvoiceService.updateStatus(req.params.id, status, req.access);
+  if (!invoice) {
+    return sendNotFoundError(res, 'Invoice');
+  }
+
+  sendSuccess(res, { invoice }, 'Invoice status updated successfully');
+}));
+
+module.exports = router;
@@ -1,152 +1,91 @@
 const express = require('express');
 const router = express.Router();
 const OTP = require('../models/OTP');
+const User = require('../models/User');
 const { sendOTPEmail } = require('../services/emailService');
-
-// Generate OTP
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+const OtpService = require('../services/otpService');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/otp');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const { ERROR_CODES, sendSuccess } = require('../utils/responseUtils');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+/**
+ * Require a signed-in user when the OTP is for changing that user's email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateEmailChange = (req, res, next) => {
+  if (req.body.purpose === 'email_change') {
+    return authenticateToken(req, res, next);
+  }
+  next();
 };
 
-// Send OTP
-router.post('/send', async (req, res) => {
-  try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ message: 'Email is required' });
-    }
-
-    // Check if user already exists
-    const User = require('../models/User');
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User with this email already exists' });
-    }
-
-    // Generate OTP
-    const otp = generateOTP();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-    // Optimize database operations - use findOneAndUpdate with upsert
-    const otpDoc = await OTP.findOneAndUpdate(
-      { email },
-      { 
-        email,
-        otp,
-        expiresAt,
-        isUsed: false
-      },
-      { 
-        upsert: true, 
-        new: true,
-        setDefaultsOnInsert: true 
-      }
-    );
-
-    // Send email asynchronously (don't wait for it)
-    sendOTPEmail(email, otp).catch(error => {
-      console.error('Error sending OTP email:', error);
-    });
-    
-    // For development/testing - also log the OTP to console
-    console.log(`🔐 OTP for ${email}: ${otp}`);
-    
-    // Respond immediately
-    res.json({ message: 'OTP sent successfully' });
-  } catch (error) {
-    console.error('Error sending OTP:', error);
-    res.status(500).json({ message: 'Internal server error' });
+/**
+ * Check that an OTP may be sent to an email for a purpose
+ * @param {string} email - Email address
+ * @param {string} purpose - signup, password_reset or email_change
+ * @returns {Promise<Error|null>} Error describing the problem, or null if allowed
+ */
+const checkOtpRecipient = async (email, purpose) => {
+  const existingUser = await User.findOne({ email });
+
+  if (purpose === 'password_reset') {
+    return existingUser ? null : createError('User not found', 404);
   }
-});
-
-// Verify OTP
-router.post('/verify', async (req, res) => {
-  try {
-    const { email, otp } = req.body;
-
-    console.log(`🔍 Verifying OTP for ${email}: ${otp}`);
-
-    if (!email || !otp) {
-      return res.status(400).json({ message: 'Email and OTP are required' });
-    }
-
-    // Find OTP
-    const otpDoc = await OTP.findOne({ 
-      email, 
-      otp, 
-      expiresAt: { $gt: new Date() },
-      isUsed: false
-    });
-
-    console.log(`🔍 OTP document found:`, otpDoc ? 'Yes' : 'No');
-
-    if (!otpDoc) {
-      // Let's check what OTPs exist for this email
-      const allOtps = await OTP.find({ email });
-      console.log(`🔍 All OTPs for ${email}:`, allOtps.map(o => ({ otp: o.otp, isUsed: o.isUsed, expiresAt: o.expiresAt })));
-      
-      return res.status(400).json({ message: 'Invalid or expired OTP' });
-    }
-
-    console.log(`✅ OTP verified successfully for ${email}`);
+  // Sign-ups and email changes need an address no account uses yet
+  return existingUser
+    ? createError('User with this email already exists', 400, null, ERROR_CODES.EMAIL_IN_USE)
+    : null;
+};
 
-    // Mark OTP as used
-    otpDoc.isUsed = true;
-    await otpDoc.save();
+// Send OTP (purpose: signup (default), password_reset, or email_change when signed in)
+router.post('/send', rateLimit('otp_send', RATE_LIMITS.otpSend), validate(schemas.sendOtp), authenticateEmailChange, asyncHandler(async (req, res) => {
+  const { email, purpose } = req.body;
 
-    res.json({ message: 'OTP verified successfully' });
-  } catch (error) {
-    console.error('Error verifying OTP:', error);
-    res.status(500).json({ message: 'Internal server error' });
+  const problem = await checkOtpRecipient(email, purpose);
+  if (problem) {
+    throw problem;
   }
-});
 
-// Verify OTP for password reset (doesn't mark as used)
-router.post('/verify-password-reset', async (req, res) => {
-  try {
-    const { email, otp } = req.body;
+  const otp = await OtpService.issueOtp(email, purpose, { userId: req.userId });
 
-    console.log(`🔍 Verifying password reset OTP for ${email}: ${otp}`);
+  // Send email asynchronously (don't wait for it)
+  sendOTPEmail(email, otp, purpose).catch(error => {
+    console.error('Error sending OTP email:', error);
+  });
 
-    if (!email || !otp) {
-      return res.status(400).json({ message: 'Email and OTP are required' });
-    }
+  // Respond immediately
+  sendSuccess(res, null, 'OTP sent successfully');
+}));
 
-    // Find OTP (don't mark as used)
-    const otpDoc = await OTP.findOne({ 
-      email, 
-      otp, 
-      expiresAt: { $gt: new Date() },
-      isUsed: false
-    });
+// Verify OTP and hand out a single-use verification token for its purpose
+router.post('/verify', rateLimit('otp_verify', RATE_LIMITS.otpVerify), validate(schemas.verifyOtp), asyncHandler(async (req, res) => {
+  const { email, otp, purpose } = req.body;
 
-    console.log(`🔍 Password reset OTP document found:`, otpDoc ? 'Yes' : 'No');
+  const { verificationToken, expiresIn } = await OtpService.verifyOtp(email, otp, purpose);
 
-    if (!otpDoc) {
-      return res.status(400).json({ message: 'Invalid or expired OTP' });
-    }
+  sendSuccess(res, { verificationToken, expiresIn }, 'OTP verified successfully');
+}));
 
-    console.log(`✅ Password reset OTP verified successfully for ${email}`);
+// Verify password reset OTP (same as /verify with purpose "password_reset")
+router.post('/verify-password-reset', rateLimit('otp_verify', RATE_LIMITS.otpVerify), validate(schemas.verifyPasswordResetOtp), asyncHandler(async (req, res) => {
+  const { email, otp } = req.body;
 
-    // Don't mark OTP as used - that will happen during password reset
-    res.json({ message: 'OTP verified successfully' });
-  } catch (error) {
-    console.error('Error verifying password reset OTP:', error);
-    res.status(500).json({ message: 'Internal server error' });
-  }
-});
+  const { verificationToken, expiresIn } = await OtpService.verifyOtp(email, otp, 'password_reset');
+
+  sendSuccess(res, { verificationToken, expiresIn }, 'OTP verified successfully');
+}));
 
-// Cleanup function to remove expired and used OTPs
+// Cleanup function to remove expired OTPs (backs up the TTL index, which runs about once a minute)
 const cleanupExpiredOTPs = async () => {
   try {
-    const result = await OTP.deleteMany({
-      $or: [
-        { expiresAt: { $lt: new Date() } }, // Expired OTPs
-        { isUsed: true } // Used OTPs
-      ]
-    });
-    console.log(`🧹 Cleaned up ${result.deletedCount} expired/used OTPs`);
+    const result = await OTP.deleteMany({ expiresAt: { $lt: new Date() } });
+    console.log(`🧹 Cleaned up ${result.deletedCount} expired OTPs`);
   } catch (error) {
     console.error('Error cleaning up OTPs:', error);
   }
@@ -0,0 +1,83 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/access');
+const { sendSuccess, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
+const { validateListFilters } = require('../utils/validationUtils');
+const { normalizeMeasure } = require('../utils/outcomeMeasureUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const OutcomeMeasureService = require('../services/outcomeMeasureService');
+const schemas = require('../schemas/outcomeMeasures');
+
+// Mounted at /api/patients/:patientId/measures
+const router = express.Router({ mergeParams: true });
+
+// Get measurements for a patient
+router.get('/', authenticateToken, requirePermission('patients:read'), validate(schemas.listMeasures), asyncHandler(async (req, res) => {
+  const { type, key, sessionId, startDate, endDate } = req.query;
+  const filterError = validateListFilters({ startDate, endDate });
+  if (filterError) return sendValidationError(res, filterError);
+
+  const measures = await OutcomeMeasureService.getMeasures(req.params.patientId, req.access, {
+    type, key, sessionId, startDate, endDate
+  });
+  if (!measures) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, { measures });
+}));
+
+// Get one time series per measure (pain, ROM per joint/side, strength, questionnaires) for charts
+router.get('/series', authenticateToken, requirePermission('patients:read'), validate(schemas.measureSeries), asyncHandler(async (req, res) => {
+  const { type, key, startDate, endDate } = req.query;
+  const filterError = validateListFilters({ startDate, endDate });
+  if (filterError) return sendValidationError(res, filterError);
+
+  const series = await OutcomeMeasureService.getTimeSeries(req.params.patientId, req.access, {
+    type, key, startDate, endDate
+  });
+  if (!series) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, { series });
+}));
+
+// Record measurements ({ measures: [...] } or a single measure), optionally against a session
+router.post('/', authenticateToken, requirePermission('patients:write'), validate(schemas.recordMeasures), asyncHandler(async (req, res) => {
+  const { sessionId, date, notes } = req.body;
+  const rawMeasures = req.body.measures || [req.body];
+
+  const normalized = rawMeasures.map(normalizeMeasure);
+  const errors = normalized
+    .map((result, index) => result.errors.map(error => `measures[${index}]: ${error}`))
+    .flat();
+  if (errors.length > 0) {
+    return sendValidationError(res, errors.join(', '));
+  }
+
+  const measures = await OutcomeMeasureService.recordMeasures(
+    req.params.patientId,
+    normalized.map(result => result.measure),
+    { sessionId, date, notes },
+    req.access
+  );
+  if (!measures) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, { measures }, `Recorded ${measures.length} measurements`, 201);
+}));
+
+// Delete a measurement
+router.delete('/:measureId', authenticateToken, requirePermission('patients:write'), validate(schemas.measureById), asyncHandler(async (req, res) => {
+  const deleted = await OutcomeMeasureService.deleteMeasure(req.params.measureId, req.params.patientId, req.access);
+  if (!deleted) {
+    return sendNotFoundError(res, 'Measurement');
+  }
+
+  sendSuccess(res, null, 'Measurement deleted successfully');
+}));
+
+module.exports = router;
@@ -1,61 +1,82 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { sendSuccess, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
-const { validateRequiredFields, isValidAge, isValidGender, isValidObjectId } = require('../utils/validationUtils');
+const { validateListQuery, validateListFilters } = require('../utils/validationUtils');
+const { PATIENT_SORT_FIELDS, buildListOptions } = require('../utils/databaseUtils');
+const { normalizeText } = require('../utils/searchUtils');
+const { getTodayInTimezone } = require('../utils/dateUtils');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { resolveTimezone } = require('../middleware/timezone');
+const { requirePermission } = require('../middleware/access');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/patients');
 const PatientService = require('../services/patientService');
+const PaymentService = require('../services/paymentService');
+const PatientImportService = require('../services/patientImportService');
+const TrashService = require('../services/trashService');
 const router = express.Router();
 
-// Get all patients for the current user
-router.get('/', authenticateToken, asyncHandler(async (req, res) => {
-  const patients = await PatientService.getAllPatients(req.userId);
-  sendSuccess(res, { patients });
-}));
+const PATIENT_LIST_DEFAULTS = { sortBy: 'createdAt', sortOrder: 'desc' };
 
+// Get patients for the current user or clinic
+// Filters: therapistId, gender, status (active|inactive), startDate/endDate (date added)
+// Sorting: sortBy (createdAt|name|age), sortOrder; pagination: limit, cursor (opt-in)
+router.get('/', authenticateToken, requirePermission('patients:read'), validate(schemas.listPatients), asyncHandler(async (req, res) => {
+  const { therapistId, gender, status, startDate, endDate } = req.query;
 
-// Create new patient
-router.post('/', authenticateToken, asyncHandler(async (req, res) => {
-  const { name, contactNumber, age, gender } = req.body;
+  const listError = validateListFilters({ startDate, endDate }) ||
+    validateListQuery(req.query, PATIENT_SORT_FIELDS, PATIENT_LIST_DEFAULTS);
+  if (listError) return sendValidationError(res, listError);
 
-  // Validate required fields
-  const requiredValidation = validateRequiredFields(req.body, ['name', 'age', 'gender']);
-  if (!requiredValidation.isValid) {
-    return sendValidationError(res, requiredValidation.errors.join(', '));
-  }
+  const result = await PatientService.getAllPatients(
+    req.access,
+    { therapistId, gender, status, startDate, endDate },
+    buildListOptions(req.query, PATIENT_SORT_FIELDS, PATIENT_LIST_DEFAULTS)
+  );
+  sendSuccess(res, result);
+}));
 
-  // Validate age
-  if (!isValidAge(age)) {
-    return sendValidationError(res, 'Valid age is required (0-150)');
-  }
 
-  // Validate gender
-  if (!isValidGender(gender)) {
-    return sendValidationError(res, 'Gender is required (male, female, or other)');
+// Search patients by name or phone digits for autocomplete (?q=, ?limit= up to 25)
+router.get('/search', authenticateToken, requirePermission('patients:read'), validate(schemas.searchPatients), resolveTimezone, asyncHandler(async (req, res) => {
+  const { q, limit } = req.query;
+
+  // Text made only of punctuation normalizes to nothing searchable
+  if (!normalizeText(q)) {
+    return sendValidationError(res, 'Search text (q) is required');
   }
 
-  const patient = await PatientService.createPatient(req.body, req.userId);
-  sendSuccess(res, { patient }, 'Patient created successfully', 201);
+  const patients = await PatientService.searchPatients(req.access, q, {
+    limit,
+    today: getTodayInTimezone(req.timezone)
+  });
+  sendSuccess(res, { patients });
 }));
 
-// Update patient
-router.put('/:id', authenticateToken, asyncHandler(async (req, res) => {
-  if (!isValidObjectId(req.params.id)) {
-    return sendValidationError(res, 'Invalid patient ID format');
-  }
+// Create new patient
+router.post('/', authenticateToken, requirePermission('patients:write'), validate(schemas.createPatient), asyncHandler(async (req, res) => {
+  const patient = await PatientService.createPatient(req.body, req.access);
+  sendSuccess(res, { patient }, 'Patient created successfully', 201);
+}));
 
-  const { age, gender } = req.body;
+// Import patients from CSV (text/csv body, or JSON { csv }); ?dryRun=true previews without saving
+router.post('/import', authenticateToken, requirePermission('patients:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), validate(schemas.importPatients), asyncHandler(async (req, res) => {
+  const csvText = typeof req.body === 'string' ? req.body : req.body.csv;
 
-  // Validate age if provided
-  if (age !== undefined && !isValidAge(age)) {
-    return sendValidationError(res, 'Valid age is required (0-150)');
+  if (req.query.dryRun) {
+    const preview = await PatientImportService.previewImport(csvText, req.access);
+    return sendSuccess(res, preview, `Previewed ${preview.summary.totalRows} rows`);
   }
 
-  // Validate gender if provided
-  if (gender !== undefined && !isValidGender(gender)) {
-    return sendValidationError(res, 'Gender is required (male, female, or other)');
-  }
+  const result = await PatientImportService.importPatients(csvText, req.access, {
+    includeDuplicates: req.query.includeDuplicates
+  });
+  sendSuccess(res, result, `Imported ${result.summary.imported} patients`, 201);
+}));
 
-  const patient = await PatientService.updatePatient(req.params.id, req.body, req.userId);
+// Update patient
+router.put('/:id', authenticateToken, requirePermission('patients:write'), validate(schemas.updatePatient), asyncHandler(async (req, res) => {
+  const patient = await PatientService.updatePatient(req.params.id, req.body, req.access);
   if (!patient) {
     return sendNotFoundError(res, 'Patient');
   }
@@ -65,70 +86,80 @@ router.put('/:id', authenticateToken, asyncHandler(async (req, res) => {
 
 
 // Update session details for all sessions of a patient
-router.put('/:id/sessions/details', authenticateToken, asyncHandler(async (req, res) => {
-  if (!isValidObjectId(req.params.id)) {
-    return sendValidationError(res, 'Invalid patient ID format');
-  }
-
-  const { notes, time, amount } = req.body;
+router.put('/:id/sessions/details', authenticateToken, requirePermission('sessions:write'), validate(schemas.updatePatientSessions), asyncHandler(async (req, res) => {
+  const { notes, time, duration, amount, force } = req.body;
 
   // Build update object with only provided fields
   const updateFields = {};
-  if (notes !== undefined) updateFields.notes = notes.trim();
+  if (notes !== undefined) updateFields.notes = notes;
   if (time !== undefined) updateFields.time = time;
+  if (duration !== undefined) updateFields.duration = duration;
   if (amount !== undefined) updateFields.amount = amount;
 
   if (Object.keys(updateFields).length === 0) {
-    return sendValidationError(res, 'At least one field (notes, time, or amount) is required');
+    return sendValidationError(res, 'At least one field (notes, time, duration, or amount) is required');
   }
 
-  const modifiedCount = await PatientService.updateAllPatientSessions(req.params.id, updateFields, req.userId);
-  sendSuccess(res, { modifiedCount }, `Updated ${modifiedCount} sessions for patient`);
+  const { modifiedCount, conflicts } = await PatientService.updateAllPatientSessions(
+    req.params.id,
+    updateFields,
+    req.access,
+    { force }
+  );
+  sendSuccess(res, { modifiedCount, conflicts }, `Updated ${modifiedCount} sessions for patient`);
 }));
 
 // Close all upcoming sessions for a patient (mark as cancelled)
-router.put('/:id/sessions/close', authenticateToken, asyncHandler(async (req, res) => {
-  if (!isValidObjectId(req.params.id)) {
-    return sendValidationError(res, 'Invalid patient ID format');
-  }
-
-  const closedCount = await PatientService.closeAllUpcomingSessions(req.params.id, req.userId);
+router.put('/:id/sessions/close', authenticateToken, requirePermission('sessions:write'), validate(schemas.patientById), asyncHandler(async (req, res) => {
+  const closedCount = await PatientService.closeAllUpcomingSessions(req.params.id, req.access);
   sendSuccess(res, { modifiedCount: closedCount }, `Closed ${closedCount} upcoming sessions for patient`);
 }));
 
-// Delete patient
-router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
-  if (!isValidObjectId(req.params.id)) {
-    return sendValidationError(res, 'Invalid patient ID format');
-  }
-
-  const deleted = await PatientService.deletePatient(req.params.id, req.userId);
+// Delete patient (moves them and their sessions to the trash)
+router.delete('/:id', authenticateToken, requirePermission('patients:write'), validate(schemas.patientById), asyncHandler(async (req, res) => {
+  const deleted = await PatientService.deletePatient(req.params.id, req.access);
   if (!deleted) {
     return sendNotFoundError(res, 'Patient');
   }
 
-  sendSuccess(res, null, 'Patient deleted successfully');
+  sendSuccess(res, null, 'Patient moved to trash');
 }));
 
-// Get last active session date for a patient
-router.get('/:id/sessions/last-active', authenticateToken, asyncHandler(async (req, res) => {
-  if (!isValidObjectId(req.params.id)) {
-    return sendValidationError(res, 'Invalid patient ID format');
+// Get patients in the trash (restorable until purgeAt)
+router.get('/trash', authenticateToken, requirePermission('patients:read'), asyncHandler(async (req, res) => {
+  const patients = await TrashService.getTrashedPatients(req.access);
+  sendSuccess(res, { patients });
+}));
+
+// Restore a patient from the trash along with the sessions archived with them
+router.post('/:id/restore', authenticateToken, requirePermission('patients:write'), validate(schemas.restorePatient), asyncHandler(async (req, res) => {
+  const result = await TrashService.restorePatient(req.params.id, req.access);
+  if (!result) {
+    return sendNotFoundError(res, 'Patient in trash');
   }
 
-  const lastActiveDate = await PatientService.getLastActiveSessionDate(req.params.id, req.userId);
+  sendSuccess(res, result, `Patient restored with ${result.restoredSessions} sessions`);
+}));
+
+// Get last active session date for a patient
+router.get('/:id/sessions/last-active', authenticateToken, requirePermission('sessions:read'), validate(schemas.patientById), asyncHandler(async (req, res) => {
+  const lastActiveDate = await PatientService.getLastActiveSessionDate(req.params.id, req.access);
   sendSuccess(res, { lastActiveDate });
 }));
 
-// Get patients with active sessions
-router.post('/active-sessions', authenticateToken, asyncHandler(async (req, res) => {
-  const { patientIds } = req.body;
-  
-  if (!Array.isArray(patientIds)) {
-    return sendValidationError(res, 'patientIds must be an array');
+// Get billed, paid and outstanding amounts for a patient
+router.get('/:id/balance', authenticateToken, requirePermission('billing:read'), validate(schemas.patientById), asyncHandler(async (req, res) => {
+  const balance = await PaymentService.getPatientBalance(req.params.id, req.access);
+  if (!balance) {
+    return sendNotFoundError(res, 'Patient');
   }
 
-  const activePatientIds = await PatientService.getPatientsWithActiveSessions(patientIds, req.userId);
+  sendSuccess(res, { balance });
+}));
+
+// Get patients with active sessions
+router.post('/active-sessions', authenticateToken, requirePermission('sessions:read'), validate(schemas.activeSessions), asyncHandler(async (req, res) => {
+  const activePatientIds = await PatientService.getPatientsWithActiveSessions(req.body.patientIds, req.access);
   sendSuccess(res, { activePatientIds });
 }));
 
@@ -0,0 +1,61 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/access');
+const { sendSuccess, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
+const { validateListQuery, validateListFilters } = require('../utils/validationUtils');
+const { buildListOptions, PAYMENT_SORT_FIELDS } = require('../utils/databaseUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const PaymentService = require('../services/paymentService');
+const schemas = require('../schemas/payments');
+const router = express.Router();
+
+const PAYMENT_LIST_DEFAULTS = { sortBy: 'date', sortOrder: 'desc' };
+
+// Get payments visible to the current user
+// Filters: patientId, method, startDate/endDate, minAmount/maxAmount
+// Sorting: sortBy (date|amount|createdAt), sortOrder; pagination: limit, cursor (opt-in)
+router.get('/', authenticateToken, requirePermission('billing:read'), validate(schemas.listPayments), asyncHandler(async (req, res) => {
+  const { patientId, method, startDate, endDate, minAmount, maxAmount } = req.query;
+
+  const listError = validateListFilters({ patientId, startDate, endDate, minAmount, maxAmount }) ||
+    validateListQuery(req.query, PAYMENT_SORT_FIELDS, PAYMENT_LIST_DEFAULTS);
+  if (listError) return sendValidationError(res, listError);
+
+  const result = await PaymentService.getPayments(
+    req.access,
+    { patientId, method, startDate, endDate, minAmount, maxAmount },
+    buildListOptions(req.query, PAYMENT_SORT_FIELDS, PAYMENT_LIST_DEFAULTS)
+  );
+  sendSuccess(res, result);
+}));
+
+// Get patients with an outstanding balance
+router.get('/outstanding', authenticateToken, requirePermission('billing:read'), asyncHandler(async (req, res) => {
+  const balances = await PaymentService.getOutstandingReport(req.access);
+  const totalOutstanding = balances.reduce((sum, balance) => sum + balance.outstanding, 0);
+
+  sendSuccess(res, { balances, totalOutstanding });
+}));
+
+// Record a payment
+router.post('/', authenticateToken, requirePermission('billing:write'), validate(schemas.recordPayment), asyncHandler(async (req, res) => {
+  const payment = await PaymentService.recordPayment(req.body, req.access);
+  if (!payment) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, { payment }, 'Payment recorded successfully', 201);
+}));
+
+// Delete a payment
+router.delete('/:id', authenticateToken, requirePermission('billing:write'), validate(schemas.paymentById), asyncHandler(async (req, res) => {
+  const deleted = await PaymentService.deletePayment(req.params.id, req.access);
+  if (!deleted) {
+    return sendNotFoundError(res, 'Payment');
+  }
+
+  sendSuccess(res, null, 'Payment deleted successfully');
+}));
+
+module.exports = router;
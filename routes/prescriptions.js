@@ -0,0 +1,123 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/access');
+const { resolveTimezone } = require('../middleware/timezone');
+const { sendSuccess, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
+const { validateListFilters } = require('../utils/validationUtils');
+const { getTodayInTimezone } = require('../utils/dateUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const PrescriptionService = require('../services/prescriptionService');
+const { renderHandoutHtml, renderHandoutPdf } = require('../services/handoutRenderer');
+const schemas = require('../schemas/prescriptions');
+
+// Mounted at /api/patients/:patientId/prescriptions
+const router = express.Router({ mergeParams: true });
+
+// Get prescriptions for a patient (optionally only those active on a date)
+router.get('/', authenticateToken, requirePermission('patients:read'), validate(schemas.listPrescriptions), asyncHandler(async (req, res) => {
+  const { activeOn } = req.query;
+
+  const prescriptions = await PrescriptionService.getPrescriptions(
+    req.params.patientId,
+    req.access,
+    { activeOn }
+  );
+  if (!prescriptions) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, { prescriptions });
+}));
+
+// Get prescription by ID
+router.get('/:prescriptionId', authenticateToken, requirePermission('patients:read'), validate(schemas.prescriptionById), asyncHandler(async (req, res) => {
+  const prescription = await PrescriptionService.getPrescriptionById(
+    req.params.prescriptionId,
+    req.params.patientId,
+    req.access
+  );
+  if (!prescription) {
+    return sendNotFoundError(res, 'Prescription');
+  }
+
+  sendSuccess(res, { prescription });
+}));
+
+// Download a printable handout as HTML or PDF
+router.get('/:prescriptionId/handout', authenticateToken, requirePermission('patients:read'), validate(schemas.downloadHandout), asyncHandler(async (req, res) => {
+  const { format } = req.query;
+
+  const handout = await PrescriptionService.getHandout(
+    req.params.prescriptionId,
+    req.params.patientId,
+    req.access
+  );
+  if (!handout) {
+    return sendNotFoundError(res, 'Prescription');
+  }
+
+  const filename = `home-exercises-${handout.prescription.startDate}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'html') {
+    res.type('html').send(renderHandoutHtml(handout));
+  } else {
+    res.type('application/pdf');
+    renderHandoutPdf(handout, res);
+  }
+}));
+
+// Prescribe exercises to a patient
+router.post('/', authenticateToken, requirePermission('patients:write'), validate(schemas.createPrescription), resolveTimezone, asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.body;
+  const dateError = validateListFilters({ startDate, endDate });
+  if (dateError) return sendValidationError(res, dateError);
+
+  const prescription = await PrescriptionService.createPrescription(
+    req.params.patientId,
+    req.body,
+    req.access,
+    getTodayInTimezone(req.timezone)
+  );
+  if (!prescription) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, { prescription }, 'Exercises prescribed successfully', 201);
+}));
+
+// Update a prescription (pass sessionId to record the session it changed at)
+router.put('/:prescriptionId', authenticateToken, requirePermission('patients:write'), validate(schemas.updatePrescription), asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.body;
+  const dateError = validateListFilters({ startDate, endDate });
+  if (dateError) return sendValidationError(res, dateError);
+
+  const prescription = await PrescriptionService.updatePrescription(
+    req.params.prescriptionId,
+    req.params.patientId,
+    req.body,
+    req.access
+  );
+  if (!prescription) {
+    return sendNotFoundError(res, 'Prescription');
+  }
+
+  sendSuccess(res, { prescription }, 'Prescription updated successfully');
+}));
+
+// Delete a prescription
+router.delete('/:prescriptionId', authenticateToken, requirePermission('patients:write'), validate(schemas.prescriptionById), asyncHandler(async (req, res) => {
+  const deleted = await PrescriptionService.deletePrescription(
+    req.params.prescriptionId,
+    req.params.patientId,
+    req.access
+  );
+  if (!deleted) {
+    return sendNotFoundError(res, 'Prescription');
+  }
+
+  sendSuccess(res, null, 'Prescription deleted successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/access');
+const { resolveTimezone } = require('../middleware/timezone');
+const { sendSuccess, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
+const { validateRecurrence } = require('../utils/recurrenceUtils');
+const { getTodayInTimezone } = require('../utils/dateUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const SeriesService = require('../services/seriesService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/series');
+const router = express.Router();
+
+// Get all series visible to the current user
+router.get('/', authenticateToken, requirePermission('sessions:read'), validate(schemas.listSeries), asyncHandler(async (req, res) => {
+  const { patientId, status } = req.query;
+
+  const series = await SeriesService.getAllSeries(req.access, { patientId, status });
+  sendSuccess(res, { series });
+}));
+
+// Get a series with its sessions
+router.get('/:id', authenticateToken, requirePermission('sessions:read'), validate(schemas.seriesById), asyncHandler(async (req, res) => {
+  const result = await SeriesService.getSeriesById(req.params.id, req.access);
+  if (!result) {
+    return sendNotFoundError(res, 'Series');
+  }
+
+  sendSuccess(res, result);
+}));
+
+// Create a recurring series and generate its sessions
+router.post('/', authenticateToken, requirePermission('sessions:write'), validate(schemas.createSeries), asyncHandler(async (req, res) => {
+  const { startDate, recurrence, force } = req.body;
+
+  const recurrenceValidation = validateRecurrence(recurrence, startDate);
+  if (!recurrenceValidation.isValid) {
+    return sendValidationError(res, recurrenceValidation.errors.join(', '));
+  }
+
+  const result = await SeriesService.createSeries(req.body, req.access, { force });
+  if (!result) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, result, `Series created with ${result.sessions.length} sessions`, 201);
+}));
+
+// Edit one occurrence, this and following occurrences, or the whole series
+router.put('/:id/sessions/:sessionId', authenticateToken, requirePermission('sessions:write'), validate(schemas.updateOccurrences), asyncHandler(async (req, res) => {
+  const { scope, date, time, duration, notes, amount, force } = req.body;
+
+  if (date !== undefined && scope !== 'this') {
+    return sendValidationError(res, 'date can only be changed for a single occurrence');
+  }
+
+  if ([date, time, duration, notes, amount].every(field => field === undefined)) {
+    return sendValidationError(res, 'At least one field (date, time, duration, notes, or amount) is required');
+  }
+
+  const result = await SeriesService.updateOccurrences(
+    req.params.id,
+    req.params.sessionId,
+    scope,
+    req.body,
+    req.access,
+    { force }
+  );
+  if (!result) {
+    return sendNotFoundError(res, 'Session');
+  }
+
+  sendSuccess(res, result, `Updated ${result.modifiedCount} sessions in series`);
+}));
+
+// End a series early (cancels pending sessions after endDate, default today)
+router.post('/:id/end', authenticateToken, requirePermission('sessions:write'), validate(schemas.endSeries), resolveTimezone, asyncHandler(async (req, res) => {
+  const endDate = req.body.endDate || getTodayInTimezone(req.timezone);
+
+  const result = await SeriesService.endSeries(req.params.id, endDate, req.access);
+  if (!result) {
+    return sendNotFoundError(res, 'Series');
+  }
+
+  sendSuccess(res, result, `Series ended, ${result.cancelledCount} upcoming sessions cancelled`);
+}));
+
+module.exports = router;
@@ -1,25 +1,100 @@
 const express = require('express');
 const Session = require('../models/Session');
-const Patient = require('../models/Patient');
 const { authenticateToken } = require('../middleware/auth');
-const { transformDocuments, sendSuccess, sendError, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
-const { validateRequiredFields, isValidObjectId, isValidDate, isValidTime } = require('../utils/validationUtils');
-const { buildEarningsPipeline } = require('../utils/databaseUtils');
+const { resolveTimezone } = require('../middleware/timezone');
+const { ERROR_CODES, transformDocuments, sendSuccess, sendError, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
+const { validateListQuery, validateListFilters } = require('../utils/validationUtils');
+const { buildEarningsPipeline, buildSessionFilterQuery, buildListOptions, findPage, SESSION_SORT_FIELDS, setSessionCancelled, setSessionAmount } = require('../utils/databaseUtils');
+const { getTodayInTimezone, addDays } = require('../utils/dateUtils');
 const { asyncHandler } = require('../middleware/errorHandler');
+const ConflictService = require('../services/conflictService');
+const ClinicalNoteService = require('../services/clinicalNoteService');
+const SessionService = require('../services/sessionService');
+const TrashService = require('../services/trashService');
+const ClinicService = require('../services/clinicService');
+const AuditService = require('../services/auditService');
+const { requirePermission } = require('../middleware/access');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/sessions');
+const { buildAccessScope, buildScheduleScope } = require('../utils/accessUtils');
 const router = express.Router();
 
+/**
+ * Validate a session list's filter ranges and cursor (field formats are checked by the list schema)
+ * @param {Object} query - Express request query
+ * @param {Object} defaults - { sortBy, sortOrder } for the list
+ * @returns {string|null} Error message or null when valid
+ */
+const validateSessionListQuery = (query, defaults) => {
+  return validateListFilters(query) ||
+    validateListQuery(query, SESSION_SORT_FIELDS, defaults);
+};
+
+/**
+ * List the sessions of a schedule view with the request's filters, sorting and pagination
+ * @param {Object} req - Express request object (after requirePermission)
+ * @param {Object} viewQuery - Conditions that define the view (past, today, upcoming)
+ * @param {Object} defaults - { sortBy, sortOrder } for the view
+ * @returns {Promise<Object>} { sessions, pagination }
+ */
+const listSessions = async (req, viewQuery, defaults) => {
+  const { patientId, startDate, endDate, status, minAmount, maxAmount } = req.query;
+  const query = buildSessionFilterQuery(
+    buildScheduleScope(req.access, req.query.therapistId),
+    { patientId, startDate, endDate, status, minAmount, maxAmount }
+  );
+  query.$and = [...(query.$and || []), viewQuery];
+
+  const { items, pagination } = await findPage(
+    Session,
+    query,
+    buildListOptions(req.query, SESSION_SORT_FIELDS, defaults)
+  );
+  return { sessions: transformDocuments(items), pagination };
+};
+
+/**
+ * Check new sessions against each therapist's schedule
+ * @param {Array} candidates - Sessions { userId, date, time, duration, requestIndex } (userId = therapist)
+ * @returns {Promise<Array>} Conflicts across all therapists, indexed by position in the request
+ */
+const findConflictsByTherapist = async (candidates) => {
+  const byTherapist = candidates.reduce((groups, candidate) => {
+    const key = candidate.userId.toString();
+    groups.set(key, [...(groups.get(key) || []), candidate]);
+    return groups;
+  }, new Map());
+
+  let conflicts = [];
+  for (const [therapistId, therapistCandidates] of byTherapist) {
+    const therapistConflicts = await ConflictService.findConflicts(therapistId, therapistCandidates);
+    conflicts = conflicts.concat(therapistConflicts.map(conflict => ({
+      ...conflict,
+      index: therapistCandidates[conflict.index].requestIndex,
+      conflictsWithinRequest: conflict.conflictsWithinRequest.map(index => therapistCandidates[index].requestIndex)
+    })));
+  }
+  return conflicts.sort((a, b) => a.index - b.index);
+};
 
+// Session list filters: therapistId, patientId, startDate/endDate, status (pending,completed,cancelled),
+// minAmount/maxAmount. Sorting: sortBy (date|amount|patientName|createdAt), sortOrder.
+// Pagination: limit, cursor (opt-in; the first page includes the total)
 
 // Get past sessions (completed/cancelled sessions + unmarked sessions before today)
-router.get('/past', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/past', authenticateToken, requirePermission('sessions:read'), validate(schemas.listPastSessions), resolveTimezone, asyncHandler(async (req, res) => {
+  const defaults = { sortBy: 'date', sortOrder: 'desc' };
+  const filterError = validateSessionListQuery(req.query, defaults);
+  if (filterError) return sendValidationError(res, filterError);
+
   const { includeCancelled } = req.query;
-  const today = new Date().toISOString().split('T')[0];
+  const today = getTodayInTimezone(req.timezone);
   
-  let query = { userId: req.userId };
+  let viewQuery;
   
-  if (includeCancelled === 'true') {
+  if (includeCancelled) {
     // Include: completed sessions (any date), cancelled sessions (any date), and unmarked sessions before today
-    query.$or = [
+    viewQuery = { $or: [
       { completed: true }, // Completed sessions (including today's completed)
       { cancelled: true }, // Cancelled sessions (including today's cancelled)
       { 
@@ -27,213 +102,290 @@ router.get('/past', authenticateToken, asyncHandler(async (req, res) => {
         completed: false,
         cancelled: false
       }
-    ];
+    ] };
   } else {
     // Default: completed sessions (any date) and unmarked sessions before today (exclude cancelled)
-    query.$or = [
+    viewQuery = { $or: [
       { completed: true }, // Completed sessions (including today's completed)
       { 
         date: { $lt: today }, // Unmarked sessions before today
         completed: false,
         cancelled: false
       }
-    ];
+    ] };
   }
 
-  const sessions = await Session.find(query)
-    .sort({ date: -1, time: 1 })
-    .lean();
-
-  const transformedSessions = transformDocuments(sessions);
-  sendSuccess(res, { sessions: transformedSessions });
+  sendSuccess(res, await listSessions(req, viewQuery, defaults));
 }));
 
 // Get today's sessions (all sessions for today - unmarked, completed, and cancelled)
-router.get('/today', authenticateToken, asyncHandler(async (req, res) => {
-  const today = new Date().toISOString().split('T')[0];
-  
-  const sessions = await Session.find({
-    userId: req.userId,
-    date: today // All of today's sessions (unmarked, completed, and cancelled)
-  }).sort({ time: 1 }).lean();
+router.get('/today', authenticateToken, requirePermission('sessions:read'), validate(schemas.listTodaySessions), resolveTimezone, asyncHandler(async (req, res) => {
+  const defaults = { sortBy: 'date', sortOrder: 'asc' };
+  const filterError = validateSessionListQuery(req.query, defaults);
+  if (filterError) return sendValidationError(res, filterError);
 
-  const transformedSessions = transformDocuments(sessions);
-  sendSuccess(res, { sessions: transformedSessions });
+  const today = getTodayInTimezone(req.timezone);
+  
+  // All of today's sessions (unmarked, completed, and cancelled)
+  sendSuccess(res, await listSessions(req, { date: today }, defaults));
 }));
 
 // Get upcoming sessions (incomplete and non-cancelled sessions from tomorrow onwards)
-router.get('/upcoming', authenticateToken, asyncHandler(async (req, res) => {
-  const today = new Date().toISOString().split('T')[0];
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const tomorrowStr = tomorrow.toISOString().split('T')[0];
+router.get('/upcoming', authenticateToken, requirePermission('sessions:read'), validate(schemas.listUpcomingSessions), resolveTimezone, asyncHandler(async (req, res) => {
+  const defaults = { sortBy: 'date', sortOrder: 'asc' };
+  const filterError = validateSessionListQuery(req.query, defaults);
+  if (filterError) return sendValidationError(res, filterError);
+
+  const tomorrowStr = addDays(getTodayInTimezone(req.timezone), 1);
   
-  const sessions = await Session.find({
-    userId: req.userId,
+  sendSuccess(res, await listSessions(req, {
     date: { $gte: tomorrowStr }, // Only future dates (tomorrow onwards)
     completed: false,
     cancelled: false
-  }).sort({ date: 1, time: 1 }).lean();
+  }, defaults));
+}));
+
+
+// Get overlapping sessions already in the schedule
+router.get('/conflicts', authenticateToken, requirePermission('sessions:read'), validate(schemas.listConflicts), asyncHandler(async (req, res) => {
+  const { therapistId, startDate, endDate } = req.query;
 
-  const transformedSessions = transformDocuments(sessions);
-  sendSuccess(res, { sessions: transformedSessions });
+  const conflicts = await ConflictService.getConflictReport(
+    buildScheduleScope(req.access, therapistId),
+    { startDate, endDate }
+  );
+  sendSuccess(res, { conflicts });
 }));
 
+// Get the structured (SOAP) clinical note for a session
+router.get('/:id/note', authenticateToken, requirePermission('sessions:read'), validate(schemas.sessionById), asyncHandler(async (req, res) => {
+  const result = await ClinicalNoteService.getNote(req.params.id, req.access);
+  if (!result) {
+    return sendNotFoundError(res, 'Session');
+  }
 
-// Create new session
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    const { patientId, patientName, date, time, notes, completed, cancelled, amount } = req.body;
+  sendSuccess(res, result);
+}));
 
-    if (!patientId || !patientName || !date || !time) {
-      return res.status(400).json({ error: 'Patient ID, patient name, date, and time are required' });
-    }
+// Get sessions in the trash (restorable until purgeAt)
+router.get('/trash', authenticateToken, requirePermission('sessions:read'), asyncHandler(async (req, res) => {
+  const sessions = await TrashService.getTrashedSessions(req.access);
+  sendSuccess(res, { sessions });
+}));
+
+// Restore a session from the trash (409 on schedule conflicts unless force)
+router.post('/:id/restore', authenticateToken, requirePermission('sessions:write'), validate(schemas.restoreSession), asyncHandler(async (req, res) => {
+  const result = await TrashService.restoreSession(req.params.id, req.access, { force: req.body.force });
+  if (!result) {
+    return sendNotFoundError(res, 'Session in trash');
+  }
 
-    // Verify the patient belongs to the current user
-    const patient = await Patient.findOne({
-      _id: patientId,
-      userId: req.userId
-    });
+  sendSuccess(res, result, 'Session restored');
+}));
 
-    if (!patient) {
-      return res.status(404).json({ error: 'Patient not found' });
-    }
+// Create or update the clinical note for a session (every change is kept as a revision)
+router.put('/:id/note', authenticateToken, requirePermission('sessions:write'), validate(schemas.saveNote), asyncHandler(async (req, res) => {
+  const { subjective, objective, assessment, plan, modalities } = req.body;
 
-    const session = new Session({
-      userId: req.userId,
-      patientId,
-      patientName,
-      date,
-      time,
-      notes: notes || '',
-      completed: completed || false,
-      cancelled: cancelled || false,
-      amount: amount || null
-    });
-
-    await session.save();
-
-    res.status(201).json({
-      message: 'Session created successfully',
-      session: transformDocuments([session])[0]
-    });
-  } catch (error) {
-    console.error('Error creating session:', error);
-    res.status(500).json({ error: 'Failed to create session' });
+  if ([subjective, objective, assessment, plan, modalities].every(field => field === undefined)) {
+    return sendValidationError(res, 'At least one field (subjective, objective, assessment, plan, or modalities) is required');
   }
-});
 
-// Create multiple sessions (bulk)
-router.post('/bulk', authenticateToken, async (req, res) => {
-  try {
-    const { sessions } = req.body;
+  const result = await ClinicalNoteService.saveNote(req.params.id, req.body, req.access);
+  if (!result) {
+    return sendNotFoundError(res, 'Session');
+  }
 
-    if (!sessions || !Array.isArray(sessions) || sessions.length === 0) {
-      return res.status(400).json({ error: 'Sessions array is required and must not be empty' });
-    }
+  sendSuccess(res, result, result.revision ? 'Clinical note saved' : 'No changes to clinical note');
+}));
 
-    // Validate each session
-    for (const session of sessions) {
-      if (!session.patientId || !session.patientName || !session.date || !session.time) {
-        return res.status(400).json({ error: 'Each session must have patientId, patientName, date, and time' });
-      }
-    }
+// Get the revision history of a session's clinical note
+router.get('/:id/note/history', authenticateToken, requirePermission('sessions:read'), validate(schemas.sessionById), asyncHandler(async (req, res) => {
+  const revisions = await ClinicalNoteService.getHistory(req.params.id, req.access);
+  if (!revisions) {
+    return sendNotFoundError(res, 'Session');
+  }
+
+  sendSuccess(res, { revisions });
+}));
+
+// Create new session
+router.post('/', authenticateToken, requirePermission('sessions:write'), validate(schemas.createSession), asyncHandler(async (req, res) => {
+  const { patientId, patientName, date, time, duration, notes, completed, cancelled, amount, force } = req.body;
+
+  // Verify the patient is visible to the user and pick the therapist running the session
+  const [assignment] = await SessionService.resolveAssignments([req.body], req.access);
+
+  const sessionDuration = duration || await ConflictService.getDefaultDuration(assignment.userId);
+
+  // Cancelled sessions don't occupy the schedule
+  const conflicts = cancelled ? [] : await ConflictService.findConflicts(assignment.userId, [
+    { date, time, duration: sessionDuration }
+  ]);
+
+  if (conflicts.length > 0 && !force) {
+    return sendError(res, 'Session time conflicts with existing sessions', 409, ERROR_CODES.SCHEDULE_CONFLICT, { conflicts });
+  }
+
+  const session = new Session({
+    ...assignment,
+    patientId,
+    patientName,
+    date,
+    time,
+    duration: sessionDuration,
+    notes: notes || '',
+    completed: completed || false,
+    cancelled: cancelled || false,
+    amount: amount || null
+  });
+
+  await session.save();
+  await AuditService.record(req.access, { action: 'create', entityType: 'session', after: session });
+
+  sendSuccess(res, {
+    session: transformDocuments([session])[0],
+    conflicts
+  }, 'Session created successfully', 201);
+}));
 
-    // Verify all patients belong to the current user
-    const patientIds = [...new Set(sessions.map(s => s.patientId))];
-    const patients = await Patient.find({
-      _id: { $in: patientIds },
-      userId: req.userId
-    });
+// Create multiple sessions (bulk)
+router.post('/bulk', authenticateToken, requirePermission('sessions:write'), validate(schemas.createSessions), asyncHandler(async (req, res) => {
+  const { sessions, force } = req.body;
+
+  // Verify all patients are visible to the user and pick each session's therapist
+  const assignments = await SessionService.resolveAssignments(sessions, req.access);
 
-    if (patients.length !== patientIds.length) {
-      return res.status(404).json({ error: 'One or more patients not found' });
+  const defaultDurations = new Map();
+  for (const { userId } of assignments) {
+    const key = userId.toString();
+    if (!defaultDurations.has(key)) {
+      defaultDurations.set(key, await ConflictService.getDefaultDuration(userId));
     }
+  }
+  const durationFor = (sessionData, index) =>
+    sessionData.duration || defaultDurations.get(assignments[index].userId.toString());
 
-    // Create session documents
-    const sessionDocs = sessions.map(sessionData => ({
-      userId: req.userId,
-      patientId: sessionData.patientId,
-      patientName: sessionData.patientName,
+  // Check the new sessions against each therapist's schedule and against each other
+  const activeSessions = sessions
+    .map((sessionData, index) => ({
+      userId: assignments[index].userId,
       date: sessionData.date,
       time: sessionData.time,
-      notes: sessionData.notes || '',
-      completed: sessionData.completed || false,
-      cancelled: sessionData.cancelled || false,
-      amount: sessionData.amount || null
-    }));
-
-    // Insert all sessions
-    const createdSessions = await Session.insertMany(sessionDocs);
-
-    // Transform sessions for response
-    const transformedSessions = transformDocuments(createdSessions);
-
-    res.status(201).json({
-      message: `${createdSessions.length} sessions created successfully`,
-      sessions: transformedSessions
-    });
-  } catch (error) {
-    console.error('Error creating multiple sessions:', error);
-    res.status(500).json({ error: 'Failed to create sessions' });
+      duration: durationFor(sessionData, index),
+      cancelled: sessionData.cancelled,
+      requestIndex: index
+    }))
+    .filter(candidate => !candidate.cancelled);
+  const conflicts = await findConflictsByTherapist(activeSessions);
+
+  if (conflicts.length > 0 && !force) {
+    return sendError(res, 'One or more sessions conflict with existing sessions', 409, ERROR_CODES.SCHEDULE_CONFLICT, { conflicts });
   }
-});
 
-// Update session
-router.put('/:id', authenticateToken, async (req, res) => {
-  try {
-    const { patientId, patientName, date, time, notes, completed, cancelled, amount } = req.body;
+  // Create session documents
+  const sessionDocs = sessions.map((sessionData, index) => ({
+    ...assignments[index],
+    patientId: sessionData.patientId,
+    patientName: sessionData.patientName,
+    date: sessionData.date,
+    time: sessionData.time,
+    duration: durationFor(sessionData, index),
+    notes: sessionData.notes || '',
+    completed: sessionData.completed || false,
+    cancelled: sessionData.cancelled || false,
+    amount: sessionData.amount || null
+  }));
+
+  // Insert all sessions
+  const createdSessions = await Session.insertMany(sessionDocs);
+  await AuditService.recordMany(req.access, createdSessions.map(session => ({
+    action: 'create',
+    entityType: 'session',
+    after: session
+  })));
+
+  // Transform sessions for response
+  const transformedSessions = transformDocuments(createdSessions);
+
+  sendSuccess(res, {
+    sessions: transformedSessions,
+    conflicts
+  }, `${createdSessions.length} sessions created successfully`, 201);
+}));
 
-    const session = await Session.findOne({
-      _id: req.params.id,
-      userId: req.userId
-    });
+// Update session
+router.put('/:id', authenticateToken, requirePermission('sessions:write'), validate(schemas.updateSession), asyncHandler(async (req, res) => {
+  const { patientId, patientName, date, time, duration, notes, completed, cancelled, amount, therapistId, force } = req.body;
 
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
+  const session = await Session.findOne({
+    _id: req.params.id,
+    ...buildAccessScope(req.access)
+  });
 
-    // Update fields
-    if (patientId) session.patientId = patientId;
-    if (patientName) session.patientName = patientName;
-    if (date) session.date = date;
-    if (time) session.time = time;
-    if (notes !== undefined) session.notes = notes;
-    if (completed !== undefined) session.completed = completed;
-    if (cancelled !== undefined) session.cancelled = cancelled;
-    if (amount !== undefined) session.amount = amount;
-
-    await session.save();
-
-    res.json({
-      message: 'Session updated successfully',
-      session: transformDocuments([session])[0]
-    });
-  } catch (error) {
-    console.error('Error updating session:', error);
-    res.status(500).json({ error: 'Failed to update session' });
+  if (!session) {
+    return sendNotFoundError(res, 'Session');
   }
-});
-
-// Delete session
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
-    const session = await Session.findOne({
-      _id: req.params.id,
-      userId: req.userId
-    });
-
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
+  const before = session.toObject();
+
+  // Hand the session to another therapist in the clinic
+  const sessionTherapistId = therapistId && session.clinicId
+    ? await ClinicService.resolveTherapistId(req.access, therapistId)
+    : session.userId;
+  const isReassigned = sessionTherapistId.toString() !== session.userId.toString();
+
+  // Re-check the schedule when the session moves, gets longer, changes therapist or is
+  // un-cancelled (a cancelled session's slot may have been rebooked)
+  let conflicts = [];
+  const isRescheduled = (date && date !== session.date) ||
+    (time && time !== session.time) ||
+    (duration !== undefined && duration !== session.duration) ||
+    isReassigned ||
+    (cancelled === false && session.cancelled);
+  const isCancelled = cancelled !== undefined ? cancelled : session.cancelled;
+
+  if (isRescheduled && !isCancelled) {
+    conflicts = await ConflictService.findConflicts(sessionTherapistId, [{
+      date: date || session.date,
+      time: time || session.time,
+      duration: duration || session.duration || await ConflictService.getDefaultDuration(sessionTherapistId)
+    }], [session._id]);
+
+    if (conflicts.length > 0 && !force) {
+      return sendError(res, 'Session time conflicts with existing sessions', 409, ERROR_CODES.SCHEDULE_CONFLICT, { conflicts });
     }
+  }
+
+  // Update fields
+  if (isReassigned) session.userId = sessionTherapistId;
+  if (patientId) session.patientId = patientId;
+  if (patientName) session.patientName = patientName;
+  if (date) session.date = date;
+  if (time) session.time = time;
+  if (duration !== undefined) session.duration = duration;
+  if (notes !== undefined) session.notes = notes;
+  if (completed !== undefined) session.completed = completed;
+  if (cancelled !== undefined) setSessionCancelled(session, cancelled);
+  if (amount !== undefined) setSessionAmount(session, amount);
+
+  await session.save();
+  await AuditService.record(req.access, { action: 'update', entityType: 'session', before, after: session });
+
+  sendSuccess(res, {
+    session: transformDocuments([session])[0],
+    conflicts
+  }, 'Session updated successfully');
+}));
 
-    await Session.findByIdAndDelete(req.params.id);
+// Delete session (moves it to the trash)
+router.delete('/:id', authenticateToken, requirePermission('sessions:write'), validate(schemas.sessionById), asyncHandler(async (req, res) => {
+  const deleted = await SessionService.deleteSession(req.params.id, req.access);
 
-    res.json({ message: 'Session deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting session:', error);
-    res.status(500).json({ error: 'Failed to delete session' });
+  if (!deleted) {
+    return sendNotFoundError(res, 'Session');
   }
-});
+
+  sendSuccess(res, null, 'Session moved to trash');
+}));
 
 module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/access');
+const { resolveTimezone } = require('../middleware/timezone');
+const { sendSuccess, sendValidationError, sendNotFoundError } = require('../utils/responseUtils');
+const { validateListFilters } = require('../utils/validationUtils');
+const { getTodayInTimezone } = require('../utils/dateUtils');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const TreatmentPlanService = require('../services/treatmentPlanService');
+const schemas = require('../schemas/treatmentPlans');
+
+// Mounted at /api/patients/:patientId/plans
+const router = express.Router({ mergeParams: true });
+
+// Get all treatment plans for a patient
+router.get('/', authenticateToken, requirePermission('patients:read'), validate(schemas.listPlans), resolveTimezone, asyncHandler(async (req, res) => {
+  const plans = await TreatmentPlanService.getPlans(
+    req.params.patientId,
+    req.access,
+    getTodayInTimezone(req.timezone)
+  );
+  if (!plans) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, { plans });
+}));
+
+// Get a treatment plan with progress
+router.get('/:planId', authenticateToken, requirePermission('patients:read'), validate(schemas.planById), resolveTimezone, asyncHandler(async (req, res) => {
+  const plan = await TreatmentPlanService.getPlanById(
+    req.params.planId,
+    req.params.patientId,
+    req.access,
+    getTodayInTimezone(req.timezone)
+  );
+  if (!plan) {
+    return sendNotFoundError(res, 'Treatment plan');
+  }
+
+  sendSuccess(res, { plan });
+}));
+
+// Create a treatment plan
+router.post('/', authenticateToken, requirePermission('patients:write'), validate(schemas.createPlan), resolveTimezone, asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.body;
+  const dateError = validateListFilters({ startDate, endDate });
+  if (dateError) return sendValidationError(res, dateError);
+
+  const plan = await TreatmentPlanService.createPlan(
+    req.params.patientId,
+    req.body,
+    req.access,
+    getTodayInTimezone(req.timezone)
+  );
+  if (!plan) {
+    return sendNotFoundError(res, 'Patient');
+  }
+
+  sendSuccess(res, { plan }, 'Treatment plan created successfully', 201);
+}));
+
+// Update a treatment plan
+router.put('/:planId', authenticateToken, requirePermission('patients:write'), validate(schemas.updatePlan), resolveTimezone, asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.body;
+  const dateError = validateListFilters({ startDate, endDate });
+  if (dateError) return sendValidationError(res, dateError);
+
+  const plan = await TreatmentPlanService.updatePlan(
+    req.params.planId,
+    req.params.patientId,
+    req.body,
+    req.access,
+    getTodayInTimezone(req.timezone)
+  );
+  if (!plan) {
+    return sendNotFoundError(res, 'Treatment plan');
+  }
+
+  sendSuccess(res, { plan }, 'Treatment plan updated successfully');
+}));
+
+// Delete a treatment plan
+router.delete('/:planId', authenticateToken, requirePermission('patients:write'), validate(schemas.deletePlan), asyncHandler(async (req, res) => {
+  const deleted = await TreatmentPlanService.deletePlan(req.params.planId, req.params.patientId, req.access);
+  if (!deleted) {
+    return sendNotFoundError(res, 'Treatment plan');
+  }
+
+  sendSuccess(res, null, 'Treatment plan deleted successfully');
+}));
+
+// Add a goal to a treatment plan
+router.post('/:planId/goals', authenticateToken, requirePermission('patients:write'), validate(schemas.addGoal), resolveTimezone, asyncHandler(async (req, res) => {
+  const plan = await TreatmentPlanService.addGoal(
+    req.params.planId,
+    req.params.patientId,
+    req.body,
+    req.access,
+    getTodayInTimezone(req.timezone)
+  );
+  if (!plan) {
+    return sendNotFoundError(res, 'Treatment plan');
+  }
+
+  sendSuccess(res, { plan }, 'Goal added successfully', 201);
+}));
+
+// Update a goal (e.g. mark as achieved)
+router.put('/:planId/goals/:goalId', authenticateToken, requirePermission('patients:write'), validate(schemas.updateGoal), resolveTimezone, asyncHandler(async (req, res) => {
+  const plan = await TreatmentPlanService.updateGoal(
+    req.params.planId,
+    req.params.patientId,
+    req.params.goalId,
+    req.body,
+    req.access,
+    getTodayInTimezone(req.timezone)
+  );
+  if (!plan) {
+    return sendNotFoundError(res, 'Goal');
+  }
+
+  sendSuccess(res, { plan }, 'Goal updated successfully');
+}));
+
+// Remove a goal from a treatment plan
+router.delete('/:planId/goals/:goalId', authenticateToken, requirePermission('patients:write'), validate(schemas.deleteGoal), asyncHandler(async (req, res) => {
+  const deleted = await TreatmentPlanService.deleteGoal(
+    req.params.planId,
+    req.params.patientId,
+    req.params.goalId,
+    req.access
+  );
+  if (!deleted) {
+    return sendNotFoundError(res, 'Goal');
+  }
+
+  sendSuccess(res, null, 'Goal deleted successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Attachment request schemas
+ * Single Responsibility: Declare the params, query and body accepted by the attachment routes
+ */
+
+const Attachment = require('../models/Attachment');
+const { field } = require('../utils/schemaUtils');
+
+const ATTACHMENT_CATEGORIES = Attachment.schema.path('category').enumValues;
+
+// Mounted under /api/patients/:patientId and /api/sessions/:sessionId, so only one owner param is present
+const ownerParams = {
+  patientId: field.objectId(),
+  sessionId: field.objectId()
+};
+
+const attachmentParams = {
+  ...ownerParams,
+  attachmentId: field.objectId({ required: true })
+};
+
+const listAttachments = {
+  params: ownerParams,
+  query: {
+    category: field.string({ enum: ATTACHMENT_CATEGORIES })
+  }
+};
+
+const attachmentById = {
+  params: attachmentParams
+};
+
+// Multipart form fields sent alongside the "file" part
+const uploadAttachment = {
+  params: ownerParams,
+  body: {
+    category: field.string({ enum: ATTACHMENT_CATEGORIES }),
+    description: field.string({ max: 500 })
+  }
+};
+
+module.exports = {
+  listAttachments,
+  attachmentById,
+  uploadAttachment
+};
@@ -0,0 +1,25 @@
+/**
+ * Audit log request schemas
+ * Single Responsibility: Declare the query accepted by /api/audit
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { field } = require('../utils/schemaUtils');
+const { MAX_PAGE_SIZE } = require('../utils/databaseUtils');
+const { dateRangeQuery } = require('./common');
+
+const listEntries = {
+  query: {
+    entityType: field.string({ enum: AuditLog.schema.path('entityType').enumValues }),
+    entityId: field.objectId(),
+    actorId: field.objectId(),
+    action: field.string({ enum: AuditLog.schema.path('action').enumValues }),
+    ...dateRangeQuery,
+    page: field.integer({ min: 1, default: 1 }),
+    limit: field.integer({ min: 1, max: MAX_PAGE_SIZE, default: 50 })
+  }
+};
+
+module.exports = {
+  listEntries
+};
@@ -0,0 +1,94 @@
+/**
+ * Auth request schemas
+ * Single Responsibility: Declare the params and body accepted by /api/auth
+ */
+
+const { field } = require('../utils/schemaUtils');
+const { idParams, duration } = require('./common');
+
+const address = field.object({
+  houseNumber: field.string({ max: 100 }),
+  area: field.string({ max: 200 }),
+  pincode: field.string({ pattern: /^[A-Za-z0-9][A-Za-z0-9 -]{2,9}$/, patternMessage: 'must be a valid postal code' }),
+  city: field.string({ max: 100 }),
+  state: field.string({ max: 100 })
+});
+
+// Sent by apps so the device shows up by name in /devices (X-Device-Name/X-Platform headers also work)
+const deviceFields = {
+  deviceName: field.string({ max: 100 }),
+  platform: field.string({ max: 50 })
+};
+
+/**
+ * Profile fields, required where signing up needs them
+ * @param {boolean} isNew - Whether the account is being created
+ * @returns {Object} Body schema fields
+ */
+const profileFields = (isNew) => ({
+  email: field.email({ required: isNew }),
+  name: field.string({ required: isNew, min: 1, max: 200 }),
+  phoneNumber: field.phone({ required: isNew }),
+  address,
+  highestQualification: field.string({ max: 200 }),
+  timezone: field.timezone(),
+  verificationToken: field.string({ description: 'From /api/otp/verify (required for sign-up and email changes)' })
+});
+
+const register = {
+  body: {
+    ...profileFields(true),
+    password: field.password({ required: true }),
+    ...deviceFields
+  }
+};
+
+// Existing passwords predate the strength rules, so login only checks presence
+const login = {
+  body: {
+    email: field.email({ required: true }),
+    password: field.string({ required: true, trim: false, max: 128 }),
+    ...deviceFields
+  }
+};
+
+const refreshToken = {
+  body: {
+    refreshToken: field.string({ required: true })
+  }
+};
+
+const deviceById = {
+  params: idParams('id')
+};
+
+const updateProfile = {
+  body: {
+    ...profileFields(false),
+    defaultSessionDuration: duration()
+  }
+};
+
+const forgotPassword = {
+  body: {
+    email: field.email({ required: true })
+  }
+};
+
+const resetPassword = {
+  body: {
+    email: field.email({ required: true }),
+    verificationToken: field.string({ required: true }),
+    newPassword: field.password({ required: true })
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refreshToken,
+  deviceById,
+  updateProfile,
+  forgotPassword,
+  resetPassword
+};
@@ -0,0 +1,65 @@
+/**
+ * Clinic request schemas
+ * Single Responsibility: Declare the params and body accepted by /api/clinic
+ */
+
+const Clinic = require('../models/Clinic');
+const { field } = require('../utils/schemaUtils');
+const { idParams } = require('./common');
+
+const CLINIC_ROLES = Clinic.schema.path('members').schema.path('role').enumValues;
+
+/**
+ * Clinic details, required where creating needs them
+ * @param {boolean} isNew - Whether the clinic is being created
+ * @returns {Object} Body schema
+ */
+const clinicBody = (isNew) => ({
+  name: field.string({ required: isNew, min: 1, max: 200 }),
+  address: field.string({ max: 500 }),
+  phoneNumber: field.string({ max: 30 })
+});
+
+const createClinic = {
+  body: clinicBody(true)
+};
+
+const updateClinic = {
+  body: clinicBody(false)
+};
+
+const inviteMember = {
+  body: {
+    email: field.email({ required: true, description: 'Email the invitee signs in with' }),
+    role: field.string({ required: true, enum: CLINIC_ROLES })
+  }
+};
+
+const respondToInvitation = {
+  params: idParams('invitationId')
+};
+
+const cancelInvitation = {
+  params: idParams('invitationId')
+};
+
+const updateMemberRole = {
+  params: idParams('userId'),
+  body: {
+    role: field.string({ required: true, enum: CLINIC_ROLES })
+  }
+};
+
+const removeMember = {
+  params: idParams('userId')
+};
+
+module.exports = {
+  createClinic,
+  updateClinic,
+  inviteMember,
+  respondToInvitation,
+  cancelInvitation,
+  updateMemberRole,
+  removeMember
+};
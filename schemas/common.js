@@ -0,0 +1,80 @@
+/**
+ * Shared request schema fields
+ * Single Responsibility: Field groups reused by the per-router request schemas
+ */
+
+const { field } = require('../utils/schemaUtils');
+const { MAX_PAGE_SIZE, SESSION_STATUSES } = require('../utils/databaseUtils');
+
+/**
+ * Route params that must all be ObjectIds, e.g. idParams('patientId', 'planId')
+ * @param {...string} names - Param names
+ * @returns {Object} Params schema
+ */
+const idParams = (...names) => {
+  return Object.fromEntries(names.map(name => [name, field.objectId({ required: true })]));
+};
+
+/**
+ * Sorting and opt-in cursor pagination query fields (see buildListOptions)
+ * @param {Object} sortFields - Allowed sort fields (e.g. SESSION_SORT_FIELDS)
+ * @returns {Object} Query schema fields
+ */
+const listQuery = (sortFields) => ({
+  sortBy: field.string({ enum: Object.keys(sortFields) }),
+  sortOrder: field.string({ enum: ['asc', 'desc'] }),
+  limit: field.integer({ min: 1, max: MAX_PAGE_SIZE }),
+  cursor: field.string({ description: 'nextCursor from the previous page' })
+});
+
+// Timezone override read by resolveTimezone (defaults to the user's profile timezone)
+const timezoneQuery = {
+  tz: field.timezone({ description: 'IANA timezone for "today", e.g. Asia/Kolkata' })
+};
+
+// Inclusive YYYY-MM-DD range
+const dateRangeQuery = {
+  startDate: field.date(),
+  endDate: field.date()
+};
+
+const amountRangeQuery = {
+  minAmount: field.number({ min: 0 }),
+  maxAmount: field.number({ min: 0 })
+};
+
+// Comma-separated session statuses, e.g. "pending,completed"
+const STATUS_NAMES = `(${Object.keys(SESSION_STATUSES).join('|')})`;
+const sessionStatusQuery = {
+  status: field.string({
+    pattern: new RegExp(`^${STATUS_NAMES}(\\s*,\\s*${STATUS_NAMES})*$`),
+    patternMessage: `must be one or more of: ${Object.keys(SESSION_STATUSES).join(', ')}`
+  })
+};
+
+// Session length in minutes
+const duration = (options = {}) => field.integer({ min: 5, max: 720, ...options });
+
+// Session fee; null or '' clears it
+const amount = (options = {}) => field.number({ min: 0, nullable: true, ...options });
+
+// Book despite schedule conflicts
+const force = field.boolean({ description: 'Save even if the time conflicts with other sessions' });
+
+// Downloadable document format
+const documentFormatQuery = {
+  format: field.string({ enum: ['pdf', 'html'], default: 'pdf' })
+};
+
+module.exports = {
+  idParams,
+  listQuery,
+  timezoneQuery,
+  dateRangeQuery,
+  amountRangeQuery,
+  sessionStatusQuery,
+  duration,
+  amount,
+  force,
+  documentFormatQuery
+};
@@ -0,0 +1,66 @@
+/**
+ * Earnings request schemas
+ * Single Responsibility: Declare the params and query accepted by /api/earnings
+ */
+
+const { field } = require('../utils/schemaUtils');
+const { SESSION_SORT_FIELDS } = require('../utils/databaseUtils');
+const { listQuery, timezoneQuery, dateRangeQuery, amountRangeQuery } = require('./common');
+
+const MAX_COMPARED_YEARS = 10;
+
+// Clinic owners and accountants can narrow any report to one therapist
+const earningsQuery = {
+  therapistId: field.objectId(),
+  ...dateRangeQuery
+};
+
+const earningsReport = {
+  query: earningsQuery
+};
+
+const monthDetails = {
+  params: {
+    year: field.integer({ required: true, min: 1900, max: 9999 }),
+    // Kept as sent (e.g. "03") because the response echoes it
+    month: field.string({ required: true, pattern: /^(0?[1-9]|1[0-2])$/, patternMessage: 'must be a month from 1 to 12' })
+  },
+  query: {
+    ...earningsQuery,
+    patientId: field.objectId(),
+    ...amountRangeQuery
+  }
+};
+
+const billedSessions = {
+  query: {
+    ...earningsQuery,
+    patientId: field.objectId(),
+    ...amountRangeQuery,
+    ...listQuery(SESSION_SORT_FIELDS)
+  }
+};
+
+const yearOverYear = {
+  query: {
+    ...earningsQuery,
+    years: field.array(field.integer({ min: 1900, max: 9999 }), {
+      min: 1,
+      max: MAX_COMPARED_YEARS,
+      description: 'Comma-separated years (default: last year and this year)'
+    }),
+    ...timezoneQuery
+  }
+};
+
+const testSession = {
+  query: timezoneQuery
+};
+
+module.exports = {
+  earningsReport,
+  monthDetails,
+  billedSessions,
+  yearOverYear,
+  testSession
+};
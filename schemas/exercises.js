@@ -0,0 +1,62 @@
+/**
+ * Exercise library request schemas
+ * Single Responsibility: Declare the params, query and body accepted by /api/exercises
+ */
+
+const { field } = require('../utils/schemaUtils');
+const { EXERCISE_IMAGE_TYPES } = require('../config/uploads');
+const { idParams } = require('./common');
+
+// Default dosage; null clears it
+const dosage = (description) => field.integer({ min: 1, nullable: true, description });
+
+/**
+ * Exercise fields, required where creating needs them
+ * @param {boolean} isNew - Whether the exercise is being created
+ * @returns {Object} Body schema
+ */
+const exerciseBody = (isNew) => ({
+  name: field.string({ required: isNew, min: 1, max: 200 }),
+  instructions: field.string({ max: 5000 }),
+  bodyRegion: field.string({ max: 100 }),
+  sets: dosage(),
+  reps: dosage(),
+  holdSeconds: dosage('Seconds to hold each rep')
+});
+
+const listExercises = {
+  query: {
+    search: field.string({ max: 100, description: 'Matches the exercise name' }),
+    bodyRegion: field.string({ max: 100 })
+  }
+};
+
+const exerciseById = {
+  params: idParams('id')
+};
+
+const createExercise = {
+  body: exerciseBody(true)
+};
+
+const updateExercise = {
+  params: idParams('id'),
+  body: exerciseBody(false)
+};
+
+// Base64 JSON alternative to the multipart "image" field
+const saveImage = {
+  params: idParams('id'),
+  body: {
+    data: field.string({ description: 'Base64-encoded image (when not sent as multipart)' }),
+    mimeType: field.string({ enum: Object.keys(EXERCISE_IMAGE_TYPES) })
+  }
+};
+
+module.exports = {
+  listExercises,
+  exerciseById,
+  createExercise,
+  updateExercise,
+  saveImage
+};
@@ -0,0 +1,36 @@
+/**
+ * Export request schemas
+ * Single Responsibility: Declare the query accepted by /api/exports
+ */
+
+const { field } = require('../utils/schemaUtils');
+const { EXPORT_FORMATS } = require('../services/exportService');
+const { dateRangeQuery } = require('./common');
+
+const exportQuery = {
+  format: field.string({ enum: EXPORT_FORMATS, default: 'csv' }),
+  ...dateRangeQuery
+};
+
+const exportPatients = {
+  query: { format: exportQuery.format }
+};
+
+const exportSessions = {
+  query: {
+    ...exportQuery,
+    patientId: field.objectId(),
+    completed: field.boolean(),
+    includeCancelled: field.boolean()
+  }
+};
+
+const exportEarnings = {
+  query: exportQuery
+};
+
+module.exports = {
+  exportPatients,
+  exportSessions,
+  exportEarnings
+};
@@ -0,0 +1,51 @@
+/**
+ * Invoice request schemas
+ * Single Responsibility: Declare the params, query and body accepted by /api/invoices
+ */
+
+const Invoice = require('../models/Invoice');
+const { field } = require('../utils/schemaUtils');
+const { idParams, timezoneQuery, documentFormatQuery } = require('./common');
+
+const INVOICE_STATUSES = Invoice.schema.path('status').enumValues;
+
+const listInvoices = {
+  query: {
+    patientId: field.objectId(),
+    status: field.string({ enum: INVOICE_STATUSES })
+  }
+};
+
+const invoiceById = {
+  params: idParams('id')
+};
+
+const downloadInvoice = {
+  params: idParams('id'),
+  query: documentFormatQuery
+};
+
+const createInvoice = {
+  query: timezoneQuery,
+  body: {
+    patientId: field.objectId({ required: true }),
+    startDate: field.date({ description: 'First session date to bill (default: all unbilled sessions)' }),
+    endDate: field.date(),
+    notes: field.string({ max: 2000 })
+  }
+};
+
+const updateStatus = {
+  params: idParams('id'),
+  body: {
+    status: field.string({ required: true, enum: INVOICE_STATUSES })
+  }
+};
+
+module.exports = {
+  listInvoices,
+  invoiceById,
+  downloadInvoice,
+  createInvoice,
+  updateStatus
+};
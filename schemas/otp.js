@@ -0,0 +1,41 @@
+/**
+ * OTP request schemas
+ * Single Responsibility: Declare the body accepted by /api/otp
+ */
+
+const OTP = require('../models/OTP');
+const { field } = require('../utils/schemaUtils');
+
+const OTP_PURPOSES = OTP.schema.path('purpose').enumValues;
+
+const purpose = field.string({ enum: OTP_PURPOSES, default: 'signup' });
+
+const otp = field.string({ required: true, pattern: /^\d{6}$/, patternMessage: 'must be the 6-digit code' });
+
+const sendOtp = {
+  body: {
+    email: field.email({ required: true }),
+    purpose
+  }
+};
+
+const verifyOtp = {
+  body: {
+    email: field.email({ required: true }),
+    otp,
+    purpose
+  }
+};
+
+const verifyPasswordResetOtp = {
+  body: {
+    email: field.email({ required: true }),
+    otp
+  }
+};
+
+module.exports = {
+  sendOtp,
+  verifyOtp,
+  verifyPasswordResetOtp
+};
@@ -0,0 +1,67 @@
+/**
+ * Outcome measure request schemas
+ * Single Responsibility: Declare the params, query and body accepted by /api/patients/:patientId/measures
+ */
+
+const { field } = require('../utils/schemaUtils');
+const { MEASURE_TYPES } = require('../utils/outcomeMeasureUtils');
+const { idParams, dateRangeQuery } = require('./common');
+
+/**
+ * Measurement fields; which ones each type needs is checked by normalizeMeasure
+ * @param {boolean} requireType - Whether type must be present
+ * @returns {Object} Measurement schema fields
+ */
+const measureFields = (requireType) => ({
+  type: field.string({ required: requireType, enum: MEASURE_TYPES }),
+  value: field.any({ description: 'Pain 0-10, ROM degrees, questionnaire score or MMT grade' }),
+  scale: field.string({ max: 20, description: 'Pain scale (VAS or NPRS)' }),
+  side: field.string({ max: 20 }),
+  joint: field.string({ max: 100 }),
+  movement: field.string({ max: 100 }),
+  muscle: field.string({ max: 100 }),
+  grade: field.string({ max: 2, description: 'MMT grade, e.g. 4+' }),
+  instrument: field.string({ max: 50, description: 'Questionnaire, e.g. oswestry' })
+});
+
+const measureFilters = {
+  type: field.string({ enum: MEASURE_TYPES }),
+  key: field.string({ max: 200, description: 'Series key, e.g. rom:knee:flexion:left' }),
+  ...dateRangeQuery
+};
+
+const listMeasures = {
+  params: idParams('patientId'),
+  query: {
+    ...measureFilters,
+    sessionId: field.objectId()
+  }
+};
+
+const measureSeries = {
+  params: idParams('patientId'),
+  query: measureFilters
+};
+
+// Either { measures: [...] } or the fields of a single measure at the top level
+const recordMeasures = {
+  params: idParams('patientId'),
+  body: {
+    measures: field.array(field.object(measureFields(true)), { min: 1 }),
+    ...measureFields(false),
+    sessionId: field.objectId({ nullable: true }),
+    date: field.date({ description: 'Defaults to today' }),
+    notes: field.string({ max: 2000 })
+  }
+};
+
+const measureById = {
+  params: idParams('patientId', 'measureId')
+};
+
+module.exports = {
+  listMeasures,
+  measureSeries,
+  recordMeasures,
+  measureById
+};
@@ -0,0 +1,102 @@
+/**
+ * Patient request schemas
+ * Single Responsibility: Declare the params, query and body accepted by /api/patients
+ */
+
+const Patient = require('../models/Patient');
+const { field } = require('../utils/schemaUtils');
+const { PATIENT_SORT_FIELDS } = require('../utils/databaseUtils');
+const { idParams, listQuery, timezoneQuery, dateRangeQuery, duration, amount, force } = require('./common');
+
+const GENDERS = Patient.schema.path('gender').enumValues;
+
+const MAX_SEARCH_RESULTS = 25;
+
+/**
+ * Patient fields, required where creating needs them
+ * @param {boolean} isNew - Whether the patient is being created
+ * @returns {Object} Body schema
+ */
+const patientBody = (isNew) => ({
+  name: field.string({ required: isNew, min: 1, max: 200 }),
+  contactNumber: field.string({ max: 30, nullable: true }),
+  age: field.integer({ required: isNew, min: 0, max: 150 }),
+  gender: field.string({ required: isNew, enum: GENDERS }),
+  therapistId: field.objectId({ nullable: true, description: 'Therapist within the clinic (clinic accounts only)' })
+});
+
+const listPatients = {
+  query: {
+    therapistId: field.objectId(),
+    gender: field.string({ enum: GENDERS }),
+    status: field.string({ enum: ['active', 'inactive'], description: 'active = has pending sessions' }),
+    ...dateRangeQuery,
+    ...listQuery(PATIENT_SORT_FIELDS)
+  }
+};
+
+const searchPatients = {
+  query: {
+    q: field.string({ required: true, max: 100, description: 'Name (any spelling) or phone digits' }),
+    limit: field.integer({ min: 1, max: MAX_SEARCH_RESULTS, default: 10 }),
+    ...timezoneQuery
+  }
+};
+
+const createPatient = {
+  body: patientBody(true)
+};
+
+// The CSV arrives as a text/csv body or JSON { csv }
+const importPatients = {
+  query: {
+    dryRun: field.boolean({ default: false, description: 'Preview without saving' }),
+    includeDuplicates: field.boolean({ default: false })
+  },
+  body: field.oneOf([
+    field.string({ required: true, description: 'CSV text (text/csv or text/plain)' }),
+    field.object({ csv: field.string({ required: true, description: 'CSV text' }) })
+  ], { required: true, oneOfMessage: 'must be CSV text or an object with a csv field' })
+};
+
+const updatePatient = {
+  params: idParams('id'),
+  body: patientBody(false)
+};
+
+const patientById = {
+  params: idParams('id')
+};
+
+const updatePatientSessions = {
+  params: idParams('id'),
+  body: {
+    notes: field.string({ max: 5000 }),
+    time: field.time(),
+    duration: duration(),
+    amount: amount(),
+    force
+  }
+};
+
+const restorePatient = {
+  params: idParams('id')
+};
+
+const activeSessions = {
+  body: {
+    patientIds: field.array(field.objectId(), { required: true, max: 1000 })
+  }
+};
+
+module.exports = {
+  listPatients,
+  searchPatients,
+  createPatient,
+  importPatients,
+  updatePatient,
+  patientById,
+  updatePatientSessions,
+  restorePatient,
+  activeSessions
+};
@@ -0,0 +1,43 @@
+/**
+ * Payment request schemas
+ * Single Responsibility: Declare the params, query and body accepted by /api/payments
+ */
+
+const Payment = require('../models/Payment');
+const { field } = require('../utils/schemaUtils');
+const { PAYMENT_SORT_FIELDS } = require('../utils/databaseUtils');
+const { idParams, listQuery, dateRangeQuery, amountRangeQuery } = require('./common');
+
+const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+const listPayments = {
+  query: {
+    patientId: field.objectId(),
+    method: field.string({ enum: PAYMENT_METHODS }),
+    ...dateRangeQuery,
+    ...amountRangeQuery,
+    ...listQuery(PAYMENT_SORT_FIELDS)
+  }
+};
+
+const recordPayment = {
+  body: {
+    patientId: field.objectId({ required: true }),
+    amount: field.number({ required: true, exclusiveMin: 0 }),
+    method: field.string({ required: true, enum: PAYMENT_METHODS }),
+    date: field.date({ required: true }),
+    reference: field.string({ max: 200, description: 'UPI/card/bank transaction reference' }),
+    notes: field.string({ max: 2000 }),
+    sessionIds: field.array(field.objectId(), { description: 'Sessions this payment settles' })
+  }
+};
+
+const paymentById = {
+  params: idParams('id')
+};
+
+module.exports = {
+  listPayments,
+  recordPayment,
+  paymentById
+};
@@ -0,0 +1,67 @@
+/**
+ * Exercise prescription request schemas
+ * Single Responsibility: Declare the params, query and body accepted by /api/patients/:patientId/prescriptions
+ */
+
+const { field } = require('../utils/schemaUtils');
+const { idParams, timezoneQuery, documentFormatQuery } = require('./common');
+
+// Dosage overrides the exercise's defaults; null falls back to them
+const dosage = () => field.integer({ min: 1, nullable: true });
+
+const prescribedExercise = field.object({
+  exerciseId: field.objectId({ required: true }),
+  sets: dosage(),
+  reps: dosage(),
+  holdSeconds: dosage(),
+  frequency: field.string({ max: 100, description: 'e.g. "twice daily"' }),
+  notes: field.string({ max: 1000 })
+});
+
+/**
+ * Prescription fields, required where creating needs them
+ * @param {boolean} isNew - Whether the prescription is being created
+ * @returns {Object} Body schema
+ */
+const prescriptionBody = (isNew) => ({
+  exercises: field.array(prescribedExercise, { required: isNew, min: 1 }),
+  startDate: field.date({ description: 'Defaults to today' }),
+  endDate: field.date({ nullable: true }),
+  sessionId: field.objectId({ nullable: true, description: 'Session the prescription was given or changed at' }),
+  notes: field.string({ max: 2000 })
+});
+
+const listPrescriptions = {
+  params: idParams('patientId'),
+  query: {
+    activeOn: field.date({ description: 'Only prescriptions running on this date' })
+  }
+};
+
+const prescriptionById = {
+  params: idParams('patientId', 'prescriptionId')
+};
+
+const downloadHandout = {
+  params: idParams('patientId', 'prescriptionId'),
+  query: documentFormatQuery
+};
+
+const createPrescription = {
+  params: idParams('patientId'),
+  query: timezoneQuery,
+  body: prescriptionBody(true)
+};
+
+const updatePrescription = {
+  params: idParams('patientId', 'prescriptionId'),
+  body: prescriptionBody(false)
+};
+
+module.exports = {
+  listPrescriptions,
+  prescriptionById,
+  downloadHandout,
+  createPrescription,
+  updatePrescription
+};
@@ -0,0 +1,74 @@
+/**
+ * Recurring series request schemas
+ * Single Responsibility: Declare the params, query and body accepted by /api/series
+ */
+
+const SessionSeries = require('../models/SessionSeries');
+const { field } = require('../utils/schemaUtils');
+const { FREQUENCIES, EDIT_SCOPES, MAX_OCCURRENCES } = require('../utils/recurrenceUtils');
+const { idParams, timezoneQuery, duration, amount, force } = require('./common');
+
+// Field formats only; until/count and "produces at least one session" are checked by validateRecurrence
+const recurrence = field.object({
+  frequency: field.string({ required: true, enum: FREQUENCIES }),
+  interval: field.integer({ min: 1, description: 'Every n days or weeks (default 1)' }),
+  daysOfWeek: field.array(field.integer({ min: 0, max: 6 }), {
+    description: '0 (Sunday) to 6 (Saturday); weekly rules default to the start date\'s weekday'
+  }),
+  until: field.date(),
+  count: field.integer({ min: 1, max: MAX_OCCURRENCES })
+}, { required: true });
+
+const listSeries = {
+  query: {
+    patientId: field.objectId(),
+    status: field.string({ enum: SessionSeries.schema.path('status').enumValues })
+  }
+};
+
+const seriesById = {
+  params: idParams('id')
+};
+
+const createSeries = {
+  body: {
+    patientId: field.objectId({ required: true }),
+    therapistId: field.objectId({ description: 'Clinic therapist running the series (default: the patient\'s therapist)' }),
+    startDate: field.date({ required: true }),
+    time: field.time({ required: true }),
+    duration: duration(),
+    notes: field.string({ max: 5000 }),
+    amount: amount(),
+    recurrence,
+    force
+  }
+};
+
+const updateOccurrences = {
+  params: idParams('id', 'sessionId'),
+  body: {
+    scope: field.string({ enum: EDIT_SCOPES, default: 'this' }),
+    date: field.date({ description: 'Only when scope is "this"' }),
+    time: field.time(),
+    duration: duration(),
+    notes: field.string({ max: 5000 }),
+    amount: amount(),
+    force
+  }
+};
+
+const endSeries = {
+  params: idParams('id'),
+  query: timezoneQuery,
+  body: {
+    endDate: field.date({ description: 'Last day to keep (defaults to today)' })
+  }
+};
+
+module.exports = {
+  listSeries,
+  seriesById,
+  createSeries,
+  updateOccurrences,
+  endSeries
+};
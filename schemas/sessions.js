@@ -0,0 +1,130 @@
+/**
+ * Session request schemas
+ * Single Responsibility: Declare the params, query and body accepted by /api/sessions
+ */
+
+const { field } = require('../utils/schemaUtils');
+const { SESSION_SORT_FIELDS } = require('../utils/databaseUtils');
+const {
+  idParams,
+  listQuery,
+  timezoneQuery,
+  dateRangeQuery,
+  amountRangeQuery,
+  sessionStatusQuery,
+  duration,
+  amount,
+  force
+} = require('./common');
+
+/**
+ * Session fields, required where creating needs them
+ * @param {boolean} isNew - Whether the session is being created
+ * @returns {Object} Body schema
+ */
+const sessionFields = (isNew) => ({
+  patientId: field.objectId({ required: isNew }),
+  patientName: field.string({ required: isNew, min: 1, max: 200 }),
+  date: field.date({ required: isNew }),
+  time: field.time({ required: isNew }),
+  duration: duration({ description: "Minutes (defaults to the therapist's default session duration)" }),
+  notes: field.string({ max: 5000 }),
+  completed: field.boolean(),
+  cancelled: field.boolean(),
+  amount: amount()
+});
+
+// Schedule to show (see buildScheduleScope)
+const therapistIdQuery = {
+  therapistId: field.string({
+    pattern: /^(all|[0-9a-f]{24})$/i,
+    patternMessage: 'must be a valid ID or "all"',
+    description: 'Therapist whose schedule to show (clinic accounts; "all" for the whole clinic)'
+  })
+};
+
+// Past, today and upcoming lists share their filters, sorting and pagination
+const sessionList = (extraQuery = {}) => ({
+  query: {
+    ...therapistIdQuery,
+    patientId: field.objectId(),
+    ...dateRangeQuery,
+    ...sessionStatusQuery,
+    ...amountRangeQuery,
+    ...listQuery(SESSION_SORT_FIELDS),
+    ...timezoneQuery,
+    ...extraQuery
+  }
+});
+
+const listPastSessions = sessionList({
+  includeCancelled: field.boolean({ default: false })
+});
+
+const listTodaySessions = sessionList();
+
+const listUpcomingSessions = sessionList();
+
+const listConflicts = {
+  query: {
+    ...therapistIdQuery,
+    ...dateRangeQuery
+  }
+};
+
+const sessionById = {
+  params: idParams('id')
+};
+
+const restoreSession = {
+  params: idParams('id'),
+  body: { force }
+};
+
+// Every SOAP section is free text; null clears it
+const saveNote = {
+  params: idParams('id'),
+  body: {
+    subjective: field.string({ nullable: true }),
+    objective: field.string({ nullable: true }),
+    assessment: field.string({ nullable: true }),
+    plan: field.string({ nullable: true }),
+    modalities: field.array(field.string({ min: 1, max: 100 }))
+  }
+};
+
+const createSession = {
+  body: {
+    ...sessionFields(true),
+    force
+  }
+};
+
+const createSessions = {
+  body: {
+    sessions: field.array(field.object(sessionFields(true)), { required: true, min: 1 }),
+    force
+  }
+};
+
+const updateSession = {
+  params: idParams('id'),
+  body: {
+    ...sessionFields(false),
+    therapistId: field.objectId({ description: 'Reassign to another therapist in the clinic' }),
+    force
+  }
+};
+
+module.exports = {
+  listPastSessions,
+  listTodaySessions,
+  listUpcomingSessions,
+  listConflicts,
+  sessionById,
+  restoreSession,
+  saveNote,
+  createSession,
+  createSessions,
+  updateSession
+};
@@ -0,0 +1,97 @@
+/**
+ * Treatment plan request schemas
+ * Single Responsibility: Declare the params, query and body accepted by /api/patients/:patientId/plans
+ */
+
+const TreatmentPlan = require('../models/TreatmentPlan');
+const { field } = require('../utils/schemaUtils');
+const { idParams, timezoneQuery } = require('./common');
+
+const PLAN_STATUSES = TreatmentPlan.schema.path('status').enumValues;
+const GOAL_STATUSES = TreatmentPlan.schema.path('goals').schema.path('status').enumValues;
+
+/**
+ * Goal fields, required where creating needs them
+ * @param {boolean} isNew - Whether the goal is being created
+ * @returns {Object} Goal schema fields
+ */
+const goalFields = (isNew) => ({
+  description: field.string({ required: isNew, min: 1, max: 500 }),
+  metric: field.string({ max: 100, description: 'What is measured, e.g. "knee flexion"' }),
+  targetValue: field.number({ nullable: true }),
+  unit: field.string({ max: 50 }),
+  targetDate: field.date({ nullable: true }),
+  status: field.string({ enum: GOAL_STATUSES })
+});
+
+/**
+ * Plan fields, required where creating needs them
+ * @param {boolean} isNew - Whether the plan is being created
+ * @returns {Object} Body schema
+ */
+const planBody = (isNew) => ({
+  diagnosis: field.string({ required: isNew, min: 1, max: 500 }),
+  condition: field.string({ max: 200 }),
+  plannedSessions: field.integer({ required: isNew, min: 1 }),
+  sessionsPerWeek: field.number({ required: isNew, min: 1, max: 14 }),
+  startDate: field.date({ description: 'Defaults to today' }),
+  endDate: field.date({ nullable: true }),
+  status: field.string({ enum: PLAN_STATUSES }),
+  notes: field.string({ max: 5000 })
+});
+
+const listPlans = {
+  params: idParams('patientId'),
+  query: timezoneQuery
+};
+
+const planById = {
+  params: idParams('patientId', 'planId'),
+  query: timezoneQuery
+};
+
+const createPlan = {
+  params: idParams('patientId'),
+  query: timezoneQuery,
+  body: {
+    ...planBody(true),
+    goals: field.array(field.object(goalFields(true)))
+  }
+};
+
+const updatePlan = {
+  params: idParams('patientId', 'planId'),
+  query: timezoneQuery,
+  body: planBody(false)
+};
+
+const deletePlan = {
+  params: idParams('patientId', 'planId')
+};
+
+const addGoal = {
+  params: idParams('patientId', 'planId'),
+  query: timezoneQuery,
+  body: goalFields(true)
+};
+
+const updateGoal = {
+  params: idParams('patientId', 'planId', 'goalId'),
+  query: timezoneQuery,
+  body: goalFields(false)
+};
+
+const deleteGoal = {
+  params: idParams('patientId', 'planId', 'goalId')
+};
+
+module.exports = {
+  listPlans,
+  planById,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  addGoal,
+  updateGoal,
+  deleteGoal
+};
@@ -0,0 +1,25 @@
+/**
+ * API docs check
+ * Single Responsibility: Fail when a route has no OpenAPI docs entry, or an entry has no route
+ *
+ * Run with `npm run check-api-docs` (also run by `npm test`).
+ */
+
+const apiRouter = require('../routes');
+const ApiDocsService = require('../services/apiDocsService');
+
+const { undocumented, unknown } = ApiDocsService.checkDocs(apiRouter);
+
+if (undocumented.length > 0) {
+  console.error(`Routes without an OpenAPI docs entry (add them to openapi/):\n  ${undocumented.join('\n  ')}`);
+}
+if (unknown.length > 0) {
+  console.error(`OpenAPI docs entries without a route (remove or rename them):\n  ${unknown.join('\n  ')}`);
+}
+
+if (undocumented.length === 0 && unknown.length === 0) {
+  console.log(`API docs cover all ${ApiDocsService.listRoutes(apiRouter).length} routes`);
+}
+
+// Loading the routers starts timers (e.g. OTP cleanup), so exit explicitly
+process.exit(undocumented.length > 0 || unknown.length > 0 ? 1 : 0);
@@ -2,29 +2,37 @@ const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/database');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { legacyResponses } = require('./middleware/legacyApi');
+const { startTrashPurge } = require('./jobs/purgeTrash');
 require('dotenv').config();
 
 const app = express();
 
+// Behind a load balancer or reverse proxy set TRUST_PROXY (e.g. "1" for one hop) so
+// req.ip - used for rate limits, audit entries and device lists - is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Connect to MongoDB
 connectDB();
 
+// Permanently remove trashed patients and sessions past the retention window
+startTrashPurge();
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Routes
-app.use('/api/auth', require('./routes/auth'));
-app.use('/api/patients', require('./routes/patients'));
-app.use('/api/sessions', require('./routes/sessions'));
-app.use('/api/otp', require('./routes/otp'));
-app.use('/api/earnings', require('./routes/earnings'));
+// API docs: interactive viewer at /api/docs, OpenAPI document at /api/docs/openapi.json
+app.use('/api/docs', require('./routes/docs'));
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Rehabiri API is running' });
-});
+// Routes: /api/v1 is current; unversioned /api stays for older app builds
+const api = require('./routes');
+app.use('/api/v1', api);
+app.use('/api', legacyResponses, api);
 
 // Error handling middleware (must be after routes)
 app.use(notFound);
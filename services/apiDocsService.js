@@ -0,0 +1,270 @@
+/**
+ * API Docs Service Layer
+ * Single Responsibility: Build the OpenAPI document from the mounted routes, their request
+ * schemas (validate middleware) and the per-router docs modules in openapi/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { authenticateToken } = require('../middleware/auth');
+const { descriptorToSchema, propertiesToSchema, objectOf } = require('../utils/openApiUtils');
+const { isDescriptor } = require('../utils/schemaUtils');
+const { schemas } = require('../openapi/components');
+const { version } = require('../package.json');
+
+const OPENAPI_VERSION = '3.0.3';
+const OPENAPI_DIR = path.join(__dirname, '..', 'openapi');
+const MINUTE_MS = 60 * 1000;
+
+const API_DESCRIPTION = [
+  'Every JSON response uses one envelope. Successes are `{ success: true, message, data }`;',
+  'errors are `{ success: false, error, code }` plus any details (e.g. `errors` for invalid fields),',
+  'where `code` is a stable machine-readable error code.',
+  '',
+  'The unversioned `/api` routes remain for older app builds: they serve the same endpoints, but',
+  'auth, OTP, health and session create/update/delete answer with the flat pre-v1 bodies.'
+].join('\n');
+
+// Shared error responses by status (components.responses)
+const ERROR_RESPONSES = {
+  400: { name: 'BadRequest', description: 'Invalid request; VALIDATION_ERROR lists every invalid field in `errors`' },
+  401: { name: 'Unauthorized', description: 'Missing, invalid, expired or revoked access token' },
+  403: { name: 'Forbidden', description: "The user's clinic role lacks the required permission" },
+  404: { name: 'NotFound', description: 'Not found, or not visible to the user' },
+  409: { name: 'Conflict', description: 'Conflicts with existing data; SCHEDULE_CONFLICT lists clashing sessions in `conflicts`' },
+  413: { name: 'PayloadTooLarge', description: 'File or body too large' },
+  415: { name: 'UnsupportedMediaType', description: 'File type not accepted' },
+  429: { name: 'TooManyRequests', description: 'Rate limited, or account locked after failed sign-ins; retry after `Retry-After` seconds' }
+};
+
+// Documented routes are those whose router module has a docs module of the same name
+const docsModules = new Map();
+
+/**
+ * Load the docs module for a router module
+ * @param {string} name - Router module name (see ROUTE_MOUNTS in routes/index.js)
+ * @returns {Object|null} { tag, description, operations } or null if there is none
+ */
+const loadDocs = (name) => {
+  if (!docsModules.has(name)) {
+    const file = path.join(OPENAPI_DIR, `${name}.js`);
+    docsModules.set(name, fs.existsSync(file) ? require(file) : null);
+  }
+  return docsModules.get(name);
+};
+
+/**
+ * Convert an Express path to an OpenAPI path ("/patients/:id/" -> "/patients/{id}")
+ * @param {string} expressPath - Express route path
+ * @returns {string} OpenAPI path
+ */
+const toOpenApiPath = (expressPath) => {
+  const openApiPath = expressPath.replace(/:(\w+)/g, '{$1}').replace(/\/+$/, '');
+  return openApiPath || '/';
+};
+
+/**
+ * Find the first route handler carrying a docs annotation
+ * @param {Array<Function>} handlers - Route handlers
+ * @param {string} property - Annotation (schema, permission, rateLimit, upload)
+ * @returns {*} Annotation value or undefined
+ */
+const findAnnotation = (handlers, property) => {
+  const handler = handlers.find(candidate => candidate[property]);
+  return handler && handler[property];
+};
+
+/**
+ * Describe a rate limit for an operation description
+ * @param {Object} limits - { ip, email }, each { windowMs, max }
+ * @returns {string} Description
+ */
+const describeRateLimit = (limits) => {
+  const parts = ['ip', 'email']
+    .filter(key => limits[key])
+    .map(key => `${limits[key].max} per ${limits[key].windowMs / MINUTE_MS} minutes per ${key === 'ip' ? 'IP address' : 'email address'}`);
+  return `Rate limited to ${parts.join(' and ')}.`;
+};
+
+/**
+ * Build the success response envelope schema
+ * @param {Object} data - Response data properties (see objectOf), or undefined when data is null
+ * @returns {Object} OpenAPI schema
+ */
+const buildSuccessSchema = (data) => ({
+  type: 'object',
+  required: ['success', 'message', 'data'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    message: { type: 'string' },
+    data: data ? objectOf(data) : { type: 'object', nullable: true, description: 'Always null' }
+  }
+});
+
+class ApiDocsService {
+  /**
+   * List every route of the API router
+   * @param {Object} apiRouter - Router from routes/index.js (with its mounts)
+   * @returns {Array} Routes [{ name, method, key, path, handlers }]; key is "METHOD /path" within its router
+   */
+  static listRoutes(apiRouter) {
+    const mounts = [{ path: '', name: 'index', router: apiRouter }, ...apiRouter.mounts];
+
+    return mounts.flatMap(mount => mount.router.stack
+      .filter(layer => layer.route)
+      .flatMap(layer => Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .map(method => ({
+          name: mount.name,
+          method,
+          key: `${method.toUpperCase()} ${layer.route.path}`,
+          path: toOpenApiPath(`${mount.path}${layer.route.path}`),
+          handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+        }))));
+  }
+
+  /**
+   * Compare the routes with the docs modules
+   * @param {Object} apiRouter - Router from routes/index.js
+   * @returns {Object} { undocumented, unknown } as "METHOD /path" lists: routes without a docs
+   * entry, and docs entries without a route
+   */
+  static checkDocs(apiRouter) {
+    const routes = this.listRoutes(apiRouter);
+
+    const undocumented = routes
+      .filter(route => !loadDocs(route.name)?.operations[route.key])
+      .map(route => `${route.method.toUpperCase()} ${route.path} (openapi/${route.name}.js "${route.key}")`);
+
+    const routeKeys = new Set(routes.map(route => `${route.name}:${route.key}`));
+    const unknown = [...new Set(routes.map(route => route.name))].flatMap(name =>
+      Object.keys(loadDocs(name)?.operations || {})
+        .filter(key => !routeKeys.has(`${name}:${key}`))
+        .map(key => `openapi/${name}.js "${key}"`)
+    );
+
+    return { undocumented, unknown };
+  }
+
+  /**
+   * Build the OpenAPI operation for a route
+   * @param {Object} route - Route from listRoutes
+   * @param {Object} docs - Docs module of the route's router
+   * @param {Object} entry - Docs entry { summary, description, status, data, produces, requestBody, errors }
+   * @returns {Object} OpenAPI operation object
+   */
+  static buildOperation(route, docs, entry) {
+    const schema = findAnnotation(route.handlers, 'schema') || {};
+    const permission = findAnnotation(route.handlers, 'permission');
+    const rateLimit = findAnnotation(route.handlers, 'rateLimit');
+    const upload = findAnnotation(route.handlers, 'upload');
+    const isAuthenticated = route.handlers.includes(authenticateToken);
+
+    const pathParams = [...route.path.matchAll(/{(\w+)}/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: schema.params?.[name] ? descriptorToSchema(schema.params[name]) : { type: 'string' }
+    }));
+    const queryParams = Object.entries(schema.query || {}).map(([name, descriptor]) => ({
+      name,
+      in: 'query',
+      required: Boolean(descriptor.required),
+      schema: descriptorToSchema(descriptor),
+      ...(descriptor.type === 'array' && { style: 'form', explode: false })
+    }));
+
+    let requestBody = entry.requestBody;
+    if (!requestBody && upload) {
+      const formSchema = propertiesToSchema(schema.body || {});
+      formSchema.properties[upload.fieldName] = {
+        type: 'string',
+        format: 'binary',
+        description: `${upload.mimeTypes.join(', ')}; at most ${Math.floor(upload.maxBytes / (1024 * 1024))}MB`
+      };
+      formSchema.required = [...(formSchema.required || []), upload.fieldName];
+      requestBody = { required: true, content: { 'multipart/form-data': { schema: formSchema } } };
+    } else if (!requestBody && schema.body) {
+      const bodySchema = isDescriptor(schema.body) ? descriptorToSchema(schema.body) : propertiesToSchema(schema.body);
+      requestBody = { required: true, content: { 'application/json': { schema: bodySchema } } };
+    }
+
+    const errorStatuses = new Set(entry.errors || []);
+    if (schema.params || schema.query || schema.body || requestBody) errorStatuses.add(400);
+    if (isAuthenticated) errorStatuses.add(401);
+    if (permission) errorStatuses.add(403);
+    if (pathParams.length > 0) errorStatuses.add(404);
+    if (upload) [413, 415].forEach(status => errorStatuses.add(status));
+    if (rateLimit) errorStatuses.add(429);
+
+    const successContent = entry.produces
+      ? Object.fromEntries(entry.produces.map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+      : { 'application/json': { schema: buildSuccessSchema(entry.data) } };
+
+    const responses = { [entry.status || 200]: { description: 'Success', content: successContent } };
+    for (const status of [...errorStatuses].sort((a, b) => a - b)) {
+      responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` };
+    }
+
+    const description = [
+      entry.description,
+      permission && `Requires the \`${permission}\` permission.`,
+      rateLimit && describeRateLimit(rateLimit)
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      tags: [docs.tag],
+      summary: entry.summary,
+      ...(description && { description }),
+      security: isAuthenticated ? [{ bearerAuth: [] }] : [],
+      ...(pathParams.length + queryParams.length > 0 && { parameters: [...pathParams, ...queryParams] }),
+      ...(requestBody && { requestBody }),
+      responses
+    };
+  }
+
+  /**
+   * Build the OpenAPI document for the API (routes without docs entries are left out)
+   * @param {Object} apiRouter - Router from routes/index.js
+   * @returns {Object} OpenAPI 3 document
+   */
+  static buildDocument(apiRouter) {
+    const paths = {};
+    const tags = new Map();
+
+    for (const route of this.listRoutes(apiRouter)) {
+      const docs = loadDocs(route.name);
+      const entry = docs?.operations[route.key];
+      if (!entry) continue;
+
+      if (!tags.has(docs.tag)) tags.set(docs.tag, docs.description);
+      paths[route.path] = {
+        ...paths[route.path],
+        [route.method]: this.buildOperation(route, docs, entry)
+      };
+    }
+
+    const responses = Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, { name, description }]) => [name, {
+      description,
+      ...(status === '429' && { headers: { 'Retry-After': { schema: { type: 'integer' } } } }),
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    }]));
+
+    return {
+      openapi: OPENAPI_VERSION,
+      info: { title: 'Rehabiri API', version, description: API_DESCRIPTION },
+      servers: [{ url: '/api/v1' }],
+      tags: [...tags].map(([name, description]) => ({ name, description })),
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+        },
+        schemas,
+        responses
+      }
+    };
+  }
+}
+
+module.exports = ApiDocsService;
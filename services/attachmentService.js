@@ -0,0 +1,187 @@
+/**
+ * Attachment Service Layer
+ * Single Responsibility: Handle files attached to patients and sessions
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const { transformDocuments } = require('../utils/responseUtils');
+const { buildAccessScope } = require('../utils/accessUtils');
+const { getStorage } = require('./fileStorage');
+const { ATTACHMENT_TYPES } = require('../config/uploads');
+
+/**
+ * Resolve the patient (and session) an attachment belongs to
+ * @param {Object} owner - { patientId } or { sessionId }
+ * @param {Object} access - Access context
+ * @returns {Promise<Object|null>} { patientId, sessionId } or null if not found or not visible
+ */
+const resolveOwner = async (owner, access) => {
+  if (owner.sessionId) {
+    const session = await Session.findOne({ _id: owner.sessionId, ...buildAccessScope(access) })
+      .select('patientId')
+      .lean();
+    if (!session) return null;
+    return { patientId: session.patientId, sessionId: session._id };
+  }
+
+  const patient = await Patient.exists({ _id: owner.patientId, ...buildAccessScope(access) });
+  if (!patient) return null;
+  return { patientId: patient._id, sessionId: null };
+};
+
+/**
+ * Build the query that scopes attachments to an owner (check access with resolveOwner first)
+ * @param {Object} owner - { patientId } or { sessionId }
+ * @returns {Object} MongoDB query
+ */
+const buildOwnerQuery = (owner) => {
+  return owner.sessionId
+    ? { sessionId: owner.sessionId }
+    : { patientId: owner.patientId };
+};
+
+class AttachmentService {
+  /**
+   * Get attachments for a patient (including session attachments) or a session
+   * @param {Object} owner - { patientId } or { sessionId }
+   * @param {Object} access - Access context
+   * @param {Object} filters - Filter options { category }
+   * @returns {Promise<Array|null>} Attachments or null if owner not found
+   */
+  static async getAttachments(owner, access, filters = {}) {
+    if (!await resolveOwner(owner, access)) return null;
+
+    const query = buildOwnerQuery(owner);
+    if (filters.category) query.category = filters.category;
+
+    const attachments = await Attachment.find(query)
+      .select('-storageKey')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return transformDocuments(attachments);
+  }
+
+  /**
+   * Get attachment metadata by ID
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} owner - { patientId } or { sessionId }
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} Attachment or null
+   */
+  static async getAttachmentById(attachmentId, owner, access) {
+    if (!await resolveOwner(owner, access)) return null;
+
+    const attachment = await Attachment.findOne({
+      _id: attachmentId,
+      ...buildOwnerQuery(owner)
+    }).select('-storageKey').lean();
+
+    if (!attachment) return null;
+    return transformDocuments([attachment])[0];
+  }
+
+  /**
+   * Store an uploaded file and record it against a patient or session
+   * @param {Object} owner - { patientId } or { sessionId }
+   * @param {Object} file - Uploaded file { originalname, mimetype, size, buffer }
+   * @param {Object} attachmentData - { category, description }
+   * @param {Object} access - Access context (the uploader)
+   * @returns {Promise<Object|null>} Created attachment or null if owner not found
+   */
+  static async createAttachment(owner, file, attachmentData, access) {
+    const resolved = await resolveOwner(owner, access);
+    if (!resolved) return null;
+
+    const attachment = new Attachment({
+      userId: access.userId,
+      clinicId: access.clinicId || null,
+      ...resolved,
+      category: attachmentData.category || 'other',
+      description: attachmentData.description?.trim() || '',
+      filename: path.basename(file.originalname || 'file'),
+      mimeType: file.mimetype,
+      size: file.size
+    });
+
+    // Random suffix so the key can't be guessed from the document ID alone
+    const suffix = crypto.randomBytes(8).toString('hex');
+    attachment.storageKey = `attachments/${access.userId}/${attachment._id}-${suffix}.${ATTACHMENT_TYPES[file.mimetype]}`;
+
+    await getStorage().put(attachment.storageKey, file.buffer, file.mimetype);
+
+    try {
+      await attachment.save();
+    } catch (error) {
+      await getStorage().remove(attachment.storageKey);
+      throw error;
+    }
+
+    const { storageKey, ...created } = attachment.toObject();
+    return transformDocuments([created])[0];
+  }
+
+  /**
+   * Open an attachment for download
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} owner - { patientId } or { sessionId }
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} { attachment, stream } or null if not found
+   */
+  static async openAttachment(attachmentId, owner, access) {
+    if (!await resolveOwner(owner, access)) return null;
+
+    const attachment = await Attachment.findOne({
+      _id: attachmentId,
+      ...buildOwnerQuery(owner)
+    }).lean();
+    if (!attachment) return null;
+
+    const stream = await getStorage().createReadStream(attachment.storageKey);
+    if (!stream) return null;
+
+    return { attachment, stream };
+  }
+
+  /**
+   * Delete an attachment and its file
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} owner - { patientId } or { sessionId }
+   * @param {Object} access - Access context
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteAttachment(attachmentId, owner, access) {
+    if (!await resolveOwner(owner, access)) return false;
+
+    const attachment = await Attachment.findOneAndDelete({
+      _id: attachmentId,
+      ...buildOwnerQuery(owner)
+    }).lean();
+    if (!attachment) return false;
+
+    await getStorage().remove(attachment.storageKey);
+    return true;
+  }
+
+  /**
+   * Delete every attachment of a patient or session, e.g. when the record is deleted
+   * Callers must already have checked access to the patient or session.
+   * @param {Object} owner - { patientId } or { sessionId }
+   * @returns {Promise<number>} Number of attachments deleted
+   */
+  static async deleteAllAttachments(owner) {
+    const query = owner.sessionId ? { sessionId: owner.sessionId } : { patientId: owner.patientId };
+    const attachments = await Attachment.find(query).select('storageKey').lean();
+    if (attachments.length === 0) return 0;
+
+    await Promise.all(attachments.map(attachment => getStorage().remove(attachment.storageKey)));
+    const result = await Attachment.deleteMany({ _id: { $in: attachments.map(a => a._id) } });
+    return result.deletedCount;
+  }
+}
+
+module.exports = AttachmentService;
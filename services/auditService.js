@@ -0,0 +1,161 @@
+/**
+ * Audit Service Layer
+ * Single Responsibility: Record and query the append-only trail of record changes
+ *
+ * An actor is anything with { userId, ipAddress } - usually the request's access context.
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { transformDocuments } = require('../utils/responseUtils');
+const { buildPaginationOptions } = require('../utils/databaseUtils');
+const { buildAuditScope } = require('../utils/accessUtils');
+const { toUTCDate, addDays } = require('../utils/dateUtils');
+
+// Bookkeeping fields that never count as a change
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+// Fields whose values must never be copied into the log
+const REDACTED_FIELDS = ['password'];
+const REDACTED_VALUE = '[redacted]';
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Convert a Mongoose document to a plain object (lean objects pass through)
+ * @param {Object|null} doc - Document
+ * @returns {Object|null} Plain object
+ */
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+/**
+ * Compare two versions of a record and list what changed
+ * A missing before (create) or after (delete) lists every field.
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @returns {Array} Changes [{ field, from, to }]
+ */
+const diffRecords = (before, after) => {
+  const from = toPlain(before) || {};
+  const to = toPlain(after) || {};
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map(field => (REDACTED_FIELDS.includes(field)
+      ? { field, from: REDACTED_VALUE, to: REDACTED_VALUE }
+      : { field, from: from[field], to: to[field] }));
+};
+
+/**
+ * Build an audit log entry
+ * @param {Object} actor - { userId, ipAddress }
+ * @param {Object} entry - { action, entityType, before, after, source }
+ * @returns {Object|null} Entry document, or null for an update that changed nothing
+ */
+const buildEntry = (actor, { action, entityType, before, after, source }) => {
+  const record = toPlain(after || before);
+  const changes = diffRecords(before, after);
+  if (action === 'update' && changes.length === 0) return null;
+
+  return {
+    actorId: actor.userId,
+    clinicId: record.clinicId || null,
+    action,
+    entityType,
+    entityId: record._id,
+    source: source || null,
+    changes,
+    ipAddress: actor.ipAddress || null
+  };
+};
+
+class AuditService {
+  /**
+   * Record a change to a single record
+   * @param {Object} actor - { userId, ipAddress }
+   * @param {Object} entry - { action, entityType, before, after, source }
+   * @returns {Promise<void>}
+   */
+  static async record(actor, entry) {
+    await this.recordMany(actor, [entry]);
+  }
+
+  /**
+   * Record changes to several records at once
+   * @param {Object} actor - { userId, ipAddress }
+   * @param {Array} entries - Entries as for record()
+   * @returns {Promise<void>}
+   */
+  static async recordMany(actor, entries) {
+    const docs = entries.map(entry => buildEntry(actor, entry)).filter(Boolean);
+    if (docs.length === 0) return;
+
+    await AuditLog.insertMany(docs);
+  }
+
+  /**
+   * Record a bulk update by pairing each record's before and after versions
+   * @param {Object} actor - { userId, ipAddress }
+   * @param {string} entityType - Entity type (patient, session, user)
+   * @param {Array} beforeRecords - Records as loaded before the update
+   * @param {Array} afterRecords - The same records reloaded after the update
+   * @param {string} source - What triggered the update (optional)
+   * @returns {Promise<void>}
+   */
+  static async recordUpdates(actor, entityType, beforeRecords, afterRecords, source) {
+    const afterById = new Map(afterRecords.map(record => [record._id.toString(), record]));
+
+    await this.recordMany(actor, beforeRecords
+      .filter(before => afterById.has(before._id.toString()))
+      .map(before => ({
+        action: 'update',
+        entityType,
+        before,
+        after: afterById.get(before._id.toString()),
+        source
+      })));
+  }
+
+  /**
+   * Get audit log entries visible to the user, newest first
+   * @param {Object} access - Access context
+   * @param {Object} filters - { entityType, entityId, actorId, action, startDate, endDate, page, limit }
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  static async getEntries(access, filters = {}) {
+    const { entityType, entityId, actorId, action, startDate, endDate } = filters;
+    const query = buildAuditScope(access);
+
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (actorId && !query.actorId) query.actorId = actorId;
+    if (action) query.action = action;
+
+    // Dates are inclusive calendar days (UTC)
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = toUTCDate(startDate);
+      if (endDate) query.createdAt.$lt = toUTCDate(addDays(endDate, 1));
+    }
+
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const { skip } = buildPaginationOptions(page, limit);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries: transformDocuments(entries),
+      pagination: { page, limit, total }
+    };
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,385 @@
+/**
+ * Clinic Service Layer
+ * Single Responsibility: Handle clinics, their members and member roles
+ */
+
+const mongoose = require('mongoose');
+const Clinic = require('../models/Clinic');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const SessionSeries = require('../models/SessionSeries');
+const ClinicalNote = require('../models/ClinicalNote');
+const TreatmentPlan = require('../models/TreatmentPlan');
+const OutcomeMeasure = require('../models/OutcomeMeasure');
+const ExercisePrescription = require('../models/ExercisePrescription');
+const Attachment = require('../models/Attachment');
+const { transformDocuments } = require('../utils/responseUtils');
+const { buildPersonalAccess, TREATING_ROLES } = require('../utils/accessUtils');
+const { MS_PER_DAY } = require('../utils/dateUtils');
+const { createError } = require('../middleware/errorHandler');
+
+const CLINIC_FIELDS = ['name', 'address', 'phoneNumber'];
+
+// How long an invitation can be accepted
+const INVITATION_TTL_DAYS = 14;
+
+/**
+ * Normalize an email the way User stores it
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lowercased email
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Get the email a user's invitations are addressed to
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Email
+ */
+const getUserEmail = async (userId) => {
+  const user = await User.findById(userId).select('email').lean();
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+  return user.email;
+};
+
+// Records a patient owns that move into the clinic with them
+const PATIENT_RECORD_MODELS = [
+  Session,
+  SessionSeries,
+  Payment,
+  Invoice,
+  ClinicalNote,
+  TreatmentPlan,
+  OutcomeMeasure,
+  ExercisePrescription,
+  Attachment
+];
+
+/**
+ * Move a therapist's personal records into a clinic
+ * Patients stay assigned to the therapist who brought them.
+ * @param {string} userId - User ID
+ * @param {string} clinicId - Clinic ID
+ */
+const moveRecordsToClinic = async (userId, clinicId) => {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  // Trashed records move too, so they can still be restored from the clinic
+  await Promise.all([
+    Patient.updateMany(
+      { userId, clinicId: null },
+      [{ $set: { clinicId, therapistId: { $ifNull: ['$therapistId', userObjectId] } } }]
+    ).setOptions({ withDeleted: true }),
+    ...PATIENT_RECORD_MODELS.map(Model => (
+      Model.updateMany({ userId, clinicId: null }, { clinicId }).setOptions({ withDeleted: true })
+    ))
+  ]);
+};
+
+/**
+ * Attach member names and emails for display
+ * @param {Object} clinic - Lean clinic document
+ * @returns {Promise<Object>} Clinic with members[].name and members[].email
+ */
+const withMemberDetails = async (clinic) => {
+  const users = await User.find({ _id: { $in: clinic.members.map(member => member.userId) } })
+    .select('name email')
+    .lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const [transformed] = transformDocuments([clinic]);
+  transformed.members = clinic.members.map(member => ({
+    ...member,
+    name: usersById.get(member.userId.toString())?.name || '',
+    email: usersById.get(member.userId.toString())?.email || ''
+  }));
+  transformed.invitations = transformDocuments(
+    (clinic.invitations || []).filter(invitation => invitation.expiresAt > new Date())
+  );
+  return transformed;
+};
+
+/**
+ * Make sure a role change or removal leaves the clinic with an owner
+ * @param {Object} clinic - Clinic document
+ * @param {string} memberId - User ID of the member being changed
+ */
+const assertNotLastOwner = (clinic, memberId) => {
+  const owners = clinic.members.filter(member => member.role === 'owner');
+  if (owners.length === 1 && owners[0].userId.toString() === String(memberId)) {
+    throw createError('A clinic must keep at least one owner', 400);
+  }
+};
+
+class ClinicService {
+  /**
+   * Resolve the access context of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { userId, clinicId, role }
+   */
+  static async getAccess(userId) {
+    const clinic = await Clinic.findOne({ 'members.userId': userId })
+      .select('members')
+      .lean();
+
+    if (!clinic) return buildPersonalAccess(userId);
+
+    const member = clinic.members.find(entry => entry.userId.toString() === String(userId));
+    return { userId, clinicId: clinic._id, role: member.role };
+  }
+
+  /**
+   * Get the clinic an access context belongs to
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} Clinic with members, or null when not in a clinic
+   */
+  static async getClinic(access) {
+    if (!access.clinicId) return null;
+
+    const clinic = await Clinic.findById(access.clinicId).lean();
+    if (!clinic) return null;
+
+    return withMemberDetails(clinic);
+  }
+
+  /**
+   * Create a clinic owned by the user and move their records into it
+   * @param {Object} clinicData - { name, address, phoneNumber }
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Created clinic
+   */
+  static async createClinic(clinicData, userId) {
+    if (await Clinic.exists({ 'members.userId': userId })) {
+      throw createError('You already belong to a clinic', 409);
+    }
+
+    const clinic = new Clinic({ members: [{ userId, role: 'owner' }] });
+    CLINIC_FIELDS.forEach(field => {
+      if (clinicData[field] !== undefined) clinic[field] = clinicData[field];
+    });
+
+    await clinic.save();
+    await moveRecordsToClinic(userId, clinic._id);
+
+    return withMemberDetails(clinic.toObject());
+  }
+
+  /**
+   * Update clinic details
+   * @param {Object} access - Access context
+   * @param {Object} updateData - { name, address, phoneNumber }
+   * @returns {Promise<Object|null>} Updated clinic or null
+   */
+  static async updateClinic(access, updateData) {
+    const clinic = await Clinic.findById(access.clinicId);
+    if (!clinic) return null;
+
+    CLINIC_FIELDS.forEach(field => {
+      if (updateData[field] !== undefined) clinic[field] = updateData[field];
+    });
+
+    await clinic.save();
+    return withMemberDetails(clinic.toObject());
+  }
+
+  /**
+   * Invite someone to the clinic by email
+   * Nobody joins until they accept (see acceptInvitation); inviting the same email
+   * again replaces its pending invitation.
+   * @param {Object} access - Access context
+   * @param {Object} invitationData - { email, role }
+   * @returns {Promise<Object|null>} Updated clinic or null
+   */
+  static async inviteMember(access, { email, role }) {
+    const normalizedEmail = normalizeEmail(email);
+
+    const user = await User.findOne({ email: normalizedEmail }).select('_id').lean();
+    if (user && await Clinic.exists({ 'members.userId': user._id })) {
+      throw createError('That user already belongs to a clinic', 409);
+    }
+
+    const clinic = await Clinic.findById(access.clinicId);
+    if (!clinic) return null;
+
+    const now = new Date();
+    clinic.invitations = clinic.invitations.filter(invitation =>
+      invitation.email !== normalizedEmail && invitation.expiresAt > now
+    );
+    clinic.invitations.push({
+      email: normalizedEmail,
+      role,
+      invitedBy: access.userId,
+      expiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * MS_PER_DAY)
+    });
+
+    await clinic.save();
+    return withMemberDetails(clinic.toObject());
+  }
+
+  /**
+   * Withdraw a pending invitation
+   * @param {Object} access - Access context
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object|null>} Updated clinic or null if the invitation is not found
+   */
+  static async cancelInvitation(access, invitationId) {
+    const clinic = await Clinic.findOneAndUpdate(
+      { _id: access.clinicId, 'invitations._id': invitationId },
+      { $pull: { invitations: { _id: invitationId } } },
+      { new: true }
+    ).lean();
+    if (!clinic) return null;
+
+    return withMemberDetails(clinic);
+  }
+
+  /**
+   * Get the pending invitations addressed to a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Invitations [{ id, clinicId, clinicName, role, createdAt, expiresAt }]
+   */
+  static async getReceivedInvitations(userId) {
+    const email = await getUserEmail(userId);
+    const now = new Date();
+
+    const clinics = await Clinic.find({
+      invitations: { $elemMatch: { email, expiresAt: { $gt: now } } }
+    })
+    .select('name invitations')
+    .lean();
+
+    return clinics.flatMap(clinic => clinic.invitations
+      .filter(invitation => invitation.email === email && invitation.expiresAt > now)
+      .map(invitation => ({
+        id: invitation._id.toString(),
+        clinicId: clinic._id,
+        clinicName: clinic.name,
+        role: invitation.role,
+        createdAt: invitation.createdAt,
+        expiresAt: invitation.expiresAt
+      })));
+  }
+
+  /**
+   * Accept an invitation: join the clinic and move the user's records into it
+   * @param {string} userId - User ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object|null>} { clinic, role } or null if no such invitation is pending for the user
+   */
+  static async acceptInvitation(userId, invitationId) {
+    const email = await getUserEmail(userId);
+    const pending = { _id: invitationId, email, expiresAt: { $gt: new Date() } };
+
+    const invited = await Clinic.findOne({ invitations: { $elemMatch: pending } })
+      .select('invitations')
+      .lean();
+    const invitation = invited?.invitations.find(entry => entry._id.toString() === String(invitationId));
+    if (!invitation) return null;
+
+    if (await Clinic.exists({ 'members.userId': userId })) {
+      throw createError('You already belong to a clinic', 409);
+    }
+
+    // Conditional on the invitation so it can only be used once
+    const clinic = await Clinic.findOneAndUpdate(
+      { _id: invited._id, invitations: { $elemMatch: pending } },
+      {
+        $pull: { invitations: { _id: invitationId } },
+        $push: { members: { userId, role: invitation.role } }
+      },
+      { new: true }
+    ).lean();
+    if (!clinic) return null;
+
+    await moveRecordsToClinic(userId, clinic._id);
+    return { clinic: await withMemberDetails(clinic), role: invitation.role };
+  }
+
+  /**
+   * Decline an invitation
+   * @param {string} userId - User ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<boolean>} Whether a pending invitation was declined
+   */
+  static async declineInvitation(userId, invitationId) {
+    const email = await getUserEmail(userId);
+    const result = await Clinic.updateOne(
+      { invitations: { $elemMatch: { _id: invitationId, email } } },
+      { $pull: { invitations: { _id: invitationId } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Change a member's role
+   * @param {Object} access - Access context
+   * @param {string} memberId - User ID of the member
+   * @param {string} role - New role
+   * @returns {Promise<Object|null>} Updated clinic or null if the member is not found
+   */
+  static async updateMemberRole(access, memberId, role) {
+    const clinic = await Clinic.findById(access.clinicId);
+    const member = clinic?.members.find(entry => entry.userId.toString() === String(memberId));
+    if (!member) return null;
+
+    if (role !== 'owner') assertNotLastOwner(clinic, memberId);
+
+    member.role = role;
+    await clinic.save();
+    return withMemberDetails(clinic.toObject());
+  }
+
+  /**
+   * Remove a member; their patients and sessions stay with the clinic
+   * @param {Object} access - Access context
+   * @param {string} memberId - User ID of the member
+   * @returns {Promise<Object|null>} Updated clinic or null if the member is not found
+   */
+  static async removeMember(access, memberId) {
+    const clinic = await Clinic.findById(access.clinicId);
+    const member = clinic?.members.find(entry => entry.userId.toString() === String(memberId));
+    if (!member) return null;
+
+    assertNotLastOwner(clinic, memberId);
+
+    clinic.members = clinic.members.filter(entry => entry !== member);
+    await clinic.save();
+    await Patient.updateMany({ clinicId: clinic._id, therapistId: memberId }, { therapistId: null });
+
+    return withMemberDetails(clinic.toObject());
+  }
+
+  /**
+   * Decide which therapist a patient or session belongs to
+   * Outside a clinic this is always the user. In a clinic an explicit therapist
+   * must be a treating member; otherwise the fallback is used, then the user
+   * themselves if they treat patients.
+   * @param {Object} access - Access context
+   * @param {string} therapistId - Requested therapist ID (optional)
+   * @param {string} fallbackId - Therapist to use when none is requested (optional)
+   * @returns {Promise<string|null>} Therapist user ID, or null if none applies
+   */
+  static async resolveTherapistId(access, therapistId, fallbackId = null) {
+    if (!access.clinicId) return access.userId;
+
+    if (!therapistId) {
+      return fallbackId || (TREATING_ROLES.includes(access.role) ? access.userId : null);
+    }
+
+    const isTreatingMember = await Clinic.exists({
+      _id: access.clinicId,
+      members: { $elemMatch: { userId: therapistId, role: { $in: TREATING_ROLES } } }
+    });
+
+    if (!isTreatingMember) {
+      throw createError('Therapist must be an owner or therapist of this clinic', 400);
+    }
+    return therapistId;
+  }
+}
+
+module.exports = ClinicService;
@@ -0,0 +1,146 @@
+/**
+ * Clinical Note Service Layer
+ * Single Responsibility: Handle structured (SOAP) session notes and their revisions
+ */
+
+const ClinicalNote = require('../models/ClinicalNote');
+const ClinicalNoteRevision = require('../models/ClinicalNoteRevision');
+const Session = require('../models/Session');
+const { transformDocuments } = require('../utils/responseUtils');
+const { buildAccessScope } = require('../utils/accessUtils');
+
+const SOAP_FIELDS = ['subjective', 'objective', 'assessment', 'plan'];
+const NOTE_FIELDS = [...SOAP_FIELDS, 'modalities'];
+
+/**
+ * Normalize a modalities list: trimmed, non-empty, de-duplicated
+ * @param {Array<string>} modalities - Modalities from the request
+ * @returns {Array<string>} Normalized modalities
+ */
+const normalizeModalities = (modalities) => {
+  return [...new Set(modalities.map(modality => String(modality).trim()).filter(Boolean))];
+};
+
+/**
+ * Compare note fields and list what changed
+ * @param {Object} before - Current note values
+ * @param {Object} after - New note values
+ * @returns {Array} Changes [{ field, from, to }]
+ */
+const diffNote = (before, after) => {
+  return NOTE_FIELDS
+    .filter(field => after[field] !== undefined)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+/**
+ * Find a session visible to an access context
+ * @param {string} sessionId - Session ID
+ * @param {Object} access - Access context
+ * @returns {Promise<Object|null>} Session { _id, userId, clinicId, patientId } or null
+ */
+const findSession = (sessionId, access) => {
+  return Session.findOne({ _id: sessionId, ...buildAccessScope(access) })
+    .select('userId clinicId patientId')
+    .lean();
+};
+
+class ClinicalNoteService {
+  /**
+   * Get the clinical note for a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} { note } (note may be null) or null if session not found
+   */
+  static async getNote(sessionId, access) {
+    const session = await findSession(sessionId, access);
+    if (!session) return null;
+
+    const note = await ClinicalNote.findOne({ sessionId }).lean();
+    return { note: note ? transformDocuments([note])[0] : null };
+  }
+
+  /**
+   * Create or update a session's clinical note, recording a revision for every change
+   * The note belongs to the session's therapist; the revision records who made the change.
+   * @param {string} sessionId - Session ID
+   * @param {Object} noteData - { subjective, objective, assessment, plan, modalities }
+   * @param {Object} access - Access context (author of the change)
+   * @returns {Promise<Object|null>} { note, revision } or null if session not found
+   */
+  static async saveNote(sessionId, noteData, access) {
+    const session = await findSession(sessionId, access);
+    if (!session) return null;
+
+    const updates = {};
+    SOAP_FIELDS.forEach(field => {
+      if (noteData[field] !== undefined) updates[field] = String(noteData[field] ?? '').trim();
+    });
+    if (noteData.modalities !== undefined) {
+      updates.modalities = normalizeModalities(noteData.modalities);
+    }
+
+    let note = await ClinicalNote.findOne({ sessionId });
+    const before = note
+      ? note.toObject()
+      : { subjective: '', objective: '', assessment: '', plan: '', modalities: [] };
+
+    const changes = diffNote(before, updates);
+    if (note && changes.length === 0) {
+      return { note: transformDocuments([note])[0], revision: null };
+    }
+
+    if (!note) {
+      note = new ClinicalNote({
+        userId: session.userId,
+        clinicId: session.clinicId || null,
+        sessionId,
+        patientId: session.patientId
+      });
+    }
+
+    Object.assign(note, updates);
+    note.version += 1;
+    note.updatedBy = access.userId;
+    await note.save();
+
+    const revision = await ClinicalNoteRevision.create({
+      noteId: note._id,
+      sessionId,
+      userId: note.userId,
+      version: note.version,
+      changedBy: access.userId,
+      subjective: note.subjective,
+      objective: note.objective,
+      assessment: note.assessment,
+      plan: note.plan,
+      modalities: note.modalities,
+      changes
+    });
+
+    return {
+      note: transformDocuments([note])[0],
+      revision: transformDocuments([revision])[0]
+    };
+  }
+
+  /**
+   * Get the revision history of a session's clinical note, newest first
+   * @param {string} sessionId - Session ID
+   * @param {Object} access - Access context
+   * @returns {Promise<Array|null>} Revisions or null if session not found
+   */
+  static async getHistory(sessionId, access) {
+    const session = await findSession(sessionId, access);
+    if (!session) return null;
+
+    const revisions = await ClinicalNoteRevision.find({ sessionId })
+      .sort({ version: -1 })
+      .lean();
+
+    return transformDocuments(revisions);
+  }
+}
+
+module.exports = ClinicalNoteService;
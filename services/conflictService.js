@@ -0,0 +1,181 @@
+/**
+ * Conflict Service Layer
+ * Single Responsibility: Detect overlapping sessions in a therapist's schedule
+ */
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { ERROR_CODES, transformDocuments } = require('../utils/responseUtils');
+const { buildDateRangeQuery } = require('../utils/databaseUtils');
+const { timeToMinutes } = require('../utils/dateUtils');
+const { createError } = require('../middleware/errorHandler');
+
+const FALLBACK_DURATION = User.schema.path('defaultSessionDuration').defaultValue;
+
+/**
+ * Check whether two sessions on the same date overlap
+ * @param {Object} a - Session { time, duration }
+ * @param {Object} b - Session { time, duration }
+ * @returns {boolean} Do the sessions overlap
+ */
+const overlaps = (a, b) => {
+  const aStart = timeToMinutes(a.time);
+  const bStart = timeToMinutes(b.time);
+  return aStart < bStart + b.duration && bStart < aStart + a.duration;
+};
+
+class ConflictService {
+  /**
+   * Get the therapist's default session duration
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Duration in minutes
+   */
+  static async getDefaultDuration(userId) {
+    const user = await User.findById(userId)
+      .select('defaultSessionDuration')
+      .lean();
+
+    return user?.defaultSessionDuration || FALLBACK_DURATION;
+  }
+
+  /**
+   * Find existing sessions (and other candidates) that overlap proposed sessions
+   * @param {string} userId - User ID
+   * @param {Array} candidates - Proposed sessions [{ date, time, duration }]
+   * @param {Array} excludeIds - Session IDs being moved, ignored as conflicts
+   * @returns {Promise<Array>} Conflicts [{ index, date, time, duration, conflictsWith }]
+   */
+  static async findConflicts(userId, candidates, excludeIds = []) {
+    if (candidates.length === 0) return [];
+
+    const defaultDuration = await this.getDefaultDuration(userId);
+    const dates = [...new Set(candidates.map(candidate => candidate.date))];
+
+    const existing = await Session.find({
+      userId,
+      date: { $in: dates },
+      cancelled: false,
+      _id: { $nin: excludeIds }
+    })
+    .select('patientId patientName seriesId date time duration')
+    .lean();
+
+    const withDuration = (session) => ({
+      ...session,
+      duration: session.duration || defaultDuration
+    });
+
+    const proposed = candidates.map(withDuration);
+    const scheduled = existing.map(withDuration);
+    const conflicts = [];
+
+    proposed.forEach((candidate, index) => {
+      const clashingSessions = scheduled.filter(session =>
+        session.date === candidate.date && overlaps(session, candidate)
+      );
+
+      const clashingCandidates = proposed
+        .map((other, otherIndex) => ({ ...other, index: otherIndex }))
+        .filter(other =>
+          other.index !== index && other.date === candidate.date && overlaps(other, candidate)
+        );
+
+      if (clashingSessions.length > 0 || clashingCandidates.length > 0) {
+        conflicts.push({
+          index,
+          date: candidate.date,
+          time: candidate.time,
+          duration: candidate.duration,
+          conflictsWith: transformDocuments(clashingSessions),
+          conflictsWithinRequest: clashingCandidates.map(other => other.index)
+        });
+      }
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Reject proposed sessions that overlap the schedule unless forced
+   * @param {string} userId - User ID
+   * @param {Array} candidates - Proposed sessions [{ date, time, duration }]
+   * @param {Object} options - { excludeIds, force }
+   * @returns {Promise<Array>} Conflicts that were overridden by force (warnings)
+   * @throws {Error} 409 error listing conflicts when not forced
+   */
+  static async assertNoConflicts(userId, candidates, options = {}) {
+    const { excludeIds = [], force = false } = options;
+    const conflicts = await this.findConflicts(userId, candidates, excludeIds);
+
+    if (conflicts.length > 0 && !force) {
+      throw createError('Session time conflicts with existing sessions', 409, { conflicts }, ERROR_CODES.SCHEDULE_CONFLICT);
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Report overlapping sessions already in the schedule
+   * Overlaps are per therapist, so a clinic-wide scope reports each therapist's clashes.
+   * @param {Object} scope - Schedule query filter (see buildScheduleScope)
+   * @param {Object} filters - Filter options { startDate, endDate }
+   * @returns {Promise<Array>} Clashes [{ date, therapistId, sessions }]
+   */
+  static async getConflictReport(scope, filters = {}) {
+    const { startDate, endDate } = filters;
+
+    const sessions = await Session.find({
+      ...scope,
+      cancelled: false,
+      ...buildDateRangeQuery(startDate, endDate)
+    })
+    .select('userId patientId patientName seriesId date time duration completed')
+    .lean();
+
+    const defaultDurations = new Map();
+    for (const therapistId of new Set(sessions.map(session => session.userId.toString()))) {
+      defaultDurations.set(therapistId, await this.getDefaultDuration(therapistId));
+    }
+
+    // Times may be stored without a leading zero, so order numerically
+    sessions.sort((a, b) =>
+      a.userId.toString().localeCompare(b.userId.toString()) ||
+      a.date.localeCompare(b.date) ||
+      timeToMinutes(a.time) - timeToMinutes(b.time)
+    );
+
+    // With sessions in order, a running "latest end" per therapist and date groups overlaps
+    const clashes = [];
+    let group = [];
+    let groupEnd = -1;
+
+    const flush = () => {
+      if (group.length > 1) {
+        clashes.push({ date: group[0].date, therapistId: group[0].userId, sessions: transformDocuments(group) });
+      }
+    };
+
+    sessions.forEach(session => {
+      const duration = session.duration || defaultDurations.get(session.userId.toString());
+      const start = timeToMinutes(session.time);
+      const isSameGroup = group.length > 0 &&
+        group[0].userId.equals(session.userId) &&
+        group[0].date === session.date &&
+        start < groupEnd;
+
+      if (!isSameGroup) {
+        flush();
+        group = [];
+        groupEnd = -1;
+      }
+
+      group.push({ ...session, duration });
+      groupEnd = Math.max(groupEnd, start + duration);
+    });
+    flush();
+
+    return clashes.sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+module.exports = ConflictService;
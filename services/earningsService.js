@@ -0,0 +1,371 @@
+/**
+ * Earnings Service Layer
+ * Single Responsibility: Handle earnings analytics over completed sessions
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Payment = require('../models/Payment');
+const { transformDocuments } = require('../utils/responseUtils');
+const {
+  findPage,
+  buildAmountRangeQuery,
+  buildDateRangeQuery,
+  buildEarningsMatchStage,
+  buildEarningsPipeline,
+  buildEarningsBreakdownPipeline,
+  buildCollectionsPipeline
+} = require('../utils/databaseUtils');
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Hour ranges (inclusive start, exclusive end) for time-of-day buckets
+const DAY_PERIODS = [
+  { period: 'morning', from: 0, to: 12 },
+  { period: 'afternoon', from: 12, to: 17 },
+  { period: 'evening', from: 17, to: 24 }
+];
+
+/**
+ * Flatten an aggregation row, lifting its group keys out of _id
+ * @param {Object} row - Aggregation row
+ * @returns {Object} Row without _id
+ */
+const flattenRow = ({ _id, ...rest }) => ({ ..._id, ...rest });
+
+/**
+ * Compute a percentage change, or null when there is no baseline
+ * @param {number} previous - Previous value
+ * @param {number} current - Current value
+ * @returns {number|null} Change in percent rounded to 1 decimal
+ */
+const percentChange = (previous, current) => {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+/**
+ * Build the cancellation loss aggregation pipeline
+ * Cancelled sessions are first grouped per patient and month, so each group looks up
+ * its patient's average completed amount (the estimate for sessions without an amount) once.
+ * @param {Object} scope - Ownership match filter (see buildEarningsScope)
+ * @param {string} startDate - Start date (optional)
+ * @param {string} endDate - End date (optional)
+ * @returns {Array} MongoDB aggregation pipeline with a single { totals, byPatient, byMonth } result
+ */
+const buildCancellationLossPipeline = (scope, startDate, endDate) => [
+  {
+    $match: {
+      ...scope,
+      cancelled: true,
+      ...buildDateRangeQuery(startDate, endDate)
+    }
+  },
+  {
+    $addFields: {
+      month: { $substr: ['$date', 0, 7] },
+      // The amount preserved on cancellation, else the session amount, else 0 (estimated below)
+      recordedLoss: {
+        $cond: [
+          { $gt: ['$cancelledAmount', 0] },
+          '$cancelledAmount',
+          { $cond: [{ $gt: ['$amount', 0] }, '$amount', 0] }
+        ]
+      }
+    }
+  },
+  {
+    $group: {
+      _id: { patientId: '$patientId', month: '$month' },
+      patientName: { $last: '$patientName' },
+      recordedLoss: { $sum: '$recordedLoss' },
+      cancelledCount: { $sum: 1 },
+      unrecordedCount: { $sum: { $cond: [{ $gt: ['$recordedLoss', 0] }, 0, 1] } }
+    }
+  },
+  {
+    $lookup: {
+      from: Session.collection.name,
+      let: { patientId: '$_id.patientId' },
+      pipeline: [
+        { $match: { ...buildEarningsMatchStage(scope), $expr: { $eq: ['$patientId', '$$patientId'] } } },
+        { $group: { _id: null, averageAmount: { $avg: '$amount' } } }
+      ],
+      as: 'completed'
+    }
+  },
+  {
+    $addFields: {
+      averageAmount: { $ifNull: [{ $arrayElemAt: ['$completed.averageAmount', 0] }, 0] }
+    }
+  },
+  {
+    $addFields: {
+      lostAmount: { $add: ['$recordedLoss', { $multiply: ['$unrecordedCount', '$averageAmount'] }] },
+      estimatedCount: { $cond: [{ $gt: ['$averageAmount', 0] }, '$unrecordedCount', 0] }
+    }
+  },
+  {
+    $facet: {
+      totals: [
+        {
+          $group: {
+            _id: null,
+            totalLost: { $sum: '$lostAmount' },
+            cancelledCount: { $sum: '$cancelledCount' },
+            estimatedCount: { $sum: '$estimatedCount' }
+          }
+        }
+      ],
+      byPatient: [
+        {
+          $group: {
+            _id: { patientId: '$_id.patientId' },
+            patientName: { $last: '$patientName' },
+            lostAmount: { $sum: '$lostAmount' },
+            cancelledCount: { $sum: '$cancelledCount' }
+          }
+        },
+        { $sort: { lostAmount: -1 } }
+      ],
+      byMonth: [
+        {
+          $group: {
+            _id: { month: '$_id.month' },
+            lostAmount: { $sum: '$lostAmount' },
+            cancelledCount: { $sum: '$cancelledCount' }
+          }
+        },
+        { $sort: { '_id.month': 1 } }
+      ]
+    }
+  }
+];
+
+class EarningsService {
+  /**
+   * Get billed earnings per month with collected payments attached
+   * @param {Object} scope - Ownership match filter (see buildEarningsScope)
+   * @param {string} startDate - Start date (optional)
+   * @param {string} endDate - End date (optional)
+   * @returns {Promise<Object>} { monthlyEarnings, monthlyCollections }
+   */
+  static async getMonthlyEarnings(scope, startDate, endDate) {
+    const [monthlyEarnings, monthlyCollections] = await Promise.all([
+      Session.aggregate(buildEarningsPipeline(scope, startDate, endDate)),
+      Payment.aggregate(buildCollectionsPipeline(scope, startDate, endDate))
+    ]);
+
+    // Attach collected revenue to each billed month
+    const collectedByMonth = new Map(
+      monthlyCollections.map(entry => [`${entry.year}-${entry.month}`, entry.totalCollected])
+    );
+    monthlyEarnings.forEach(entry => {
+      entry.totalCollected = collectedByMonth.get(`${entry.year}-${entry.month}`) || 0;
+    });
+
+    return { monthlyEarnings, monthlyCollections };
+  }
+
+  /**
+   * Get earnings grouped by a dimension
+   * @param {Object} scope - Ownership match filter (see buildEarningsScope)
+   * @param {string} groupBy - Grouping (patient, weekday, hour, week, day, yearMonth)
+   * @param {Object} filters - Filter options { startDate, endDate }
+   * @returns {Promise<Array>} Breakdown rows
+   */
+  static async getBreakdown(scope, groupBy, filters = {}) {
+    const pipeline = buildEarningsBreakdownPipeline(scope, groupBy, filters.startDate, filters.endDate);
+    const rows = await Session.aggregate(pipeline);
+    return rows.map(flattenRow);
+  }
+
+  /**
+   * Get overall totals and averages
+   * @param {Object} scope - Ownership match filter (see buildEarningsScope)
+   * @param {Object} filters - Filter options { startDate, endDate }
+   * @returns {Promise<Object>} Summary totals
+   */
+  static async getSummary(scope, filters = {}) {
+    const [summary] = await Session.aggregate([
+      { $match: buildEarningsMatchStage(scope, filters.startDate, filters.endDate) },
+      {
+        $group: {
+          _id: null,
+          totalEarnings: { $sum: '$amount' },
+          sessionCount: { $sum: 1 },
+          patientIds: { $addToSet: '$patientId' },
+          firstSessionDate: { $min: '$date' },
+          lastSessionDate: { $max: '$date' }
+        }
+      }
+    ]);
+
+    if (!summary) {
+      return {
+        totalEarnings: 0,
+        sessionCount: 0,
+        patientCount: 0,
+        averagePerSession: 0,
+        averagePerPatient: 0,
+        firstSessionDate: null,
+        lastSessionDate: null
+      };
+    }
+
+    const patientCount = summary.patientIds.length;
+    return {
+      totalEarnings: summary.totalEarnings,
+      sessionCount: summary.sessionCount,
+      patientCount,
+      averagePerSession: summary.totalEarnings / summary.sessionCount,
+      averagePerPatient: summary.totalEarnings / patientCount,
+      firstSessionDate: summary.firstSessionDate,
+      lastSessionDate: summary.lastSessionDate
+    };
+  }
+
+  /**
+   * Get billed sessions (completed, with an amount), optionally one page at a time
+   * The first page also carries the billed total across every page.
+   * @param {Object} scope - Ownership match filter (see buildEarningsScope)
+   * @param {Object} filters - Filter options { patientId, startDate, endDate, minAmount, maxAmount }
+   * @param {Object} listOptions - { sort, limit, cursor } from buildListOptions
+   * @returns {Promise<Object>} { sessions, pagination, totalAmount }
+   */
+  static async getBilledSessions(scope, filters = {}, listOptions = { sort: { date: -1, time: -1, _id: -1 } }) {
+    const { patientId, startDate, endDate, minAmount, maxAmount } = filters;
+    const match = buildEarningsMatchStage(scope, startDate, endDate);
+
+    if (patientId) match.patientId = new mongoose.Types.ObjectId(String(patientId));
+    Object.assign(match.amount, buildAmountRangeQuery(minAmount, maxAmount).amount);
+
+    const { items, pagination } = await findPage(Session, match, listOptions);
+
+    let totalAmount = null;
+    if (!listOptions.cursor) {
+      const [totals] = await Session.aggregate([
+        { $match: match },
+        { $group: { _id: null, totalAmount: { $sum: '$amount' } } }
+      ]);
+      totalAmount = totals ? totals.totalAmount : 0;
+    }
+
+    return { sessions: transformDocuments(items), pagination, totalAmount };
+  }
+
+  /**
+   * Get earnings by day of week
+   * @param {Object} scope - Ownership match filter (see buildEarningsScope)
+   * @param {Object} filters - Filter options { startDate, endDate }
+   * @returns {Promise<Array>} One row per weekday (Sunday first), zero-filled
+   */
+  static async getByWeekday(scope, filters = {}) {
+    const rows = await this.getBreakdown(scope, 'weekday', filters);
+    const byWeekday = new Map(rows.map(row => [row.weekday, row]));
+
+    return WEEKDAY_NAMES.map((name, index) => {
+      const row = byWeekday.get(index + 1);
+      return {
+        weekday: index,
+        name,
+        totalEarnings: row?.totalEarnings || 0,
+        sessionCount: row?.sessionCount || 0,
+        averagePerSession: row?.averagePerSession || 0
+      };
+    });
+  }
+
+  /**
+   * Get earnings by hour of day and by morning/afternoon/evening
+   * @param {Object} scope - Ownership match filter (see buildEarningsScope)
+   * @param {Object} filters - Filter options { startDate, endDate }
+   * @returns {Promise<Object>} { byHour, byPeriod }
+   */
+  static async getByTimeOfDay(scope, filters = {}) {
+    const byHour = await this.getBreakdown(scope, 'hour', filters);
+
+    const byPeriod = DAY_PERIODS.map(({ period, from, to }) => {
+      const rows = byHour.filter(row => row.hour >= from && row.hour < to);
+      const totalEarnings = rows.reduce((sum, row) => sum + row.totalEarnings, 0);
+      const sessionCount = rows.reduce((sum, row) => sum + row.sessionCount, 0);
+
+      return {
+        period,
+        totalEarnings,
+        sessionCount,
+        averagePerSession: sessionCount ? totalEarnings / sessionCount : 0
+      };
+    });
+
+    return { byHour, byPeriod };
+  }
+
+  /**
+   * Compare monthly earnings across years
+   * @param {Object} scope - Ownership match filter (see buildEarningsScope)
+   * @param {Array<number>} years - Years to compare, ascending
+   * @returns {Promise<Object>} { years, months, totals }
+   */
+  static async getYearOverYear(scope, years) {
+    const startDate = `${years[0]}-01-01`;
+    const endDate = `${years[years.length - 1]}-12-31`;
+    const rows = await this.getBreakdown(scope, 'yearMonth', { startDate, endDate });
+
+    const lookup = new Map(rows.map(row => [`${row.year}-${row.month}`, row]));
+
+    const months = Array.from({ length: 12 }, (_, index) => {
+      const month = String(index + 1).padStart(2, '0');
+      const values = years.map(year => ({
+        year,
+        totalEarnings: lookup.get(`${year}-${month}`)?.totalEarnings || 0,
+        sessionCount: lookup.get(`${year}-${month}`)?.sessionCount || 0
+      }));
+
+      return { month, values };
+    });
+
+    const totals = years.map((year, index) => {
+      const yearRows = rows.filter(row => row.year === year);
+      const totalEarnings = yearRows.reduce((sum, row) => sum + row.totalEarnings, 0);
+      const sessionCount = yearRows.reduce((sum, row) => sum + row.sessionCount, 0);
+      const previous = index > 0
+        ? rows.filter(row => row.year === years[index - 1]).reduce((sum, row) => sum + row.totalEarnings, 0)
+        : null;
+
+      return {
+        year,
+        totalEarnings,
+        sessionCount,
+        changePercent: previous === null ? null : percentChange(previous, totalEarnings)
+      };
+    });
+
+    return { years, months, totals };
+  }
+
+  /**
+   * Estimate revenue lost to cancelled sessions
+   * Sessions cancelled before amounts were preserved are valued at the
+   * patient's average completed session amount.
+   * @param {Object} scope - Ownership match filter (see buildEarningsScope)
+   * @param {Object} filters - Filter options { startDate, endDate }
+   * @returns {Promise<Object>} { totalLost, cancelledCount, estimatedCount, byPatient, byMonth }
+   */
+  static async getCancellationLoss(scope, filters = {}) {
+    const [result] = await Session.aggregate(
+      buildCancellationLossPipeline(scope, filters.startDate, filters.endDate)
+    );
+    const [totals] = result.totals;
+
+    return {
+      totalLost: totals?.totalLost || 0,
+      cancelledCount: totals?.cancelledCount || 0,
+      estimatedCount: totals?.estimatedCount || 0,
+      byPatient: result.byPatient.map(flattenRow),
+      byMonth: result.byMonth.map(flattenRow)
+    };
+  }
+}
+
+module.exports = EarningsService;
@@ -23,18 +23,36 @@ const createTransporter = () => {
   return transporter;
 };
 
-const sendOTPEmail = async (email, otp, isPasswordReset = false) => {
+// Wording for each OTP purpose
+const OTP_EMAIL_COPY = {
+  signup: {
+    subject: 'Email Verification - Rehabiri App',
+    title: 'Email Verification',
+    message: 'Thank you for signing up for Rehabiri!',
+    action: 'verification'
+  },
+  password_reset: {
+    subject: 'Password Reset - Rehabiri App',
+    title: 'Password Reset',
+    message: 'You requested a password reset for your Rehabiri account.',
+    action: 'password reset'
+  },
+  email_change: {
+    subject: 'Confirm Your New Email - Rehabiri App',
+    title: 'Confirm Your New Email',
+    message: 'You asked to use this address for your Rehabiri account.',
+    action: 'email change'
+  }
+};
+
+const sendOTPEmail = async (email, otp, purpose = 'signup') => {
   try {
     console.log('Attempting to send OTP email to:', email);
     console.log('Using email user:', process.env.EMAIL_USER);
     
     const transporter = createTransporter();
     
-    const subject = isPasswordReset ? 'Password Reset - Rehabiri App' : 'Email Verification - Rehabiri App';
-    const title = isPasswordReset ? 'Password Reset' : 'Email Verification';
-    const message = isPasswordReset 
-      ? 'You requested a password reset for your Rehabiri account.'
-      : 'Thank you for signing up for Rehabiri!';
+    const { subject, title, message, action } = OTP_EMAIL_COPY[purpose];
     
     const mailOptions = {
       from: process.env.EMAIL_USER,
@@ -49,7 +67,7 @@ const sendOTPEmail = async (email, otp, isPasswordReset = false) => {
             <h1 style="color: #0A84FF; font-size: 32px; margin: 0; letter-spacing: 5px;">${otp}</h1>
           </div>
           <p>This code will expire in 10 minutes.</p>
-          <p>If you didn't request this ${isPasswordReset ? 'password reset' : 'verification'}, please ignore this email.</p>
+          <p>If you didn't request this ${action}, please ignore this email.</p>
           <hr style="margin: 30px 0;">
           <p style="color: #666; font-size: 12px;">Rehabiri - Your Physiotherapy Management App</p>
         </div>
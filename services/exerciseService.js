@@ -0,0 +1,185 @@
+/**
+ * Exercise Service Layer
+ * Single Responsibility: Handle the therapist's exercise library and exercise images
+ */
+
+const Exercise = require('../models/Exercise');
+const { transformDocuments } = require('../utils/responseUtils');
+const { createError } = require('../middleware/errorHandler');
+const { getStorage } = require('./fileStorage');
+const { EXERCISE_IMAGE_TYPES, MAX_EXERCISE_IMAGE_BYTES } = require('../config/uploads');
+
+const EXERCISE_FIELDS = ['name', 'instructions', 'bodyRegion', 'sets', 'reps', 'holdSeconds'];
+
+/**
+ * Escape a search term for use in a regular expression
+ * @param {string} text - Search term
+ * @returns {string} Escaped term
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Remove a stored image file, ignoring files that are already gone
+ * @param {string} key - Storage key
+ */
+const removeImageFile = async (key) => {
+  if (!key) return;
+  await getStorage().remove(key);
+};
+
+class ExerciseService {
+  /**
+   * Get the exercise library for a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - Filter options { search, bodyRegion }
+   * @returns {Promise<Array>} Array of exercises
+   */
+  static async getExercises(userId, filters = {}) {
+    const { search, bodyRegion } = filters;
+    const query = { userId };
+
+    if (search) query.name = { $regex: escapeRegex(search), $options: 'i' };
+    if (bodyRegion) query.bodyRegion = bodyRegion;
+
+    const exercises = await Exercise.find(query)
+      .sort({ name: 1 })
+      .lean();
+
+    return transformDocuments(exercises);
+  }
+
+  /**
+   * Get exercise by ID
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Exercise or null
+   */
+  static async getExerciseById(exerciseId, userId) {
+    const exercise = await Exercise.findOne({ _id: exerciseId, userId }).lean();
+    if (!exercise) return null;
+    return transformDocuments([exercise])[0];
+  }
+
+  /**
+   * Create an exercise
+   * @param {Object} exerciseData - Exercise data
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Created exercise
+   */
+  static async createExercise(exerciseData, userId) {
+    const exercise = new Exercise({ userId });
+
+    EXERCISE_FIELDS.forEach(field => {
+      if (exerciseData[field] !== undefined) exercise[field] = exerciseData[field];
+    });
+
+    await exercise.save();
+    return transformDocuments([exercise])[0];
+  }
+
+  /**
+   * Update an exercise
+   * @param {string} exerciseId - Exercise ID
+   * @param {Object} updateData - Update data
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated exercise or null
+   */
+  static async updateExercise(exerciseId, updateData, userId) {
+    const exercise = await Exercise.findOne({ _id: exerciseId, userId });
+    if (!exercise) return null;
+
+    EXERCISE_FIELDS.forEach(field => {
+      if (updateData[field] !== undefined) exercise[field] = updateData[field];
+    });
+
+    await exercise.save();
+    return transformDocuments([exercise])[0];
+  }
+
+  /**
+   * Delete an exercise and its image
+   * Existing prescriptions keep their copy of the exercise.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteExercise(exerciseId, userId) {
+    const exercise = await Exercise.findOneAndDelete({ _id: exerciseId, userId }).lean();
+    if (!exercise) return false;
+
+    await removeImageFile(exercise.image?.path);
+    return true;
+  }
+
+  /**
+   * Store an exercise image
+   * @param {string} exerciseId - Exercise ID
+   * @param {Object} imageData - { buffer } from a multipart upload or { data: base64 or data URL }, plus mimeType
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated exercise or null
+   */
+  static async saveImage(exerciseId, imageData, userId) {
+    const exercise = await Exercise.findOne({ _id: exerciseId, userId });
+    if (!exercise) return null;
+
+    const extension = EXERCISE_IMAGE_TYPES[imageData.mimeType];
+    if (!extension) {
+      throw createError(`Image must be one of: ${Object.keys(EXERCISE_IMAGE_TYPES).join(', ')}`, 400);
+    }
+
+    const buffer = imageData.buffer
+      || Buffer.from(String(imageData.data).replace(/^data:[^;]+;base64,/, ''), 'base64');
+
+    if (buffer.length === 0) {
+      throw createError('Image data is empty or not valid base64', 400);
+    }
+
+    if (buffer.length > MAX_EXERCISE_IMAGE_BYTES) {
+      throw createError(`Image must be at most ${MAX_EXERCISE_IMAGE_BYTES / (1024 * 1024)}MB`, 413);
+    }
+
+    const key = `exercises/${userId}/${exercise._id}.${extension}`;
+    await getStorage().put(key, buffer, imageData.mimeType);
+
+    if (exercise.image?.path && exercise.image.path !== key) {
+      await removeImageFile(exercise.image.path);
+    }
+
+    exercise.image = { path: key, mimeType: imageData.mimeType, size: buffer.length };
+    await exercise.save();
+
+    return transformDocuments([exercise])[0];
+  }
+
+  /**
+   * Remove an exercise image
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated exercise or null
+   */
+  static async deleteImage(exerciseId, userId) {
+    const exercise = await Exercise.findOne({ _id: exerciseId, userId });
+    if (!exercise) return null;
+
+    await removeImageFile(exercise.image?.path);
+    exercise.image = undefined;
+    await exercise.save();
+
+    return transformDocuments([exercise])[0];
+  }
+
+  /**
+   * Read an exercise image
+   * @param {Object} image - Exercise image metadata { path, mimeType }
+   * @returns {Promise<Object|null>} { buffer, mimeType } or null if missing
+   */
+  static async readImage(image) {
+    if (!image?.path) return null;
+
+    const buffer = await getStorage().read(image.path);
+    if (!buffer) return null;
+    return { buffer, mimeType: image.mimeType };
+  }
+}
+
+module.exports = ExerciseService;
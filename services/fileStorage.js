@@ -0,0 +1,202 @@
+/**
+ * File Storage
+ * Single Responsibility: Store and retrieve uploaded files on a pluggable backend
+ *
+ * STORAGE_DRIVER selects the backend: "local" (default) writes under UPLOAD_DIR,
+ * "s3" uses any S3-compatible object store configured through the S3_* variables.
+ * Keys are always forward-slash separated, e.g. "attachments/<userId>/<id>.pdf".
+ */
+
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+
+class LocalStorage {
+  /**
+   * @param {string} rootDir - Directory files are stored under
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve a key to a path inside the root directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, ...key.split('/'));
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a file, replacing any existing file with the same key
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Read a whole file into memory
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} File contents or null if missing
+   */
+  async read(key) {
+    try {
+      return await fsPromises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Open a file for streaming
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable|null>} Readable stream or null if missing
+   */
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fsPromises.access(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Remove a file, ignoring files that are already gone
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fsPromises.rm(this.resolve(key), { force: true });
+  }
+}
+
+class S3Storage {
+  /**
+   * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }
+   */
+  constructor(options) {
+    // Only loaded when the S3 backend is selected
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    if (!options.bucket) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER is "s3"');
+    }
+
+    this.bucket = options.bucket;
+    this.commands = { PutObjectCommand, GetObjectCommand, DeleteObjectCommand };
+    this.client = new S3Client({
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined
+    });
+  }
+
+  /**
+   * Store a file, replacing any existing object with the same key
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - Content type stored with the object
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer, mimeType) {
+    await this.client.send(new this.commands.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimeType
+    }));
+  }
+
+  /**
+   * Open an object for streaming
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable|null>} Readable stream or null if missing
+   */
+  async createReadStream(key) {
+    try {
+      const result = await this.client.send(new this.commands.GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return result.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Read a whole object into memory
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} Object contents or null if missing
+   */
+  async read(key) {
+    const stream = await this.createReadStream(key);
+    if (!stream) return null;
+    return Buffer.from(await stream.transformToByteArray());
+  }
+
+  /**
+   * Remove an object (S3 treats missing keys as already deleted)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.client.send(new this.commands.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+}
+
+let storage = null;
+
+/**
+ * Get the configured storage backend
+ * @returns {LocalStorage|S3Storage} Storage backend
+ */
+const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    storage = new LocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+  } else if (driver === 's3') {
+    storage = new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+
+  return storage;
+};
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  getStorage
+};
@@ -0,0 +1,129 @@
+/**
+ * Handout Renderer
+ * Single Responsibility: Render home exercise programs as printable HTML or PDF
+ */
+
+const PDFDocument = require('pdfkit');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+/**
+ * Describe the dosage of a prescribed exercise
+ * @param {Object} item - Prescribed exercise
+ * @returns {string} Dosage (e.g. "3 sets x 10 reps, hold 5s, twice daily")
+ */
+const formatDosage = (item) => {
+  const parts = [];
+  if (item.sets) parts.push(`${item.sets} sets`);
+  if (item.reps) parts.push(`${item.reps} reps`);
+
+  const dosage = [parts.join(' x ')];
+  if (item.holdSeconds) dosage.push(`hold ${item.holdSeconds}s`);
+  if (item.frequency) dosage.push(item.frequency);
+
+  return dosage.filter(Boolean).join(', ');
+};
+
+/**
+ * Describe the prescription period
+ * @param {Object} prescription - Prescription
+ * @returns {string} Period text
+ */
+const formatPeriod = (prescription) => {
+  return prescription.endDate
+    ? `${prescription.startDate} to ${prescription.endDate}`
+    : `From ${prescription.startDate}`;
+};
+
+/**
+ * Render a handout as a self-contained HTML page (images embedded)
+ * @param {Object} handout - { prescription, patient, therapist, images }
+ * @returns {string} HTML markup
+ */
+const renderHandoutHtml = ({ prescription, patient, therapist, images }) => {
+  const items = prescription.exercises.map((item, index) => {
+    const image = images.get(item.exerciseId.toString());
+    const imageTag = image
+      ? `<img src="data:${image.mimeType};base64,${image.buffer.toString('base64')}" alt="${escapeHtml(item.name)}" style="max-width: 240px; max-height: 180px; display: block; margin: 10px 0;">`
+      : '';
+
+    return `
+      <div style="border: 1px solid #ddd; border-radius: 8px; padding: 16px; margin: 16px 0; page-break-inside: avoid;">
+        <h3 style="margin: 0 0 8px 0;">${index + 1}. ${escapeHtml(item.name)}</h3>
+        <p style="color: #0A84FF; margin: 0;"><strong>${escapeHtml(formatDosage(item))}</strong></p>
+        ${imageTag}
+        <p style="white-space: pre-line;">${escapeHtml(item.instructions)}</p>
+        ${item.notes ? `<p style="color: #666;"><em>${escapeHtml(item.notes)}</em></p>` : ''}
+      </div>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Home Exercise Program - ${escapeHtml(patient?.name)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px;">
+    <h2 style="color: #0A84FF;">Home Exercise Program</h2>
+    <p>
+      <strong>${escapeHtml(patient?.name)}</strong><br>
+      ${escapeHtml(formatPeriod(prescription))}
+    </p>
+    ${prescription.notes ? `<p style="white-space: pre-line;">${escapeHtml(prescription.notes)}</p>` : ''}
+    ${items}
+    <hr style="margin: 30px 0;">
+    <p style="color: #666; font-size: 12px;">
+      ${escapeHtml(therapist?.name)} ${therapist?.highestQualification ? `(${escapeHtml(therapist.highestQualification)})` : ''}<br>
+      ${escapeHtml(therapist?.phoneNumber)}<br>
+      Rehabiri - Your Physiotherapy Management App
+    </p>
+  </body>
+</html>
+`;
+};
+
+/**
+ * Render a handout as a PDF and pipe it to a writable stream
+ * @param {Object} handout - { prescription, patient, therapist, images }
+ * @param {Object} stream - Writable stream (e.g. Express response)
+ */
+const renderHandoutPdf = ({ prescription, patient, therapist, images }, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(20).fillColor('#0A84FF').text('Home Exercise Program');
+  doc.moveDown(0.5);
+  doc.fontSize(12).fillColor('#000000').font('Helvetica-Bold').text(patient?.name || '');
+  doc.font('Helvetica').fontSize(10).text(formatPeriod(prescription));
+
+  if (prescription.notes) {
+    doc.moveDown().text(prescription.notes);
+  }
+
+  prescription.exercises.forEach((item, index) => {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000').text(`${index + 1}. ${item.name}`);
+    doc.font('Helvetica').fontSize(10).fillColor('#0A84FF').text(formatDosage(item));
+    doc.fillColor('#000000');
+
+    const image = images.get(item.exerciseId.toString());
+    if (image) {
+      doc.moveDown(0.5);
+      doc.image(image.buffer, { fit: [200, 150] });
+    }
+
+    if (item.instructions) doc.moveDown(0.5).text(item.instructions);
+    if (item.notes) doc.fillColor('#666666').text(item.notes).fillColor('#000000');
+  });
+
+  doc.moveDown(2).fontSize(9).fillColor('#666666')
+    .text([therapist?.name, therapist?.highestQualification].filter(Boolean).join(', '))
+    .text(therapist?.phoneNumber || '');
+
+  doc.end();
+};
+
+module.exports = {
+  renderHandoutHtml,
+  renderHandoutPdf
+};
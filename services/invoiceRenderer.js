@@ -0,0 +1,159 @@
+/**
+ * Invoice Renderer
+ * Single Responsibility: Render invoices as HTML or PDF documents
+ */
+
+const PDFDocument = require('pdfkit');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+/**
+ * Format an amount in rupees
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount (e.g. Rs. 1,500.00)
+ */
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+/**
+ * Join the non-empty parts of a therapist address
+ * @param {Object} address - Address object
+ * @returns {string} Single-line address
+ */
+const formatAddress = (address = {}) => {
+  const { houseNumber, area, city, state, pincode } = address || {};
+  return [houseNumber, area, city, state, pincode].filter(Boolean).join(', ');
+};
+
+/**
+ * Render an invoice as a standalone HTML page
+ * @param {Object} invoice - Invoice document
+ * @returns {string} HTML markup
+ */
+const renderInvoiceHtml = (invoice) => {
+  const { therapist = {} } = invoice;
+
+  const rows = invoice.lineItems.map((item, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(item.date)} ${escapeHtml(item.time)}</td>
+            <td>${escapeHtml(item.description)}</td>
+            <td style="text-align: right;">${formatAmount(item.amount)}</td>
+          </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px;">
+    <h2 style="color: #0A84FF;">Invoice ${escapeHtml(invoice.invoiceNumber)}</h2>
+    <p style="color: #666;">Status: ${escapeHtml(invoice.status.toUpperCase())}</p>
+    <div style="display: flex; justify-content: space-between; margin: 20px 0;">
+      <div>
+        <strong>${escapeHtml(therapist.name)}</strong><br>
+        ${escapeHtml(therapist.highestQualification)}<br>
+        ${escapeHtml(formatAddress(therapist.address))}<br>
+        ${escapeHtml(therapist.phoneNumber)} ${escapeHtml(therapist.email)}
+      </div>
+      <div style="text-align: right;">
+        Issue date: ${escapeHtml(invoice.issueDate)}<br>
+        Period: ${escapeHtml(invoice.periodStart)} to ${escapeHtml(invoice.periodEnd)}<br>
+        Billed to: <strong>${escapeHtml(invoice.patientName)}</strong>
+      </div>
+    </div>
+    <table style="width: 100%; border-collapse: collapse;" border="1" cellpadding="8">
+      <thead style="background-color: #f5f5f5;">
+        <tr>
+          <th>#</th>
+          <th>Date</th>
+          <th>Description</th>
+          <th style="text-align: right;">Amount</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+      <tfoot>
+        <tr>
+          <td colspan="3" style="text-align: right;">Subtotal</td>
+          <td style="text-align: right;">${formatAmount(invoice.subtotal)}</td>
+        </tr>
+        <tr>
+          <td colspan="3" style="text-align: right;"><strong>Total</strong></td>
+          <td style="text-align: right;"><strong>${formatAmount(invoice.total)}</strong></td>
+        </tr>
+      </tfoot>
+    </table>
+    ${invoice.notes ? `<p>${escapeHtml(invoice.notes)}</p>` : ''}
+    <hr style="margin: 30px 0;">
+    <p style="color: #666; font-size: 12px;">Generated by Rehabiri - Your Physiotherapy Management App</p>
+  </body>
+</html>
+`;
+};
+
+/**
+ * Render an invoice as a PDF and pipe it to a writable stream
+ * @param {Object} invoice - Invoice document
+ * @param {Object} stream - Writable stream (e.g. Express response)
+ */
+const renderInvoicePdf = (invoice, stream) => {
+  const { therapist = {} } = invoice;
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(20).fillColor('#0A84FF').text(`Invoice ${invoice.invoiceNumber}`);
+  doc.fontSize(10).fillColor('#666666').text(`Status: ${invoice.status.toUpperCase()}`);
+  doc.moveDown();
+
+  doc.fillColor('#000000').fontSize(11).text(therapist.name || '', { continued: false });
+  doc.fontSize(10)
+    .text(therapist.highestQualification || '')
+    .text(formatAddress(therapist.address))
+    .text([therapist.phoneNumber, therapist.email].filter(Boolean).join('  '));
+  doc.moveDown();
+
+  doc.text(`Issue date: ${invoice.issueDate}`)
+    .text(`Period: ${invoice.periodStart} to ${invoice.periodEnd}`)
+    .text(`Billed to: ${invoice.patientName}`);
+  doc.moveDown();
+
+  const columns = { index: 50, date: 80, description: 200, amount: 420 };
+  const drawRow = (cells, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(cells.index, columns.index, y);
+    doc.text(cells.date, columns.date, y);
+    doc.text(cells.description, columns.description, y, { width: 210 });
+    doc.text(cells.amount, columns.amount, y, { width: 125, align: 'right' });
+    doc.moveDown(0.5);
+  };
+
+  drawRow({ index: '#', date: 'Date', description: 'Description', amount: 'Amount' }, { bold: true });
+  invoice.lineItems.forEach((item, index) => {
+    drawRow({
+      index: String(index + 1),
+      date: `${item.date} ${item.time}`,
+      description: item.description,
+      amount: formatAmount(item.amount)
+    });
+  });
+
+  doc.moveDown();
+  drawRow({ index: '', date: '', description: 'Subtotal', amount: formatAmount(invoice.subtotal) });
+  drawRow({ index: '', date: '', description: 'Total', amount: formatAmount(invoice.total) }, { bold: true });
+
+  if (invoice.notes) {
+    doc.moveDown().font('Helvetica').text(invoice.notes, columns.index);
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  formatAmount,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
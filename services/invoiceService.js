@@ -0,0 +1,174 @@
+/**
+ * Invoice Service Layer
+ * Single Responsibility: Handle invoice generation and lifecycle
+ */
+
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Session = require('../models/Session');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const { transformDocuments } = require('../utils/responseUtils');
+const { buildDateRangeQuery } = require('../utils/databaseUtils');
+const { getTodayInTimezone } = require('../utils/dateUtils');
+const { buildAccessScope } = require('../utils/accessUtils');
+const { createError } = require('../middleware/errorHandler');
+
+// Allowed status changes; paid and void invoices are final
+const STATUS_TRANSITIONS = {
+  draft: ['issued', 'void'],
+  issued: ['paid', 'void'],
+  paid: [],
+  void: []
+};
+
+/**
+ * Format a per-therapist sequence as an invoice number
+ * @param {number} sequence - Sequence value
+ * @returns {string} Invoice number (e.g. INV-0007)
+ */
+const formatInvoiceNumber = (sequence) => `INV-${String(sequence).padStart(4, '0')}`;
+
+class InvoiceService {
+  /**
+   * Get all invoices visible to the user
+   * @param {Object} access - Access context
+   * @param {Object} filters - Filter options { patientId, status }
+   * @returns {Promise<Array>} Array of invoices, newest first
+   */
+  static async getAllInvoices(access, filters = {}) {
+    const { patientId, status } = filters;
+    const query = buildAccessScope(access);
+
+    if (patientId) query.patientId = patientId;
+    if (status) query.status = status;
+
+    const invoices = await Invoice.find(query)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return transformDocuments(invoices);
+  }
+
+  /**
+   * Get invoice by ID
+   * @param {string} invoiceId - Invoice ID
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} Invoice or null
+   */
+  static async getInvoiceById(invoiceId, access) {
+    const invoice = await Invoice.findOne({
+      _id: invoiceId,
+      ...buildAccessScope(access)
+    }).lean();
+
+    if (!invoice) return null;
+    return transformDocuments([invoice])[0];
+  }
+
+  /**
+   * Create an invoice for a patient's completed, priced sessions in a date range
+   * In a clinic the invoice covers sessions with every therapist and is issued by the
+   * patient's assigned therapist (or the user when none is assigned).
+   * @param {Object} invoiceData - { patientId, startDate, endDate, notes }
+   * @param {Object} access - Access context
+   * @param {string} timezone - IANA timezone used for the issue date
+   * @returns {Promise<Object|null>} Created invoice or null if patient not found
+   */
+  static async createInvoice(invoiceData, access, timezone) {
+    const { patientId, startDate, endDate, notes } = invoiceData;
+
+    const patient = await Patient.findOne({ _id: patientId, ...buildAccessScope(access) }).lean();
+    if (!patient) return null;
+
+    const userId = patient.therapistId || access.userId;
+
+    // Sessions already on a live invoice can't be billed twice
+    const invoicedSessionIds = await Invoice.distinct('lineItems.sessionId', {
+      patientId,
+      status: { $ne: 'void' }
+    });
+
+    const sessions = await Session.find({
+      ...buildAccessScope(access),
+      patientId,
+      completed: true,
+      amount: { $exists: true, $ne: null, $gt: 0 },
+      _id: { $nin: invoicedSessionIds },
+      ...buildDateRangeQuery(startDate, endDate)
+    })
+    .sort({ date: 1, time: 1 })
+    .lean();
+
+    if (sessions.length === 0) {
+      throw createError('No uninvoiced completed sessions with an amount in this period', 400);
+    }
+
+    const user = await User.findById(userId)
+      .select('name email phoneNumber address highestQualification')
+      .lean();
+
+    const lineItems = sessions.map(session => ({
+      sessionId: session._id,
+      date: session.date,
+      time: session.time,
+      description: 'Physiotherapy session',
+      amount: session.amount
+    }));
+    const subtotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+
+    const sequence = await Counter.next(`invoice:${userId}`);
+
+    const invoice = new Invoice({
+      userId,
+      clinicId: patient.clinicId || null,
+      patientId,
+      patientName: patient.name,
+      invoiceNumber: formatInvoiceNumber(sequence),
+      sequence,
+      periodStart: startDate || sessions[0].date,
+      periodEnd: endDate || sessions[sessions.length - 1].date,
+      issueDate: getTodayInTimezone(timezone),
+      therapist: {
+        name: user?.name,
+        email: user?.email,
+        phoneNumber: user?.phoneNumber,
+        highestQualification: user?.highestQualification,
+        address: user?.address
+      },
+      lineItems,
+      subtotal,
+      total: subtotal,
+      notes: notes?.trim() || ''
+    });
+
+    await invoice.save();
+    return transformDocuments([invoice])[0];
+  }
+
+  /**
+   * Change invoice status (draft -> issued -> paid, or void)
+   * @param {string} invoiceId - Invoice ID
+   * @param {string} status - New status
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} Updated invoice or null
+   */
+  static async updateStatus(invoiceId, status, access) {
+    const invoice = await Invoice.findOne({ _id: invoiceId, ...buildAccessScope(access) });
+    if (!invoice) return null;
+
+    if (!STATUS_TRANSITIONS[invoice.status].includes(status)) {
+      throw createError(`Cannot change invoice status from ${invoice.status} to ${status}`, 400);
+    }
+
+    invoice.status = status;
+    if (status === 'issued') invoice.issuedAt = new Date();
+    if (status === 'paid') invoice.paidAt = new Date();
+    if (status === 'void') invoice.voidedAt = new Date();
+
+    await invoice.save();
+    return transformDocuments([invoice])[0];
+  }
+}
+
+module.exports = InvoiceService;
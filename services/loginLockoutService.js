@@ -0,0 +1,61 @@
+/**
+ * Login Lockout Service Layer
+ * Single Responsibility: Lock accounts after repeated bad passwords, for longer each time
+ *
+ * Every LOGIN_LOCKOUT_THRESHOLD consecutive failures lock the account; the first lockout
+ * lasts LOGIN_LOCKOUT_BASE_MINUTES and each further one doubles, up to the maximum.
+ * A successful sign-in or password reset starts the count again.
+ */
+
+const User = require('../models/User');
+const {
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_BASE_MINUTES,
+  LOGIN_LOCKOUT_MAX_MINUTES
+} = require('../config/rateLimits');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+class LoginLockoutService {
+  /**
+   * Time left on an account's lockout
+   * @param {Object} user - User loaded with +lockedUntil
+   * @returns {number} Milliseconds until sign-in is allowed again (0 when not locked)
+   */
+  static getLockRemainingMs(user) {
+    if (!user.lockedUntil) return 0;
+    return Math.max(user.lockedUntil.getTime() - Date.now(), 0);
+  }
+
+  /**
+   * Count a bad password, locking the account when it reaches the next threshold
+   * @param {string} userId - User ID
+   * @returns {Promise<Date|null>} When the new lockout ends, or null if not locked
+   */
+  static async recordFailure(userId) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    ).select('failedLoginAttempts').lean();
+    if (!user || user.failedLoginAttempts % LOGIN_LOCKOUT_THRESHOLD !== 0) return null;
+
+    const lockouts = user.failedLoginAttempts / LOGIN_LOCKOUT_THRESHOLD;
+    const minutes = Math.min(LOGIN_LOCKOUT_BASE_MINUTES * 2 ** (lockouts - 1), LOGIN_LOCKOUT_MAX_MINUTES);
+    const lockedUntil = new Date(Date.now() + minutes * MS_PER_MINUTE);
+
+    await User.updateOne({ _id: userId }, { $set: { lockedUntil } });
+    return lockedUntil;
+  }
+
+  /**
+   * Clear the failure count and any lockout
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  static async clear(userId) {
+    await User.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+  }
+}
+
+module.exports = LoginLockoutService;
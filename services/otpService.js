@@ -0,0 +1,196 @@
+/**
+ * OTP Service Layer
+ * Single Responsibility: Issue and check one-time passwords and the verification tokens they unlock
+ *
+ * Codes are stored as a keyed hash (OTP_SECRET, falling back to JWT_SECRET) so a copy of the
+ * collection can't be brute-forced offline. A correct code is exchanged for a verification
+ * token "<otpId>.<secret>" that is bound to one email and purpose and works exactly once.
+ */
+
+const crypto = require('crypto');
+const OTP = require('../models/OTP');
+const { createError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../utils/responseUtils');
+const { OTP_MAX_ATTEMPTS } = require('../config/rateLimits');
+
+const OTP_TTL_SECONDS = 10 * 60;
+const VERIFICATION_TOKEN_TTL_SECONDS = Number(process.env.VERIFICATION_TOKEN_TTL_SECONDS) || 15 * 60;
+
+const OTP_PURPOSES = OTP.schema.path('purpose').enumValues;
+
+/**
+ * Normalize an email the way User stores it
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lowercased email
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Hash a code for storage, keyed so the small code space can't be enumerated offline
+ * @param {string} otp - Six-digit code
+ * @returns {string} Hex digest
+ */
+const hashOtp = (otp) => {
+  return crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(String(otp))
+    .digest('hex');
+};
+
+/**
+ * Hash a verification token secret for storage
+ * @param {string} secret - Verification token secret
+ * @returns {string} Hex digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - First digest
+ * @param {string} b - Second digest
+ * @returns {boolean} True if equal
+ */
+const digestsMatch = (a, b) => {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Split a verification token into its OTP ID and secret
+ * @param {string} token - Verification token
+ * @returns {Object|null} { otpId, secret } or null if malformed
+ */
+const parseVerificationToken = (token) => {
+  const [otpId, secret, ...rest] = String(token || '').split('.');
+  if (!/^[a-f\d]{24}$/i.test(otpId) || !secret || rest.length > 0) return null;
+  return { otpId, secret };
+};
+
+class OtpService {
+  /**
+   * Check that a purpose is one OTPs can be issued for
+   * @param {string} purpose - Purpose
+   * @returns {boolean} True if valid
+   */
+  static isValidPurpose(purpose) {
+    return OTP_PURPOSES.includes(purpose);
+  }
+
+  /**
+   * Create a new OTP for an email and purpose, replacing any earlier one
+   * @param {string} email - Email the code will be sent to
+   * @param {string} purpose - signup, password_reset or email_change
+   * @param {Object} options - { userId } of the account changing its email (email_change)
+   * @returns {Promise<string>} The code, to be emailed and never stored or logged
+   */
+  static async issueOtp(email, purpose, options = {}) {
+    const otp = crypto.randomInt(100000, 1000000).toString();
+
+    await OTP.findOneAndUpdate(
+      { email: normalizeEmail(email), purpose },
+      {
+        userId: options.userId || null,
+        otpHash: hashOtp(otp),
+        expiresAt: new Date(Date.now() + OTP_TTL_SECONDS * 1000),
+        attempts: 0,
+        verifiedAt: null,
+        verificationTokenHash: null
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return otp;
+  }
+
+  /**
+   * Check an email's current OTP for a purpose and exchange it for a verification token
+   * A wrong guess counts against the OTP; once OTP_MAX_ATTEMPTS are used it no longer matches.
+   * @param {string} email - Email the OTP was sent to
+   * @param {string} otp - OTP entered by the user
+   * @param {string} purpose - Purpose the OTP was issued for
+   * @returns {Promise<Object>} { verificationToken, expiresIn }
+   * @throws {Error} 400 when the OTP is wrong, expired, already verified or out of attempts
+   */
+  static async verifyOtp(email, otp, purpose) {
+    const otpDoc = await OTP.findOne({
+      email: normalizeEmail(email),
+      purpose,
+      expiresAt: { $gt: new Date() },
+      verifiedAt: null,
+      attempts: { $lt: OTP_MAX_ATTEMPTS }
+    });
+
+    if (!otpDoc) {
+      throw createError('Invalid or expired OTP', 400, null, ERROR_CODES.OTP_INVALID);
+    }
+
+    if (!digestsMatch(otpDoc.otpHash, hashOtp(otp))) {
+      const updated = await OTP.findOneAndUpdate(
+        { _id: otpDoc._id },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      ).lean();
+
+      if (updated && updated.attempts >= OTP_MAX_ATTEMPTS) {
+        throw createError('Too many incorrect attempts, please request a new OTP', 400, null, ERROR_CODES.OTP_ATTEMPTS_EXCEEDED);
+      }
+      throw createError('Invalid or expired OTP', 400, null, ERROR_CODES.OTP_INVALID);
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    // Conditional so two requests racing with the same code can't both get a token
+    const verified = await OTP.findOneAndUpdate(
+      { _id: otpDoc._id, verifiedAt: null },
+      {
+        verifiedAt: new Date(),
+        verificationTokenHash: hashSecret(secret),
+        expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL_SECONDS * 1000)
+      },
+      { new: true }
+    );
+    if (!verified) {
+      throw createError('Invalid or expired OTP', 400, null, ERROR_CODES.OTP_INVALID);
+    }
+
+    return {
+      verificationToken: `${verified._id}.${secret}`,
+      expiresIn: VERIFICATION_TOKEN_TTL_SECONDS
+    };
+  }
+
+  /**
+   * Use up a verification token, checking it was issued for this email and purpose
+   * @param {string} token - Verification token from verifyOtp
+   * @param {string} email - Email being verified
+   * @param {string} purpose - Purpose the caller needs
+   * @param {Object} options - { userId } the token must belong to (email_change)
+   * @returns {Promise<Object>} The consumed OTP record ({ email, purpose, userId, ... })
+   * @throws {Error} 400 when the token is malformed, expired, used or for another email, purpose or user
+   */
+  static async consumeVerificationToken(token, email, purpose, options = {}) {
+    const parsed = parseVerificationToken(token);
+    if (!parsed) {
+      throw createError('Invalid or expired verification token', 400, null, ERROR_CODES.VERIFICATION_TOKEN_INVALID);
+    }
+
+    // Deleting the record is what makes the token single-use
+    const otpDoc = await OTP.findOneAndDelete({
+      _id: parsed.otpId,
+      email: normalizeEmail(email),
+      purpose,
+      ...(options.userId && { userId: options.userId }),
+      verificationTokenHash: hashSecret(parsed.secret),
+      expiresAt: { $gt: new Date() }
+    }).lean();
+
+    if (!otpDoc) {
+      throw createError('Invalid or expired verification token', 400, null, ERROR_CODES.VERIFICATION_TOKEN_INVALID);
+    }
+
+    return otpDoc;
+  }
+}
+
+module.exports = OtpService;
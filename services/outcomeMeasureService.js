@@ -0,0 +1,145 @@
+/**
+ * Outcome Measure Service Layer
+ * Single Responsibility: Record outcome measures and build progress time series
+ */
+
+const OutcomeMeasure = require('../models/OutcomeMeasure');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const { transformDocuments } = require('../utils/responseUtils');
+const { buildDateRangeQuery } = require('../utils/databaseUtils');
+const { buildAccessScope } = require('../utils/accessUtils');
+const { createError } = require('../middleware/errorHandler');
+
+class OutcomeMeasureService {
+  /**
+   * Get measurements for a patient
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @param {Object} filters - Filter options { type, key, sessionId, startDate, endDate }
+   * @returns {Promise<Array|null>} Measurements or null if patient not found
+   */
+  static async getMeasures(patientId, access, filters = {}) {
+    const patient = await Patient.exists({ _id: patientId, ...buildAccessScope(access) });
+    if (!patient) return null;
+
+    const { type, key, sessionId, startDate, endDate } = filters;
+    const query = { patientId, ...buildDateRangeQuery(startDate, endDate) };
+
+    if (type) query.type = type;
+    if (key) query.key = key;
+    if (sessionId) query.sessionId = sessionId;
+
+    const measures = await OutcomeMeasure.find(query)
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+
+    return transformDocuments(measures);
+  }
+
+  /**
+   * Record one or more validated measurements for a patient
+   * @param {string} patientId - Patient ID
+   * @param {Array} measures - Normalized measures (see normalizeMeasure)
+   * @param {Object} context - { sessionId, date, notes } shared by the measures
+   * @param {Object} access - Access context
+   * @returns {Promise<Array|null>} Created measurements or null if patient not found
+   */
+  static async recordMeasures(patientId, measures, context, access) {
+    const patient = await Patient.exists({ _id: patientId, ...buildAccessScope(access) });
+    if (!patient) return null;
+
+    let { date } = context;
+
+    if (context.sessionId) {
+      const session = await Session.findOne({ _id: context.sessionId, patientId, ...buildAccessScope(access) })
+        .select('date')
+        .lean();
+
+      if (!session) {
+        throw createError('Session not found for this patient', 404);
+      }
+
+      // Measurements taken at a session default to the session date
+      date = date || session.date;
+    }
+
+    if (!date) {
+      throw createError('date is required when no sessionId is given', 400);
+    }
+
+    const created = await OutcomeMeasure.insertMany(measures.map(measure => ({
+      userId: access.userId,
+      clinicId: access.clinicId || null,
+      patientId,
+      sessionId: context.sessionId || null,
+      date,
+      notes: context.notes?.trim() || '',
+      ...measure
+    })));
+
+    return transformDocuments(created);
+  }
+
+  /**
+   * Delete a measurement
+   * @param {string} measureId - Measurement ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteMeasure(measureId, patientId, access) {
+    if (!await Patient.exists({ _id: patientId, ...buildAccessScope(access) })) return false;
+
+    const result = await OutcomeMeasure.deleteOne({ _id: measureId, patientId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Get one time series per measure for charting
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @param {Object} filters - Filter options { type, key, startDate, endDate }
+   * @returns {Promise<Array|null>} Series [{ key, type, label, unit, points, baseline, latest, change }] or null
+   */
+  static async getTimeSeries(patientId, access, filters = {}) {
+    const measures = await this.getMeasures(patientId, access, filters);
+    if (!measures) return null;
+
+    const seriesByKey = new Map();
+
+    measures.forEach(measure => {
+      if (!seriesByKey.has(measure.key)) {
+        seriesByKey.set(measure.key, {
+          key: measure.key,
+          type: measure.type,
+          label: measure.label,
+          unit: measure.unit,
+          points: []
+        });
+      }
+
+      seriesByKey.get(measure.key).points.push({
+        id: measure.id,
+        date: measure.date,
+        value: measure.value,
+        ...(measure.grade && { grade: measure.grade }),
+        sessionId: measure.sessionId
+      });
+    });
+
+    return [...seriesByKey.values()].map(series => {
+      const baseline = series.points[0].value;
+      const latest = series.points[series.points.length - 1].value;
+
+      return {
+        ...series,
+        baseline,
+        latest,
+        change: Math.round((latest - baseline) * 100) / 100
+      };
+    });
+  }
+}
+
+module.exports = OutcomeMeasureService;
@@ -0,0 +1,233 @@
+/**
+ * Patient Import Service Layer
+ * Single Responsibility: Validate and import patients from CSV
+ */
+
+const Patient = require('../models/Patient');
+const { transformDocuments } = require('../utils/responseUtils');
+const { parseCsvRecords } = require('../utils/csvUtils');
+const { buildAccessScope } = require('../utils/accessUtils');
+const {
+  validateRequiredFields,
+  isValidAge,
+  isValidGender,
+  isValidPhone
+} = require('../utils/validationUtils');
+const { createError } = require('../middleware/errorHandler');
+const ClinicService = require('./clinicService');
+const AuditService = require('./auditService');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Accepted spellings for each patient field, compared without case or punctuation
+const HEADER_ALIASES = {
+  name: ['name', 'patientname', 'fullname', 'patient'],
+  contactNumber: ['contactnumber', 'contact', 'phone', 'phonenumber', 'mobile', 'mobilenumber'],
+  age: ['age'],
+  gender: ['gender', 'sex']
+};
+
+const GENDER_ALIASES = {
+  m: 'male',
+  male: 'male',
+  f: 'female',
+  female: 'female',
+  o: 'other',
+  other: 'other'
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizeName = (name) => name.toLowerCase().replace(/\s+/g, ' ').trim();
+const normalizePhone = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Map CSV headers to patient fields
+ * @param {Array<string>} headers - CSV headers
+ * @returns {Object} Map of patient field -> CSV header
+ */
+const mapHeaders = (headers) => {
+  const mapping = {};
+
+  Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+    const header = headers.find(h => aliases.includes(normalizeHeader(h)));
+    if (header) mapping[field] = header;
+  });
+
+  return mapping;
+};
+
+/**
+ * Convert a CSV record into patient data and validate it with the patient rules
+ * @param {Object} record - CSV record keyed by header
+ * @param {Object} mapping - Patient field -> CSV header
+ * @returns {Object} { data, errors }
+ */
+const validateRecord = (record, mapping) => {
+  const rawGender = (record[mapping.gender] || '').toLowerCase();
+  const data = {
+    name: record[mapping.name] || '',
+    contactNumber: record[mapping.contactNumber] || '',
+    age: record[mapping.age] || '',
+    gender: GENDER_ALIASES[rawGender] || rawGender
+  };
+
+  const { errors } = validateRequiredFields(data, ['name', 'age', 'gender']);
+
+  if (data.age && !isValidAge(data.age)) {
+    errors.push('Valid age is required (0-150)');
+  }
+
+  if (data.gender && !isValidGender(data.gender)) {
+    errors.push('Gender is required (male, female, or other)');
+  }
+
+  if (data.contactNumber && !isValidPhone(data.contactNumber)) {
+    errors.push('Invalid contact number');
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Find a likely duplicate: same phone number, or same name with an age within a year
+ * @param {Object} data - Patient data
+ * @param {Array} candidates - Patients to compare against
+ * @returns {Object|null} { patient, reason } or null
+ */
+const findDuplicate = (data, candidates) => {
+  const phone = normalizePhone(data.contactNumber);
+  const name = normalizeName(data.name);
+  const age = parseInt(data.age, 10);
+
+  for (const candidate of candidates) {
+    if (phone.length >= 8 && phone === normalizePhone(candidate.contactNumber)) {
+      return { patient: candidate, reason: 'Same contact number' };
+    }
+    if (name === normalizeName(candidate.name) && Math.abs(age - candidate.age) <= 1) {
+      return { patient: candidate, reason: 'Same name and age' };
+    }
+  }
+
+  return null;
+};
+
+class PatientImportService {
+  /**
+   * Validate a CSV of patients and flag likely duplicates without saving anything
+   * @param {string} csvText - CSV text with a header row
+   * @param {Object} access - Access context { userId, clinicId, role }
+   * @returns {Promise<Object>} { rows, summary }
+   */
+  static async previewImport(csvText, access) {
+    const { headers, records } = parseCsvRecords(csvText);
+    const mapping = mapHeaders(headers);
+
+    const missingColumns = ['name', 'age', 'gender'].filter(field => !mapping[field]);
+    if (missingColumns.length > 0) {
+      throw createError(`CSV is missing required columns: ${missingColumns.join(', ')}`, 400);
+    }
+
+    if (records.length === 0) {
+      throw createError('CSV has no data rows', 400);
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw createError(`CSV has more than ${MAX_IMPORT_ROWS} rows`, 400);
+    }
+
+    const existingPatients = await Patient.find(buildAccessScope(access))
+      .select('name contactNumber age gender')
+      .lean();
+
+    const acceptedRows = [];
+    const rows = records.map((record, index) => {
+      // Row numbers match the spreadsheet: header is row 1
+      const rowNumber = index + 2;
+      const { data, errors } = validateRecord(record, mapping);
+      const row = { row: rowNumber, data, errors, duplicateOf: null, duplicateOfRow: null };
+
+      if (errors.length > 0) return row;
+
+      const existing = findDuplicate(data, existingPatients);
+      if (existing) {
+        row.duplicateOf = {
+          ...transformDocuments([existing.patient])[0],
+          reason: existing.reason
+        };
+      }
+
+      const earlierRow = findDuplicate(data, acceptedRows.map(accepted => ({
+        ...accepted.data,
+        age: parseInt(accepted.data.age, 10),
+        row: accepted.row
+      })));
+      if (earlierRow) row.duplicateOfRow = earlierRow.patient.row;
+
+      acceptedRows.push(row);
+      return row;
+    });
+
+    const invalid = rows.filter(row => row.errors.length > 0).length;
+    const duplicates = rows.filter(row => row.duplicateOf || row.duplicateOfRow).length;
+
+    return {
+      rows,
+      summary: {
+        totalRows: rows.length,
+        valid: rows.length - invalid,
+        invalid,
+        duplicates,
+        columns: mapping
+      }
+    };
+  }
+
+  /**
+   * Import valid rows from a CSV of patients in one insert
+   * @param {string} csvText - CSV text with a header row
+   * @param {Object} access - Access context
+   * @param {Object} options - { includeDuplicates } to also import likely duplicates
+   * @returns {Promise<Object>} { patients, rows, summary }
+   */
+  static async importPatients(csvText, access, options = {}) {
+    const { rows, summary } = await this.previewImport(csvText, access);
+    const therapistId = await ClinicService.resolveTherapistId(access);
+
+    const importable = rows.filter(row =>
+      row.errors.length === 0 &&
+      (options.includeDuplicates || (!row.duplicateOf && !row.duplicateOfRow))
+    );
+
+    const created = importable.length > 0
+      ? await Patient.insertMany(importable.map(({ data }) => ({
+        userId: access.userId,
+        clinicId: access.clinicId,
+        therapistId,
+        name: data.name.trim(),
+        contactNumber: data.contactNumber.trim() || undefined,
+        age: parseInt(data.age, 10),
+        gender: data.gender
+      })))
+      : [];
+
+    await AuditService.recordMany(access, created.map(patient => ({
+      action: 'create',
+      entityType: 'patient',
+      after: patient,
+      source: 'patient_import'
+    })));
+
+    return {
+      patients: transformDocuments(created),
+      rows,
+      summary: {
+        ...summary,
+        imported: created.length,
+        skippedInvalid: summary.invalid,
+        skippedDuplicates: options.includeDuplicates ? 0 : summary.duplicates
+      }
+    };
+  }
+}
+
+module.exports = PatientImportService;
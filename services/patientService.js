@@ -6,34 +6,189 @@
 const Patient = require('../models/Patient');
 const Session = require('../models/Session');
 const { transformDocuments } = require('../utils/responseUtils');
-const { buildSessionFilterQuery } = require('../utils/databaseUtils');
+const { buildSessionFilterQuery, findPage, SESSION_STATUSES, CANCEL_SESSIONS_UPDATE } = require('../utils/databaseUtils');
+const { toUTCDate, addDays } = require('../utils/dateUtils');
+const { normalizeText, toPhoneticKey, toDigits, scoreName, scorePhone } = require('../utils/searchUtils');
+const SeriesService = require('./seriesService');
+const ConflictService = require('./conflictService');
+const ClinicService = require('./clinicService');
+const AuditService = require('./auditService');
+const { buildAccessScope } = require('../utils/accessUtils');
+
+// Patients read from the database per search, best matches kept for ranking by activity,
+// and what counts as seen recently
+const SEARCH_SCAN_LIMIT = 2000;
+const SEARCH_CANDIDATE_LIMIT = 200;
+const SEARCH_RECENT_DAYS = 30;
+
+/**
+ * Group sessions by the therapist running them
+ * @param {Array} sessions - Sessions
+ * @returns {Map} Map of therapist ID string -> sessions
+ */
+const groupByTherapist = (sessions) => {
+  return sessions.reduce((groups, session) => {
+    const key = session.userId.toString();
+    groups.set(key, [...(groups.get(key) || []), session]);
+    return groups;
+  }, new Map());
+};
 
 class PatientService {
   /**
-   * Get all patients for a user
-   * @param {string} userId - User ID
-   * @returns {Promise<Array>} Array of patients
+   * Get patients visible to the user, optionally one page at a time
+   * @param {Object} access - Access context { userId, clinicId, role }
+   * @param {Object} filters - Filter options { therapistId, gender, status, startDate, endDate }
+   *   status is active (has pending sessions) or inactive; dates bound when the patient was added
+   * @param {Object} listOptions - { sort, limit, cursor } from buildListOptions
+   * @returns {Promise<Object>} { patients, pagination }
    */
-  static async getAllPatients(userId) {
-    const patients = await Patient.find({ userId })
+  static async getAllPatients(access, filters = {}, listOptions = { sort: { createdAt: -1 } }) {
+    const { therapistId, gender, status, startDate, endDate } = filters;
+    const query = buildAccessScope(access);
+
+    if (therapistId) query.therapistId = therapistId;
+    if (gender) query.gender = gender;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = toUTCDate(startDate);
+      if (endDate) query.createdAt.$lt = toUTCDate(addDays(endDate, 1));
+    }
+
+    if (status) {
+      const activePatientIds = await Session.distinct('patientId', {
+        ...buildAccessScope(access),
+        ...SESSION_STATUSES.pending
+      });
+      query._id = status === 'active' ? { $in: activePatientIds } : { $nin: activePatientIds };
+    }
+
+    const { items, pagination } = await findPage(Patient, query, listOptions);
+    return { patients: transformDocuments(items), pagination };
+  }
+
+  /**
+   * Get a cursor over all patients visible to the user, in getAllPatients order
+   * @param {Object} access - Access context
+   * @returns {Object} Mongoose query cursor of lean patients
+   */
+  static getPatientsCursor(access) {
+    return Patient.find(buildAccessScope(access))
       .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Search patients by name (partial, misspelled or differently transliterated) or phone digits
+   * Matches are ranked by how well they match, with a boost for patients who have
+   * pending sessions and, to a lesser degree, those seen recently.
+   * @param {Object} access - Access context
+   * @param {string} searchText - What the user typed
+   * @param {Object} options - { limit, today } (today as YYYY-MM-DD in the user's timezone)
+   * @returns {Promise<Array>} Lightweight results for autocomplete
+   */
+  static async searchPatients(access, searchText, options = {}) {
+    const { limit = 10, today } = options;
+    const normalized = normalizeText(searchText);
+    const nameTerms = normalized.split(' ').filter(term => term && !/^\d+$/.test(term));
+    const digits = toDigits(normalized.split(' ').filter(term => /^\d+$/.test(term)).join(''));
+
+    const query = buildAccessScope(access);
+    if (nameTerms.length > 0) {
+      // Every term has to match a name word, and every match tier short of a typo or a
+      // mid-word hit keeps the first letter of the phonetic key, so narrow on it (an
+      // anchored prefix can use the nameKeys index)
+      query.nameKeys = { $all: nameTerms.map(term => new RegExp(`^${toPhoneticKey(term).charAt(0)}`)) };
+    } else if (digits) {
+      // Phone-only searches can be narrowed in the database (numbers may contain spaces or dashes)
+      query.contactNumber = new RegExp(digits.split('').join('\\D*'));
+    }
+
+    const candidates = await Patient.find(query)
+      .select('name contactNumber age gender therapistId')
+      .limit(SEARCH_SCAN_LIMIT)
       .lean();
-    
-    return transformDocuments(patients);
+
+    const matches = candidates
+      .map(patient => {
+        const nameScore = nameTerms.length > 0 ? scoreName(nameTerms, patient.name) : null;
+        const phoneScore = digits ? scorePhone(digits, patient.contactNumber) : null;
+        const scores = [nameScore, phoneScore].filter(score => score !== null);
+        return { patient, score: scores.includes(0) ? 0 : Math.min(...scores) };
+      })
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, SEARCH_CANDIDATE_LIMIT);
+
+    if (matches.length === 0) return [];
+
+    const patientIds = matches.map(match => match.patient._id);
+    const activity = await Session.aggregate([
+      { $match: { ...buildAccessScope(access), patientId: { $in: patientIds } } },
+      {
+        $group: {
+          _id: '$patientId',
+          lastSessionDate: { $max: '$date' },
+          pendingCount: { $sum: { $cond: [{ $and: [{ $eq: ['$completed', false] }, { $eq: ['$cancelled', false] }] }, 1, 0] } }
+        }
+      }
+    ]);
+    const activityById = new Map(activity.map(row => [row._id.toString(), row]));
+    const recentSince = today ? addDays(today, -SEARCH_RECENT_DAYS) : null;
+
+    return matches
+      .map(({ patient, score }) => {
+        const { lastSessionDate = null, pendingCount = 0 } = activityById.get(patient._id.toString()) || {};
+        const isRecent = Boolean(recentSince && lastSessionDate && lastSessionDate >= recentSince);
+
+        return {
+          id: patient._id,
+          name: patient.name,
+          contactNumber: patient.contactNumber || null,
+          age: patient.age,
+          gender: patient.gender,
+          therapistId: patient.therapistId || null,
+          hasPendingSessions: pendingCount > 0,
+          lastSessionDate,
+          rank: score + (pendingCount > 0 ? 0.3 : 0) + (isRecent ? 0.1 : 0)
+        };
+      })
+      .sort((a, b) => b.rank - a.rank || a.name.localeCompare(b.name))
+      .slice(0, limit)
+      .map(({ rank, ...result }) => result);
   }
 
+  /**
+   * Get patient by ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} Patient or null
+   */
+  static async getPatientById(patientId, access) {
+    const patient = await Patient.findOne({
+      _id: patientId,
+      ...buildAccessScope(access)
+    }).lean();
+
+    if (!patient) return null;
+    return transformDocuments([patient])[0];
+  }
 
   /**
    * Create a new patient
    * @param {Object} patientData - Patient data
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<Object>} Created patient
    */
-  static async createPatient(patientData, userId) {
+  static async createPatient(patientData, access) {
     const { name, contactNumber, age, gender } = patientData;
 
     const patient = new Patient({
-      userId,
+      userId: access.userId,
+      clinicId: access.clinicId,
+      therapistId: await ClinicService.resolveTherapistId(access, patientData.therapistId),
       name: name.trim(),
       contactNumber: contactNumber?.trim(),
       age: parseInt(age, 10),
@@ -41,60 +196,88 @@ class PatientService {
     });
 
     await patient.save();
+    await AuditService.record(access, { action: 'create', entityType: 'patient', after: patient });
     return transformDocuments([patient])[0];
   }
 
   /**
    * Update patient
    * @param {string} patientId - Patient ID
-   * @param {Object} updateData - Update data
-   * @param {string} userId - User ID
+   * @param {Object} updateData - Update data (therapistId reassigns within a clinic)
+   * @param {Object} access - Access context
    * @returns {Promise<Object|null>} Updated patient or null
    */
-  static async updatePatient(patientId, updateData, userId) {
-    const { name, contactNumber, age, gender } = updateData;
+  static async updatePatient(patientId, updateData, access) {
+    const { name, contactNumber, age, gender, therapistId } = updateData;
 
     const patient = await Patient.findOne({
       _id: patientId,
-      userId
+      ...buildAccessScope(access)
     });
 
     if (!patient) return null;
+    const before = patient.toObject();
 
     // Update fields
     if (name) patient.name = name.trim();
     if (contactNumber !== undefined) patient.contactNumber = contactNumber?.trim();
     if (age !== undefined) patient.age = parseInt(age, 10);
     if (gender !== undefined) patient.gender = gender;
+    if (therapistId !== undefined && access.clinicId) {
+      patient.therapistId = therapistId
+        ? await ClinicService.resolveTherapistId(access, therapistId)
+        : null;
+    }
 
     await patient.save();
+    await AuditService.record(access, { action: 'update', entityType: 'patient', before, after: patient });
     return transformDocuments([patient])[0];
   }
 
   /**
-   * Delete patient
+   * Move a patient to the trash, archiving all of their sessions with them
+   * Attachments are kept until the trash is purged.
    * @param {string} patientId - Patient ID
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<boolean>} Success status
    */
-  static async deletePatient(patientId, userId) {
-    const result = await Patient.deleteOne({
-      _id: patientId,
-      userId
-    });
+  static async deletePatient(patientId, access) {
+    const deletedAt = new Date();
+    const patient = await Patient.findOneAndUpdate(
+      { _id: patientId, ...buildAccessScope(access) },
+      { $set: { deletedAt } }
+    ).lean();
+
+    if (!patient) return false;
 
-    return result.deletedCount > 0;
+    // Archived sessions drop out of schedules and earnings and come back on restore
+    const sessions = await Session.find({ patientId }).lean();
+    await Session.updateMany(
+      { _id: { $in: sessions.map(session => session._id) } },
+      { $set: { deletedAt, archivedWithPatient: true } }
+    );
+
+    await AuditService.recordMany(access, [
+      { action: 'delete', entityType: 'patient', before: patient },
+      ...sessions.map(session => ({
+        action: 'delete',
+        entityType: 'session',
+        before: session,
+        source: 'patient_delete'
+      }))
+    ]);
+    return true;
   }
 
   /**
    * Get patient sessions
    * @param {string} patientId - Patient ID
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @param {Object} filters - Filter options
    * @returns {Promise<Array>} Array of sessions
    */
-  static async getPatientSessions(patientId, userId, filters = {}) {
-    const query = buildSessionFilterQuery(userId, {
+  static async getPatientSessions(patientId, access, filters = {}) {
+    const query = buildSessionFilterQuery(buildAccessScope(access), {
       ...filters,
       patientId
     });
@@ -109,13 +292,13 @@ class PatientService {
   /**
    * Get last active session date for a patient
    * @param {string} patientId - Patient ID
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<string|null>} Last active session date or null
    */
-  static async getLastActiveSessionDate(patientId, userId) {
+  static async getLastActiveSessionDate(patientId, access) {
     const session = await Session.findOne({
       patientId,
-      userId,
+      ...buildAccessScope(access),
       completed: false,
       cancelled: false
     })
@@ -129,13 +312,13 @@ class PatientService {
   /**
    * Check if patient has active sessions
    * @param {string} patientId - Patient ID
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<boolean>} Has active sessions
    */
-  static async hasActiveSessions(patientId, userId) {
+  static async hasActiveSessions(patientId, access) {
     const count = await Session.countDocuments({
       patientId,
-      userId,
+      ...buildAccessScope(access),
       completed: false,
       cancelled: false
     });
@@ -146,13 +329,13 @@ class PatientService {
   /**
    * Check multiple patients for active sessions
    * @param {Array} patientIds - Array of patient IDs
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<Array>} Array of patient IDs with active sessions
    */
-  static async getPatientsWithActiveSessions(patientIds, userId) {
+  static async getPatientsWithActiveSessions(patientIds, access) {
     const sessions = await Session.find({
       patientId: { $in: patientIds },
-      userId,
+      ...buildAccessScope(access),
       completed: false,
       cancelled: false
     })
@@ -165,46 +348,92 @@ class PatientService {
   }
 
   /**
-   * Update all sessions for a patient
+   * Update all pending sessions for a patient and the series they belong to
    * @param {string} patientId - Patient ID
    * @param {Object} updateData - Update data
-   * @param {string} userId - User ID
-   * @returns {Promise<number>} Number of sessions updated
+   * @param {Object} access - Access context
+   * @param {Object} options - { force } to apply despite schedule conflicts
+   * @returns {Promise<Object>} { modifiedCount, conflicts }
    */
-  static async updateAllPatientSessions(patientId, updateData, userId) {
+  static async updateAllPatientSessions(patientId, updateData, access, options = {}) {
+    const pendingQuery = {
+      patientId,
+      ...buildAccessScope(access),
+      completed: false,
+      cancelled: false
+    };
+
+    // In a clinic the sessions may be spread across several therapists' schedules
+    const pendingSessions = await Session.find(pendingQuery).lean();
+    const pendingByTherapist = groupByTherapist(pendingSessions);
+    const pendingIds = pendingSessions.map(session => session._id);
+
+    let conflicts = [];
+    if (updateData.time !== undefined || updateData.duration !== undefined) {
+      for (const [therapistId, therapistSessions] of pendingByTherapist) {
+        const defaultDuration = await ConflictService.getDefaultDuration(therapistId);
+
+        conflicts = conflicts.concat(await ConflictService.assertNoConflicts(
+          therapistId,
+          therapistSessions.map(session => ({
+            date: session.date,
+            time: updateData.time || session.time,
+            duration: updateData.duration || session.duration || defaultDuration
+          })),
+          { excludeIds: therapistSessions.map(session => session._id), force: options.force }
+        ));
+      }
+    }
+
     const result = await Session.updateMany(
-      {
-        patientId,
-        userId,
-        completed: false,
-        cancelled: false
-      },
+      { ...pendingQuery, seriesId: null },
       { $set: updateData }
     );
 
-    return result.modifiedCount;
+    // Series occurrences are edited through their series so its template stays in line
+    let seriesCount = 0;
+    for (const therapistId of pendingByTherapist.keys()) {
+      seriesCount += await SeriesService.updatePatientSeries(patientId, updateData, therapistId);
+    }
+
+    const updatedSessions = await Session.find({ _id: { $in: pendingIds } }).lean();
+    await AuditService.recordUpdates(access, 'session', pendingSessions, updatedSessions, 'patient_sessions_update');
+
+    return { modifiedCount: result.modifiedCount + seriesCount, conflicts };
   }
 
   /**
-   * Close all upcoming sessions for a patient
+   * Close all upcoming sessions for a patient and end their series
    * @param {string} patientId - Patient ID
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<number>} Number of sessions closed
    */
-  static async closeAllUpcomingSessions(patientId, userId) {
+  static async closeAllUpcomingSessions(patientId, access) {
+    const pendingQuery = {
+      patientId,
+      ...buildAccessScope(access),
+      completed: false,
+      cancelled: false
+    };
+    const pendingSessions = await Session.find(pendingQuery).lean();
+    const pendingByTherapist = groupByTherapist(pendingSessions);
+    const pendingIds = pendingSessions.map(session => session._id);
+
     const result = await Session.updateMany(
-      {
-        patientId,
-        userId,
-        completed: false,
-        cancelled: false
-      },
-      {
-        $set: { cancelled: true, amount: 0 }
-      }
+      { ...pendingQuery, seriesId: null },
+      CANCEL_SESSIONS_UPDATE
     );
 
-    return result.modifiedCount;
+    // Series occurrences are cancelled by ending their series
+    let seriesCount = 0;
+    for (const therapistId of new Set([...pendingByTherapist.keys(), String(access.userId)])) {
+      seriesCount += await SeriesService.endPatientSeries(patientId, therapistId);
+    }
+
+    const closedSessions = await Session.find({ _id: { $in: pendingIds } }).lean();
+    await AuditService.recordUpdates(access, 'session', pendingSessions, closedSessions, 'patient_sessions_close');
+
+    return result.modifiedCount + seriesCount;
   }
 }
 
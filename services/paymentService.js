@@ -0,0 +1,194 @@
+/**
+ * Payment Service Layer
+ * Single Responsibility: Handle the payments ledger and patient balances
+ */
+
+const Payment = require('../models/Payment');
+const Session = require('../models/Session');
+const Patient = require('../models/Patient');
+const { transformDocuments } = require('../utils/responseUtils');
+const { buildDateRangeQuery, buildAmountRangeQuery, findPage } = require('../utils/databaseUtils');
+const { buildAccessScope, buildAccessMatch, toObjectId } = require('../utils/accessUtils');
+const { createError } = require('../middleware/errorHandler');
+
+// A session is billable once completed with a positive amount
+const BILLABLE_FILTER = {
+  completed: true,
+  amount: { $exists: true, $ne: null, $gt: 0 }
+};
+
+/**
+ * Sum an amount field grouped by patient
+ * @param {Object} Model - Mongoose model to aggregate
+ * @param {Object} match - $match stage
+ * @returns {Promise<Map>} Map of patientId string -> { total, count }
+ */
+const sumByPatient = async (Model, match) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$patientId',
+        total: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row]));
+};
+
+class PaymentService {
+  /**
+   * Get payments visible to the user, optionally one page at a time
+   * In a clinic this is every payment recorded for the clinic's patients.
+   * @param {Object} access - Access context
+   * @param {Object} filters - Filter options { patientId, method, startDate, endDate, minAmount, maxAmount }
+   * @param {Object} listOptions - { sort, limit, cursor } from buildListOptions
+   * @returns {Promise<Object>} { payments, pagination }
+   */
+  static async getPayments(access, filters = {}, listOptions = { sort: { date: -1, createdAt: -1, _id: -1 } }) {
+    const { patientId, method, startDate, endDate, minAmount, maxAmount } = filters;
+    const query = {
+      ...buildAccessScope(access),
+      ...buildDateRangeQuery(startDate, endDate),
+      ...buildAmountRangeQuery(minAmount, maxAmount)
+    };
+
+    if (patientId) query.patientId = patientId;
+    if (method) query.method = method;
+
+    const { items, pagination } = await findPage(Payment, query, listOptions);
+    return { payments: transformDocuments(items), pagination };
+  }
+
+  /**
+   * Record a payment from a patient
+   * @param {Object} paymentData - { patientId, amount, method, date, reference, notes, sessionIds }
+   * @param {Object} access - Access context (the user recording the payment)
+   * @returns {Promise<Object|null>} Created payment or null if patient not found
+   */
+  static async recordPayment(paymentData, access) {
+    const { patientId, amount, method, date, reference, notes, sessionIds = [] } = paymentData;
+
+    const patient = await Patient.findOne({ _id: patientId, ...buildAccessScope(access) }).lean();
+    if (!patient) return null;
+
+    if (sessionIds.length > 0) {
+      const sessionCount = await Session.countDocuments({
+        _id: { $in: sessionIds },
+        patientId,
+        ...buildAccessScope(access)
+      });
+
+      if (sessionCount !== new Set(sessionIds.map(String)).size) {
+        throw createError('One or more sessions not found for this patient', 404);
+      }
+    }
+
+    const payment = new Payment({
+      userId: access.userId,
+      clinicId: patient.clinicId || null,
+      patientId,
+      patientName: patient.name,
+      amount: Number(amount),
+      method,
+      date,
+      reference: reference?.trim() || '',
+      notes: notes?.trim() || '',
+      sessionIds
+    });
+
+    await payment.save();
+    return transformDocuments([payment])[0];
+  }
+
+  /**
+   * Delete a payment
+   * @param {string} paymentId - Payment ID
+   * @param {Object} access - Access context
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deletePayment(paymentId, access) {
+    const result = await Payment.deleteOne({
+      _id: paymentId,
+      ...buildAccessScope(access)
+    });
+
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Get billed, paid and outstanding amounts for a patient
+   * In a clinic this covers every therapist's sessions with the patient.
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} Balance or null if patient not found
+   */
+  static async getPatientBalance(patientId, access) {
+    const patient = await Patient.findOne({ _id: patientId, ...buildAccessScope(access) }).lean();
+    if (!patient) return null;
+
+    const match = {
+      ...buildAccessMatch(access),
+      patientId: toObjectId(patientId)
+    };
+
+    const [billed, paid] = await Promise.all([
+      sumByPatient(Session, { ...match, ...BILLABLE_FILTER }),
+      sumByPatient(Payment, match)
+    ]);
+
+    const totalBilled = billed.get(patientId.toString())?.total || 0;
+    const totalPaid = paid.get(patientId.toString())?.total || 0;
+
+    const lastPayment = await Payment.findOne(match)
+      .sort({ date: -1, createdAt: -1 })
+      .lean();
+
+    return {
+      patientId: patient._id.toString(),
+      patientName: patient.name,
+      totalBilled,
+      totalPaid,
+      outstanding: totalBilled - totalPaid,
+      lastPaymentDate: lastPayment ? lastPayment.date : null
+    };
+  }
+
+  /**
+   * Get patients with an outstanding balance ("who owes me")
+   * @param {Object} access - Access context
+   * @returns {Promise<Array>} Balances sorted by outstanding amount, highest first
+   */
+  static async getOutstandingReport(access) {
+    const match = buildAccessMatch(access);
+
+    const [billed, paid, patients] = await Promise.all([
+      sumByPatient(Session, { ...match, ...BILLABLE_FILTER }),
+      sumByPatient(Payment, match),
+      Patient.find(buildAccessScope(access)).select('name contactNumber').lean()
+    ]);
+
+    return patients
+      .map(patient => {
+        const id = patient._id.toString();
+        const totalBilled = billed.get(id)?.total || 0;
+        const totalPaid = paid.get(id)?.total || 0;
+
+        return {
+          patientId: id,
+          patientName: patient.name,
+          contactNumber: patient.contactNumber,
+          billedSessionCount: billed.get(id)?.count || 0,
+          totalBilled,
+          totalPaid,
+          outstanding: totalBilled - totalPaid
+        };
+      })
+      .filter(balance => balance.outstanding > 0)
+      .sort((a, b) => b.outstanding - a.outstanding);
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,233 @@
+/**
+ * Prescription Service Layer
+ * Single Responsibility: Handle home exercise program prescriptions for patients
+ */
+
+const ExercisePrescription = require('../models/ExercisePrescription');
+const Exercise = require('../models/Exercise');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ExerciseService = require('./exerciseService');
+const { transformDocuments } = require('../utils/responseUtils');
+const { buildAccessScope } = require('../utils/accessUtils');
+const { createError } = require('../middleware/errorHandler');
+
+const ITEM_FIELDS = ['sets', 'reps', 'holdSeconds', 'frequency', 'notes'];
+
+/**
+ * Build prescription items from library exercises, copying their details
+ * @param {Array} items - Requested items [{ exerciseId, sets, reps, holdSeconds, frequency, notes }]
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Prescription items
+ */
+const buildItems = async (items, userId) => {
+  const exerciseIds = [...new Set(items.map(item => String(item.exerciseId)))];
+  const exercises = await Exercise.find({ _id: { $in: exerciseIds }, userId }).lean();
+
+  if (exercises.length !== exerciseIds.length) {
+    throw createError('One or more exercises not found', 404);
+  }
+
+  const exercisesById = new Map(exercises.map(exercise => [exercise._id.toString(), exercise]));
+
+  return items.map(item => {
+    const exercise = exercisesById.get(String(item.exerciseId));
+    const prescribed = {
+      exerciseId: exercise._id,
+      name: exercise.name,
+      instructions: exercise.instructions,
+      sets: exercise.sets,
+      reps: exercise.reps,
+      holdSeconds: exercise.holdSeconds
+    };
+
+    ITEM_FIELDS.forEach(field => {
+      if (item[field] !== undefined) prescribed[field] = item[field];
+    });
+
+    return prescribed;
+  });
+};
+
+/**
+ * Check that a patient is visible to an access context
+ * @param {string} patientId - Patient ID
+ * @param {Object} access - Access context
+ * @returns {Promise<boolean>} Whether the patient is visible
+ */
+const isPatientVisible = async (patientId, access) => {
+  return Boolean(await Patient.exists({ _id: patientId, ...buildAccessScope(access) }));
+};
+
+/**
+ * Check that a session belongs to the patient
+ * @param {string} sessionId - Session ID
+ * @param {string} patientId - Patient ID
+ * @param {Object} access - Access context
+ */
+const assertSessionForPatient = async (sessionId, patientId, access) => {
+  const session = await Session.exists({ _id: sessionId, patientId, ...buildAccessScope(access) });
+  if (!session) {
+    throw createError('Session not found for this patient', 404);
+  }
+};
+
+class PrescriptionService {
+  /**
+   * Get prescriptions for a patient
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @param {Object} filters - Filter options { activeOn: YYYY-MM-DD }
+   * @returns {Promise<Array|null>} Prescriptions or null if patient not found
+   */
+  static async getPrescriptions(patientId, access, filters = {}) {
+    if (!await isPatientVisible(patientId, access)) return null;
+
+    const query = { patientId };
+    if (filters.activeOn) {
+      query.startDate = { $lte: filters.activeOn };
+      query.$or = [{ endDate: null }, { endDate: { $gte: filters.activeOn } }];
+    }
+
+    const prescriptions = await ExercisePrescription.find(query)
+      .sort({ startDate: -1 })
+      .lean();
+
+    return transformDocuments(prescriptions);
+  }
+
+  /**
+   * Get prescription by ID
+   * @param {string} prescriptionId - Prescription ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} Prescription or null
+   */
+  static async getPrescriptionById(prescriptionId, patientId, access) {
+    if (!await isPatientVisible(patientId, access)) return null;
+
+    const prescription = await ExercisePrescription.findOne({
+      _id: prescriptionId,
+      patientId
+    }).lean();
+
+    if (!prescription) return null;
+    return transformDocuments([prescription])[0];
+  }
+
+  /**
+   * Prescribe exercises to a patient
+   * @param {string} patientId - Patient ID
+   * @param {Object} prescriptionData - { exercises, startDate, endDate, sessionId, notes }
+   * @param {Object} access - Access context (prescribing from their exercise library)
+   * @param {string} today - Today's date in the user's timezone (default start date)
+   * @returns {Promise<Object|null>} Created prescription or null if patient not found
+   */
+  static async createPrescription(patientId, prescriptionData, access, today) {
+    const { exercises, startDate, endDate, sessionId, notes } = prescriptionData;
+
+    if (!await isPatientVisible(patientId, access)) return null;
+
+    if (sessionId) await assertSessionForPatient(sessionId, patientId, access);
+
+    const prescription = new ExercisePrescription({
+      userId: access.userId,
+      clinicId: access.clinicId || null,
+      patientId,
+      sessionId: sessionId || null,
+      startDate: startDate || today,
+      endDate: endDate || null,
+      exercises: await buildItems(exercises, access.userId),
+      notes: notes?.trim() || ''
+    });
+
+    await prescription.save();
+    return transformDocuments([prescription])[0];
+  }
+
+  /**
+   * Update a prescription, e.g. progressing exercises at a session
+   * @param {string} prescriptionId - Prescription ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} updateData - { exercises, startDate, endDate, sessionId, notes }
+   * @param {Object} access - Access context (exercises come from their library)
+   * @returns {Promise<Object|null>} Updated prescription or null
+   */
+  static async updatePrescription(prescriptionId, patientId, updateData, access) {
+    const { exercises, startDate, endDate, sessionId, notes } = updateData;
+
+    if (!await isPatientVisible(patientId, access)) return null;
+
+    const prescription = await ExercisePrescription.findOne({
+      _id: prescriptionId,
+      patientId
+    });
+    if (!prescription) return null;
+
+    if (sessionId) {
+      await assertSessionForPatient(sessionId, patientId, access);
+      prescription.sessionId = sessionId;
+    }
+
+    if (exercises !== undefined) prescription.exercises = await buildItems(exercises, access.userId);
+    if (startDate !== undefined) prescription.startDate = startDate;
+    if (endDate !== undefined) prescription.endDate = endDate || null;
+    if (notes !== undefined) prescription.notes = notes?.trim() || '';
+
+    await prescription.save();
+    return transformDocuments([prescription])[0];
+  }
+
+  /**
+   * Delete a prescription
+   * @param {string} prescriptionId - Prescription ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deletePrescription(prescriptionId, patientId, access) {
+    if (!await isPatientVisible(patientId, access)) return false;
+
+    const result = await ExercisePrescription.deleteOne({ _id: prescriptionId, patientId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Collect everything needed to render a patient handout
+   * The handout names the prescribing therapist and uses their exercise library's images.
+   * @param {string} prescriptionId - Prescription ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} { prescription, patient, therapist, images } or null
+   */
+  static async getHandout(prescriptionId, patientId, access) {
+    if (!await isPatientVisible(patientId, access)) return null;
+
+    const prescription = await ExercisePrescription.findOne({
+      _id: prescriptionId,
+      patientId
+    }).lean();
+    if (!prescription) return null;
+
+    const [patient, therapist, exercises] = await Promise.all([
+      Patient.findById(patientId).select('name').lean(),
+      User.findById(prescription.userId).select('name phoneNumber email highestQualification').lean(),
+      Exercise.find({
+        _id: { $in: prescription.exercises.map(item => item.exerciseId) },
+        userId: prescription.userId
+      }).select('image').lean()
+    ]);
+
+    // Images come from the current library entry; deleted exercises simply have none
+    const images = new Map();
+    await Promise.all(exercises.map(async exercise => {
+      const image = await ExerciseService.readImage(exercise.image);
+      if (image) images.set(exercise._id.toString(), image);
+    }));
+
+    return { prescription, patient, therapist, images };
+  }
+}
+
+module.exports = PrescriptionService;
@@ -0,0 +1,147 @@
+/**
+ * Rate Limit Store
+ * Single Responsibility: Count requests per key in fixed windows on a pluggable backend
+ *
+ * RATE_LIMIT_STORE selects the backend: "memory" (default) keeps counts in this process,
+ * "mongo" keeps them in the RateLimit collection so every server instance shares them.
+ */
+
+const { RATE_LIMIT_STORE } = require('../config/rateLimits');
+
+// How often the memory store drops windows that have ended
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// MongoDB error code for a unique index violation
+const DUPLICATE_KEY_ERROR = 11000;
+
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+
+    // Don't keep the process alive just for the sweep timer
+    setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Count a request, starting a new window if the last one has ended
+   * @param {string} key - Rate limit key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetAt } for the current window
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt.getTime() <= now) {
+      window = { count: 0, resetAt: new Date(now + windowMs) };
+      this.windows.set(key, window);
+    }
+    window.count += 1;
+
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Forget a key's count
+   * @param {string} key - Rate limit key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  /**
+   * Drop windows that have ended
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt.getTime() <= now) this.windows.delete(key);
+    }
+  }
+}
+
+class MongoStore {
+  constructor() {
+    // Only loaded when the Mongo backend is selected
+    this.RateLimit = require('../models/RateLimit');
+  }
+
+  /**
+   * Count a request, starting a new window if the last one has ended
+   * One atomic update, so concurrent requests on different instances can't both slip through.
+   * @param {string} key - Rate limit key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetAt } for the current window
+   */
+  async increment(key, windowMs) {
+    let window;
+    try {
+      window = await this.updateWindow(key, windowMs, true);
+    } catch (error) {
+      // Two first requests for a key raced to insert it; the loser counts against the winner's window
+      if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+      window = await this.updateWindow(key, windowMs, false);
+    }
+
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Add a request to a key's window, or open a new window if it has ended
+   * @param {string} key - Rate limit key
+   * @param {number} windowMs - Window length
+   * @param {boolean} upsert - Whether to insert the key when it doesn't exist yet
+   * @returns {Promise<Object>} Updated RateLimit document
+   */
+  async updateWindow(key, windowMs, upsert) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    return this.RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert, new: true }
+    ).lean();
+  }
+
+  /**
+   * Forget a key's count
+   * @param {string} key - Rate limit key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    await this.RateLimit.deleteOne({ key });
+  }
+}
+
+let store = null;
+
+/**
+ * Get the configured rate limit store
+ * @returns {MemoryStore|MongoStore} Store
+ */
+const getRateLimitStore = () => {
+  if (store) return store;
+
+  if (RATE_LIMIT_STORE === 'memory') {
+    store = new MemoryStore();
+  } else if (RATE_LIMIT_STORE === 'mongo') {
+    store = new MongoStore();
+  } else {
+    throw new Error(`Unknown RATE_LIMIT_STORE: ${RATE_LIMIT_STORE}`);
+  }
+
+  return store;
+};
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  getRateLimitStore
+};
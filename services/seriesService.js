@@ -0,0 +1,389 @@
+/**
+ * Series Service Layer
+ * Single Responsibility: Handle recurring session series business logic
+ */
+
+const SessionSeries = require('../models/SessionSeries');
+const Session = require('../models/Session');
+const Patient = require('../models/Patient');
+const { transformDocuments } = require('../utils/responseUtils');
+const { CANCEL_SESSIONS_UPDATE } = require('../utils/databaseUtils');
+const { generateOccurrenceDates, buildFollowingRecurrence } = require('../utils/recurrenceUtils');
+const { buildAccessScope } = require('../utils/accessUtils');
+const { createError } = require('../middleware/errorHandler');
+const ConflictService = require('./conflictService');
+const ClinicService = require('./clinicService');
+const AuditService = require('./auditService');
+
+// Only sessions that have not been marked yet follow series edits
+const PENDING_FILTER = { completed: false, cancelled: false };
+
+/**
+ * Pick the template fields a series edit may change
+ * @param {Object} updateData - Update data
+ * @returns {Object} Fields to $set
+ */
+const buildTemplateUpdate = (updateData) => {
+  const { time, duration, notes, amount } = updateData;
+  const updateFields = {};
+
+  if (time !== undefined) updateFields.time = time;
+  if (duration !== undefined) updateFields.duration = duration;
+  if (notes !== undefined) updateFields.notes = notes?.trim() || '';
+  if (amount !== undefined) updateFields.amount = amount;
+
+  return updateFields;
+};
+
+class SeriesService {
+  /**
+   * Get all series visible to the user
+   * @param {Object} access - Access context
+   * @param {Object} filters - Filter options { patientId, status }
+   * @returns {Promise<Array>} Array of series
+   */
+  static async getAllSeries(access, filters = {}) {
+    const { patientId, status } = filters;
+    const query = buildAccessScope(access);
+
+    if (patientId) query.patientId = patientId;
+    if (status) query.status = status;
+
+    const series = await SessionSeries.find(query)
+      .sort({ startDate: -1 })
+      .lean();
+
+    return transformDocuments(series);
+  }
+
+  /**
+   * Get a series with its sessions
+   * @param {string} seriesId - Series ID
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} { series, sessions } or null
+   */
+  static async getSeriesById(seriesId, access) {
+    const series = await SessionSeries.findOne({
+      _id: seriesId,
+      ...buildAccessScope(access)
+    }).lean();
+
+    if (!series) return null;
+
+    const sessions = await Session.find({ seriesId, userId: series.userId })
+      .sort({ date: 1, time: 1 })
+      .lean();
+
+    return {
+      series: transformDocuments([series])[0],
+      sessions: transformDocuments(sessions)
+    };
+  }
+
+  /**
+   * Create a series and generate its sessions
+   * @param {Object} seriesData - Series data { patientId, therapistId, startDate, time, duration, notes, amount, recurrence }
+   * @param {Object} access - Access context
+   * @param {Object} options - { force } to create despite schedule conflicts
+   * @returns {Promise<Object|null>} { series, sessions, conflicts } or null if patient not found
+   */
+  static async createSeries(seriesData, access, options = {}) {
+    const { patientId, startDate, time, notes, amount, recurrence } = seriesData;
+
+    const patient = await Patient.findOne({
+      _id: patientId,
+      ...buildAccessScope(access)
+    });
+
+    if (!patient) return null;
+
+    const userId = await ClinicService.resolveTherapistId(access, seriesData.therapistId, patient.therapistId);
+    if (!userId) {
+      throw createError('therapistId is required for patients without an assigned therapist', 400);
+    }
+
+    const dates = generateOccurrenceDates(recurrence, startDate);
+    const duration = seriesData.duration || await ConflictService.getDefaultDuration(userId);
+
+    const conflicts = await ConflictService.assertNoConflicts(
+      userId,
+      dates.map(date => ({ date, time, duration })),
+      { force: options.force }
+    );
+
+    const series = new SessionSeries({
+      userId,
+      clinicId: patient.clinicId || null,
+      patientId,
+      patientName: patient.name,
+      startDate,
+      endDate: dates[dates.length - 1],
+      time,
+      duration,
+      notes: notes?.trim() || '',
+      amount: amount || null,
+      recurrence: {
+        frequency: recurrence.frequency,
+        interval: parseInt(recurrence.interval, 10) || 1,
+        daysOfWeek: recurrence.daysOfWeek,
+        until: recurrence.until,
+        count: recurrence.count
+      }
+    });
+
+    await series.save();
+
+    const sessions = await Session.insertMany(dates.map(date => ({
+      userId,
+      clinicId: patient.clinicId || null,
+      patientId,
+      patientName: patient.name,
+      seriesId: series._id,
+      date,
+      time: series.time,
+      duration: series.duration,
+      notes: series.notes,
+      amount: series.amount
+    })));
+
+    await AuditService.recordMany(access, sessions.map(session => ({
+      action: 'create',
+      entityType: 'session',
+      after: session,
+      source: 'series'
+    })));
+
+    return {
+      series: transformDocuments([series])[0],
+      sessions: transformDocuments(sessions),
+      conflicts
+    };
+  }
+
+  /**
+   * Check the sessions an edit would move against the rest of the schedule
+   * @param {Array} sessions - Sessions being edited
+   * @param {Object} updateData - Update data { date, time, duration }
+   * @param {string} userId - User ID
+   * @param {boolean} force - Allow the edit despite conflicts
+   * @returns {Promise<Array>} Overridden conflicts
+   */
+  static async checkRescheduleConflicts(sessions, updateData, userId, force) {
+    const { date, time, duration } = updateData;
+    if (date === undefined && time === undefined && duration === undefined) return [];
+
+    const defaultDuration = await ConflictService.getDefaultDuration(userId);
+    const candidates = sessions.map(session => ({
+      date: date || session.date,
+      time: time || session.time,
+      duration: duration || session.duration || defaultDuration
+    }));
+
+    return ConflictService.assertNoConflicts(userId, candidates, {
+      excludeIds: sessions.map(session => session._id),
+      force
+    });
+  }
+
+  /**
+   * Edit an occurrence, the occurrence and all following ones, or the whole series
+   * @param {string} seriesId - Series ID
+   * @param {string} sessionId - Occurrence (session) ID the edit starts from
+   * @param {string} scope - Edit scope (this, following, all)
+   * @param {Object} updateData - Update data { date, time, duration, notes, amount }
+   * @param {Object} access - Access context
+   * @param {Object} options - { force } to apply despite schedule conflicts
+   * @returns {Promise<Object|null>} { series, modifiedCount, conflicts } or null
+   */
+  static async updateOccurrences(seriesId, sessionId, scope, updateData, access, options = {}) {
+    const series = await SessionSeries.findOne({ _id: seriesId, ...buildAccessScope(access) });
+    if (!series) return null;
+
+    // Sessions and conflicts belong to the series' therapist, who may not be the user
+    const { userId } = series;
+
+    const session = await Session.findOne({ _id: sessionId, seriesId, userId });
+    if (!session) return null;
+
+    const updateFields = buildTemplateUpdate(updateData);
+    const isWholeSeries = scope === 'all' || session.date <= series.startDate;
+
+    // Splitting the series also moves marked sessions, so load everything the edit may touch
+    let touchedSessions = [session.toObject()];
+    let affectedSessions = [session];
+    if (scope !== 'this') {
+      touchedSessions = await Session.find({
+        seriesId,
+        userId,
+        ...(isWholeSeries ? PENDING_FILTER : { date: { $gte: session.date } })
+      }).lean();
+      affectedSessions = touchedSessions.filter(touched => !touched.completed && !touched.cancelled);
+    }
+    const recordEdit = async () => {
+      const touchedIds = touchedSessions.map(touched => touched._id);
+      const updatedSessions = await Session.find({ _id: { $in: touchedIds } }).lean();
+      await AuditService.recordUpdates(access, 'session', touchedSessions, updatedSessions, 'series_edit');
+    };
+
+    const conflicts = await this.checkRescheduleConflicts(
+      affectedSessions,
+      scope === 'this' ? updateData : updateFields,
+      userId,
+      options.force
+    );
+
+    if (scope === 'this') {
+      Object.assign(session, updateFields);
+      if (updateData.date !== undefined) session.date = updateData.date;
+      await session.save();
+      await recordEdit();
+
+      return {
+        series: transformDocuments([series])[0],
+        modifiedCount: 1,
+        conflicts
+      };
+    }
+
+    if (isWholeSeries) {
+      const result = await Session.updateMany(
+        { seriesId, userId, ...PENDING_FILTER },
+        { $set: updateFields }
+      );
+
+      Object.assign(series, updateFields);
+      await series.save();
+      await recordEdit();
+
+      return {
+        series: transformDocuments([series])[0],
+        modifiedCount: result.modifiedCount,
+        conflicts
+      };
+    }
+
+    // "This and following": split off a new series starting at this occurrence
+    const previousSession = await Session.findOne({
+      seriesId,
+      userId,
+      date: { $lt: session.date }
+    })
+    .sort({ date: -1 })
+    .select('date')
+    .lean();
+
+    const { _id, createdAt, updatedAt, ...template } = series.toObject();
+    const followingSeries = new SessionSeries({
+      ...template,
+      startDate: session.date,
+      recurrence: buildFollowingRecurrence(template.recurrence, series.startDate, session.date),
+      ...updateFields
+    });
+    await followingSeries.save();
+
+    series.endDate = previousSession ? previousSession.date : series.startDate;
+    series.recurrence.until = series.endDate;
+    series.recurrence.count = undefined;
+    await series.save();
+
+    await Session.updateMany(
+      { seriesId, userId, date: { $gte: session.date } },
+      { $set: { seriesId: followingSeries._id } }
+    );
+
+    const result = await Session.updateMany(
+      { seriesId: followingSeries._id, userId, ...PENDING_FILTER },
+      { $set: updateFields }
+    );
+    await recordEdit();
+
+    return {
+      series: transformDocuments([followingSeries])[0],
+      modifiedCount: result.modifiedCount,
+      conflicts
+    };
+  }
+
+  /**
+   * End a series early, cancelling its pending sessions after the end date
+   * @param {string} seriesId - Series ID
+   * @param {string} endDate - Last date to keep (YYYY-MM-DD)
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} { series, cancelledCount } or null
+   */
+  static async endSeries(seriesId, endDate, access) {
+    const series = await SessionSeries.findOne({ _id: seriesId, ...buildAccessScope(access) });
+    if (!series) return null;
+
+    // The sessions belong to the series' therapist, who may not be the user
+    const pendingQuery = {
+      seriesId,
+      userId: series.userId,
+      date: { $gt: endDate },
+      ...PENDING_FILTER
+    };
+    const pendingSessions = await Session.find(pendingQuery).lean();
+
+    const result = await Session.updateMany(pendingQuery, CANCEL_SESSIONS_UPDATE);
+
+    const cancelledSessions = await Session.find({ _id: { $in: pendingSessions.map(session => session._id) } }).lean();
+    await AuditService.recordUpdates(access, 'session', pendingSessions, cancelledSessions, 'series_end');
+
+    series.status = 'ended';
+    series.endedAt = new Date();
+    if (endDate < series.endDate) series.endDate = endDate;
+    await series.save();
+
+    return {
+      series: transformDocuments([series])[0],
+      cancelledCount: result.modifiedCount
+    };
+  }
+
+  /**
+   * Apply template changes to the pending occurrences of a patient's series and to
+   * the templates of those still active
+   * @param {string} patientId - Patient ID
+   * @param {Object} updateData - Update data { time, duration, notes, amount }
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of sessions updated
+   */
+  static async updatePatientSeries(patientId, updateData, userId) {
+    const updateFields = buildTemplateUpdate(updateData);
+    if (Object.keys(updateFields).length === 0) return 0;
+
+    const result = await Session.updateMany(
+      { patientId, userId, seriesId: { $ne: null }, ...PENDING_FILTER },
+      { $set: updateFields }
+    );
+
+    await SessionSeries.updateMany(
+      { patientId, userId, status: 'active' },
+      { $set: updateFields }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Cancel the pending occurrences of a patient's series and end those still active
+   * @param {string} patientId - Patient ID
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of sessions cancelled
+   */
+  static async endPatientSeries(patientId, userId) {
+    const result = await Session.updateMany(
+      { patientId, userId, seriesId: { $ne: null }, ...PENDING_FILTER },
+      CANCEL_SESSIONS_UPDATE
+    );
+
+    await SessionSeries.updateMany(
+      { patientId, userId, status: 'active' },
+      { $set: { status: 'ended', endedAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SeriesService;
@@ -6,17 +6,27 @@
 const Session = require('../models/Session');
 const Patient = require('../models/Patient');
 const { transformDocuments } = require('../utils/responseUtils');
-const { buildSessionFilterQuery, buildEarningsPipeline } = require('../utils/databaseUtils');
+const {
+  buildSessionFilterQuery,
+  buildEarningsPipeline,
+  setSessionCancelled,
+  setSessionAmount
+} = require('../utils/databaseUtils');
+const { getTodayInTimezone } = require('../utils/dateUtils');
+const ClinicService = require('./clinicService');
+const AuditService = require('./auditService');
+const { buildAccessScope, buildScheduleScope } = require('../utils/accessUtils');
+const { createError } = require('../middleware/errorHandler');
 
 class SessionService {
   /**
-   * Get all sessions for a user with filters
-   * @param {string} userId - User ID
+   * Get all sessions visible to the user with filters
+   * @param {Object} access - Access context { userId, clinicId, role }
    * @param {Object} filters - Filter options
    * @returns {Promise<Array>} Array of sessions
    */
-  static async getAllSessions(userId, filters = {}) {
-    const query = buildSessionFilterQuery(userId, filters);
+  static async getAllSessions(access, filters = {}) {
+    const query = buildSessionFilterQuery(buildAccessScope(access), filters);
 
     const sessions = await Session.find(query)
       .sort({ date: -1, time: -1 })
@@ -25,16 +35,72 @@ class SessionService {
     return transformDocuments(sessions);
   }
 
+  /**
+   * Get a cursor over sessions visible to the user with filters, oldest first
+   * @param {Object} access - Access context
+   * @param {Object} filters - Filter options (see buildSessionFilterQuery)
+   * @returns {Object} Mongoose query cursor of lean sessions
+   */
+  static getSessionsCursor(access, filters = {}) {
+    const query = buildSessionFilterQuery(buildAccessScope(access), filters);
+
+    return Session.find(query)
+      .sort({ date: 1, time: 1 })
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Work out the therapist and clinic for new sessions
+   * The patient must be visible to the user; the session joins the patient's clinic
+   * and defaults to the patient's assigned therapist.
+   * @param {Array} sessionsData - Session data with patientId and optional therapistId
+   * @param {Object} access - Access context
+   * @returns {Promise<Array>} { userId, clinicId } per session, in order
+   */
+  static async resolveAssignments(sessionsData, access) {
+    const patientIds = [...new Set(sessionsData.map(sessionData => String(sessionData.patientId)))];
+    const patients = await Patient.find({ _id: { $in: patientIds }, ...buildAccessScope(access) })
+      .select('clinicId therapistId')
+      .lean();
+
+    if (patients.length !== patientIds.length) {
+      throw createError(patientIds.length === 1 ? 'Patient not found' : 'One or more patients not found', 404);
+    }
+
+    const patientsById = new Map(patients.map(patient => [patient._id.toString(), patient]));
+
+    // Bulk requests usually repeat the same few therapists, so check each once
+    const resolved = new Map();
+    const resolveTherapist = (requestedId, fallbackId) => {
+      const key = `${requestedId || ''}:${fallbackId || ''}`;
+      if (!resolved.has(key)) {
+        resolved.set(key, ClinicService.resolveTherapistId(access, requestedId, fallbackId));
+      }
+      return resolved.get(key);
+    };
+
+    return Promise.all(sessionsData.map(async sessionData => {
+      const patient = patientsById.get(String(sessionData.patientId));
+      const therapistId = await resolveTherapist(sessionData.therapistId, patient.therapistId);
+
+      if (!therapistId) {
+        throw createError('therapistId is required for patients without an assigned therapist', 400);
+      }
+      return { userId: therapistId, clinicId: patient.clinicId };
+    }));
+  }
+
   /**
    * Get session by ID
    * @param {string} sessionId - Session ID
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<Object|null>} Session object or null
    */
-  static async getSessionById(sessionId, userId) {
+  static async getSessionById(sessionId, access) {
     const session = await Session.findOne({
       _id: sessionId,
-      userId
+      ...buildAccessScope(access)
     });
 
     if (!session) return null;
@@ -43,45 +109,56 @@ class SessionService {
 
   /**
    * Create a new session
-   * @param {Object} sessionData - Session data
-   * @param {string} userId - User ID
+   * @param {Object} sessionData - Session data (therapistId picks the clinic therapist)
+   * @param {Object} access - Access context
    * @returns {Promise<Object>} Created session
    */
-  static async createSession(sessionData, userId) {
-    const { patientId, patientName, date, time, notes, amount } = sessionData;
+  static async createSession(sessionData, access) {
+    const { patientId, patientName, date, time, duration, notes, amount } = sessionData;
+    const [assignment] = await this.resolveAssignments([sessionData], access);
 
     const session = new Session({
-      userId,
+      ...assignment,
       patientId,
       patientName: patientName.trim(),
       date,
       time,
+      duration: duration || null,
       notes: notes?.trim() || '',
       amount: amount || null
     });
 
     await session.save();
+    await AuditService.record(access, { action: 'create', entityType: 'session', after: session });
     return transformDocuments([session])[0];
   }
 
   /**
    * Create multiple sessions
    * @param {Array} sessionsData - Array of session data
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<Array>} Array of created sessions
    */
-  static async createMultipleSessions(sessionsData, userId) {
-    const sessions = sessionsData.map(sessionData => ({
-      userId,
+  static async createMultipleSessions(sessionsData, access) {
+    const assignments = await this.resolveAssignments(sessionsData, access);
+
+    const sessions = sessionsData.map((sessionData, index) => ({
+      ...assignments[index],
       patientId: sessionData.patientId,
       patientName: sessionData.patientName.trim(),
       date: sessionData.date,
       time: sessionData.time,
+      duration: sessionData.duration || null,
       notes: sessionData.notes?.trim() || '',
       amount: sessionData.amount || null
     }));
 
     const createdSessions = await Session.insertMany(sessions);
+    await AuditService.recordMany(access, createdSessions.map(session => ({
+      action: 'create',
+      entityType: 'session',
+      after: session
+    })));
     return transformDocuments(createdSessions);
   }
 
@@ -89,56 +166,58 @@ class SessionService {
    * Update session
    * @param {string} sessionId - Session ID
    * @param {Object} updateData - Update data
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<Object|null>} Updated session or null
    */
-  static async updateSession(sessionId, updateData, userId) {
+  static async updateSession(sessionId, updateData, access) {
     const { notes, time, amount, completed, cancelled } = updateData;
 
     const session = await Session.findOne({
       _id: sessionId,
-      userId
+      ...buildAccessScope(access)
     });
 
     if (!session) return null;
+    const before = session.toObject();
 
     // Update fields
     if (notes !== undefined) session.notes = notes?.trim() || '';
     if (time !== undefined) session.time = time;
-    if (amount !== undefined) session.amount = amount;
     if (completed !== undefined) session.completed = completed;
-    if (cancelled !== undefined) {
-      session.cancelled = cancelled;
-      if (cancelled) session.amount = 0;
-    }
+    if (cancelled !== undefined) setSessionCancelled(session, cancelled);
+    if (amount !== undefined) setSessionAmount(session, amount);
 
     await session.save();
+    await AuditService.record(access, { action: 'update', entityType: 'session', before, after: session });
     return transformDocuments([session])[0];
   }
 
   /**
-   * Delete session
+   * Move a session to the trash (attachments are kept until the trash is purged)
    * @param {string} sessionId - Session ID
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<boolean>} Success status
    */
-  static async deleteSession(sessionId, userId) {
-    const result = await Session.deleteOne({
-      _id: sessionId,
-      userId
-    });
+  static async deleteSession(sessionId, access) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, ...buildAccessScope(access) },
+      { $set: { deletedAt: new Date() } }
+    ).lean();
 
-    return result.deletedCount > 0;
+    if (!session) return false;
+
+    await AuditService.record(access, { action: 'delete', entityType: 'session', before: session });
+    return true;
   }
 
   /**
    * Update all sessions for a patient
    * @param {string} patientId - Patient ID
    * @param {Object} updateData - Update data
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
    * @returns {Promise<number>} Number of sessions updated
    */
-  static async updateAllPatientSessions(patientId, updateData, userId) {
+  static async updateAllPatientSessions(patientId, updateData, access) {
     const { notes, time, amount } = updateData;
     const updateFields = {};
 
@@ -146,41 +225,47 @@ class SessionService {
     if (time !== undefined) updateFields.time = time;
     if (amount !== undefined) updateFields.amount = amount;
 
-    const result = await Session.updateMany(
-      {
-        patientId,
-        userId,
-        completed: false,
-        cancelled: false
-      },
-      { $set: updateFields }
-    );
+    const pendingQuery = {
+      patientId,
+      ...buildAccessScope(access),
+      completed: false,
+      cancelled: false
+    };
+    const pendingSessions = await Session.find(pendingQuery).lean();
+    const pendingIds = pendingSessions.map(session => session._id);
+
+    const result = await Session.updateMany(pendingQuery, { $set: updateFields });
+
+    const updatedSessions = await Session.find({ _id: { $in: pendingIds } }).lean();
+    await AuditService.recordUpdates(access, 'session', pendingSessions, updatedSessions, 'patient_sessions_update');
 
     return result.modifiedCount;
   }
 
   /**
    * Get monthly earnings
-   * @param {string} userId - User ID
+   * @param {Object} scope - Ownership match filter (see buildEarningsScope)
    * @param {string} startDate - Start date (optional)
    * @param {string} endDate - End date (optional)
    * @returns {Promise<Array>} Array of monthly earnings
    */
-  static async getMonthlyEarnings(userId, startDate, endDate) {
-    const pipeline = buildEarningsPipeline(userId, startDate, endDate);
+  static async getMonthlyEarnings(scope, startDate, endDate) {
+    const pipeline = buildEarningsPipeline(scope, startDate, endDate);
     return await Session.aggregate(pipeline);
   }
 
   /**
    * Get today's sessions
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
+   * @param {string} timezone - IANA timezone that defines "today"
+   * @param {string} therapistId - Therapist schedule to show (see buildScheduleScope)
    * @returns {Promise<Array>} Array of today's sessions
    */
-  static async getTodaySessions(userId) {
-    const today = new Date().toISOString().split('T')[0];
+  static async getTodaySessions(access, timezone, therapistId) {
+    const today = getTodayInTimezone(timezone);
     
     const sessions = await Session.find({
-      userId,
+      ...buildScheduleScope(access, therapistId),
       date: today,
       cancelled: false
     })
@@ -192,14 +277,16 @@ class SessionService {
 
   /**
    * Get upcoming sessions
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
+   * @param {string} timezone - IANA timezone that defines "today"
+   * @param {string} therapistId - Therapist schedule to show (see buildScheduleScope)
    * @returns {Promise<Array>} Array of upcoming sessions
    */
-  static async getUpcomingSessions(userId) {
-    const today = new Date().toISOString().split('T')[0];
+  static async getUpcomingSessions(access, timezone, therapistId) {
+    const today = getTodayInTimezone(timezone);
     
     const sessions = await Session.find({
-      userId,
+      ...buildScheduleScope(access, therapistId),
       date: { $gte: today },
       completed: false,
       cancelled: false
@@ -212,14 +299,16 @@ class SessionService {
 
   /**
    * Get past sessions
-   * @param {string} userId - User ID
+   * @param {Object} access - Access context
+   * @param {string} timezone - IANA timezone that defines "today"
+   * @param {string} therapistId - Therapist schedule to show (see buildScheduleScope)
    * @returns {Promise<Array>} Array of past sessions
    */
-  static async getPastSessions(userId) {
-    const today = new Date().toISOString().split('T')[0];
+  static async getPastSessions(access, timezone, therapistId) {
+    const today = getTodayInTimezone(timezone);
     
     const sessions = await Session.find({
-      userId,
+      ...buildScheduleScope(access, therapistId),
       $or: [
         { date: { $lt: today } },
         { completed: true },
@@ -0,0 +1,245 @@
+/**
+ * Token Service Layer
+ * Single Responsibility: Issue, rotate and revoke access and refresh tokens
+ *
+ * Access tokens are short-lived JWTs. Refresh tokens are "<authSessionId>.<secret>";
+ * only a hash of the secret is stored and it changes on every refresh, so presenting
+ * an already-rotated token means it was copied and the whole login is revoked.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+const { createError } = require('../middleware/errorHandler');
+const { ERROR_CODES, transformDocuments } = require('../utils/responseUtils');
+const { MS_PER_DAY } = require('../utils/dateUtils');
+
+// Last-used times are only written this often to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Refresh token secret
+ * @returns {string} Hex digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Split a refresh token into its login ID and secret
+ * @param {string} refreshToken - Refresh token
+ * @returns {Object|null} { authSessionId, secret } or null if malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [authSessionId, secret, ...rest] = String(refreshToken || '').split('.');
+  if (!/^[a-f\d]{24}$/i.test(authSessionId) || !secret || rest.length > 0) return null;
+  return { authSessionId, secret };
+};
+
+/**
+ * Sign an access token for a login
+ * @param {string} userId - User ID
+ * @param {string} authSessionId - Login the token belongs to
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (userId, authSessionId) => {
+  return jwt.sign(
+    { userId, sid: authSessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+class TokenService {
+  /**
+   * Start a new login and issue its tokens
+   * @param {string} userId - User ID
+   * @param {Object} device - { deviceName, platform, userAgent, ipAddress }
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+   */
+  static async issueTokens(userId, device = {}) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const authSession = await AuthSession.create({
+      userId,
+      tokenHash: hashSecret(secret),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * MS_PER_DAY),
+      deviceName: device.deviceName,
+      platform: device.platform,
+      userAgent: device.userAgent,
+      ipAddress: device.ipAddress
+    });
+
+    return {
+      token: signAccessToken(userId, authSession._id),
+      refreshToken: `${authSession._id}.${secret}`,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Current refresh token
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+   */
+  static async refreshTokens(refreshToken, ipAddress) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      throw createError('Invalid refresh token', 401, null, ERROR_CODES.INVALID_TOKEN);
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    // Conditional on the current hash so two refreshes can't both rotate the same token
+    const authSession = await AuthSession.findOneAndUpdate(
+      {
+        _id: parsed.authSessionId,
+        tokenHash: hashSecret(parsed.secret),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        tokenHash: hashSecret(secret),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * MS_PER_DAY),
+        lastUsedAt: new Date(),
+        ...(ipAddress && { ipAddress })
+      },
+      { new: true }
+    );
+
+    if (!authSession) {
+      // A live login with a different hash means an old token was replayed
+      await AuthSession.updateOne(
+        { _id: parsed.authSessionId, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { revokedAt: new Date(), revokedReason: 'token_reuse' }
+      );
+      throw createError('Invalid refresh token', 401, null, ERROR_CODES.INVALID_TOKEN);
+    }
+
+    return {
+      token: signAccessToken(authSession.userId, authSession._id),
+      refreshToken: `${authSession._id}.${secret}`,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  /**
+   * Revoke the login a refresh token belongs to
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<boolean>} Whether a live login was revoked
+   */
+  static async revokeRefreshToken(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    const result = await AuthSession.updateOne(
+      { _id: parsed.authSessionId, tokenHash: hashSecret(parsed.secret), revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Check that the login behind an access token is still active and record its use
+   * @param {string} authSessionId - Login ID from the access token
+   * @param {string} userId - User ID from the access token
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<boolean>} Whether the login is active
+   */
+  static async touchLogin(authSessionId, userId, ipAddress) {
+    const authSession = await AuthSession.findOne({
+      _id: authSessionId,
+      userId,
+      revokedAt: null
+    }).select('lastUsedAt ipAddress').lean();
+
+    if (!authSession) return false;
+
+    const isStale = !authSession.lastUsedAt
+      || Date.now() - authSession.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS;
+
+    if (isStale || (ipAddress && ipAddress !== authSession.ipAddress)) {
+      AuthSession.updateOne(
+        { _id: authSessionId },
+        { lastUsedAt: new Date(), ...(ipAddress && { ipAddress }) }
+      ).catch(error => console.error('Error updating login last used time:', error));
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the active logins (signed-in devices) of a user
+   * @param {string} userId - User ID
+   * @param {string} currentId - Login ID of the requesting device, flagged as current
+   * @returns {Promise<Array>} Logins, most recently used first
+   */
+  static async getActiveLogins(userId, currentId) {
+    const logins = await AuthSession.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceName platform userAgent ipAddress lastUsedAt createdAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return transformDocuments(logins).map(login => ({
+      ...login,
+      current: login.id === String(currentId)
+    }));
+  }
+
+  /**
+   * Revoke a single login of a user
+   * @param {string} authSessionId - Login ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether an active login was revoked
+   */
+  static async revokeLogin(authSessionId, userId) {
+    const result = await AuthSession.updateOne(
+      { _id: authSessionId, userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked' }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every login of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of logins revoked
+   */
+  static async revokeAllForUser(userId, reason) {
+    const revokedAt = new Date();
+    const [result] = await Promise.all([
+      AuthSession.updateMany(
+        { userId, revokedAt: null },
+        { revokedAt, revokedReason: reason }
+      ),
+      User.updateOne({ _id: userId }, { tokensRevokedAt: revokedAt })
+    ]);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Check whether an access token issued before logins were tracked has been revoked
+   * Such tokens carry no login ID, so they are revoked by time instead.
+   * @param {string} userId - User ID
+   * @param {number} issuedAt - Token issue time (JWT iat, in seconds)
+   * @returns {Promise<boolean>} Whether every login was revoked after the token was issued
+   */
+  static async isLegacyTokenRevoked(userId, issuedAt) {
+    const revoked = await User.exists({
+      _id: userId,
+      tokensRevokedAt: { $gte: new Date(issuedAt * 1000) }
+    });
+    return Boolean(revoked);
+  }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,232 @@
+/**
+ * Trash Service Layer
+ * Single Responsibility: List, restore and purge soft-deleted patients and sessions
+ */
+
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const SessionSeries = require('../models/SessionSeries');
+const ClinicalNote = require('../models/ClinicalNote');
+const ClinicalNoteRevision = require('../models/ClinicalNoteRevision');
+const TreatmentPlan = require('../models/TreatmentPlan');
+const OutcomeMeasure = require('../models/OutcomeMeasure');
+const ExercisePrescription = require('../models/ExercisePrescription');
+const { transformDocuments } = require('../utils/responseUtils');
+const { buildAccessScope } = require('../utils/accessUtils');
+const { MS_PER_DAY } = require('../utils/dateUtils');
+const { TRASH_RETENTION_DAYS } = require('../config/trash');
+const { createError } = require('../middleware/errorHandler');
+const ConflictService = require('./conflictService');
+const AttachmentService = require('./attachmentService');
+const AuditService = require('./auditService');
+
+// Clinical records that belong to a patient and go with it when it is purged (sessions,
+// their notes and attachments are purged separately). Invoices and payments are kept:
+// they are the practice's financial history and invoice numbers must stay unique.
+const PATIENT_RECORD_MODELS = [
+  SessionSeries,
+  TreatmentPlan,
+  OutcomeMeasure,
+  ExercisePrescription
+];
+
+/**
+ * Oldest deletion time that can still be restored
+ * @param {Date} now - Current time
+ * @returns {Date} Retention cutoff
+ */
+const getRetentionCutoff = (now = new Date()) => new Date(now.getTime() - TRASH_RETENTION_DAYS * MS_PER_DAY);
+
+/**
+ * Add the date a trashed record will be purged
+ * @param {Object} record - Trashed record (transformed)
+ * @returns {Object} Record with purgeAt
+ */
+const withPurgeDate = (record) => ({
+  ...record,
+  purgeAt: new Date(new Date(record.deletedAt).getTime() + TRASH_RETENTION_DAYS * MS_PER_DAY)
+});
+
+/**
+ * Permanently delete sessions with their clinical notes and attachments
+ * @param {Array} sessions - Sessions (lean, with _id)
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+const purgeSessions = async (sessions) => {
+  if (sessions.length === 0) return 0;
+
+  for (const session of sessions) {
+    await AttachmentService.deleteAllAttachments({ sessionId: session._id });
+  }
+
+  const sessionIds = sessions.map(session => session._id);
+  await ClinicalNoteRevision.deleteMany({ sessionId: { $in: sessionIds } });
+  await ClinicalNote.deleteMany({ sessionId: { $in: sessionIds } });
+
+  const result = await Session.deleteMany({ _id: { $in: sessionIds } })
+    .setOptions({ withDeleted: true });
+  return result.deletedCount;
+};
+
+class TrashService {
+  /**
+   * Get trashed patients visible to the user, newest deletion first
+   * @param {Object} access - Access context
+   * @returns {Promise<Array>} Patients with archivedSessionCount and purgeAt
+   */
+  static async getTrashedPatients(access) {
+    const patients = await Patient.find({
+      ...buildAccessScope(access),
+      deletedAt: { $gte: getRetentionCutoff() }
+    })
+    .sort({ deletedAt: -1 })
+    .lean();
+
+    const archivedSessions = await Session.find({
+      patientId: { $in: patients.map(patient => patient._id) },
+      archivedWithPatient: true,
+      deletedAt: { $ne: null }
+    })
+    .select('patientId')
+    .lean();
+    const countsById = archivedSessions.reduce((counts, session) => {
+      const key = session.patientId.toString();
+      counts.set(key, (counts.get(key) || 0) + 1);
+      return counts;
+    }, new Map());
+
+    return transformDocuments(patients).map(patient => withPurgeDate({
+      ...patient,
+      archivedSessionCount: countsById.get(patient.id.toString()) || 0
+    }));
+  }
+
+  /**
+   * Get sessions trashed on their own (not along with a patient), newest deletion first
+   * @param {Object} access - Access context
+   * @returns {Promise<Array>} Sessions with purgeAt
+   */
+  static async getTrashedSessions(access) {
+    const sessions = await Session.find({
+      ...buildAccessScope(access),
+      deletedAt: { $gte: getRetentionCutoff() },
+      archivedWithPatient: false
+    })
+    .sort({ deletedAt: -1 })
+    .lean();
+
+    return transformDocuments(sessions).map(withPurgeDate);
+  }
+
+  /**
+   * Restore a trashed patient and the sessions archived with it
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @returns {Promise<Object|null>} { patient, restoredSessions } or null if not in the trash
+   */
+  static async restorePatient(patientId, access) {
+    const patient = await Patient.findOne({
+      _id: patientId,
+      ...buildAccessScope(access),
+      deletedAt: { $gte: getRetentionCutoff() }
+    });
+    if (!patient) return null;
+
+    const before = patient.toObject();
+    patient.deletedAt = null;
+    await patient.save();
+
+    const archivedQuery = { patientId, archivedWithPatient: true, deletedAt: { $ne: null } };
+    const archivedSessions = await Session.find(archivedQuery).lean();
+    await Session.updateMany(archivedQuery, { $set: { deletedAt: null, archivedWithPatient: false } });
+
+    await AuditService.recordMany(access, [
+      { action: 'restore', entityType: 'patient', before, after: patient },
+      ...archivedSessions.map(session => ({
+        action: 'restore',
+        entityType: 'session',
+        before: session,
+        after: { ...session, deletedAt: null, archivedWithPatient: false },
+        source: 'patient_restore'
+      }))
+    ]);
+
+    return {
+      patient: transformDocuments([patient])[0],
+      restoredSessions: archivedSessions.length
+    };
+  }
+
+  /**
+   * Restore a session trashed on its own
+   * @param {string} sessionId - Session ID
+   * @param {Object} access - Access context
+   * @param {Object} options - { force } to restore despite schedule conflicts
+   * @returns {Promise<Object|null>} { session, conflicts } or null if not in the trash
+   */
+  static async restoreSession(sessionId, access, options = {}) {
+    const session = await Session.findOne({
+      _id: sessionId,
+      ...buildAccessScope(access),
+      deletedAt: { $gte: getRetentionCutoff() }
+    });
+    if (!session) return null;
+
+    if (session.archivedWithPatient || !await Patient.exists({ _id: session.patientId })) {
+      throw createError('The patient for this session is in the trash; restore the patient instead', 409);
+    }
+
+    // The slot may have been rebooked since; cancelled sessions don't occupy it
+    const conflicts = session.cancelled ? [] : await ConflictService.assertNoConflicts(
+      session.userId,
+      [{
+        date: session.date,
+        time: session.time,
+        duration: session.duration || await ConflictService.getDefaultDuration(session.userId)
+      }],
+      { force: options.force }
+    );
+
+    const before = session.toObject();
+    session.deletedAt = null;
+    await session.save();
+    await AuditService.record(access, { action: 'restore', entityType: 'session', before, after: session });
+
+    return { session: transformDocuments([session])[0], conflicts };
+  }
+
+  /**
+   * Permanently remove patients and sessions trashed longer than the retention window
+   * A purged patient takes its clinical records with it: sessions, notes, attachments,
+   * series, plans, measures and prescriptions. Invoices and payments stay (with the
+   * name they were issued to) so revenue history is unchanged.
+   * @param {Date} now - Current time (default: now)
+   * @returns {Promise<Object>} { patients, sessions } purged counts
+   */
+  static async purgeExpired(now = new Date()) {
+    const cutoff = getRetentionCutoff(now);
+    let purgedSessions = 0;
+
+    const patients = await Patient.find({ deletedAt: { $lt: cutoff } }).select('_id').lean();
+    for (const patient of patients) {
+      const sessions = await Session.find({ patientId: patient._id })
+        .select('_id')
+        .setOptions({ withDeleted: true })
+        .lean();
+
+      purgedSessions += await purgeSessions(sessions);
+      await AttachmentService.deleteAllAttachments({ patientId: patient._id });
+      for (const Model of PATIENT_RECORD_MODELS) {
+        await Model.deleteMany({ patientId: patient._id });
+      }
+      await Patient.deleteOne({ _id: patient._id }).setOptions({ withDeleted: true });
+    }
+
+    const sessions = await Session.find({ deletedAt: { $lt: cutoff } }).select('_id').lean();
+    purgedSessions += await purgeSessions(sessions);
+
+    return { patients: patients.length, sessions: purgedSessions };
+  }
+}
+
+module.exports = TrashService;
@@ -0,0 +1,246 @@
+/**
+ * Treatment Plan Service Layer
+ * Single Responsibility: Handle treatment plans, goals and plan progress
+ */
+
+const TreatmentPlan = require('../models/TreatmentPlan');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const { transformDocuments } = require('../utils/responseUtils');
+const { daysBetween } = require('../utils/dateUtils');
+const { buildAccessScope } = require('../utils/accessUtils');
+
+const PLAN_FIELDS = ['diagnosis', 'condition', 'plannedSessions', 'sessionsPerWeek', 'startDate', 'endDate', 'status', 'notes'];
+const GOAL_FIELDS = ['description', 'metric', 'targetValue', 'unit', 'targetDate', 'status'];
+
+/**
+ * Copy the provided fields from request data
+ * @param {Object} data - Request data
+ * @param {Array<string>} fields - Allowed fields
+ * @returns {Object} Provided fields only
+ */
+const pickFields = (data, fields) => {
+  return fields.reduce((picked, field) => {
+    if (data[field] !== undefined) picked[field] = data[field];
+    return picked;
+  }, {});
+};
+
+/**
+ * Compute plan progress from the patient's completed sessions (with any therapist)
+ * @param {Object} plan - Plan (lean)
+ * @param {Object} access - Access context
+ * @param {string} today - Today's date in the user's timezone (YYYY-MM-DD)
+ * @returns {Promise<Object>} Plan with id and progress
+ */
+const withProgress = async (plan, access, today) => {
+  const dateRange = { $gte: plan.startDate };
+  if (plan.endDate) dateRange.$lte = plan.endDate;
+
+  const completedSessions = await Session.countDocuments({
+    ...buildAccessScope(access),
+    patientId: plan.patientId,
+    completed: true,
+    date: dateRange
+  });
+
+  // Sessions that should have happened by now at the planned weekly frequency
+  const progressEnd = plan.endDate && plan.endDate < today ? plan.endDate : today;
+  const elapsedWeeks = Math.max(0, daysBetween(plan.startDate, progressEnd) + 1) / 7;
+  const expectedSessionsToDate = Math.min(
+    plan.plannedSessions,
+    Math.round(elapsedWeeks * plan.sessionsPerWeek)
+  );
+
+  const goals = plan.goals || [];
+  const achievedGoals = goals.filter(goal => goal.status === 'achieved').length;
+  const overdueGoals = goals.filter(goal =>
+    goal.targetDate && goal.targetDate < today && !['achieved', 'not_achieved'].includes(goal.status)
+  ).length;
+
+  return {
+    ...transformDocuments([plan])[0],
+    goals: transformDocuments(goals),
+    progress: {
+      completedSessions,
+      plannedSessions: plan.plannedSessions,
+      remainingSessions: Math.max(0, plan.plannedSessions - completedSessions),
+      percentComplete: Math.min(100, Math.round((completedSessions / plan.plannedSessions) * 100)),
+      expectedSessionsToDate,
+      onTrack: completedSessions >= expectedSessionsToDate,
+      goals: {
+        total: goals.length,
+        achieved: achievedGoals,
+        overdue: overdueGoals
+      }
+    }
+  };
+};
+
+class TreatmentPlanService {
+  /**
+   * Get all plans for a patient with progress
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @param {string} today - Today's date in the user's timezone
+   * @returns {Promise<Array|null>} Plans or null if patient not found
+   */
+  static async getPlans(patientId, access, today) {
+    const patient = await Patient.exists({ _id: patientId, ...buildAccessScope(access) });
+    if (!patient) return null;
+
+    const plans = await TreatmentPlan.find({ patientId })
+      .sort({ startDate: -1 })
+      .lean();
+
+    return Promise.all(plans.map(plan => withProgress(plan, access, today)));
+  }
+
+  /**
+   * Get a plan with progress
+   * @param {string} planId - Plan ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @param {string} today - Today's date in the user's timezone
+   * @returns {Promise<Object|null>} Plan or null
+   */
+  static async getPlanById(planId, patientId, access, today) {
+    if (!await Patient.exists({ _id: patientId, ...buildAccessScope(access) })) return null;
+
+    const plan = await TreatmentPlan.findOne({ _id: planId, patientId }).lean();
+    if (!plan) return null;
+
+    return withProgress(plan, access, today);
+  }
+
+  /**
+   * Create a plan for a patient
+   * @param {string} patientId - Patient ID
+   * @param {Object} planData - Plan data (plan fields and optional goals)
+   * @param {Object} access - Access context
+   * @param {string} today - Today's date in the user's timezone
+   * @returns {Promise<Object|null>} Created plan or null if patient not found
+   */
+  static async createPlan(patientId, planData, access, today) {
+    const patient = await Patient.exists({ _id: patientId, ...buildAccessScope(access) });
+    if (!patient) return null;
+
+    const plan = new TreatmentPlan({
+      userId: access.userId,
+      clinicId: access.clinicId || null,
+      patientId,
+      startDate: today,
+      ...pickFields(planData, PLAN_FIELDS),
+      goals: (planData.goals || []).map(goal => pickFields(goal, GOAL_FIELDS))
+    });
+
+    await plan.save();
+    return withProgress(plan.toObject(), access, today);
+  }
+
+  /**
+   * Update a plan
+   * @param {string} planId - Plan ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} updateData - Plan fields to update
+   * @param {Object} access - Access context
+   * @param {string} today - Today's date in the user's timezone
+   * @returns {Promise<Object|null>} Updated plan or null
+   */
+  static async updatePlan(planId, patientId, updateData, access, today) {
+    if (!await Patient.exists({ _id: patientId, ...buildAccessScope(access) })) return null;
+
+    const plan = await TreatmentPlan.findOne({ _id: planId, patientId });
+    if (!plan) return null;
+
+    Object.assign(plan, pickFields(updateData, PLAN_FIELDS));
+    await plan.save();
+
+    return withProgress(plan.toObject(), access, today);
+  }
+
+  /**
+   * Delete a plan
+   * @param {string} planId - Plan ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} access - Access context
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deletePlan(planId, patientId, access) {
+    if (!await Patient.exists({ _id: patientId, ...buildAccessScope(access) })) return false;
+
+    const result = await TreatmentPlan.deleteOne({ _id: planId, patientId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Add a goal to a plan
+   * @param {string} planId - Plan ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} goalData - Goal data
+   * @param {Object} access - Access context
+   * @param {string} today - Today's date in the user's timezone
+   * @returns {Promise<Object|null>} Updated plan or null
+   */
+  static async addGoal(planId, patientId, goalData, access, today) {
+    if (!await Patient.exists({ _id: patientId, ...buildAccessScope(access) })) return null;
+
+    const plan = await TreatmentPlan.findOne({ _id: planId, patientId });
+    if (!plan) return null;
+
+    plan.goals.push(pickFields(goalData, GOAL_FIELDS));
+    await plan.save();
+
+    return withProgress(plan.toObject(), access, today);
+  }
+
+  /**
+   * Update a goal on a plan
+   * @param {string} planId - Plan ID
+   * @param {string} patientId - Patient ID
+   * @param {string} goalId - Goal ID
+   * @param {Object} updateData - Goal fields to update
+   * @param {Object} access - Access context
+   * @param {string} today - Today's date in the user's timezone
+   * @returns {Promise<Object|null>} Updated plan or null
+   */
+  static async updateGoal(planId, patientId, goalId, updateData, access, today) {
+    if (!await Patient.exists({ _id: patientId, ...buildAccessScope(access) })) return null;
+
+    const plan = await TreatmentPlan.findOne({ _id: planId, patientId });
+    if (!plan) return null;
+
+    const goal = plan.goals.id(goalId);
+    if (!goal) return null;
+
+    const updates = pickFields(updateData, GOAL_FIELDS);
+    if (updates.status && updates.status !== goal.status) {
+      goal.achievedAt = updates.status === 'achieved' ? new Date() : null;
+    }
+    Object.assign(goal, updates);
+    await plan.save();
+
+    return withProgress(plan.toObject(), access, today);
+  }
+
+  /**
+   * Remove a goal from a plan
+   * @param {string} planId - Plan ID
+   * @param {string} patientId - Patient ID
+   * @param {string} goalId - Goal ID
+   * @param {Object} access - Access context
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteGoal(planId, patientId, goalId, access) {
+    if (!await Patient.exists({ _id: patientId, ...buildAccessScope(access) })) return false;
+
+    const result = await TreatmentPlan.updateOne(
+      { _id: planId, patientId, 'goals._id': goalId },
+      { $pull: { goals: { _id: goalId } } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = TreatmentPlanService;
@@ -0,0 +1,160 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Clinic = require('../models/Clinic');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const ClinicService = require('../services/clinicService');
+const PatientService = require('../services/patientService');
+const { requirePermission } = require('../middleware/access');
+const {
+  hasPermission,
+  buildAccessScope,
+  buildScheduleScope,
+  buildEarningsScope
+} = require('../utils/accessUtils');
+const { fakeQuery } = require('./helpers');
+
+const USER_ID = '65f000000000000000000001';
+const COLLEAGUE_ID = '65f000000000000000000002';
+const CLINIC_ID = '65f0000000000000000000c1';
+
+const personal = { userId: USER_ID, clinicId: null, role: 'owner' };
+const clinicAccess = (role) => ({ userId: USER_ID, clinicId: CLINIC_ID, role });
+
+/**
+ * Run requirePermission for a user
+ * @returns {Promise<Object>} { req, statusCode, nextArgs }
+ */
+const authorize = async (permission, userId = USER_ID) => {
+  const req = { userId, ip: '127.0.0.1' };
+  let statusCode = null;
+  let nextArgs = null;
+  const res = {
+    status: (code) => {
+      statusCode = code;
+      return { json: () => {} };
+    }
+  };
+
+  await requirePermission(permission)(req, res, (...args) => {
+    nextArgs = args;
+  });
+  return { req, statusCode, nextArgs };
+};
+
+describe('clinic access', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('scopes', () => {
+    it('limits therapists without a clinic to their own records', () => {
+      assert.deepEqual(buildAccessScope(personal), { userId: USER_ID, clinicId: null });
+      assert.deepEqual(buildScheduleScope(personal, 'all'), { userId: USER_ID, clinicId: null });
+    });
+
+    it('shares records across the clinic', () => {
+      assert.deepEqual(buildAccessScope(clinicAccess('receptionist')), { clinicId: CLINIC_ID });
+    });
+
+    it('shows therapists their own schedule unless they ask for a colleague', () => {
+      const access = clinicAccess('therapist');
+
+      assert.deepEqual(buildScheduleScope(access), { clinicId: CLINIC_ID, userId: USER_ID });
+      assert.deepEqual(buildScheduleScope(access, COLLEAGUE_ID), { clinicId: CLINIC_ID, userId: COLLEAGUE_ID });
+      assert.deepEqual(buildScheduleScope(access, 'all'), { clinicId: CLINIC_ID });
+      assert.deepEqual(buildScheduleScope(clinicAccess('receptionist')), { clinicId: CLINIC_ID });
+    });
+
+    it('keeps therapists to their own earnings even when they ask for a colleague', () => {
+      const scope = buildEarningsScope(clinicAccess('therapist'), COLLEAGUE_ID);
+      assert.equal(scope.userId.toString(), USER_ID);
+      assert.ok(scope.clinicId instanceof mongoose.Types.ObjectId);
+
+      const ownerScope = buildEarningsScope(clinicAccess('owner'), COLLEAGUE_ID);
+      assert.equal(ownerScope.userId.toString(), COLLEAGUE_ID);
+    });
+
+    it('grants permissions by role', () => {
+      assert.equal(hasPermission(clinicAccess('accountant'), 'earnings:read'), true);
+      assert.equal(hasPermission(clinicAccess('accountant'), 'patients:write'), false);
+      assert.equal(hasPermission(clinicAccess('receptionist'), 'earnings:read'), false);
+      assert.equal(hasPermission(clinicAccess('therapist'), 'clinic:manage'), false);
+      assert.equal(hasPermission({ role: 'unknown' }, 'patients:read'), false);
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('sets the access context from the clinic membership', async () => {
+      mock.method(Clinic, 'findOne', () => fakeQuery({
+        _id: CLINIC_ID,
+        members: [{ userId: USER_ID, role: 'receptionist' }]
+      }));
+
+      const { req, nextArgs } = await authorize('sessions:write');
+
+      assert.deepEqual(nextArgs, []);
+      assert.deepEqual(req.access, { userId: USER_ID, clinicId: CLINIC_ID, role: 'receptionist', ipAddress: '127.0.0.1' });
+    });
+
+    it('rejects roles without the permission', async () => {
+      mock.method(Clinic, 'findOne', () => fakeQuery({
+        _id: CLINIC_ID,
+        members: [{ userId: USER_ID, role: 'accountant' }]
+      }));
+
+      const { statusCode, nextArgs } = await authorize('patients:write');
+
+      assert.equal(statusCode, 403);
+      assert.equal(nextArgs, null);
+    });
+
+    it('treats users outside a clinic as owners of their own records', async () => {
+      mock.method(Clinic, 'findOne', () => fakeQuery(null));
+
+      const { req, nextArgs } = await authorize('clinic:manage');
+
+      assert.deepEqual(nextArgs, []);
+      assert.deepEqual(req.access, { ...personal, ipAddress: '127.0.0.1' });
+    });
+  });
+
+  describe('services', () => {
+    it('lists the clinic\'s patients for a clinic member', async () => {
+      mock.method(Patient, 'find', () => fakeQuery([]));
+
+      await PatientService.getAllPatients(clinicAccess('therapist'));
+
+      assert.deepEqual(Patient.find.mock.calls[0].arguments[0], { clinicId: CLINIC_ID });
+    });
+
+    it('moves every record a patient owns into a new clinic', async () => {
+      const modelNames = [
+        'Patient', 'Session', 'SessionSeries', 'Payment', 'Invoice', 'ClinicalNote',
+        'TreatmentPlan', 'OutcomeMeasure', 'ExercisePrescription', 'Attachment'
+      ];
+      const moved = new Map();
+      for (const name of modelNames) {
+        const Model = mongoose.model(name);
+        mock.method(Model, 'updateMany', (filter, update) => {
+          moved.set(name, { filter, update });
+          return fakeQuery({ modifiedCount: 0 });
+        });
+      }
+      mock.method(Clinic, 'exists', async () => null);
+      mock.method(Clinic.prototype, 'save', async function save() {
+        return this;
+      });
+      mock.method(User, 'find', () => fakeQuery([]));
+
+      const clinic = await ClinicService.createClinic({ name: 'Riverside Physio' }, USER_ID);
+
+      assert.deepEqual([...moved.keys()].sort(), [...modelNames].sort());
+      for (const [name, { filter, update }] of moved) {
+        assert.deepEqual(filter, { userId: USER_ID, clinicId: null }, name);
+        if (name !== 'Patient') {
+          assert.equal(update.clinicId.toString(), clinic._id.toString(), name);
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ConflictService = require('../services/conflictService');
+const { fakeQuery } = require('./helpers');
+
+describe('ConflictService', () => {
+  let scheduled;
+  let sessionFilter;
+
+  beforeEach(() => {
+    scheduled = [];
+    mock.method(User, 'findById', () => fakeQuery({ defaultSessionDuration: 60 }));
+    mock.method(Session, 'find', (filter) => {
+      sessionFilter = filter;
+      return fakeQuery(scheduled.filter(session => filter.date.$in.includes(session.date)));
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('findConflicts', () => {
+    it('reports overlapping sessions but not back-to-back ones', async () => {
+      scheduled = [
+        { _id: 's1', patientName: 'Asha', date: '2024-03-04', time: '10:00', duration: 45 },
+        { _id: 's2', patientName: 'Ravi', date: '2024-03-04', time: '11:00', duration: 30 }
+      ];
+
+      const conflicts = await ConflictService.findConflicts('user1', [
+        { date: '2024-03-04', time: '10:30', duration: 30 },
+        { date: '2024-03-04', time: '11:30', duration: 30 }
+      ]);
+
+      assert.equal(conflicts.length, 1);
+      assert.equal(conflicts[0].index, 0);
+      assert.deepEqual(conflicts[0].conflictsWith.map(session => session.patientName), ['Asha']);
+    });
+
+    it('uses the default duration for sessions without one', async () => {
+      scheduled = [{ _id: 's1', patientName: 'Asha', date: '2024-03-04', time: '09:30', duration: null }];
+
+      const conflicts = await ConflictService.findConflicts('user1', [{ date: '2024-03-04', time: '10:15' }]);
+
+      assert.equal(conflicts.length, 1);
+      assert.equal(conflicts[0].duration, 60);
+    });
+
+    it('reports proposed sessions that clash with each other', async () => {
+      const conflicts = await ConflictService.findConflicts('user1', [
+        { date: '2024-03-04', time: '10:00', duration: 60 },
+        { date: '2024-03-04', time: '10:30', duration: 60 },
+        { date: '2024-03-05', time: '10:30', duration: 60 }
+      ]);
+
+      assert.deepEqual(conflicts.map(conflict => conflict.conflictsWithinRequest), [[1], [0]]);
+    });
+
+    it('ignores cancelled sessions and the sessions being moved', async () => {
+      await ConflictService.findConflicts('user1', [{ date: '2024-03-04', time: '10:00' }], ['s1']);
+
+      assert.equal(sessionFilter.userId, 'user1');
+      assert.equal(sessionFilter.cancelled, false);
+      assert.deepEqual(sessionFilter._id, { $nin: ['s1'] });
+    });
+  });
+
+  describe('assertNoConflicts', () => {
+    beforeEach(() => {
+      scheduled = [{ _id: 's1', patientName: 'Asha', date: '2024-03-04', time: '10:00', duration: 60 }];
+    });
+
+    it('rejects a double booking with a 409 listing the conflicts', async () => {
+      await assert.rejects(
+        ConflictService.assertNoConflicts('user1', [{ date: '2024-03-04', time: '10:30' }]),
+        error => error.statusCode === 409 && error.details.conflicts.length === 1
+      );
+    });
+
+    it('returns the conflicts as warnings when forced', async () => {
+      const conflicts = await ConflictService.assertNoConflicts(
+        'user1',
+        [{ date: '2024-03-04', time: '10:30' }],
+        { force: true }
+      );
+
+      assert.equal(conflicts.length, 1);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  SESSION_SORT_FIELDS,
+  PAYMENT_SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  buildSortOptions,
+  encodeCursor,
+  decodeCursor,
+  buildListOptions,
+  findPage
+} = require('../utils/databaseUtils');
+const { validateListQuery } = require('../utils/validationUtils');
+
+const objectId = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, '0'));
+
+/**
+ * Order two field values the way MongoDB does for the types used here (nulls first)
+ */
+const compareValues = (a, b) => {
+  const key = (value) => {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.getTime();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    return value;
+  };
+  const [left, right] = [key(a), key(b)];
+  if (left === right) return 0;
+  if (left === null) return -1;
+  if (right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+/**
+ * Evaluate the subset of the query language the list helpers produce
+ */
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => {
+  if (field === '$and') return condition.every(part => matches(doc, part));
+  if (field === '$or') return condition.some(part => matches(doc, part));
+
+  const value = doc[field];
+  const isOperator = condition !== null && typeof condition === 'object' &&
+    !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId);
+  if (!isOperator) return compareValues(value, condition) === 0;
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$gt') return value != null && compareValues(value, operand) > 0;
+    if (operator === '$lt') return value != null && compareValues(value, operand) < 0;
+    if (operator === '$ne') return compareValues(value, operand) !== 0;
+    throw new Error(`Unsupported operator ${operator}`);
+  });
+});
+
+/**
+ * In-memory model with the find/countDocuments surface findPage uses
+ */
+const fakeModel = (docs) => ({
+  find: (query) => {
+    let result = docs.filter(doc => matches(doc, query));
+    const chain = {
+      sort: (sort) => {
+        result = [...result].sort((a, b) => {
+          for (const [field, order] of Object.entries(sort)) {
+            const diff = compareValues(a[field], b[field]);
+            if (diff !== 0) return diff * order;
+          }
+          return 0;
+        });
+        return chain;
+      },
+      limit: (limit) => {
+        result = result.slice(0, limit);
+        return chain;
+      },
+      lean: () => chain,
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+  },
+  countDocuments: async (query) => docs.filter(doc => matches(doc, query)).length
+});
+
+/**
+ * Read every page of a list, following nextCursor
+ */
+const readAllPages = async (Model, query, params, sortFields, defaults) => {
+  const pages = [];
+  let cursor;
+  do {
+    const listOptions = buildListOptions({ ...params, ...(cursor && { cursor }) }, sortFields, defaults);
+    const page = await findPage(Model, query, listOptions);
+    pages.push(page);
+    cursor = page.pagination.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+// Many ties on date and amount, and some sessions without an amount
+const sessions = Array.from({ length: 23 }, (_, index) => ({
+  _id: objectId(index + 1),
+  date: `2024-03-0${1 + (index % 3)}`,
+  time: `0${8 + (index % 2)}:00`,
+  amount: index % 4 === 0 ? null : 50 + (index % 3) * 10,
+  createdAt: new Date(Date.UTC(2024, 2, 1, index % 5))
+}));
+
+describe('list pagination', () => {
+  describe('buildSortOptions', () => {
+    it('adds tie-breakers and finally _id', () => {
+      assert.deepEqual(
+        buildSortOptions('amount', 'desc', SESSION_SORT_FIELDS.amount),
+        { amount: -1, date: -1, time: 1, _id: -1 }
+      );
+      assert.deepEqual(buildSortOptions('createdAt', 'asc'), { createdAt: 1, _id: 1 });
+    });
+  });
+
+  describe('cursors', () => {
+    const sort = buildSortOptions('date', 'desc', PAYMENT_SORT_FIELDS.date);
+
+    it('round-trip dates, ObjectIds and nulls', () => {
+      const doc = { date: null, createdAt: new Date('2024-03-01T10:00:00Z'), _id: objectId(7) };
+
+      const decoded = decodeCursor(encodeCursor(doc, sort), sort);
+
+      assert.equal(decoded[0], null);
+      assert.deepEqual(decoded[1], doc.createdAt);
+      assert.ok(decoded[2].equals(doc._id));
+    });
+
+    it('are rejected when tampered with or issued for another sort', () => {
+      const cursor = encodeCursor({ date: '2024-03-01', createdAt: new Date(), _id: objectId(7) }, sort);
+
+      assert.equal(decodeCursor('not-a-cursor', sort), null);
+      assert.equal(decodeCursor(cursor, buildSortOptions('createdAt', 'desc')), null);
+      assert.match(
+        validateListQuery({ sortBy: 'createdAt', cursor }, PAYMENT_SORT_FIELDS, { sortBy: 'date', sortOrder: 'desc' }),
+        /Invalid cursor/
+      );
+    });
+  });
+
+  describe('buildListOptions', () => {
+    const defaults = { sortBy: 'date', sortOrder: 'desc' };
+
+    it('only paginates when a limit or cursor is given', () => {
+      assert.equal(buildListOptions({}, SESSION_SORT_FIELDS, defaults).limit, null);
+      assert.equal(buildListOptions({ limit: '10' }, SESSION_SORT_FIELDS, defaults).limit, 10);
+    });
+
+    it('caps the page size', () => {
+      const { limit } = buildListOptions({ limit: '5000' }, SESSION_SORT_FIELDS, defaults);
+      assert.equal(limit, MAX_PAGE_SIZE);
+    });
+  });
+
+  describe('findPage', () => {
+    const Model = fakeModel(sessions);
+
+    for (const [sortBy, sortOrder] of [['date', 'desc'], ['amount', 'asc'], ['amount', 'desc'], ['createdAt', 'asc']]) {
+      it(`walks every item exactly once sorted by ${sortBy} ${sortOrder}`, async () => {
+        const params = { sortBy, sortOrder, limit: '4' };
+        const defaults = { sortBy: 'date', sortOrder: 'desc' };
+
+        const pages = await readAllPages(Model, {}, params, SESSION_SORT_FIELDS, defaults);
+        const { items: unpaged } = await findPage(Model, {}, buildListOptions({ sortBy, sortOrder }, SESSION_SORT_FIELDS, defaults));
+
+        assert.equal(pages.length, 6);
+        assert.deepEqual(
+          pages.flatMap(page => page.items).map(doc => doc._id.toString()),
+          unpaged.map(doc => doc._id.toString())
+        );
+        assert.equal(pages[0].pagination.total, sessions.length);
+        assert.equal(pages[1].pagination.total, null);
+        assert.equal(pages[pages.length - 1].pagination.hasMore, false);
+      });
+    }
+
+    it('keeps the filter applied on later pages', async () => {
+      const pages = await readAllPages(
+        Model,
+        { date: '2024-03-02' },
+        { limit: '3' },
+        SESSION_SORT_FIELDS,
+        { sortBy: 'amount', sortOrder: 'desc' }
+      );
+
+      const items = pages.flatMap(page => page.items);
+      assert.equal(items.length, sessions.filter(doc => doc.date === '2024-03-02').length);
+      assert.ok(items.every(doc => doc.date === '2024-03-02'));
+    });
+  });
+});
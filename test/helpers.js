@@ -0,0 +1,31 @@
+/**
+ * Test helpers
+ * Single Responsibility: Stand in for Mongoose queries so services can be tested without a database
+ */
+
+const CHAINABLE_METHODS = ['select', 'sort', 'limit', 'skip', 'lean', 'populate', 'setOptions'];
+
+/**
+ * Fake a Mongoose query that resolves to a value
+ * Chained modifiers (select, sort, lean, ...) are recorded in `calls` and return the query.
+ * @param {*} result - Value the query resolves to
+ * @returns {Object} Thenable query
+ */
+const fakeQuery = (result) => {
+  const query = {
+    calls: [],
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+
+  for (const method of CHAINABLE_METHODS) {
+    query[method] = (...args) => {
+      query.calls.push([method, ...args]);
+      return query;
+    };
+  }
+  return query;
+};
+
+module.exports = {
+  fakeQuery
+};
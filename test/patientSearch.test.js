@@ -0,0 +1,62 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const PatientService = require('../services/patientService');
+const { toNameKeys } = require('../utils/searchUtils');
+const { fakeQuery } = require('./helpers');
+
+const USER_ID = '65f000000000000000000001';
+const access = { userId: USER_ID, clinicId: null, role: 'owner' };
+
+const patient = (id, name, contactNumber) => ({
+  _id: `65f0000000000000000000${id}`,
+  name,
+  contactNumber,
+  nameKeys: toNameKeys(name)
+});
+
+describe('PatientService.searchPatients', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('narrows candidates by phonetic name key with a bounded scan', async () => {
+    const find = mock.method(Patient, 'find', () => fakeQuery([
+      patient('a1', 'Lakshmi Iyer', '98450 12345'),
+      patient('a2', 'Laila Khan', '98450 99999')
+    ]));
+    mock.method(Session, 'aggregate', async () => []);
+
+    const results = await PatientService.searchPatients(access, 'Laxmi');
+
+    const [query] = find.mock.calls[0].arguments;
+    assert.deepEqual(query.nameKeys.$all.map(String), ['/^l/']);
+    assert.ok(query.nameKeys.$all.every(pattern => pattern.test('laksmi')));
+    assert.ok(find.mock.calls[0].result.calls.some(([method, limit]) => method === 'limit' && limit > 0));
+    assert.deepEqual(results.map(result => result.name), ['Lakshmi Iyer']);
+  });
+
+  it('narrows phone-only searches on the number', async () => {
+    const find = mock.method(Patient, 'find', () => fakeQuery([patient('a1', 'Lakshmi Iyer', '98450-12345')]));
+    mock.method(Session, 'aggregate', async () => []);
+
+    const results = await PatientService.searchPatients(access, '12345');
+
+    const [query] = find.mock.calls[0].arguments;
+    assert.equal(query.nameKeys, undefined);
+    assert.ok(query.contactNumber.test('98450-12345'));
+    assert.equal(results.length, 1);
+  });
+});
+
+describe('Patient name keys', () => {
+  it('are kept in sync with the name on validation', async () => {
+    const doc = new Patient({ userId: USER_ID, name: 'Shreya Bhawna', age: 30, gender: 'female' });
+
+    await doc.validate();
+    assert.deepEqual(doc.nameKeys, toNameKeys('Sreya Bhavna'));
+
+    doc.name = 'Deepak';
+    await doc.validate();
+    assert.deepEqual([...doc.nameKeys], ['dipak']);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimit = require('../models/RateLimit');
+const { MongoStore } = require('../services/rateLimitStore');
+const { fakeQuery } = require('./helpers');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('MongoStore.increment', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts against the existing window when a concurrent first request inserted the key', async () => {
+    const resetAt = new Date(Date.now() + 60000);
+    let attempts = 0;
+    mock.method(RateLimit, 'findOneAndUpdate', (filter, update, options) => {
+      attempts += 1;
+      if (options.upsert) return { lean: () => Promise.reject(duplicateKeyError()) };
+      return fakeQuery({ key: filter.key, count: 2, resetAt });
+    });
+
+    const window = await new MongoStore().increment('login:ip:127.0.0.1', 60000);
+
+    assert.equal(attempts, 2);
+    assert.deepEqual(window, { count: 2, resetAt });
+  });
+
+  it('passes other errors on', async () => {
+    mock.method(RateLimit, 'findOneAndUpdate', () => ({
+      lean: () => Promise.reject(new Error('connection lost'))
+    }));
+
+    await assert.rejects(new MongoStore().increment('login:ip:127.0.0.1', 60000), /connection lost/);
+    assert.equal(RateLimit.findOneAndUpdate.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateOccurrenceDates,
+  buildFollowingRecurrence,
+  validateRecurrence
+} = require('../utils/recurrenceUtils');
+
+describe('generateOccurrenceDates', () => {
+  it('repeats daily rules every interval days until the end date', () => {
+    const dates = generateOccurrenceDates({ frequency: 'daily', interval: 2, until: '2024-03-09' }, '2024-03-01');
+    assert.deepEqual(dates, ['2024-03-01', '2024-03-03', '2024-03-05', '2024-03-07', '2024-03-09']);
+  });
+
+  it('defaults weekly rules to the weekday of the start date', () => {
+    // 2024-03-04 is a Monday
+    const dates = generateOccurrenceDates({ frequency: 'weekly', count: 3 }, '2024-03-04');
+    assert.deepEqual(dates, ['2024-03-04', '2024-03-11', '2024-03-18']);
+  });
+
+  it('expands weekly rules over several weekdays and skips off weeks', () => {
+    const dates = generateOccurrenceDates(
+      { frequency: 'weekly', interval: 2, daysOfWeek: [1, 4], count: 4 },
+      '2024-03-04'
+    );
+    assert.deepEqual(dates, ['2024-03-04', '2024-03-07', '2024-03-18', '2024-03-21']);
+  });
+
+  it('stops at whichever of count and until comes first', () => {
+    const byCount = generateOccurrenceDates({ frequency: 'daily', count: 2, until: '2024-03-10' }, '2024-03-01');
+    const byUntil = generateOccurrenceDates({ frequency: 'daily', count: 20, until: '2024-03-02' }, '2024-03-01');
+
+    assert.deepEqual(byCount, ['2024-03-01', '2024-03-02']);
+    assert.deepEqual(byUntil, ['2024-03-01', '2024-03-02']);
+  });
+
+  it('never generates more than the occurrence limit', () => {
+    const dates = generateOccurrenceDates({ frequency: 'daily', until: '2030-01-01' }, '2024-01-01');
+    assert.equal(dates.length, 365);
+  });
+});
+
+describe('buildFollowingRecurrence', () => {
+  it('keeps only the remaining occurrences of a counted rule', () => {
+    const recurrence = { frequency: 'weekly', count: 6 };
+    const following = buildFollowingRecurrence(recurrence, '2024-03-04', '2024-03-25');
+
+    assert.equal(following.count, 3);
+    assert.equal(recurrence.count, 6);
+
+    // Together the two parts produce exactly the original occurrences
+    const before = generateOccurrenceDates({ frequency: 'weekly', until: '2024-03-18' }, '2024-03-04');
+    const after = generateOccurrenceDates(following, '2024-03-25');
+    assert.deepEqual([...before, ...after], generateOccurrenceDates(recurrence, '2024-03-04'));
+  });
+
+  it('carries an end date over unchanged', () => {
+    const following = buildFollowingRecurrence({ frequency: 'daily', until: '2024-03-31' }, '2024-03-01', '2024-03-15');
+    assert.deepEqual(following, { frequency: 'daily', until: '2024-03-31' });
+  });
+});
+
+describe('validateRecurrence', () => {
+  it('requires an end date or a count', () => {
+    const { isValid, errors } = validateRecurrence({ frequency: 'daily' }, '2024-03-01');
+
+    assert.equal(isValid, false);
+    assert.ok(errors.includes('Either until or count is required'));
+  });
+
+  it('rejects rules that produce no sessions', () => {
+    const { isValid, errors } = validateRecurrence(
+      { frequency: 'weekly', daysOfWeek: [0], until: '2024-03-05' },
+      '2024-03-04'
+    );
+
+    assert.equal(isValid, false);
+    assert.ok(errors.includes('Recurrence does not produce any sessions'));
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+const TokenService = require('../services/tokenService');
+const { authenticateToken } = require('../middleware/auth');
+const { fakeQuery } = require('./helpers');
+
+const USER_ID = '65f000000000000000000001';
+const LOGIN_ID = '65f0000000000000000000aa';
+
+/**
+ * Minimal Express response that records what was sent
+ */
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+/**
+ * Run the auth middleware with a bearer token
+ * @returns {Promise<Object>} { req, res, nextArgs }
+ */
+const authenticate = async (token) => {
+  const req = { headers: { authorization: `Bearer ${token}` }, ip: '127.0.0.1' };
+  const res = fakeResponse();
+  let nextArgs = null;
+  await authenticateToken(req, res, (...args) => {
+    nextArgs = args;
+  });
+  return { req, res, nextArgs };
+};
+
+describe('TokenService', () => {
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('issueTokens', () => {
+    it('stores only a hash of the refresh secret', async () => {
+      let created;
+      mock.method(AuthSession, 'create', async (doc) => {
+        created = doc;
+        return { _id: LOGIN_ID, ...doc };
+      });
+
+      const tokens = await TokenService.issueTokens(USER_ID);
+      const [loginId, secret] = tokens.refreshToken.split('.');
+
+      assert.equal(loginId, LOGIN_ID);
+      assert.notEqual(created.tokenHash, secret);
+      assert.equal(created.tokenHash.length, 64);
+      assert.equal(jwt.verify(tokens.token, process.env.JWT_SECRET).sid, LOGIN_ID);
+    });
+  });
+
+  describe('refreshTokens', () => {
+    let stored;
+
+    beforeEach(async () => {
+      mock.method(AuthSession, 'create', async (doc) => {
+        stored = { _id: LOGIN_ID, revokedAt: null, ...doc };
+        return stored;
+      });
+      // Behaves like the conditional update: only matches the current hash of a live login
+      mock.method(AuthSession, 'findOneAndUpdate', async (filter, update) => {
+        if (filter.tokenHash !== stored.tokenHash || stored.revokedAt) return null;
+        Object.assign(stored, update);
+        return stored;
+      });
+      mock.method(AuthSession, 'updateOne', async (filter, update) => {
+        if (stored.revokedAt) return { modifiedCount: 0 };
+        Object.assign(stored, update);
+        return { modifiedCount: 1 };
+      });
+    });
+
+    it('rotates the refresh token on every use', async () => {
+      const first = await TokenService.issueTokens(USER_ID);
+      const second = await TokenService.refreshTokens(first.refreshToken);
+      const third = await TokenService.refreshTokens(second.refreshToken);
+
+      assert.notEqual(second.refreshToken, first.refreshToken);
+      assert.notEqual(third.refreshToken, second.refreshToken);
+      assert.equal(stored.revokedAt, null);
+    });
+
+    it('revokes the login when a rotated token is replayed', async () => {
+      const first = await TokenService.issueTokens(USER_ID);
+      const second = await TokenService.refreshTokens(first.refreshToken);
+
+      await assert.rejects(TokenService.refreshTokens(first.refreshToken), { statusCode: 401 });
+      assert.equal(stored.revokedReason, 'token_reuse');
+
+      // The legitimate holder is signed out too
+      await assert.rejects(TokenService.refreshTokens(second.refreshToken), { statusCode: 401 });
+    });
+
+    it('rejects malformed refresh tokens without a lookup', async () => {
+      await assert.rejects(TokenService.refreshTokens('not-a-token'), { statusCode: 401 });
+      assert.equal(AuthSession.findOneAndUpdate.mock.callCount(), 0);
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    it('revokes every login and records the revocation time on the user', async () => {
+      mock.method(AuthSession, 'updateMany', async () => ({ modifiedCount: 3 }));
+      mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+      const count = await TokenService.revokeAllForUser(USER_ID, 'password_reset');
+
+      assert.equal(count, 3);
+      const [sessionFilter, sessionUpdate] = AuthSession.updateMany.mock.calls[0].arguments;
+      const [userFilter, userUpdate] = User.updateOne.mock.calls[0].arguments;
+      assert.deepEqual(sessionFilter, { userId: USER_ID, revokedAt: null });
+      assert.equal(sessionUpdate.revokedReason, 'password_reset');
+      assert.deepEqual(userFilter, { _id: USER_ID });
+      assert.equal(userUpdate.tokensRevokedAt, sessionUpdate.revokedAt);
+    });
+  });
+
+  describe('authenticateToken', () => {
+    it('rejects tokens without a login ID issued before a revocation', async () => {
+      const issuedAt = Math.floor(Date.now() / 1000) - 60;
+      const token = jwt.sign({ userId: USER_ID, iat: issuedAt }, process.env.JWT_SECRET);
+      mock.method(User, 'exists', async (filter) => (
+        filter.tokensRevokedAt.$gte.getTime() <= Date.now() ? { _id: USER_ID } : null
+      ));
+
+      const { res, nextArgs } = await authenticate(token);
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.error, 'Token has been revoked');
+      assert.equal(nextArgs, null);
+    });
+
+    it('accepts tokens without a login ID when nothing was revoked since', async () => {
+      const token = jwt.sign({ userId: USER_ID }, process.env.JWT_SECRET);
+      mock.method(User, 'exists', async () => null);
+
+      const { req, nextArgs } = await authenticate(token);
+
+      assert.deepEqual(nextArgs, []);
+      assert.equal(req.userId, USER_ID);
+    });
+
+    it('rejects tokens whose login was revoked', async () => {
+      const token = jwt.sign({ userId: USER_ID, sid: LOGIN_ID }, process.env.JWT_SECRET);
+      mock.method(AuthSession, 'findOne', (filter) => {
+        assert.deepEqual(filter, { _id: LOGIN_ID, userId: USER_ID, revokedAt: null });
+        return fakeQuery(null);
+      });
+
+      const { res, nextArgs } = await authenticate(token);
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.error, 'Token has been revoked');
+      assert.equal(nextArgs, null);
+    });
+
+    it('accepts tokens of a live login and records its use', async () => {
+      const token = jwt.sign({ userId: USER_ID, sid: LOGIN_ID }, process.env.JWT_SECRET);
+      mock.method(AuthSession, 'findOne', () => fakeQuery({ lastUsedAt: null, ipAddress: null }));
+      mock.method(AuthSession, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+      const { req, nextArgs } = await authenticate(token);
+
+      assert.deepEqual(nextArgs, []);
+      assert.equal(req.authSessionId, LOGIN_ID);
+      assert.equal(AuthSession.updateOne.mock.calls[0].arguments[1].ipAddress, '127.0.0.1');
+    });
+
+    it('answers 401 for expired tokens and passes lookup failures on', async () => {
+      const expired = jwt.sign({ userId: USER_ID, exp: Math.floor(Date.now() / 1000) - 10 }, process.env.JWT_SECRET);
+      assert.equal((await authenticate(expired)).res.statusCode, 401);
+
+      mock.method(User, 'exists', async () => {
+        throw new Error('connection lost');
+      });
+      const { res, nextArgs } = await authenticate(jwt.sign({ userId: USER_ID }, process.env.JWT_SECRET));
+      assert.equal(res.statusCode, 200);
+      assert.equal(nextArgs[0].message, 'connection lost');
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const TrashService = require('../services/trashService');
+const AttachmentService = require('../services/attachmentService');
+const { fakeQuery } = require('./helpers');
+
+const PATIENT_ID = '65f0000000000000000000a1';
+
+describe('TrashService.purgeExpired', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('purges a patient\'s clinical records but keeps invoices and payments', async () => {
+    const deleted = new Set();
+    for (const name of mongoose.modelNames()) {
+      const Model = mongoose.model(name);
+      mock.method(Model, 'deleteMany', () => {
+        deleted.add(name);
+        return fakeQuery({ deletedCount: 1 });
+      });
+      mock.method(Model, 'deleteOne', () => {
+        deleted.add(name);
+        return fakeQuery({ deletedCount: 1 });
+      });
+    }
+    mock.method(Patient, 'find', () => fakeQuery([{ _id: PATIENT_ID }]));
+    mock.method(Session, 'find', (filter) => fakeQuery(filter.patientId ? [{ _id: 's1' }] : []));
+    mock.method(AttachmentService, 'deleteAllAttachments', async () => 0);
+
+    const purged = await TrashService.purgeExpired(new Date('2024-06-01T00:00:00Z'));
+
+    assert.deepEqual(purged, { patients: 1, sessions: 1 });
+    for (const name of ['Patient', 'Session', 'ClinicalNote', 'SessionSeries', 'TreatmentPlan']) {
+      assert.ok(deleted.has(name), `${name} should be purged`);
+    }
+    assert.equal(deleted.has(Invoice.modelName), false);
+    assert.equal(deleted.has(Payment.modelName), false);
+  });
+
+  it('only purges records trashed before the retention cutoff', async () => {
+    mock.method(Patient, 'find', () => fakeQuery([]));
+    mock.method(Session, 'find', () => fakeQuery([]));
+
+    await TrashService.purgeExpired(new Date('2024-06-01T00:00:00Z'));
+
+    const { deletedAt } = Patient.find.mock.calls[0].arguments[0];
+    assert.ok(deletedAt.$lt < new Date('2024-06-01T00:00:00Z'));
+  });
+});
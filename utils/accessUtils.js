@@ -0,0 +1,134 @@
+/**
+ * Access control utility functions
+ * Single Responsibility: Map clinic roles to permissions and query scopes
+ *
+ * An access context is { userId, clinicId, role }, plus ipAddress on requests for
+ * auditing. Therapists without a clinic get clinicId null and the owner role over
+ * their own records.
+ */
+
+const mongoose = require('mongoose');
+
+// billing covers payments, balances and invoices; earnings covers revenue reports
+const ROLE_PERMISSIONS = {
+  owner: ['patients:read', 'patients:write', 'sessions:read', 'sessions:write', 'billing:read', 'billing:write', 'earnings:read', 'clinic:manage', 'audit:read'],
+  therapist: ['patients:read', 'patients:write', 'sessions:read', 'sessions:write', 'billing:read', 'billing:write', 'earnings:read'],
+  receptionist: ['patients:read', 'patients:write', 'sessions:read', 'sessions:write', 'billing:read', 'billing:write'],
+  accountant: ['patients:read', 'sessions:read', 'billing:read', 'earnings:read']
+};
+
+// Roles that can be assigned patients and run sessions
+const TREATING_ROLES = ['owner', 'therapist'];
+
+/**
+ * Cast an ID for use in an aggregation $match (which doesn't cast like queries do)
+ * @param {string|Object} id - ID
+ * @returns {Object} ObjectId
+ */
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Build the access context for a therapist working on their own
+ * @param {string} userId - User ID
+ * @returns {Object} Access context
+ */
+const buildPersonalAccess = (userId) => ({ userId, clinicId: null, role: 'owner' });
+
+/**
+ * Check whether an access context grants a permission
+ * @param {Object} access - Access context
+ * @param {string} permission - Permission (e.g. "patients:write")
+ * @returns {boolean} Whether the permission is granted
+ */
+const hasPermission = (access, permission) => {
+  return (ROLE_PERMISSIONS[access?.role] || []).includes(permission);
+};
+
+/**
+ * Build the query filter for records visible to an access context
+ * Clinic members share the clinic's patients and sessions.
+ * @param {Object} access - Access context
+ * @returns {Object} MongoDB query filter
+ */
+const buildAccessScope = (access) => {
+  return access.clinicId
+    ? { clinicId: access.clinicId }
+    : { userId: access.userId, clinicId: null };
+};
+
+/**
+ * Build the $match filter for records visible to an access context, with ObjectIds for aggregation
+ * @param {Object} access - Access context
+ * @returns {Object} MongoDB match filter
+ */
+const buildAccessMatch = (access) => {
+  return access.clinicId
+    ? { clinicId: toObjectId(access.clinicId) }
+    : { userId: toObjectId(access.userId), clinicId: null };
+};
+
+/**
+ * Build the query filter for a schedule view
+ * In a clinic, therapists see their own schedule unless they ask for a colleague's
+ * (therapistId) or everyone's (therapistId = "all"); other roles see the whole clinic.
+ * @param {Object} access - Access context
+ * @param {string} therapistId - Requested therapist ID or "all" (optional)
+ * @returns {Object} MongoDB query filter
+ */
+const buildScheduleScope = (access, therapistId) => {
+  if (!access.clinicId) return buildAccessScope(access);
+
+  if (therapistId === 'all') return { clinicId: access.clinicId };
+  if (therapistId) return { clinicId: access.clinicId, userId: therapistId };
+  if (access.role === 'therapist') return { clinicId: access.clinicId, userId: access.userId };
+  return { clinicId: access.clinicId };
+};
+
+/**
+ * Build the $match filter for earnings, with ObjectIds for aggregation
+ * Therapists only see their own earnings; owners and accountants see the clinic
+ * and can narrow it to one therapist.
+ * @param {Object} access - Access context
+ * @param {string} therapistId - Therapist to narrow to (optional)
+ * @returns {Object} MongoDB match filter
+ */
+const buildEarningsScope = (access, therapistId) => {
+  if (!access.clinicId) {
+    return { userId: toObjectId(access.userId), clinicId: null };
+  }
+
+  const scope = { clinicId: toObjectId(access.clinicId) };
+  if (access.role === 'therapist') {
+    scope.userId = toObjectId(access.userId);
+  } else if (therapistId) {
+    scope.userId = toObjectId(therapistId);
+  }
+  return scope;
+};
+
+/**
+ * Build the query filter for audit log entries
+ * Clinic owners see every change to the clinic's records; everyone else sees
+ * the changes they made themselves.
+ * @param {Object} access - Access context
+ * @returns {Object} MongoDB query filter
+ */
+const buildAuditScope = (access) => {
+  if (access.clinicId && hasPermission(access, 'audit:read')) {
+    return { clinicId: access.clinicId };
+  }
+  return { actorId: access.userId };
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  TREATING_ROLES,
+  toObjectId,
+  buildPersonalAccess,
+  hasPermission,
+  buildAccessScope,
+  buildAccessMatch,
+  buildScheduleScope,
+  buildEarningsScope,
+  buildAuditScope
+};
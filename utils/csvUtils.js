@@ -0,0 +1,77 @@
+/**
+ * CSV utility functions
+ * Single Responsibility: Parse CSV text into rows
+ */
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cell values, blank lines skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text into objects keyed by header
+ * @param {string} text - CSV text with a header row
+ * @returns {Object} { headers: Array<string>, records: Array<Object> }
+ */
+const parseCsvRecords = (text) => {
+  const [headerRow = [], ...dataRows] = parseCsv(text);
+  const headers = headerRow.map(header => header.trim());
+
+  const records = dataRows.map(cells => headers.reduce((record, header, index) => {
+    record[header] = (cells[index] || '').trim();
+    return record;
+  }, {}));
+
+  return { headers, records };
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
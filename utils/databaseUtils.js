@@ -5,6 +5,39 @@
 
 const mongoose = require('mongoose');
 
+// Sortable list fields, each with the fields that break ties: a field name sorts in the
+// list's direction, { field, order } always in the given one
+const PATIENT_SORT_FIELDS = {
+  createdAt: [],
+  name: [],
+  age: []
+};
+
+// Sessions on the same day always read in the order they happen
+const SESSION_TIME_ORDER = { field: 'time', order: 'asc' };
+
+const SESSION_SORT_FIELDS = {
+  date: [SESSION_TIME_ORDER],
+  amount: ['date', SESSION_TIME_ORDER],
+  patientName: ['date', SESSION_TIME_ORDER],
+  createdAt: []
+};
+
+const PAYMENT_SORT_FIELDS = {
+  date: ['createdAt'],
+  amount: ['date'],
+  createdAt: []
+};
+
+// Session states a list can be filtered to
+const SESSION_STATUSES = {
+  pending: { completed: false, cancelled: false },
+  completed: { completed: true },
+  cancelled: { cancelled: true }
+};
+
+const MAX_PAGE_SIZE = 200;
+
 /**
  * Build date range query for MongoDB
  * @param {string} startDate - Start date (YYYY-MM-DD)
@@ -21,24 +54,55 @@ const buildDateRangeQuery = (startDate, endDate) => {
   return query;
 };
 
+/**
+ * Build amount range query for MongoDB
+ * @param {number|string} minAmount - Minimum amount (inclusive, optional)
+ * @param {number|string} maxAmount - Maximum amount (inclusive, optional)
+ * @returns {Object} MongoDB amount query
+ */
+const buildAmountRangeQuery = (minAmount, maxAmount) => {
+  const query = {};
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    query.amount = {};
+    if (minAmount !== undefined) query.amount.$gte = Number(minAmount);
+    if (maxAmount !== undefined) query.amount.$lte = Number(maxAmount);
+  }
+  return query;
+};
+
+/**
+ * Build session status query
+ * @param {string} status - Comma-separated statuses (pending, completed, cancelled)
+ * @returns {Object} MongoDB status query
+ */
+const buildSessionStatusQuery = (status) => {
+  if (!status) return {};
+
+  const conditions = [...new Set(String(status).split(',').map(name => name.trim()))].map(name => SESSION_STATUSES[name]);
+  return conditions.length === 1 ? { ...conditions[0] } : { $or: conditions };
+};
+
 /**
  * Build session filter query
- * @param {string} userId - User ID
- * @param {Object} filters - Filter options
+ * @param {Object} scope - Ownership filter (see buildAccessScope in accessUtils)
+ * @param {Object} filters - Filter options (patientId, seriesId, startDate, endDate, completed,
+ *   includeCancelled, status, minAmount, maxAmount)
  * @returns {Object} MongoDB query object
  */
-const buildSessionFilterQuery = (userId, filters = {}) => {
-  const { patientId, startDate, endDate, completed, includeCancelled } = filters;
+const buildSessionFilterQuery = (scope, filters = {}) => {
+  const { patientId, seriesId, startDate, endDate, completed, includeCancelled, status, minAmount, maxAmount } = filters;
   
-  let query = { userId };
+  let query = { ...scope };
   
   if (patientId) query.patientId = patientId;
-  if (completed !== undefined) query.completed = completed === 'true';
+  if (seriesId) query.seriesId = seriesId;
+  // completed/includeCancelled arrive as booleans from validated queries or 'true'/'false' strings
+  if (completed !== undefined) query.completed = String(completed) === 'true';
   
   // Handle cancelled sessions filter
-  if (includeCancelled === 'false') {
+  if (String(includeCancelled) === 'false') {
     query.cancelled = false;
-  } else if (includeCancelled === 'true') {
+  } else if (String(includeCancelled) === 'true') {
     // When includeCancelled is true, we want both cancelled and non-cancelled sessions
     // So we don't add any cancelled filter - this will include all sessions
   }
@@ -47,29 +111,79 @@ const buildSessionFilterQuery = (userId, filters = {}) => {
   // Add date range if provided
   const dateQuery = buildDateRangeQuery(startDate, endDate);
   Object.assign(query, dateQuery);
+
+  Object.assign(query, buildAmountRangeQuery(minAmount, maxAmount));
+
+  const statusQuery = buildSessionStatusQuery(status);
+  if (statusQuery.$or) {
+    query.$and = [...(query.$and || []), statusQuery];
+  } else {
+    Object.assign(query, statusQuery);
+  }
   
   return query;
 };
 
+// Update pipeline that cancels sessions, keeping what each was worth for cancellation loss
+const CANCEL_SESSIONS_UPDATE = [
+  { $set: { cancelledAmount: '$amount', cancelled: true, amount: 0 } }
+];
+
 /**
- * Build earnings aggregation pipeline
- * @param {string} userId - User ID
+ * Cancel or un-cancel a session document the same way CANCEL_SESSIONS_UPDATE does
+ * Cancelling moves the amount to cancelledAmount; un-cancelling moves it back.
+ * @param {Object} session - Session document
+ * @param {boolean} cancelled - New cancelled state
+ */
+const setSessionCancelled = (session, cancelled) => {
+  if (cancelled && !session.cancelled) {
+    session.cancelledAmount = session.amount;
+    session.amount = 0;
+  } else if (!cancelled && session.cancelled) {
+    session.amount = session.cancelledAmount ?? session.amount;
+    session.cancelledAmount = null;
+  }
+  session.cancelled = cancelled;
+};
+
+/**
+ * Set a session's amount; a cancelled session keeps it in cancelledAmount
+ * @param {Object} session - Session document
+ * @param {number} amount - Amount
+ */
+const setSessionAmount = (session, amount) => {
+  if (session.cancelled) {
+    session.cancelledAmount = amount;
+  } else {
+    session.amount = amount;
+  }
+};
+
+/**
+ * Build the $match stage for billed earnings (completed sessions with an amount)
+ * @param {Object} scope - Ownership match filter (see buildEarningsScope in accessUtils)
  * @param {string} startDate - Start date (optional)
  * @param {string} endDate - End date (optional)
- * @returns {Array} MongoDB aggregation pipeline
+ * @returns {Object} MongoDB match stage
  */
-const buildEarningsPipeline = (userId, startDate, endDate) => {
-  const matchStage = { 
-    userId: new mongoose.Types.ObjectId(userId),
+const buildEarningsMatchStage = (scope, startDate, endDate) => {
+  return {
+    ...scope,
     completed: true,
-    amount: { $exists: true, $ne: null, $gt: 0 }
+    amount: { $exists: true, $ne: null, $gt: 0 },
+    ...buildDateRangeQuery(startDate, endDate)
   };
-  
-  if (startDate || endDate) {
-    matchStage.date = {};
-    if (startDate) matchStage.date.$gte = startDate;
-    if (endDate) matchStage.date.$lte = endDate;
-  }
+};
+
+/**
+ * Build earnings aggregation pipeline
+ * @param {Object} scope - Ownership match filter (see buildEarningsScope in accessUtils)
+ * @param {string} startDate - Start date (optional)
+ * @param {string} endDate - End date (optional)
+ * @returns {Array} MongoDB aggregation pipeline
+ */
+const buildEarningsPipeline = (scope, startDate, endDate) => {
+  const matchStage = buildEarningsMatchStage(scope, startDate, endDate);
 
   return [
     { $match: matchStage },
@@ -100,6 +214,114 @@ const buildEarningsPipeline = (userId, startDate, endDate) => {
   ];
 };
 
+// Group keys for earnings breakdowns, computed from the date/time strings
+const EARNINGS_GROUPINGS = {
+  patient: {
+    patientId: '$patientId'
+  },
+  weekday: {
+    // 1 = Sunday ... 7 = Saturday
+    weekday: { $dayOfWeek: { $dateFromString: { dateString: '$date' } } }
+  },
+  hour: {
+    hour: { $toInt: { $arrayElemAt: [{ $split: ['$time', ':'] }, 0] } }
+  },
+  week: {
+    year: { $isoWeekYear: { $dateFromString: { dateString: '$date' } } },
+    week: { $isoWeek: { $dateFromString: { dateString: '$date' } } }
+  },
+  day: {
+    date: '$date'
+  },
+  yearMonth: {
+    year: { $toInt: { $substr: ['$date', 0, 4] } },
+    month: { $substr: ['$date', 5, 2] }
+  }
+};
+
+/**
+ * Build earnings breakdown aggregation pipeline
+ * @param {Object} scope - Ownership match filter (see buildEarningsScope in accessUtils)
+ * @param {string} groupBy - Grouping (patient, weekday, hour, week, day, yearMonth)
+ * @param {string} startDate - Start date (optional)
+ * @param {string} endDate - End date (optional)
+ * @returns {Array} MongoDB aggregation pipeline
+ */
+const buildEarningsBreakdownPipeline = (scope, groupBy, startDate, endDate) => {
+  const groupId = EARNINGS_GROUPINGS[groupBy];
+  const sortStage = Object.keys(groupId).reduce((sort, key) => {
+    sort[`_id.${key}`] = 1;
+    return sort;
+  }, {});
+
+  return [
+    { $match: buildEarningsMatchStage(scope, startDate, endDate) },
+    {
+      $group: {
+        _id: groupId,
+        totalEarnings: { $sum: '$amount' },
+        sessionCount: { $sum: 1 },
+        patientIds: { $addToSet: '$patientId' },
+        ...(groupBy === 'patient' && {
+          patientName: { $last: '$patientName' },
+          firstSessionDate: { $min: '$date' },
+          lastSessionDate: { $max: '$date' }
+        })
+      }
+    },
+    {
+      $addFields: {
+        averagePerSession: { $divide: ['$totalEarnings', '$sessionCount'] },
+        patientCount: { $size: '$patientIds' }
+      }
+    },
+    { $project: { patientIds: 0 } },
+    { $sort: groupBy === 'patient' ? { totalEarnings: -1 } : sortStage }
+  ];
+};
+
+/**
+ * Build collected payments aggregation pipeline
+ * @param {Object} scope - Ownership match filter (see buildEarningsScope in accessUtils)
+ * @param {string} startDate - Start date (optional)
+ * @param {string} endDate - End date (optional)
+ * @returns {Array} MongoDB aggregation pipeline
+ */
+const buildCollectionsPipeline = (scope, startDate, endDate) => {
+  const matchStage = {
+    ...scope,
+    ...buildDateRangeQuery(startDate, endDate)
+  };
+
+  return [
+    { $match: matchStage },
+    {
+      $addFields: {
+        // Extract year and month from date string (format: YYYY-MM-DD)
+        year: { $toInt: { $substr: ['$date', 0, 4] } },
+        month: { $substr: ['$date', 5, 2] }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          year: '$year',
+          month: '$month'
+        },
+        totalCollected: { $sum: '$amount' },
+        paymentCount: { $sum: 1 }
+      }
+    },
+    {
+      $addFields: {
+        year: '$_id.year',
+        month: '$_id.month'
+      }
+    },
+    { $sort: { '_id.year': -1, '_id.month': -1 } }
+  ];
+};
+
 /**
  * Build pagination options
  * @param {number} page - Page number (default: 1)
@@ -116,19 +338,174 @@ const buildPaginationOptions = (page = 1, limit = 10) => {
 
 /**
  * Build sort options
+ * Tie-breakers (and finally _id) keep the order stable, which cursor pagination relies on.
  * @param {string} sortBy - Field to sort by
  * @param {string} sortOrder - Sort order (asc/desc)
+ * @param {Array} tieBreakers - Fields that order items with equal sortBy values: a field
+ * name (same direction as sortBy) or { field, order } (fixed direction)
  * @returns {Object} Sort options
  */
-const buildSortOptions = (sortBy = 'createdAt', sortOrder = 'desc') => {
-  const order = sortOrder.toLowerCase() === 'asc' ? 1 : -1;
-  return { [sortBy]: order };
+const buildSortOptions = (sortBy = 'createdAt', sortOrder = 'desc', tieBreakers = []) => {
+  const toOrder = (value) => value.toLowerCase() === 'asc' ? 1 : -1;
+  const order = toOrder(sortOrder);
+  return [sortBy, ...tieBreakers, '_id'].reduce((sort, tieBreaker) => {
+    if (typeof tieBreaker === 'string') {
+      sort[tieBreaker] = order;
+    } else {
+      sort[tieBreaker.field] = toOrder(tieBreaker.order);
+    }
+    return sort;
+  }, {});
+};
+
+/**
+ * Encode the sort values of the last item on a page as an opaque cursor
+ * @param {Object} doc - Last document on the page (lean)
+ * @param {Object} sort - Sort options the page was read with
+ * @returns {string} Cursor
+ */
+const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map(field => {
+    const value = doc[field];
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+    return value ?? null;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor
+ * @param {Object} sort - Sort options the next page is read with
+ * @returns {Array|null} Sort values, or null if the cursor doesn't fit this sort
+ */
+const decodeCursor = (cursor, sort) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(values) || values.length !== Object.keys(sort).length) return null;
+
+  const decoded = values.map(value => {
+    if (value?.$date !== undefined) return new Date(value.$date);
+    if (value?.$oid !== undefined) {
+      return mongoose.isValidObjectId(value.$oid) ? new mongoose.Types.ObjectId(value.$oid) : undefined;
+    }
+    return value;
+  });
+  const [lastValue] = decoded.slice(-1);
+  return lastValue instanceof mongoose.Types.ObjectId && !decoded.includes(undefined) ? decoded : null;
+};
+
+/**
+ * Build the query for items after a cursor (keyset pagination)
+ * Nulls sort before every other value, as MongoDB orders them.
+ * @param {Object} sort - Sort options
+ * @param {Array} values - Decoded cursor values, one per sort field
+ * @returns {Object} MongoDB query
+ */
+const buildCursorQuery = (sort, values) => {
+  const fields = Object.keys(sort);
+
+  const branches = fields.map((field, index) => {
+    const value = values[index];
+    let after;
+    if (sort[field] === 1) {
+      after = value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+    } else if (value !== null) {
+      after = { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    }
+    if (!after) return null;
+
+    // Earlier sort fields equal to the cursor's, this one strictly past it
+    const ties = fields.slice(0, index).reduce((query, tieField, tieIndex) => {
+      query[tieField] = values[tieIndex];
+      return query;
+    }, {});
+    return Object.keys(ties).length > 0 ? { $and: [ties, after] } : after;
+  }).filter(Boolean);
+
+  return { $or: branches };
+};
+
+/**
+ * Build list options from query parameters
+ * Pagination is opt-in: it applies when a limit or cursor is given.
+ * @param {Object} query - { sortBy, sortOrder, limit, cursor } (validated)
+ * @param {Object} sortFields - Allowed sort fields (e.g. SESSION_SORT_FIELDS)
+ * @param {Object} defaults - { sortBy, sortOrder }
+ * @returns {Object} { sort, limit, cursor } (limit null when not paginating)
+ */
+const buildListOptions = (query, sortFields, defaults) => {
+  const sortBy = query.sortBy || defaults.sortBy;
+  const sort = buildSortOptions(sortBy, query.sortOrder || defaults.sortOrder, sortFields[sortBy]);
+  const isPaginated = query.limit !== undefined || query.cursor !== undefined;
+
+  return {
+    sort,
+    limit: isPaginated ? Math.min(parseInt(query.limit, 10) || 50, MAX_PAGE_SIZE) : null,
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null
+  };
+};
+
+/**
+ * Find one page of documents
+ * The total is only counted for the first page, where it is cheap to show.
+ * @param {Object} Model - Mongoose model
+ * @param {Object} query - MongoDB query
+ * @param {Object} listOptions - { sort, limit, cursor } from buildListOptions
+ * @returns {Promise<Object>} { items, pagination } (pagination null when not paginating)
+ */
+const findPage = async (Model, query, { sort, limit, cursor }) => {
+  if (!limit) {
+    return { items: await Model.find(query).sort(sort).lean(), pagination: null };
+  }
+
+  const pageQuery = cursor ? { $and: [query, buildCursorQuery(sort, cursor)] } : query;
+  const [docs, total] = await Promise.all([
+    Model.find(pageQuery).sort(sort).limit(limit + 1).lean(),
+    cursor ? null : Model.countDocuments(query)
+  ]);
+
+  const items = docs.slice(0, limit);
+  const hasMore = docs.length > limit;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+      total
+    }
+  };
 };
 
 module.exports = {
+  CANCEL_SESSIONS_UPDATE,
+  PATIENT_SORT_FIELDS,
+  SESSION_SORT_FIELDS,
+  PAYMENT_SORT_FIELDS,
+  SESSION_STATUSES,
+  MAX_PAGE_SIZE,
   buildDateRangeQuery,
+  buildAmountRangeQuery,
+  buildSessionStatusQuery,
   buildSessionFilterQuery,
+  setSessionCancelled,
+  setSessionAmount,
+  buildEarningsMatchStage,
   buildEarningsPipeline,
+  buildEarningsBreakdownPipeline,
+  buildCollectionsPipeline,
   buildPaginationOptions,
-  buildSortOptions
+  buildSortOptions,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  buildListOptions,
+  findPage
 };
@@ -0,0 +1,109 @@
+/**
+ * Date utility functions
+ * Single Responsibility: Handle calendar arithmetic on YYYY-MM-DD date strings
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Parse a YYYY-MM-DD string as midnight UTC
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @returns {Date} Date object at 00:00 UTC
+ */
+const toUTCDate = (dateStr) => new Date(`${dateStr}T00:00:00.000Z`);
+
+/**
+ * Format a Date as a YYYY-MM-DD string (UTC calendar day)
+ * @param {Date} date - Date object
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Add a number of days to a date string
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date string (YYYY-MM-DD)
+ */
+const addDays = (dateStr, days) => {
+  const date = toUTCDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+};
+
+/**
+ * Get the day of week for a date string
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @returns {number} Day of week (0 = Sunday, 6 = Saturday)
+ */
+const getDayOfWeek = (dateStr) => toUTCDate(dateStr).getUTCDay();
+
+/**
+ * Count whole days between two date strings
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @returns {number} Number of days from fromDate to toDate
+ */
+const daysBetween = (fromDate, toDate) => {
+  return Math.round((toUTCDate(toDate) - toUTCDate(fromDate)) / MS_PER_DAY);
+};
+
+/**
+ * Convert an HH:MM time string to minutes since midnight
+ * @param {string} time - Time string (HH:MM)
+ * @returns {number} Minutes since midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get the calendar date in a timezone
+ * @param {string} timezone - IANA timezone (e.g. Asia/Kolkata)
+ * @param {Date} now - Instant to convert (default: current time)
+ * @returns {string} Local date string (YYYY-MM-DD)
+ */
+const getTodayInTimezone = (timezone = DEFAULT_TIMEZONE, now = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+/**
+ * Get the first and last calendar dates of a month
+ * @param {number|string} year - Year (e.g. 2025)
+ * @param {number|string} month - Month (1-12)
+ * @returns {Object} { startDate, endDate } as YYYY-MM-DD strings
+ */
+const getMonthDateRange = (year, month) => {
+  const yearNum = parseInt(year, 10);
+  const monthNum = parseInt(month, 10);
+  const lastDay = new Date(Date.UTC(yearNum, monthNum, 0)).getUTCDate();
+  const prefix = `${String(yearNum).padStart(4, '0')}-${String(monthNum).padStart(2, '0')}`;
+
+  return {
+    startDate: `${prefix}-01`,
+    endDate: `${prefix}-${String(lastDay).padStart(2, '0')}`
+  };
+};
+
+module.exports = {
+  MS_PER_DAY,
+  DEFAULT_TIMEZONE,
+  toUTCDate,
+  formatDate,
+  addDays,
+  getDayOfWeek,
+  daysBetween,
+  timeToMinutes,
+  getTodayInTimezone,
+  getMonthDateRange
+};
@@ -0,0 +1,201 @@
+/**
+ * OpenAPI utility functions
+ * Single Responsibility: Turn request schemas and Mongoose models into OpenAPI 3 schema objects
+ *
+ * The helpers at the bottom (ref, arrayOf, objectOf, paginated) describe response data
+ * in the per-router docs modules under openapi/.
+ */
+
+// OpenAPI types for Mongoose schema types; anything else (Mixed) accepts any value
+const MONGOOSE_TYPES = {
+  String: { type: 'string' },
+  Number: { type: 'number' },
+  Boolean: { type: 'boolean' },
+  Date: { type: 'string', format: 'date-time' },
+  ObjectId: { type: 'string', format: 'objectId' },
+  Buffer: { type: 'string', format: 'binary' }
+};
+
+// Fields never sent to clients
+const HIDDEN_MODEL_FIELDS = ['__v', 'password'];
+
+/**
+ * Convert a request field descriptor (see schemaUtils) to an OpenAPI schema
+ * @param {Object} descriptor - Field descriptor
+ * @returns {Object} OpenAPI schema object
+ */
+const descriptorToSchema = (descriptor) => {
+  const schema = {};
+
+  switch (descriptor.type) {
+    case 'string':
+      schema.type = 'string';
+      if (descriptor.format) schema.format = descriptor.format;
+      if (descriptor.min !== undefined) schema.minLength = descriptor.min;
+      if (descriptor.max !== undefined) schema.maxLength = descriptor.max;
+      if (descriptor.enum) schema.enum = descriptor.enum;
+      if (descriptor.pattern) schema.pattern = descriptor.pattern.source;
+      break;
+    case 'number':
+    case 'integer':
+      schema.type = descriptor.type;
+      if (descriptor.min !== undefined) schema.minimum = descriptor.min;
+      if (descriptor.exclusiveMin !== undefined) {
+        schema.minimum = descriptor.exclusiveMin;
+        schema.exclusiveMinimum = true;
+      }
+      if (descriptor.max !== undefined) schema.maximum = descriptor.max;
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'array':
+      schema.type = 'array';
+      schema.items = descriptorToSchema(descriptor.items);
+      if (descriptor.min !== undefined) schema.minItems = descriptor.min;
+      if (descriptor.max !== undefined) schema.maxItems = descriptor.max;
+      break;
+    case 'object':
+      Object.assign(schema, propertiesToSchema(descriptor.properties));
+      if (descriptor.unknown === 'allow') schema.additionalProperties = true;
+      break;
+    case 'oneOf':
+      schema.oneOf = descriptor.variants.map(descriptorToSchema);
+      break;
+    default:
+      break;
+  }
+
+  if (descriptor.nullable) schema.nullable = true;
+  if (descriptor.default !== undefined) schema.default = descriptor.default;
+  if (descriptor.description) schema.description = descriptor.description;
+  return schema;
+};
+
+/**
+ * Convert a map of field descriptors to an OpenAPI object schema
+ * @param {Object} properties - Field name -> descriptor
+ * @returns {Object} OpenAPI object schema
+ */
+const propertiesToSchema = (properties) => {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  for (const [name, descriptor] of Object.entries(properties)) {
+    schema.properties[name] = descriptorToSchema(descriptor);
+    if (descriptor.required) required.push(name);
+  }
+
+  if (required.length > 0) schema.required = required;
+  return schema;
+};
+
+/**
+ * Convert a Mongoose schema type to an OpenAPI schema
+ * @param {Object} schemaType - Mongoose SchemaType
+ * @returns {Object} OpenAPI schema object
+ */
+const schemaTypeToSchema = (schemaType) => {
+  if (schemaType.instance === 'Array') {
+    const items = schemaType.schema
+      ? mongooseSchemaToSchema(schemaType.schema)
+      : schemaTypeToSchema(schemaType.caster || {});
+    return { type: 'array', items };
+  }
+  if (schemaType.instance === 'Embedded') {
+    return mongooseSchemaToSchema(schemaType.schema);
+  }
+
+  const schema = { ...MONGOOSE_TYPES[schemaType.instance] };
+  if (schemaType.enumValues?.length > 0) schema.enum = schemaType.enumValues;
+  if (schemaType.options?.default === null) schema.nullable = true;
+  return schema;
+};
+
+/**
+ * Convert a Mongoose schema to an OpenAPI object schema
+ * Nested paths (e.g. "address.city") become nested objects; hidden fields are left out.
+ * @param {Object} mongooseSchema - Mongoose Schema
+ * @param {Array<string>} omit - Extra paths to leave out
+ * @returns {Object} OpenAPI object schema
+ */
+const mongooseSchemaToSchema = (mongooseSchema, omit = []) => {
+  const root = { type: 'object', properties: {} };
+
+  for (const [path, schemaType] of Object.entries(mongooseSchema.paths)) {
+    if (HIDDEN_MODEL_FIELDS.includes(path) || omit.includes(path) || schemaType.options.select === false) {
+      continue;
+    }
+
+    const segments = path.split('.');
+    let target = root;
+    for (const segment of segments.slice(0, -1)) {
+      target.properties[segment] = target.properties[segment] || { type: 'object', properties: {} };
+      target = target.properties[segment];
+    }
+    target.properties[segments[segments.length - 1]] = schemaTypeToSchema(schemaType);
+  }
+  return root;
+};
+
+/**
+ * Describe a model as it is sent to clients (with the string `id` added by transformDocument)
+ * @param {Object} Model - Mongoose model
+ * @param {Object} options - { omit } paths to leave out
+ * @returns {Object} OpenAPI object schema
+ */
+const modelToSchema = (Model, { omit = [] } = {}) => {
+  const schema = mongooseSchemaToSchema(Model.schema, omit);
+  schema.properties = { id: { type: 'string', format: 'objectId' }, ...schema.properties };
+  return schema;
+};
+
+/**
+ * Reference a schema in components.schemas
+ * @param {string} name - Component name
+ * @returns {Object} OpenAPI reference object
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Describe an array
+ * @param {Object} items - Item schema
+ * @returns {Object} OpenAPI array schema
+ */
+const arrayOf = (items) => ({ type: 'array', items });
+
+/**
+ * Describe an object; values may be schemas or type names ("string", "number", ...)
+ * @param {Object} properties - Property name -> schema or type name
+ * @param {Object} options - { nullable }
+ * @returns {Object} OpenAPI object schema
+ */
+const objectOf = (properties, { nullable } = {}) => ({
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(properties).map(([name, schema]) => [
+    name,
+    typeof schema === 'string' ? { type: schema } : schema
+  ])),
+  ...(nullable && { nullable: true })
+});
+
+/**
+ * Describe a list response that supports cursor pagination
+ * @param {string} key - Property holding the items (e.g. "patients")
+ * @param {Object} items - Item schema
+ * @returns {Object} Response data properties
+ */
+const paginated = (key, items) => ({
+  [key]: arrayOf(items),
+  pagination: { allOf: [ref('Pagination')], nullable: true }
+});
+
+module.exports = {
+  descriptorToSchema,
+  propertiesToSchema,
+  modelToSchema,
+  ref,
+  arrayOf,
+  objectOf,
+  paginated
+};
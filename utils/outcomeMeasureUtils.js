@@ -0,0 +1,138 @@
+/**
+ * Outcome measure utility functions
+ * Single Responsibility: Define and validate the supported outcome measures
+ */
+
+const PAIN_SCALES = ['VAS', 'NPRS'];
+const SIDES = ['left', 'right', 'bilateral'];
+
+// Score range for each standard questionnaire
+const QUESTIONNAIRES = {
+  oswestry: { label: 'Oswestry Disability Index', min: 0, max: 100, unit: '%' },
+  dash: { label: 'DASH', min: 0, max: 100, unit: 'score' },
+  quickdash: { label: 'QuickDASH', min: 0, max: 100, unit: 'score' },
+  ndi: { label: 'Neck Disability Index', min: 0, max: 100, unit: '%' },
+  lefs: { label: 'Lower Extremity Functional Scale', min: 0, max: 80, unit: 'score' },
+  koos: { label: 'KOOS', min: 0, max: 100, unit: 'score' },
+  womac: { label: 'WOMAC', min: 0, max: 96, unit: 'score' },
+  spadi: { label: 'SPADI', min: 0, max: 100, unit: '%' }
+};
+
+// MMT grades with +/- modifiers mapped onto a numeric scale for charting
+const MMT_GRADE_REGEX = /^[0-5][+-]?$/;
+const MMT_MODIFIER = { '+': 0.33, '-': -0.33 };
+
+const MEASURE_TYPES = ['pain', 'rom', 'strength', 'questionnaire'];
+
+const slug = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, '-');
+
+/**
+ * Convert an MMT grade such as "4+" to a number
+ * @param {string} grade - MMT grade (0-5 with optional + or -)
+ * @returns {number} Numeric grade
+ */
+const mmtGradeToNumber = (grade) => {
+  const base = parseInt(grade[0], 10);
+  const modifier = MMT_MODIFIER[grade[1]] || 0;
+  return Math.round((base + modifier) * 100) / 100;
+};
+
+/**
+ * Validate a measurement and derive its series key, label, unit and numeric value
+ * @param {Object} data - { type, scale, joint, movement, muscle, side, instrument, value, grade }
+ * @returns {Object} { errors: Array, measure: Object|null }
+ */
+const normalizeMeasure = (data = {}) => {
+  const errors = [];
+  const { type } = data;
+
+  if (!MEASURE_TYPES.includes(type)) {
+    return { errors: [`type must be one of: ${MEASURE_TYPES.join(', ')}`], measure: null };
+  }
+
+  const side = data.side !== undefined ? slug(data.side) : undefined;
+  if (side !== undefined && !SIDES.includes(side)) {
+    errors.push(`side must be one of: ${SIDES.join(', ')}`);
+  }
+
+  const value = data.value === null || data.value === undefined || data.value === ''
+    ? NaN
+    : Number(data.value);
+  let measure = null;
+
+  if (type === 'pain') {
+    const scale = String(data.scale || '').toUpperCase();
+    if (!PAIN_SCALES.includes(scale)) errors.push(`scale must be one of: ${PAIN_SCALES.join(', ')}`);
+    if (isNaN(value) || value < 0 || value > 10) errors.push('Pain value must be between 0 and 10');
+
+    measure = { scale, value, unit: '/10', key: `pain:${scale}`, label: `Pain (${scale})` };
+  }
+
+  if (type === 'rom') {
+    const joint = slug(data.joint);
+    const movement = slug(data.movement);
+    if (!joint) errors.push('joint is required');
+    if (!movement) errors.push('movement is required');
+    if (!side) errors.push('side is required');
+    if (isNaN(value) || value < -90 || value > 360) errors.push('ROM value must be between -90 and 360 degrees');
+
+    measure = {
+      joint,
+      movement,
+      side,
+      value,
+      unit: 'degrees',
+      key: `rom:${joint}:${movement}:${side}`,
+      label: `${joint} ${movement} ROM (${side})`
+    };
+  }
+
+  if (type === 'strength') {
+    const muscle = slug(data.muscle);
+    const grade = String(data.grade ?? data.value ?? '').trim();
+    if (!muscle) errors.push('muscle is required');
+    if (!side) errors.push('side is required');
+    if (!MMT_GRADE_REGEX.test(grade)) errors.push('grade must be an MMT grade from 0 to 5 (e.g. 3, 4+, 5-)');
+
+    measure = {
+      muscle,
+      side,
+      grade,
+      value: MMT_GRADE_REGEX.test(grade) ? mmtGradeToNumber(grade) : NaN,
+      unit: 'MMT',
+      key: `strength:${muscle}:${side}`,
+      label: `${muscle} strength (${side})`
+    };
+  }
+
+  if (type === 'questionnaire') {
+    const instrument = slug(data.instrument);
+    const definition = QUESTIONNAIRES[instrument];
+    if (!definition) {
+      errors.push(`instrument must be one of: ${Object.keys(QUESTIONNAIRES).join(', ')}`);
+    } else if (isNaN(value) || value < definition.min || value > definition.max) {
+      errors.push(`${definition.label} score must be between ${definition.min} and ${definition.max}`);
+    }
+
+    measure = {
+      instrument,
+      value,
+      unit: definition?.unit || 'score',
+      key: `questionnaire:${instrument}`,
+      label: definition?.label || instrument
+    };
+  }
+
+  return errors.length > 0
+    ? { errors, measure: null }
+    : { errors, measure: { type, ...measure } };
+};
+
+module.exports = {
+  MEASURE_TYPES,
+  PAIN_SCALES,
+  SIDES,
+  QUESTIONNAIRES,
+  mmtGradeToNumber,
+  normalizeMeasure
+};
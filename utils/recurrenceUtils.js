@@ -0,0 +1,140 @@
+/**
+ * Recurrence utility functions
+ * Single Responsibility: Expand and validate recurring session rules
+ */
+
+const { addDays, getDayOfWeek, daysBetween } = require('./dateUtils');
+const { isValidDate } = require('./validationUtils');
+
+const FREQUENCIES = ['daily', 'weekly'];
+const EDIT_SCOPES = ['this', 'following', 'all'];
+
+// Hard limits so a malformed rule can never generate an unbounded schedule
+const MAX_OCCURRENCES = 365;
+const MAX_SPAN_DAYS = 2 * 366;
+
+/**
+ * Expand a recurrence rule into concrete occurrence dates
+ * @param {Object} recurrence - Rule { frequency, interval, daysOfWeek, until, count }
+ * @param {string} startDate - First possible occurrence (YYYY-MM-DD)
+ * @returns {Array<string>} Occurrence dates (YYYY-MM-DD), ascending
+ */
+const generateOccurrenceDates = (recurrence, startDate) => {
+  const { frequency, until, count } = recurrence;
+  const interval = parseInt(recurrence.interval, 10) || 1;
+  const startDay = getDayOfWeek(startDate);
+
+  // Weekly rules default to the weekday of the start date
+  let allowedDays = null;
+  if (Array.isArray(recurrence.daysOfWeek) && recurrence.daysOfWeek.length > 0) {
+    allowedDays = recurrence.daysOfWeek.map(day => parseInt(day, 10));
+  } else if (frequency === 'weekly') {
+    allowedDays = [startDay];
+  }
+
+  const limit = count ? Math.min(parseInt(count, 10), MAX_OCCURRENCES) : MAX_OCCURRENCES;
+  const dates = [];
+
+  for (let offset = 0; offset <= MAX_SPAN_DAYS && dates.length < limit; offset++) {
+    const date = addDays(startDate, offset);
+    if (until && date > until) break;
+
+    // Weeks are counted from the Sunday on or before the start date
+    const period = frequency === 'weekly'
+      ? Math.floor((offset + startDay) / 7)
+      : offset;
+
+    if (period % interval !== 0) continue;
+    if (allowedDays && !allowedDays.includes(getDayOfWeek(date))) continue;
+
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Build the rule for the part of a series split off at a later occurrence
+ * A count covers the whole series, so the new part only gets the occurrences the
+ * original rule had left from the split date on; an until date carries over as is.
+ * @param {Object} recurrence - Original rule { frequency, interval, daysOfWeek, until, count }
+ * @param {string} startDate - Original series start date (YYYY-MM-DD)
+ * @param {string} splitDate - First occurrence of the new part (YYYY-MM-DD)
+ * @returns {Object} Rule for the new part
+ */
+const buildFollowingRecurrence = (recurrence, startDate, splitDate) => {
+  if (!recurrence.count) return { ...recurrence };
+
+  const remaining = generateOccurrenceDates(recurrence, startDate).filter(date => date >= splitDate).length;
+  return { ...recurrence, count: Math.max(remaining, 1) };
+};
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} recurrence - Rule { frequency, interval, daysOfWeek, until, count }
+ * @param {string} startDate - Series start date (YYYY-MM-DD)
+ * @returns {Object} Validation result { isValid: boolean, errors: Array }
+ */
+const validateRecurrence = (recurrence, startDate) => {
+  const errors = [];
+
+  if (!recurrence || typeof recurrence !== 'object') {
+    return { isValid: false, errors: ['recurrence is required'] };
+  }
+
+  const { frequency, interval, daysOfWeek, until, count } = recurrence;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.push(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (interval !== undefined) {
+    const intervalNum = parseInt(interval, 10);
+    if (isNaN(intervalNum) || intervalNum < 1) {
+      errors.push('interval must be a positive number');
+    }
+  }
+
+  if (daysOfWeek !== undefined) {
+    const isValidDays = Array.isArray(daysOfWeek) && daysOfWeek.every(day => {
+      const dayNum = parseInt(day, 10);
+      return !isNaN(dayNum) && dayNum >= 0 && dayNum <= 6;
+    });
+    if (!isValidDays) {
+      errors.push('daysOfWeek must be an array of numbers between 0 (Sunday) and 6 (Saturday)');
+    }
+  }
+
+  if (!until && !count) {
+    errors.push('Either until or count is required');
+  }
+
+  if (until !== undefined && (!isValidDate(until) || until < startDate)) {
+    errors.push('until must be a valid date (YYYY-MM-DD) on or after the start date');
+  }
+
+  if (count !== undefined) {
+    const countNum = parseInt(count, 10);
+    if (isNaN(countNum) || countNum < 1 || countNum > MAX_OCCURRENCES) {
+      errors.push(`count must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+  }
+
+  if (errors.length === 0 && generateOccurrenceDates(recurrence, startDate).length === 0) {
+    errors.push('Recurrence does not produce any sessions');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  FREQUENCIES,
+  EDIT_SCOPES,
+  MAX_OCCURRENCES,
+  generateOccurrenceDates,
+  buildFollowingRecurrence,
+  validateRecurrence
+};
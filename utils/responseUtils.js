@@ -3,6 +3,56 @@
  * Single Responsibility: Handle response formatting
  */
 
+/**
+ * Machine-readable error codes, sent as `code` on every error response
+ * Clients should branch on these rather than on the human-readable `error` text.
+ */
+const ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_REVOKED: 'TOKEN_REVOKED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  SCHEDULE_CONFLICT: 'SCHEDULE_CONFLICT',
+  EMAIL_IN_USE: 'EMAIL_IN_USE',
+  VERIFICATION_REQUIRED: 'VERIFICATION_REQUIRED',
+  VERIFICATION_TOKEN_INVALID: 'VERIFICATION_TOKEN_INVALID',
+  OTP_INVALID: 'OTP_INVALID',
+  OTP_ATTEMPTS_EXCEEDED: 'OTP_ATTEMPTS_EXCEEDED',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Code for errors that don't name a more specific one
+const STATUS_ERROR_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  415: ERROR_CODES.UNSUPPORTED_MEDIA_TYPE,
+  429: ERROR_CODES.RATE_LIMITED
+};
+
+/**
+ * Get the default error code for an HTTP status
+ * @param {number} statusCode - HTTP status code
+ * @returns {string} Error code
+ */
+const getErrorCode = (statusCode) => {
+  return STATUS_ERROR_CODES[statusCode] ||
+    (statusCode >= 500 ? ERROR_CODES.INTERNAL_ERROR : ERROR_CODES.BAD_REQUEST);
+};
+
 /**
  * Transform MongoDB document to include id field
  * @param {Object} doc - MongoDB document
@@ -48,11 +98,15 @@ const sendSuccess = (res, data, message = 'Success', statusCode = 200) => {
  * @param {Object} res - Express response object
  * @param {string} error - Error message
  * @param {number} statusCode - HTTP status code
+ * @param {string} code - Error code from ERROR_CODES (defaults by status)
+ * @param {Object} details - Extra fields merged into the response body
  */
-const sendError = (res, error, statusCode = 500) => {
+const sendError = (res, error, statusCode = 500, code = getErrorCode(statusCode), details = {}) => {
   res.status(statusCode).json({
     success: false,
-    error
+    error,
+    code,
+    ...details
   });
 };
 
@@ -60,9 +114,10 @@ const sendError = (res, error, statusCode = 500) => {
  * Send validation error response
  * @param {Object} res - Express response object
  * @param {string} error - Validation error message
+ * @param {Object} details - Extra fields, e.g. { errors } listing each invalid field
  */
-const sendValidationError = (res, error) => {
-  sendError(res, error, 400);
+const sendValidationError = (res, error, details) => {
+  sendError(res, error, 400, ERROR_CODES.VALIDATION_ERROR, details);
 };
 
 /**
@@ -71,14 +126,35 @@ const sendValidationError = (res, error) => {
  * @param {string} resource - Resource name
  */
 const sendNotFoundError = (res, resource = 'Resource') => {
-  sendError(res, `${resource} not found`, 404);
+  sendError(res, `${resource} not found`, 404, ERROR_CODES.NOT_FOUND);
+};
+
+/**
+ * Send too many requests response with a Retry-After header
+ * @param {Object} res - Express response object
+ * @param {number} retryAfterMs - Time until the client may try again
+ * @param {string} error - Error message
+ * @param {string} code - RATE_LIMITED, or ACCOUNT_LOCKED for sign-in lockouts
+ */
+const sendTooManyRequestsError = (
+  res,
+  retryAfterMs,
+  error = 'Too many requests, please try again later',
+  code = ERROR_CODES.RATE_LIMITED
+) => {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  sendError(res, error, 429, code, { retryAfter });
 };
 
 module.exports = {
+  ERROR_CODES,
+  getErrorCode,
   transformDocument,
   transformDocuments,
   sendSuccess,
   sendError,
   sendValidationError,
-  sendNotFoundError
+  sendNotFoundError,
+  sendTooManyRequestsError
 };
@@ -0,0 +1,253 @@
+/**
+ * Request schema utility functions
+ * Single Responsibility: Describe request fields declaratively and check values against them
+ *
+ * A schema is a plain object of field descriptors built with `field`, e.g.
+ *   { name: field.string({ required: true, max: 200 }), age: field.integer({ min: 0 }) }
+ * Checking a value returns a cleaned copy: unknown fields are dropped, strings are trimmed
+ * and numbers, booleans and single-value query arrays are coerced to their declared type.
+ */
+
+const {
+  isValidEmail,
+  isValidPhone,
+  isValidObjectId,
+  isValidDate,
+  isValidTime,
+  isValidTimezone
+} = require('./validationUtils');
+
+/**
+ * Field descriptor builders
+ * Every builder takes { required, nullable, default, description } plus its own constraints.
+ * `nullable` accepts null (and '' for formatted strings) as an explicit "clear this field".
+ */
+const field = {
+  // { min, max } length, { enum } allowed values, { pattern, patternMessage }, { trim: false }, { lowercase }
+  string: (options = {}) => ({ type: 'string', ...options }),
+  email: (options = {}) => ({ type: 'string', format: 'email', lowercase: true, max: 254, ...options }),
+  phone: (options = {}) => ({ type: 'string', format: 'phone', ...options }),
+  password: (options = {}) => ({ type: 'string', format: 'password', trim: false, min: 8, max: 128, ...options }),
+  date: (options = {}) => ({ type: 'string', format: 'date', ...options }),
+  time: (options = {}) => ({ type: 'string', format: 'time', ...options }),
+  objectId: (options = {}) => ({ type: 'string', format: 'objectId', ...options }),
+  timezone: (options = {}) => ({ type: 'string', format: 'timezone', ...options }),
+  // { min, max } inclusive bounds, { exclusiveMin } for "greater than"
+  number: (options = {}) => ({ type: 'number', ...options }),
+  integer: (options = {}) => ({ type: 'integer', ...options }),
+  boolean: (options = {}) => ({ type: 'boolean', ...options }),
+  // { min, max } item count
+  array: (items, options = {}) => ({ type: 'array', items, ...options }),
+  // { unknown: 'allow' } keeps fields the schema doesn't list
+  object: (properties, options = {}) => ({ type: 'object', properties, ...options }),
+  // Any JSON value, passed through unchecked
+  any: (options = {}) => ({ type: 'any', ...options }),
+  // The first of several descriptors the value matches, { oneOfMessage } when none does
+  oneOf: (variants, options = {}) => ({ type: 'oneOf', variants, ...options })
+};
+
+// Checks and messages for string formats
+const FORMATS = {
+  email: { test: isValidEmail, message: 'must be a valid email address' },
+  phone: { test: isValidPhone, message: 'must be a valid phone number' },
+  date: { test: isValidDate, message: 'must be a date (YYYY-MM-DD)' },
+  time: { test: isValidTime, message: 'must be a time (HH:MM)' },
+  objectId: { test: isValidObjectId, message: 'must be a valid ID' },
+  timezone: { test: isValidTimezone, message: 'must be a valid IANA timezone (e.g. Asia/Kolkata)' },
+  password: {
+    test: (value) => /[A-Za-z]/.test(value) && /\d/.test(value),
+    message: 'must contain at least one letter and one number'
+  }
+};
+
+const BOOLEAN_STRINGS = { true: true, false: false, 1: true, 0: false };
+
+/**
+ * Check a string value
+ * @param {Object} descriptor - String field descriptor
+ * @param {*} value - Raw value
+ * @param {Function} fail - Records an error message for the field
+ * @returns {string|undefined} Cleaned value
+ */
+const checkString = (descriptor, value, fail) => {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    value = String(value);
+  }
+  if (typeof value !== 'string') {
+    return fail('must be a string');
+  }
+
+  if (descriptor.trim !== false) value = value.trim();
+  if (descriptor.lowercase) value = value.toLowerCase();
+
+  if (descriptor.required && value === '') return fail('is required');
+  if (descriptor.min !== undefined && value.length < descriptor.min) {
+    return fail(`must be at least ${descriptor.min} characters`);
+  }
+  if (descriptor.max !== undefined && value.length > descriptor.max) {
+    return fail(`must be at most ${descriptor.max} characters`);
+  }
+  if (descriptor.enum && !descriptor.enum.includes(value)) {
+    return fail(`must be one of: ${descriptor.enum.join(', ')}`);
+  }
+  if (descriptor.pattern && !descriptor.pattern.test(value)) {
+    return fail(descriptor.patternMessage || 'has an invalid format');
+  }
+
+  const format = FORMATS[descriptor.format];
+  if (format && !format.test(value)) {
+    return fail(format.message);
+  }
+  return value;
+};
+
+/**
+ * Check a number value (numeric strings are converted)
+ * @param {Object} descriptor - Number or integer field descriptor
+ * @param {*} value - Raw value
+ * @param {Function} fail - Records an error message for the field
+ * @returns {number|undefined} Cleaned value
+ */
+const checkNumber = (descriptor, value, fail) => {
+  if (typeof value === 'string' && value.trim() !== '') {
+    value = Number(value);
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return fail(descriptor.type === 'integer' ? 'must be a whole number' : 'must be a number');
+  }
+  if (descriptor.type === 'integer' && !Number.isInteger(value)) {
+    return fail('must be a whole number');
+  }
+  if (descriptor.min !== undefined && value < descriptor.min) {
+    return fail(`must be at least ${descriptor.min}`);
+  }
+  if (descriptor.exclusiveMin !== undefined && value <= descriptor.exclusiveMin) {
+    return fail(`must be greater than ${descriptor.exclusiveMin}`);
+  }
+  if (descriptor.max !== undefined && value > descriptor.max) {
+    return fail(`must be at most ${descriptor.max}`);
+  }
+  return value;
+};
+
+/**
+ * Whether a schema part is a single field descriptor rather than a map of fields
+ * @param {Object} schemaPart - Schema part
+ * @returns {boolean} True for a descriptor
+ */
+const isDescriptor = (schemaPart) => typeof schemaPart.type === 'string';
+
+/**
+ * Check a value against a field descriptor
+ * @param {Object} descriptor - Field descriptor
+ * @param {*} value - Raw value
+ * @param {string} path - Field path used in error messages (e.g. "sessions[0].date")
+ * @param {Array} errors - Collected errors { field, message }
+ * @returns {*} Cleaned value (undefined when missing or invalid)
+ */
+const checkValue = (descriptor, value, path, errors) => {
+  const fail = (message) => {
+    errors.push({ field: path, message: `${path} ${message}` });
+    return undefined;
+  };
+
+  if (value === undefined) {
+    if (descriptor.default !== undefined) return descriptor.default;
+    return descriptor.required ? fail('is required') : undefined;
+  }
+  if (value === null || (value === '' && descriptor.nullable && descriptor.type !== 'string')) {
+    return descriptor.nullable ? null : fail(descriptor.required ? 'is required' : 'must not be null');
+  }
+  if (value === '' && descriptor.nullable && descriptor.format) {
+    return null;
+  }
+
+  switch (descriptor.type) {
+    case 'string':
+      return checkString(descriptor, value, fail);
+    case 'number':
+    case 'integer':
+      return checkNumber(descriptor, value, fail);
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (Object.hasOwn(BOOLEAN_STRINGS, String(value))) return BOOLEAN_STRINGS[String(value)];
+      return fail('must be true or false');
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (descriptor.min !== undefined && value.length < descriptor.min) {
+        return fail(`must have at least ${descriptor.min} item${descriptor.min === 1 ? '' : 's'}`);
+      }
+      if (descriptor.max !== undefined && value.length > descriptor.max) {
+        return fail(`must have at most ${descriptor.max} items`);
+      }
+      return value.map((item, index) => checkValue(descriptor.items, item, `${path}[${index}]`, errors));
+    }
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      return checkObject(descriptor, value, `${path}.`, errors);
+    case 'oneOf':
+      for (const variant of descriptor.variants) {
+        const variantErrors = [];
+        const cleaned = checkValue(variant, value, path, variantErrors);
+        if (variantErrors.length === 0) return cleaned;
+      }
+      return fail(descriptor.oneOfMessage || 'does not match any of the allowed forms');
+    default:
+      return value;
+  }
+};
+
+/**
+ * Check an object's fields against an object descriptor
+ * @param {Object} descriptor - Object field descriptor
+ * @param {Object} value - Raw object
+ * @param {string} prefix - Path prefix for nested fields ('' at the top level)
+ * @param {Array} errors - Collected errors { field, message }
+ * @returns {Object} Cleaned object with only declared fields (unless unknown: 'allow')
+ */
+const checkObject = (descriptor, value, prefix, errors) => {
+  const cleaned = descriptor.unknown === 'allow' ? { ...value } : {};
+
+  for (const [name, fieldDescriptor] of Object.entries(descriptor.properties)) {
+    const fieldValue = checkValue(fieldDescriptor, value[name], `${prefix}${name}`, errors);
+    if (fieldValue !== undefined) cleaned[name] = fieldValue;
+  }
+  return cleaned;
+};
+
+/**
+ * Check request data (body, params or query) against a schema
+ * @param {Object} properties - Schema: field name -> descriptor, or one descriptor for the whole
+ * data (for bodies that aren't JSON objects)
+ * @param {*} data - Raw request data
+ * @param {Object} options - { queryString } to read single values as one-item arrays and '' as missing,
+ * { name } to label errors about the whole data
+ * @returns {Object} { value, errors } where errors are [{ field, message }]
+ */
+const checkSchema = (properties, data, options = {}) => {
+  const errors = [];
+  if (isDescriptor(properties)) {
+    const value = checkValue(properties, data, options.name || 'value', errors);
+    return { value, errors };
+  }
+
+  let input = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+
+  if (options.queryString) {
+    input = Object.fromEntries(Object.entries(input)
+      .filter(([, value]) => value !== '')
+      .map(([name, value]) => [
+        name,
+        properties[name]?.type === 'array' && !Array.isArray(value) ? String(value).split(',') : value
+      ]));
+  }
+
+  const value = checkObject({ properties }, input, '', errors);
+  return { value, errors };
+};
+
+module.exports = {
+  field,
+  isDescriptor,
+  checkSchema
+};
@@ -0,0 +1,180 @@
+/**
+ * Search utility functions
+ * Single Responsibility: Normalize and fuzzily compare names and phone numbers
+ */
+
+// Spelling variants that sound alike in romanized Indian names, applied in order
+// (Lakshmi/Laxmi, Shreya/Sreya, Vijay/Vijai, Deepak/Dipak, Bhavna/Bhawna, Pooja/Puja)
+const PHONETIC_RULES = [
+  [/x/g, 'ks'],
+  [/ksh/g, 'ks'],
+  [/sh/g, 's'],
+  [/([bcdgjkpt])h/g, '$1'],
+  [/w/g, 'v'],
+  [/z/g, 'j'],
+  [/q/g, 'k'],
+  [/ck/g, 'k'],
+  [/ee|ea|ie/g, 'i'],
+  [/oo|ou/g, 'u'],
+  [/y/g, 'i'],
+  [/h$/g, ''],
+  [/(.)\1+/g, '$1']
+];
+
+/**
+ * Lowercase text and strip accents and punctuation
+ * @param {string} text - Text
+ * @returns {string} Normalized text (letters, digits and single spaces)
+ */
+const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Reduce a word to a key shared by its common transliteration variants
+ * @param {string} word - Normalized word
+ * @returns {string} Phonetic key
+ */
+const toPhoneticKey = (word) => {
+  return PHONETIC_RULES.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), word);
+};
+
+/**
+ * Phonetic keys of every word in a name, stored on the patient so search can use an index
+ * @param {string} name - Name
+ * @returns {Array} Unique phonetic keys
+ */
+const toNameKeys = (name) => {
+  const words = normalizeText(name).split(' ').filter(Boolean);
+  return [...new Set(words.map(toPhoneticKey))];
+};
+
+/**
+ * Drop the vowels after the first letter of a phonetic key (Sree/Shri/Sri -> sr)
+ * @param {string} key - Phonetic key
+ * @returns {string} Consonant skeleton
+ */
+const toSkeleton = (key) => key.charAt(0) + key.slice(1).replace(/[aeiou]/g, '');
+
+/**
+ * Keep only the digits of a phone number or query
+ * @param {string} text - Text
+ * @returns {string} Digits
+ */
+const toDigits = (text) => String(text || '').replace(/\D/g, '');
+
+/**
+ * Levenshtein edit distance, giving up once it exceeds a maximum
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance worth computing
+ * @returns {number} Distance, or max + 1 when further apart
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Typos tolerated for a search term of a given length
+ * @param {number} length - Term length
+ * @returns {number} Allowed edit distance
+ */
+const allowedTypos = (length) => {
+  if (length >= 7) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Score how well a search term matches one word of a name
+ * Exact and prefix matches beat transliteration variants, which beat typos.
+ * @param {string} term - Normalized search term
+ * @param {string} word - Normalized name word
+ * @returns {number} Score from 0 (no match) to 1 (exact)
+ */
+const scoreWord = (term, word) => {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.9;
+
+  const termKey = toPhoneticKey(term);
+  const wordKey = toPhoneticKey(word);
+  if (wordKey === termKey) return 0.85;
+  if (termKey.length >= 2 && wordKey.startsWith(termKey)) return 0.8;
+  if (term.length >= 3 && word.includes(term)) return 0.6;
+
+  // Vowels are the least reliable part of a transliteration
+  const termSkeleton = toSkeleton(termKey);
+  if (term.length >= 3 && termSkeleton.length >= 2 && toSkeleton(wordKey).startsWith(termSkeleton)) return 0.5;
+
+  // Compare against the start of the word so partial typed names still match
+  const maxTypos = allowedTypos(termKey.length);
+  if (maxTypos === 0) return 0;
+
+  const distance = Math.min(
+    editDistance(termKey, wordKey, maxTypos),
+    editDistance(termKey, wordKey.slice(0, termKey.length), maxTypos)
+  );
+  return distance <= maxTypos ? 0.7 - 0.15 * distance : 0;
+};
+
+/**
+ * Score how well a search query matches a name; every term must match some word
+ * @param {Array} terms - Normalized search terms
+ * @param {string} name - Name
+ * @returns {number} Average term score, 0 when any term doesn't match
+ */
+const scoreName = (terms, name) => {
+  const words = normalizeText(name).split(' ').filter(Boolean);
+  if (terms.length === 0 || words.length === 0) return 0;
+
+  let total = 0;
+  for (const term of terms) {
+    const best = Math.max(...words.map(word => scoreWord(term, word)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total / terms.length;
+};
+
+/**
+ * Score how well digits match a phone number
+ * @param {string} digits - Digits from the query
+ * @param {string} phone - Stored phone number
+ * @returns {number} 1 for a trailing match (the part people remember), 0.8 anywhere else, 0 otherwise
+ */
+const scorePhone = (digits, phone) => {
+  const phoneDigits = toDigits(phone);
+  if (!digits || !phoneDigits.includes(digits)) return 0;
+  return phoneDigits.endsWith(digits) ? 1 : 0.8;
+};
+
+module.exports = {
+  normalizeText,
+  toPhoneticKey,
+  toNameKeys,
+  toDigits,
+  editDistance,
+  scoreWord,
+  scoreName,
+  scorePhone
+};
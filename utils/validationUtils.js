@@ -3,6 +3,8 @@
  * Single Responsibility: Handle data validation
  */
 
+const { SESSION_STATUSES, MAX_PAGE_SIZE, buildSortOptions, decodeCursor } = require('./databaseUtils');
+
 /**
  * Validate required fields
  * @param {Object} data - Data to validate
@@ -99,6 +101,96 @@ const isValidTime = (time) => {
   return timeRegex.test(time);
 };
 
+/**
+ * Validate session duration in minutes
+ * @param {number} duration - Duration to validate
+ * @param {number} min - Minimum minutes (default: 5)
+ * @param {number} max - Maximum minutes (default: 720)
+ * @returns {boolean} Is valid duration
+ */
+const isValidDuration = (duration, min = 5, max = 720) => {
+  const durationNum = Number(duration);
+  return Number.isInteger(durationNum) && durationNum >= min && durationNum <= max;
+};
+
+/**
+ * Validate IANA timezone name
+ * @param {string} timezone - Timezone to validate (e.g. Asia/Kolkata)
+ * @returns {boolean} Is valid timezone
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate list sorting and pagination query parameters
+ * @param {Object} query - { sortBy, sortOrder, limit, cursor }
+ * @param {Object} sortFields - Allowed sort fields (e.g. SESSION_SORT_FIELDS)
+ * @param {Object} defaults - { sortBy, sortOrder } used when not given
+ * @returns {string|null} Error message or null when valid
+ */
+const validateListQuery = ({ sortBy, sortOrder, limit, cursor }, sortFields, defaults) => {
+  const fields = Object.keys(sortFields);
+
+  if (sortBy !== undefined && !fields.includes(sortBy)) {
+    return `sortBy must be one of: ${fields.join(', ')}`;
+  }
+  if (sortOrder !== undefined && !['asc', 'desc'].includes(sortOrder)) {
+    return 'sortOrder must be asc or desc';
+  }
+  if (limit !== undefined && !(/^\d+$/.test(limit) && limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    return `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`;
+  }
+  if (cursor !== undefined) {
+    const field = sortBy || defaults.sortBy;
+    const sort = buildSortOptions(field, sortOrder || defaults.sortOrder, sortFields[field]);
+    if (!decodeCursor(cursor, sort)) {
+      return 'Invalid cursor (cursors only work with the sort they were issued for)';
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate list filter query parameters
+ * @param {Object} query - { patientId, startDate, endDate, status, minAmount, maxAmount }
+ * @returns {string|null} Error message or null when valid
+ */
+const validateListFilters = ({ patientId, startDate, endDate, status, minAmount, maxAmount }) => {
+  if (patientId !== undefined && !isValidObjectId(patientId)) {
+    return 'Invalid patient ID format';
+  }
+  if ((startDate !== undefined && !isValidDate(startDate)) || (endDate !== undefined && !isValidDate(endDate))) {
+    return 'Dates must be in YYYY-MM-DD format';
+  }
+  if (startDate && endDate && startDate > endDate) {
+    return 'startDate must be on or before endDate';
+  }
+  if (status !== undefined) {
+    const statuses = Object.keys(SESSION_STATUSES);
+    if (!String(status).split(',').every(name => statuses.includes(name.trim()))) {
+      return `status must be one or more of: ${statuses.join(', ')}`;
+    }
+  }
+  const amounts = { minAmount, maxAmount };
+  const invalidAmount = Object.keys(amounts).find(field =>
+    amounts[field] !== undefined && !(amounts[field] !== '' && Number(amounts[field]) >= 0)
+  );
+  if (invalidAmount) {
+    return `${invalidAmount} must be a non-negative number`;
+  }
+  if (minAmount !== undefined && maxAmount !== undefined && Number(minAmount) > Number(maxAmount)) {
+    return 'minAmount must not be greater than maxAmount';
+  }
+  return null;
+};
+
 module.exports = {
   validateRequiredFields,
   isValidEmail,
@@ -107,5 +199,9 @@ module.exports = {
   isValidGender,
   isValidObjectId,
   isValidDate,
-  isValidTime
+  isValidTime,
+  isValidDuration,
+  isValidTimezone,
+  validateListQuery,
+  validateListFilters
 };